@@ -4,17 +4,58 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const mongoose = require('mongoose');
 require('dotenv').config();
+const { getDriver } = require('./database');
+const { localizeResponses } = require('./middleware/i18n');
+const { checkResponses } = require('./middleware/responseCheck');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { ForbiddenError, UpstreamError } = require('./utils/errors');
+const { listRoutes, checkRouteDocs } = require('./utils/openapi');
+const { getTransport: getMailTransport } = require('./utils/mailer');
+const { getTransport: getWebhookTransport } = require('./utils/webhook');
+const { verifyLegacyAccounts } = require('./services/userService');
+
+// Production needs explicit mail and webhook transports (utils/mailer,
+// utils/webhook); fail start-up rather than on the first password reset or notification
+if (process.env.NODE_ENV === 'production') {
+  getMailTransport();
+  getWebhookTransport();
+}
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Trust the first proxy (Vercel/Nginx) so req.ip is the client address used for rate limiting
+const trustProxy = process.env.TRUST_PROXY;
+app.set('trust proxy', trustProxy === undefined ? 1 : (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+
 // Import routes
 const authRoutes = require('./routes/auth');
+const calcRoutes = require('./routes/calc');
+const adminRoutes = require('./routes/admin');
+const organizationRoutes = require('./routes/organizations');
+const siteRoutes = require('./routes/sites');
+const sampleRoutes = require('./routes/samples');
+const evaluateRoutes = require('./routes/evaluate');
+const projectRoutes = require('./routes/projects');
+const notificationRoutes = require('./routes/notifications');
+const docsRoutes = require('./routes/docs');
+const healthRoutes = require('./routes/health');
+
+// Data fixes for older records; idempotent, run once the database is available
+const migrateData = async () => {
+  try {
+    const verified = await verifyLegacyAccounts();
+    if (verified) console.log(`Marked ${verified} accounts from before email verification as verified`);
+  } catch (error) {
+    console.error('Data migration error:', error);
+  }
+};
 
 // Connect to MongoDB (optimized for serverless/Vercel)
 let cachedConnection = null;
 
-const connectDB = async () => {
+// Without exitOnError a failed connection is only thrown (readiness probes use this)
+const connectDB = async ({ exitOnError = true } = {}) => {
   // Return cached connection if available (for serverless)
   if (cachedConnection && mongoose.connection.readyState === 1) {
     return cachedConnection;
@@ -45,6 +86,7 @@ const connectDB = async () => {
     cachedConnection = await mongoose.connect(mongoURI, options);
     console.log('✅ Connected to MongoDB');
     console.log('Database name:', mongoose.connection.db?.databaseName);
+    await migrateData();
     return cachedConnection;
   } catch (error) {
     console.error('❌ MongoDB connection error:', error.message);
@@ -53,7 +95,7 @@ const connectDB = async () => {
     cachedConnection = null; // Reset cache on error
     
     // Don't exit process on Vercel, just log the error
-    if (process.env.NODE_ENV !== 'production') {
+    if (exitOnError && process.env.NODE_ENV !== 'production') {
       console.log('💡 Make sure MongoDB is running on your system');
       console.log('   You can start MongoDB with: sudo systemctl start mongod');
       console.log('   Or install MongoDB if not installed');
@@ -65,10 +107,19 @@ const connectDB = async () => {
 
 // Connect to database (only if not on Vercel serverless)
 // On Vercel, connection happens on first request via lazy loading
-if (require.main === module) {
+// The file and memory drivers (DB_DRIVER) need no connection
+if (require.main === module && getDriver() === 'mongo') {
   connectDB();
+} else if (getDriver() === 'file') {
+  migrateData();
 }
 
+// Response checks against the API document (tests only), then localization
+// (code -> message in the negotiated language); first, so that errors raised
+// by any later middleware are localized too
+app.use(checkResponses);
+app.use(localizeResponses);
+
 // CORS middleware - MUST be before other middleware to handle preflight requests
 const explicitAllowedOrigins = [
   process.env.CORS_ORIGIN,
@@ -90,11 +141,11 @@ app.use(cors({
     if (isVercel || explicitAllowedOrigins.includes(origin)) {
       return callback(null, true);
     }
-    return callback(new Error(`Not allowed by CORS: ${origin}`));
+    return callback(new ForbiddenError('CORS_ORIGIN_NOT_ALLOWED', { params: { origin } }));
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Origin', 'Accept'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Origin', 'Accept', 'X-Organization-Id'],
   optionsSuccessStatus: 200,
   preflightContinue: false
 }));
@@ -104,7 +155,7 @@ app.options('*', (req, res) => {
   res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
   res.header('Access-Control-Allow-Credentials', 'true');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Origin, Accept');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Origin, Accept, X-Organization-Id');
   res.status(200).end();
 });
 
@@ -116,10 +167,23 @@ app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
   res.header('Access-Control-Allow-Credentials', 'true');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Origin, Accept');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Origin, Accept, X-Organization-Id');
   next();
 });
 
+// Health probes come before the database connection below, so that a probe
+// never waits for the full connection timeout or exits the process when the
+// database is down; readiness makes its own bounded attempt through
+// app.locals.connectDatabase (services/healthService)
+app.locals.connectDatabase = () => connectDB({ exitOnError: false });
+const probeRouters = [
+  { path: '/health', router: healthRoutes, name: 'Health' }
+];
+probeRouters.forEach(({ path, router, name }) => {
+  app.use(path, router);
+  console.log(`${name} routes loaded`);
+});
+
 // Ensure database connection before handling API requests (skip for OPTIONS)
 app.use(async (req, res, next) => {
   // Skip database connection for OPTIONS requests
@@ -128,7 +192,7 @@ app.use(async (req, res, next) => {
   }
   
   // Only connect for API routes that need database
-  if (req.path.startsWith('/api/')) {
+  if (req.path.startsWith('/api/') && getDriver() === 'mongo') {
     try {
       if (mongoose.connection.readyState !== 1) {
         console.log('Database not connected, attempting connection...');
@@ -136,30 +200,9 @@ app.use(async (req, res, next) => {
         console.log('Database connection established');
       }
     } catch (error) {
-      console.error('Database connection failed:', error);
       console.error('MongoDB URI:', process.env.MONGODB_URI ? 'Set (hidden)' : 'NOT SET');
-      console.error('Error details:', {
-        name: error.name,
-        message: error.message,
-        code: error.code
-      });
-      
-      // Return detailed error for debugging
-      return res.status(500).json({
-        success: false,
-        message: 'Database connection failed',
-        error: error.message || 'Unknown database error',
-        errorName: error.name || 'DatabaseError',
-        errorCode: error.code,
-        // Include helpful hints
-        hint: !process.env.MONGODB_URI 
-          ? 'MONGODB_URI environment variable is not set'
-          : error.message?.includes('authentication') 
-            ? 'Check MongoDB Atlas credentials and user permissions'
-            : error.message?.includes('ENOTFOUND') || error.message?.includes('DNS')
-              ? 'Check MongoDB Atlas network access - Vercel IPs might not be allowed'
-              : 'Check MongoDB Atlas connection string and cluster status'
-      });
+      // The error middleware logs the cause; clients only get the code
+      return next(new UpstreamError('DATABASE_UNAVAILABLE', { cause: error }));
     }
   }
   next();
@@ -175,99 +218,68 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Static files
 app.use(express.static('public'));
 
-// Routes
-app.use('/api/auth', authRoutes);
-console.log('Auth routes loaded');
-
-// Test MongoDB connection endpoint (for debugging)
-app.get('/api/test-db', async (req, res) => {
-  try {
-    const isConnected = mongoose.connection.readyState === 1;
-    
-    if (!isConnected) {
-      console.log('Attempting to connect...');
-      await connectDB();
-    }
-    
-    // Try a simple operation
-    const User = require('./models/User');
-    const count = await User.countDocuments();
-    
-    res.json({
-      success: true,
-      message: 'Database connection successful',
-      connectionState: mongoose.connection.readyState,
-      connectionStateName: {
-        0: 'disconnected',
-        1: 'connected',
-        2: 'connecting',
-        3: 'disconnecting'
-      }[mongoose.connection.readyState],
-      userCount: count,
-      database: mongoose.connection.db?.databaseName,
-      mongoDBUri: process.env.MONGODB_URI ? 'Set' : 'Not Set'
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Database connection test failed',
-      error: error.message,
-      errorName: error.name,
-      errorCode: error.code,
-      mongoDBUri: process.env.MONGODB_URI ? 'Set' : 'Not Set',
-      hint: !process.env.MONGODB_URI 
-        ? 'MONGODB_URI environment variable is not set in Vercel'
-        : error.message?.includes('authentication') 
-          ? 'Check MongoDB Atlas username and password in connection string'
-          : error.message?.includes('ENOTFOUND') || error.message?.includes('DNS')
-            ? 'Check MongoDB Atlas Network Access - allow Vercel IPs (0.0.0.0/0)'
-            : 'Check MongoDB Atlas connection string format and cluster status'
-    });
-  }
+// Routes (the OpenAPI document is generated from these routers)
+const apiRouters = [
+  { path: '/api/auth', router: authRoutes, name: 'Auth' },
+  { path: '/api/calc', router: calcRoutes, name: 'Calculation' },
+  { path: '/api/admin', router: adminRoutes, name: 'Admin' },
+  { path: '/api/organizations', router: organizationRoutes, name: 'Organization' },
+  { path: '/api/sites', router: siteRoutes, name: 'Site' },
+  { path: '/api/samples', router: sampleRoutes, name: 'Sample' },
+  { path: '/api/evaluate', router: evaluateRoutes, name: 'Evaluate' },
+  { path: '/api/projects', router: projectRoutes, name: 'Project' },
+  { path: '/api/notifications', router: notificationRoutes, name: 'Notification' },
+  { path: '/api', router: docsRoutes, name: 'Documentation' }
+];
+apiRouters.forEach(({ path, router, name }) => {
+  app.use(path, router);
+  console.log(`${name} routes loaded`);
 });
+app.locals.apiRouters = [...apiRouters, ...probeRouters];
 
-// Root endpoint
+// @route   GET /
+// @desc    API information and endpoint list
+// @access  Public
 app.get('/', (req, res) => {
   res.json({
     success: true,
     message: 'Welcome to Water Tools Backend API',
     version: '1.0.0',
-    database: 'MongoDB',
-    environment: {
-      NODE_ENV: process.env.NODE_ENV,
-      MONGODB_URI: process.env.MONGODB_URI ? 'Set' : 'Not Set',
-      JWT_ACCESS_SECRET: process.env.JWT_ACCESS_SECRET ? 'Set' : 'Not Set',
-      JWT_REFRESH_SECRET: process.env.JWT_REFRESH_SECRET ? 'Set' : 'Not Set',
-      CORS_ORIGIN: process.env.CORS_ORIGIN || 'Not Set'
+    health: {
+      live: '/health/live',
+      ready: '/health/ready'
     },
-    endpoints: {
-      auth: {
-        register: 'POST /api/auth/register',
-        login: 'POST /api/auth/login',
-        profile: 'GET /api/auth/me',
-        updateProfile: 'PUT /api/auth/profile',
-        logout: 'POST /api/auth/logout'
-      }
-    }
+    documentation: {
+      openapi: '/api/openapi.json',
+      ui: '/api/docs'
+    },
+    // 'METHOD /path' by router, from the registered routes
+    endpoints: listRoutes(req.app).reduce((groups, route) => {
+      (groups[route.group] = groups[route.group] || []).push(`${route.method.toUpperCase()} ${route.path}`);
+      return groups;
+    }, {})
   });
 });
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Route not found'
-  });
-});
+// Every route needs a @route / @desc / @access comment and its responses in
+// docs/responses.js for the API document; gaps fail start-up under
+// NODE_ENV=test and are logged otherwise
+const { undocumented, undeclared, stale } = checkRouteDocs(app);
+if (undocumented.length || undeclared.length || stale.length) {
+  const report = [
+    ...undocumented.map(route => `undocumented route ${route}`),
+    ...undeclared.map(route => `route ${route} has no responses in docs/responses.js`),
+    ...stale.map(route => `documented route ${route} does not exist`)
+  ].join('\n  ');
+  if (process.env.NODE_ENV === 'test') {
+    throw new Error(`API document is out of date:\n  ${report}`);
+  }
+  console.warn(`⚠️  API document is out of date:\n  ${report}`);
+}
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('Error:', error);
-  res.status(500).json({
-    success: false,
-    message: 'Internal server error'
-  });
-});
+// 404 and error handling (middleware/errorHandler)
+app.use(notFound);
+app.use(errorHandler);
 
 // Export for Vercel
 module.exports = app;
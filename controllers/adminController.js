@@ -0,0 +1,429 @@
+const { db, sameId } = require('../database');
+const { getPermissions, exceedsOwnPermissions } = require('../services/userService');
+const { revokeAllForUser } = require('../services/sessionService');
+const { notify } = require('../services/notificationService');
+const settings = require('../services/settingService');
+const {
+  exportFileName,
+  streamUsers,
+  writeCsv,
+  writeXlsx,
+  summarizeUsers,
+  writePdfReport
+} = require('../services/userExportService');
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('../utils/permissions');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Query parameters that filter user lists and exports
+const FILTER_PARAMS = ['role', 'isActive', 'search', 'includeDeleted', 'lastLoginFrom', 'lastLoginTo', 'createdFrom', 'createdTo'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Filter for user lists and exports from the validated query (role, isActive,
+// search, includeDeleted and lastLogin/createdAt ranges)
+const buildUserFilter = (query) => {
+  const { role, isActive, search, includeDeleted } = query;
+  const filter = {};
+
+  if (!includeDeleted) {
+    filter.deletedAt = null;
+  }
+
+  if (role) {
+    filter.role = role;
+  }
+
+  if (isActive !== undefined) {
+    filter.isActive = isActive;
+  }
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    filter.$or = [
+      { email: pattern },
+      { username: pattern },
+      { firstName: pattern },
+      { lastName: pattern }
+    ];
+  }
+
+  // Date range filters
+  const ranges = {
+    lastLogin: [query.lastLoginFrom, query.lastLoginTo],
+    createdAt: [query.createdFrom, query.createdTo]
+  };
+
+  for (const [field, [from, to]] of Object.entries(ranges)) {
+    if (from || to) {
+      filter[field] = {};
+      if (from) filter[field].$gte = from;
+      if (to) filter[field].$lte = to;
+    }
+  }
+
+  return filter;
+};
+
+// Shape a user document for admin responses
+const formatAdminUser = (user, activeSessions = 0) => ({
+  id: user._id,
+  name: `${user.firstName} ${user.lastName}`.trim(),
+  email: user.email,
+  username: user.username,
+  role: user.role,
+  isActive: user.isActive,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  permissionOverrides: {
+    grant: user.permissionOverrides ? user.permissionOverrides.grant : [],
+    deny: user.permissionOverrides ? user.permissionOverrides.deny : []
+  },
+  permissions: getPermissions(user),
+  pendingEmail: user.pendingEmail,
+  activeSessions,
+  lastLogin: user.lastLogin,
+  deletedAt: user.deletedAt,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+// Count sessions per user id
+const countSessions = async (userIds) => {
+  const counts = await db.sessions.aggregate([
+    { $match: { user: { $in: userIds } } },
+    { $group: { _id: '$user', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(c => [String(c._id), c.count]));
+};
+
+// Load the target user from :id; throws NotFoundError
+const findTargetUser = async (req) => {
+  const user = await db.users.findById(req.params.id);
+  if (!user) {
+    throw new NotFoundError('USER_NOT_FOUND');
+  }
+  return user;
+};
+
+const isActiveAdmin = (user) => user.role === 'admin' && user.isActive && !user.deletedAt;
+
+// Active, non-deleted admins other than the given user
+const countOtherActiveAdmins = (user) => db.users.count({
+  _id: { $ne: user._id },
+  role: 'admin',
+  isActive: true,
+  deletedAt: null
+});
+
+// Set fields that may take away an active admin (role, isActive, deletedAt);
+// throws ConflictError when the target is the last one. The count is repeated
+// after the write so that two admins removed at the same time cannot both pass
+// the first check; the change is then rolled back.
+const updateKeepingAnAdmin = async (target, fields) => {
+  if (isActiveAdmin(target) && await countOtherActiveAdmins(target) === 0) {
+    throw new ConflictError('LAST_ACTIVE_ADMIN');
+  }
+
+  const user = await db.users.updateById(target._id, { $set: fields });
+
+  if (isActiveAdmin(target) && !isActiveAdmin(user) && await countOtherActiveAdmins(user) === 0) {
+    const previous = Object.fromEntries(Object.keys(fields).map(field => [field, target[field]]));
+    await db.users.updateById(target._id, { $set: previous });
+    throw new ConflictError('LAST_ACTIVE_ADMIN');
+  }
+
+  return user;
+};
+
+// @desc    List users with pagination, filters and search
+// @route   GET /api/admin/users
+// @access  Private/Admin (users:read)
+const listUsers = async (req, res) => {
+  const { sort, order, page, limit } = req.query;
+
+  const filter = buildUserFilter(req.query);
+  const sortOrder = order === 'asc' ? 1 : -1;
+
+  const [users, total] = await Promise.all([
+    db.users.find(filter, {
+      sort: { [sort]: sortOrder, _id: sortOrder },
+      skip: (page - 1) * limit,
+      limit
+    }),
+    db.users.count(filter)
+  ]);
+
+  const sessionCounts = await countSessions(users.map(u => u._id));
+
+  res.json({
+    success: true,
+    data: {
+      users: users.map(u => formatAdminUser(u, sessionCounts.get(String(u._id)))),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+};
+
+// @desc    Get a single user
+// @route   GET /api/admin/users/:id
+// @access  Private/Admin (users:read)
+const getUser = async (req, res) => {
+  const user = await findTargetUser(req);
+
+  const activeSessions = await db.sessions.count({ user: user._id });
+
+  res.json({
+    success: true,
+    data: {
+      user: formatAdminUser(user, activeSessions)
+    }
+  });
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private/Admin (users:write)
+const updateUserRole = async (req, res) => {
+  const { role } = req.body;
+
+  if (exceedsOwnPermissions(req.user, ROLE_PERMISSIONS[role])) {
+    throw new ForbiddenError('PERMISSION_ESCALATION');
+  }
+
+  const target = await findTargetUser(req);
+  const user = await updateKeepingAnAdmin(target, { role });
+
+  res.json({
+    success: true,
+    code: 'USER_ROLE_UPDATED',
+    data: {
+      user: formatAdminUser(user)
+    }
+  });
+};
+
+// @desc    Activate or deactivate a user
+// @route   PUT /api/admin/users/:id/status
+// @access  Private/Admin (users:write)
+const updateUserStatus = async (req, res) => {
+  const { isActive } = req.body;
+
+  const target = await findTargetUser(req);
+
+  if (!isActive) {
+    if (sameId(target._id, req.user._id)) {
+      throw new ValidationError('SELF_ACTION_NOT_ALLOWED');
+    }
+  } else if (target.deletedAt) {
+    throw new ConflictError('DELETED_USER_ACTIVATION');
+  }
+
+  const user = await updateKeepingAnAdmin(target, { isActive });
+
+  // Deactivation ends every session
+  if (!isActive) {
+    await revokeAllForUser(user._id);
+  }
+  if (target.isActive !== isActive) {
+    await notify(user, isActive ? 'account_reactivated' : 'account_deactivated');
+  }
+
+  res.json({
+    success: true,
+    code: isActive ? 'USER_ACTIVATED' : 'USER_DEACTIVATED',
+    data: {
+      user: formatAdminUser(user)
+    }
+  });
+};
+
+// @desc    Force logout a user from all devices
+// @route   POST /api/admin/users/:id/logout
+// @access  Private/Admin (users:write)
+const forceLogoutUser = async (req, res) => {
+  const user = await findTargetUser(req);
+
+  await revokeAllForUser(user._id);
+
+  res.json({
+    success: true,
+    code: 'USER_LOGGED_OUT'
+  });
+};
+
+// @desc    Soft delete a user
+// @route   DELETE /api/admin/users/:id
+// @access  Private/Admin (users:delete)
+const deleteUser = async (req, res) => {
+  const user = await findTargetUser(req);
+
+  if (sameId(user._id, req.user._id)) {
+    throw new ValidationError('SELF_ACTION_NOT_ALLOWED');
+  }
+
+  if (!user.deletedAt) {
+    await updateKeepingAnAdmin(user, { deletedAt: new Date(), isActive: false });
+  }
+  await revokeAllForUser(user._id);
+
+  res.json({
+    success: true,
+    code: 'USER_DELETED'
+  });
+};
+
+// @desc    Set per-user permission overrides
+// @route   PUT /api/admin/users/:id/permissions
+// @access  Private/Admin (users:write)
+const updateUserPermissions = async (req, res) => {
+  const { grant, deny } = req.body;
+
+  if (exceedsOwnPermissions(req.user, grant)) {
+    throw new ForbiddenError('PERMISSION_ESCALATION');
+  }
+
+  const target = await findTargetUser(req);
+
+  // Do not let admins lock themselves out of user management
+  if (sameId(target._id, req.user._id) && deny.some(permission => ['users:read', 'users:write'].includes(permission))) {
+    throw new ValidationError('SELF_ACTION_NOT_ALLOWED');
+  }
+
+  const user = await db.users.updateById(target._id, {
+    $set: {
+      permissionOverrides: {
+        grant: [...new Set(grant)],
+        deny: [...new Set(deny)]
+      }
+    }
+  });
+
+  res.json({
+    success: true,
+    code: 'USER_PERMISSIONS_UPDATED',
+    data: {
+      user: formatAdminUser(user)
+    }
+  });
+};
+
+// @desc    List the permission catalogue and role bundles
+// @route   GET /api/admin/permissions
+// @access  Private/Admin (users:read)
+const listPermissions = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+      roles: ROLE_PERMISSIONS
+    }
+  });
+};
+
+// @desc    Get application settings
+// @route   GET /api/admin/settings
+// @access  Private/Admin (settings:read)
+const getSettings = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      settings: await settings.getAll()
+    }
+  });
+};
+
+// @desc    Update application settings
+// @route   PUT /api/admin/settings
+// @access  Private/Admin (settings:write)
+const updateSettings = async (req, res) => {
+  const { requireAdminTwoFactor } = req.body;
+
+  if (requireAdminTwoFactor !== undefined) {
+    // Prevent admins from locking themselves out
+    if (requireAdminTwoFactor && !req.user.twoFactorEnabled) {
+      throw new ConflictError('OWN_TWO_FACTOR_REQUIRED');
+    }
+
+    await settings.setValue('requireAdminTwoFactor', requireAdminTwoFactor, req.user._id);
+  }
+
+  res.json({
+    success: true,
+    code: 'SETTINGS_UPDATED',
+    data: {
+      settings: await settings.getAll()
+    }
+  });
+};
+
+const sendFileHeaders = (res, format, fileName) => {
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Cache-Control': 'no-store'
+  });
+};
+
+// @desc    Export users as CSV or XLSX (same filters as the user list)
+// @route   GET /api/admin/users/export
+// @access  Private/Admin (users:read)
+const exportUsers = async (req, res) => {
+  const { format, lang, delimiter } = req.query;
+  const filter = buildUserFilter(req.query);
+  sendFileHeaders(res, format, exportFileName('users', format));
+
+  if (format === 'xlsx') {
+    await writeXlsx(res, streamUsers(filter), { lang });
+  } else {
+    await writeCsv(res, streamUsers(filter), { lang, delimiter });
+  }
+};
+
+// @desc    PDF account summary report (same filters as the user list)
+// @route   GET /api/admin/users/report
+// @access  Private/Admin (reports:export)
+const exportUserReport = async (req, res) => {
+  const { lang } = req.query;
+  const filter = buildUserFilter(req.query);
+  const summary = await summarizeUsers(filter);
+  const filters = {};
+  FILTER_PARAMS.forEach(name => {
+    const value = req.query[name];
+    if (value !== undefined) filters[name] = value instanceof Date ? value.toISOString() : value;
+  });
+
+  sendFileHeaders(res, 'pdf', exportFileName(lang === 'sv' ? 'kontosammanstallning' : 'account-summary', 'pdf'));
+  await writePdfReport(res, streamUsers(filter), {
+    summary,
+    filters,
+    lang,
+    generatedBy: req.user.email
+  });
+};
+
+module.exports = {
+  listUsers,
+  exportUsers,
+  exportUserReport,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  forceLogoutUser,
+  deleteUser,
+  updateUserPermissions,
+  listPermissions,
+  getSettings,
+  updateSettings
+};
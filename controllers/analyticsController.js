@@ -0,0 +1,133 @@
+const {
+  parseRange,
+  activeUsers,
+  registrations,
+  failedLogins,
+  retention,
+  dormantFilter,
+  summarizeDormant,
+  overview
+} = require('../services/analyticsService');
+const { db } = require('../database');
+const { ValidationError } = require('../utils/errors');
+
+// Range from the query; throws ValidationError
+const readRange = (req) => {
+  const { range, error } = parseRange(req.query);
+  if (error) {
+    throw new ValidationError(error.code);
+  }
+  return range;
+};
+
+// @desc    Headline usage numbers (active users, registrations, failed logins, dormant accounts)
+// @route   GET /api/admin/analytics/overview
+// @access  Private/Admin (users:read)
+const getOverview = async (req, res) => {
+  res.json({
+    success: true,
+    data: await overview()
+  });
+};
+
+// @desc    Daily, weekly or monthly active users
+// @route   GET /api/admin/analytics/active-users
+// @access  Private/Admin (users:read)
+const getActiveUsers = async (req, res) => {
+  const range = readRange(req);
+
+  res.json({
+    success: true,
+    data: { range, ...await activeUsers(range) }
+  });
+};
+
+// @desc    New registrations per period
+// @route   GET /api/admin/analytics/registrations
+// @access  Private/Admin (users:read)
+const getRegistrations = async (req, res) => {
+  const range = readRange(req);
+
+  res.json({
+    success: true,
+    data: { range, ...await registrations(range) }
+  });
+};
+
+// @desc    Failed logins per period and reason
+// @route   GET /api/admin/analytics/failed-logins
+// @access  Private/Admin (users:read)
+const getFailedLogins = async (req, res) => {
+  const range = readRange(req);
+
+  res.json({
+    success: true,
+    data: { range, ...await failedLogins(range) }
+  });
+};
+
+// @desc    Retention cohorts by registration week or month
+// @route   GET /api/admin/analytics/retention
+// @access  Private/Admin (users:read)
+const getRetention = async (req, res) => {
+  const range = readRange(req);
+  const { periods } = req.query;
+
+  res.json({
+    success: true,
+    data: { range, periods, cohorts: await retention(range, { periods }) }
+  });
+};
+
+// @desc    Active accounts without a login for `days` days
+// @route   GET /api/admin/analytics/dormant
+// @access  Private/Admin (users:read)
+const getDormantAccounts = async (req, res) => {
+  const { days, page, limit } = req.query;
+  const filter = dormantFilter(days);
+
+  const [summary, users, total] = await Promise.all([
+    summarizeDormant(days),
+    db.users.find(filter, {
+      select: 'username email firstName lastName role lastLogin createdAt',
+      sort: { lastLogin: 1, createdAt: 1, _id: 1 },
+      skip: (page - 1) * limit,
+      limit
+    }),
+    db.users.count(filter)
+  ]);
+
+  const now = Date.now();
+  res.json({
+    success: true,
+    data: {
+      days,
+      summary,
+      users: users.map(user => ({
+        id: user._id,
+        name: `${user.firstName} ${user.lastName}`.trim(),
+        email: user.email,
+        username: user.username,
+        role: user.role,
+        lastLogin: user.lastLogin,
+        createdAt: user.createdAt,
+        daysInactive: Math.floor((now - new Date(user.lastLogin || user.createdAt)) / (24 * 60 * 60 * 1000))
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+};
+
+module.exports = {
+  getOverview,
+  getActiveUsers,
+  getRegistrations,
+  getFailedLogins,
+  getRetention,
+  getDormantAccounts
+};
@@ -1,408 +1,673 @@
-const User = require('../models/User');
-const { generateTokens } = require('../middleware/auth');
-
-// Input validation helper
-const validateRegistrationInput = (req, res, next) => {
-  const { name, email, password, confirmPassword } = req.body;
-  
-  // Only validate the 3 required fields from frontend
-  if (!name || !email || !password) {
-    return res.status(400).json({
-      success: false,
-      message: 'All fields are required',
-      errors: ['Fullständigt namn, e-postadress och lösenord är obligatoriska']
-    });
-  }
-
-  // If confirmPassword is provided, check if it matches
-  if (confirmPassword && password !== confirmPassword) {
-    return res.status(400).json({
-      success: false,
-      message: 'Passwords do not match',
-      errors: ['Lösenorden matchar inte']
-    });
-  }
+const { db, sameId } = require('../database');
+const {
+  hashPassword,
+  comparePassword,
+  createPasswordResetToken,
+  createEmailVerificationToken,
+  isLocked,
+  registerFailedLogin,
+  recordLogin,
+  verifyTwoFactor,
+  getPermissions,
+  splitName,
+  usernameFromEmail
+} = require('../services/userService');
+const { revokeAllForUser } = require('../services/sessionService');
+const usageEvents = require('../services/usageEventService');
+const { notify } = require('../services/notificationService');
+const settings = require('../services/settingService');
+const {
+  createSession,
+  rotateSession,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  getEmailVerificationPolicy
+} = require('../middleware/auth');
+const { sendMail, buildFrontendUrl } = require('../utils/mailer');
+const { hashToken } = require('../utils/tokens');
+const {
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError
+} = require('../utils/errors');
+
+// Error for a locked account
+const accountLockedError = (lockUntil) => {
+  const retryAfter = Math.max(Math.ceil((lockUntil.getTime() - Date.now()) / 1000), 1);
+  return new RateLimitError('ACCOUNT_LOCKED', { params: { minutes: Math.ceil(retryAfter / 60) }, retryAfter });
+};
 
-  if (password.length < 6) {
-    return res.status(400).json({
-      success: false,
-      message: 'Password must be at least 6 characters long',
-      errors: ['Lösenordet måste vara minst 6 tecken långt']
-    });
-  }
+// Final login step shared by password login and the 2FA step:
+// reset lockout state, start a session and send the token pair
+const completeLogin = async (user, req, res, { recoveryCodeUsed = false, method = 'password' } = {}) => {
+  // Update last login and reset lockout state
+  await recordLogin(user._id);
+  await usageEvents.record('login', { user: user._id, details: { method } });
+
+  // Start a session for this device
+  const { accessToken, refreshToken } = await createSession(user, req, { label: req.body.deviceLabel });
+  await notify(user, 'new_login', { at: new Date(), ip: req.ip, userAgent: req.get('user-agent') });
+
+  // Admins without 2FA are told to enroll when it is required for their role
+  const twoFactorSetupRequired = user.role === 'admin' && !user.twoFactorEnabled &&
+    Boolean(await settings.getValue('requireAdminTwoFactor'));
+
+  res.json({
+    success: true,
+    code: 'LOGIN_SUCCESS',
+    data: {
+      user: {
+        id: user._id,
+        name: `${user.firstName} ${user.lastName}`.trim(),
+        email: user.email,
+        username: user.username,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        lastLogin: user.lastLogin,
+        createdAt: user.createdAt
+      },
+      twoFactorSetupRequired,
+      recoveryCodeUsed,
+      accessToken,
+      refreshToken
+    }
+  });
+};
 
-  // Email validation
-  const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
-  if (!emailRegex.test(email)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Please enter a valid email',
-      errors: ['Ange en giltig e-postadress']
-    });
-  }
+// Send email verification link to the given address
+const sendVerificationEmail = async (user, verificationToken, address) => {
+  const verifyUrl = buildFrontendUrl('/verify-email', { token: verificationToken });
+
+  await sendMail({
+    to: address,
+    subject: 'Bekräfta din e-postadress / Verify your email address',
+    text: [
+      `Hej ${user.firstName},`,
+      '',
+      `Bekräfta din e-postadress för Water Tools genom att öppna länken: ${verifyUrl}`,
+      '',
+      `Please verify your email address for Water Tools by opening the link: ${verifyUrl}`
+    ].join('\n')
+  });
+};
 
-  next();
+// Store a new password reset token and mail its link
+const sendPasswordResetEmail = async (user) => {
+  const { token: resetToken, fields } = createPasswordResetToken();
+  await db.users.updateById(user._id, { $set: fields });
+
+  const resetUrl = buildFrontendUrl('/reset-password', { token: resetToken });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Återställ ditt lösenord / Reset your password',
+    text: [
+      `Hej ${user.firstName},`,
+      '',
+      'Någon har begärt att lösenordet för ditt Water Tools-konto ska återställas.',
+      `Använd länken nedan för att välja ett nytt lösenord: ${resetUrl}`,
+      '',
+      'Someone requested a password reset for your Water Tools account.',
+      `Use the link below to choose a new password: ${resetUrl}`,
+      '',
+      'Om du inte begärde detta kan du ignorera meddelandet. / If you did not request this, you can ignore this email.'
+    ].join('\n')
+  });
 };
 
 // @desc    Register a new user for water management system
 // @route   POST /api/auth/register
 // @access  Public
 const registerUser = async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
-
-    // Split full name into first and last name
-    const nameParts = name.trim().split(' ');
-    const firstName = nameParts[0] || '';
-    const lastName = nameParts.slice(1).join(' ') || '';
-    
-    // Generate username from email (before @)
-    const username = email.split('@')[0];
-
-    // Check if user already exists
-    const existingUser = await User.findOne({
-      $or: [{ email }, { username }]
-    });
+  const { name, email, password } = req.body;
 
-    if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: existingUser.email === email ? 'Email already exists' : 'Username already exists',
-        errors: [existingUser.email === email ? 'E-postadressen finns redan' : 'Användarnamnet finns redan']
-      });
-    }
+  const { firstName, lastName } = splitName(name);
+  const username = usernameFromEmail(email);
 
-    // Create new user
-    const user = new User({
-      username,
-      email,
-      password,
-      firstName,
-      lastName,
-      role: 'user' // Default role for water management users
-    });
+  // Check if user already exists
+  const existingUser = await db.users.findOne({
+    $or: [{ email }, { username }]
+  });
+
+  if (existingUser) {
+    throw new ConflictError(existingUser.email === email ? 'EMAIL_EXISTS' : 'USERNAME_EXISTS');
+  }
 
-    await user.save();
+  // Create new user
+  const hashedPassword = await hashPassword(password);
+  const { token: verificationToken, fields: verificationFields } = createEmailVerificationToken();
+  const user = await db.users.create({
+    username,
+    email,
+    password: hashedPassword,
+    firstName,
+    lastName,
+    role: 'user', // Default role for water management users
+    ...verificationFields
+  });
+  await usageEvents.record('registration', { user: user._id, details: { source: 'self' } });
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
-    
-    // Save refresh token to user
-    await user.addRefreshToken(refreshToken);
+  try {
+    await sendVerificationEmail(user, verificationToken, user.email);
+  } catch (mailError) {
+    console.error('Verification mail error:', mailError);
+  }
 
-    res.status(201).json({
+  const userData = {
+    id: user._id,
+    name: `${user.firstName} ${user.lastName}`.trim(),
+    email: user.email,
+    username: user.username,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    createdAt: user.createdAt
+  };
+
+  // No session until the email is verified when login requires it
+  if (getEmailVerificationPolicy() === 'login') {
+    return res.status(201).json({
       success: true,
-      message: 'User registered successfully',
-      message_sv: 'Användare registrerad framgångsrikt',
+      code: 'REGISTERED_VERIFY_EMAIL',
       data: {
-        user: {
-          id: user._id,
-          name: `${user.firstName} ${user.lastName}`.trim(),
-          email: user.email,
-          username: user.username,
-          role: user.role,
-          createdAt: user.createdAt
-        },
-        accessToken,
-        refreshToken
+        user: userData
       }
     });
+  }
 
-  } catch (error) {
-    console.error('Registration error:', error);
-    console.error('Error stack:', error.stack);
-    console.error('Error name:', error.name);
-    console.error('Error message:', error.message);
-    
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        message_sv: 'Valideringsfel',
-        errors
-      });
-    }
+  // Start a session for this device
+  const { accessToken, refreshToken } = await createSession(user, req, { label: req.body.deviceLabel });
 
-    // Always include error details for debugging (can be removed later)
-    const errorResponse = {
-      success: false,
-      message: 'Internal server error',
-      message_sv: 'Internt serverfel',
-      error: error.message || 'Unknown error',
-      errorName: error.name || 'Error',
-      // Include stack in non-production
-      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined
-    };
-
-    res.status(500).json(errorResponse);
-  }
+  res.status(201).json({
+    success: true,
+    code: 'REGISTERED',
+    data: {
+      user: userData,
+      accessToken,
+      refreshToken
+    }
+  });
 };
 
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
 const loginUser = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email and password are required',
-        message_sv: 'E-postadress och lösenord krävs'
-      });
-    }
+  const { email, password } = req.body;
 
-    // Find user by email
-    const user = await User.findOne({ email });
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password',
-        message_sv: 'Ogiltig e-postadress eller lösenord'
-      });
-    }
+  // Find user by email
+  const user = await db.users.findOne({ email }, { select: '+password' });
+  
+  if (!user) {
+    await usageEvents.record('login_failed', { details: { reason: 'unknown_email' } });
+    throw new AuthenticationError('INVALID_CREDENTIALS');
+  }
 
-    // Check if account is active
-    if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Account is deactivated',
-        message_sv: 'Kontot är inaktiverat'
-      });
-    }
+  // Check if account is active
+  if (!user.isActive) {
+    await usageEvents.record('login_failed', { user: user._id, details: { reason: 'inactive' } });
+    throw new AuthenticationError('ACCOUNT_DEACTIVATED');
+  }
+
+  if (isLocked(user)) {
+    await usageEvents.record('login_failed', { user: user._id, details: { reason: 'locked' } });
+    throw accountLockedError(user.lockUntil);
+  }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password',
-        message_sv: 'Ogiltig e-postadress eller lösenord'
-      });
+  // Check password
+  const isPasswordValid = await comparePassword(user, password);
+  
+  if (!isPasswordValid) {
+    await usageEvents.record('login_failed', { user: user._id, details: { reason: 'invalid_password' } });
+    const updated = await registerFailedLogin(user);
+    if (updated && isLocked(updated)) {
+      throw accountLockedError(updated.lockUntil);
     }
-console.log('Login successful');
-    // Update last login
-    await User.findByIdAndUpdate(user._id, { lastLogin: new Date() });
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
-    
-    // Save refresh token to user
-    await user.addRefreshToken(refreshToken);
+    throw new AuthenticationError('INVALID_CREDENTIALS');
+  }
 
-    res.json({
+  if (getEmailVerificationPolicy() === 'login' && !user.emailVerified) {
+    await usageEvents.record('login_failed', { user: user._id, details: { reason: 'unverified_email' } });
+    throw new ForbiddenError('LOGIN_EMAIL_NOT_VERIFIED');
+  }
+
+  // Second step required: hand out a challenge instead of the token pair
+  if (user.twoFactorEnabled) {
+    return res.json({
       success: true,
-      message: 'Login successful',
-      message_sv: 'Inloggning lyckades',
+      code: 'TWO_FACTOR_REQUIRED',
       data: {
-        user: {
-          id: user._id,
-          name: `${user.firstName} ${user.lastName}`.trim(),
-          email: user.email,
-          username: user.username,
-          role: user.role,
-          lastLogin: user.lastLogin,
-          createdAt: user.createdAt
-        },
-        accessToken,
-        refreshToken
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id)
       }
     });
+  }
+  await completeLogin(user, req, res);
+};
 
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      message_sv: 'Internt serverfel'
-    });
+// @desc    Complete login with a TOTP code or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+const verifyTwoFactorLogin = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    throw new ValidationError('TWO_FACTOR_FIELDS_REQUIRED');
+  }
+
+  let decoded;
+  try {
+    decoded = verifyTwoFactorChallenge(challengeToken);
+  } catch (tokenError) {
+    throw new AuthenticationError('TWO_FACTOR_CHALLENGE_INVALID');
   }
+
+  const user = await db.users.findById(decoded.userId, { select: '+twoFactorSecret' });
+
+  if (!user || !user.isActive || !user.twoFactorEnabled) {
+    throw new AuthenticationError('TWO_FACTOR_CHALLENGE_INVALID');
+  }
+
+  if (isLocked(user)) {
+    await usageEvents.record('login_failed', { user: user._id, details: { reason: 'locked' } });
+    throw accountLockedError(user.lockUntil);
+  }
+
+  // Wrong codes count towards the account lockout
+  const method = await verifyTwoFactor(user, { code, recoveryCode });
+  if (!method) {
+    await usageEvents.record('login_failed', { user: user._id, details: { reason: 'invalid_two_factor' } });
+    const updated = await registerFailedLogin(user);
+    if (updated && isLocked(updated)) {
+      throw accountLockedError(updated.lockUntil);
+    }
+
+    throw new AuthenticationError('INVALID_TWO_FACTOR_CODE');
+  }
+
+  await completeLogin(user, req, res, { recoveryCodeUsed: method === 'recovery', method });
 };
 
 // @desc    Get current user profile
 // @route   GET /api/auth/me
-// @access  Private
+// @access  Private (profile:read)
 const getCurrentUser = async (req, res) => {
-  try {
-    res.json({
-      success: true,
-      data: {
-        user: {
-          id: req.user._id,
-          name: `${req.user.firstName} ${req.user.lastName}`.trim(),
-          email: req.user.email,
-          username: req.user.username,
-          role: req.user.role,
-          lastLogin: req.user.lastLogin,
-          createdAt: req.user.createdAt,
-          updatedAt: req.user.updatedAt
-        }
+  res.json({
+    success: true,
+    data: {
+      user: {
+        id: req.user._id,
+        name: `${req.user.firstName} ${req.user.lastName}`.trim(),
+        email: req.user.email,
+        username: req.user.username,
+        role: req.user.role,
+        emailVerified: req.user.emailVerified,
+        pendingEmail: req.user.pendingEmail,
+        locale: req.user.locale || null,
+        twoFactorEnabled: req.user.twoFactorEnabled,
+        activeOrganization: req.user.activeOrganization,
+        permissions: getPermissions(req.user),
+        lastLogin: req.user.lastLogin,
+        createdAt: req.user.createdAt,
+        updatedAt: req.user.updatedAt
       }
-    });
-  } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      message_sv: 'Internt serverfel'
-    });
-  }
+    }
+  });
 };
 
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
-// @access  Private
+// @access  Private (profile:write)
 const updateProfile = async (req, res) => {
-  try {
-    const { name, email } = req.body;
-    const userId = req.user._id;
-
-    // Split full name if provided
-    let firstName = req.user.firstName;
-    let lastName = req.user.lastName;
-    
-    if (name) {
-      const nameParts = name.trim().split(' ');
-      firstName = nameParts[0] || req.user.firstName;
-      lastName = nameParts.slice(1).join(' ') || '';
-    }
+  const { name, email, locale } = req.body;
+  const userId = req.user._id;
 
-    // Check if email is being changed and if it's already taken
-    if (email && email !== req.user.email) {
-      const existingUser = await User.findOne({ email });
-      if (existingUser) {
-        return res.status(400).json({
-          success: false,
-          message: 'Email already exists',
-          message_sv: 'E-postadressen finns redan'
-        });
-      }
-    }
+  const changes = { $set: {}, $unset: {} };
 
-    // Update user
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
-      { 
-        firstName, 
-        lastName, 
-        email: email || req.user.email 
-      },
-      { new: true, runValidators: true }
-    );
+  // null clears the preference
+  if (locale === null) {
+    changes.$unset.locale = 1;
+  } else if (locale) {
+    changes.$set.locale = locale;
+  }
 
-    res.json({
-      success: true,
-      message: 'Profile updated successfully',
-      message_sv: 'Profil uppdaterad framgångsrikt',
-      data: {
-        user: {
-          id: updatedUser._id,
-          name: `${updatedUser.firstName} ${updatedUser.lastName}`.trim(),
-          email: updatedUser.email,
-          username: updatedUser.username,
-          role: updatedUser.role,
-          lastLogin: updatedUser.lastLogin,
-          createdAt: updatedUser.createdAt,
-          updatedAt: updatedUser.updatedAt
-        }
-      }
-    });
+  // Split full name if provided
+  if (name) {
+    const nameParts = name.split(' ');
+    changes.$set.firstName = nameParts[0] || req.user.firstName;
+    changes.$set.lastName = nameParts.slice(1).join(' ') || '';
+  }
+
+  // Email changes are held as pendingEmail until the new address is verified
+  const newEmail = email || null;
+  let verificationToken = null;
 
-  } catch (error) {
-    console.error('Update profile error:', error);
-    
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        message_sv: 'Valideringsfel',
-        errors
-      });
+  if (newEmail && newEmail !== req.user.email) {
+    const existingUser = await db.users.findOne({ email: newEmail });
+    if (existingUser) {
+      throw new ConflictError('EMAIL_EXISTS');
     }
 
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      message_sv: 'Internt serverfel'
-    });
+    if (newEmail !== req.user.pendingEmail) {
+      const verification = createEmailVerificationToken();
+      verificationToken = verification.token;
+      Object.assign(changes.$set, { pendingEmail: newEmail }, verification.fields);
+    }
+  } else if (newEmail && req.user.pendingEmail) {
+    // Switching back to the current email cancels a pending change
+    Object.assign(changes.$unset, { pendingEmail: 1, emailVerificationToken: 1, emailVerificationExpires: 1 });
   }
+
+  const updatedUser = await db.users.updateById(userId, changes);
+  // Answer in a newly chosen language
+  req.user = updatedUser;
+
+  if (verificationToken) {
+    try {
+      await sendVerificationEmail(updatedUser, verificationToken, updatedUser.pendingEmail);
+    } catch (mailError) {
+      console.error('Verification mail error:', mailError);
+    }
+    // Warn the current address in case someone else is changing it
+    await notify(updatedUser, 'email_change_requested', { newEmail: updatedUser.pendingEmail });
+  }
+
+  res.json({
+    success: true,
+    code: verificationToken ? 'PROFILE_UPDATED_VERIFY_EMAIL' : 'PROFILE_UPDATED',
+    data: {
+      user: {
+        id: updatedUser._id,
+        name: `${updatedUser.firstName} ${updatedUser.lastName}`.trim(),
+        email: updatedUser.email,
+        username: updatedUser.username,
+        role: updatedUser.role,
+        emailVerified: updatedUser.emailVerified,
+        pendingEmail: updatedUser.pendingEmail,
+        locale: updatedUser.locale || null,
+        lastLogin: updatedUser.lastLogin,
+        createdAt: updatedUser.createdAt,
+        updatedAt: updatedUser.updatedAt
+      }
+    }
+  });
 };
 
 // @desc    Logout user
 // @route   POST /api/auth/logout
 // @access  Private
 const logoutUser = async (req, res) => {
-  try {
-    const { refreshToken } = req.body;
-    
-    if (refreshToken) {
-      // Remove specific refresh token
-      await req.user.removeRefreshToken(refreshToken);
-    } else {
-      // Remove all refresh tokens
-      await req.user.removeAllRefreshTokens();
-    }
-
-    res.json({
-      success: true,
-      message: 'Logout successful',
-      message_sv: 'Utloggning lyckades'
-    });
-  } catch (error) {
-    console.error('Logout error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      message_sv: 'Internt serverfel'
-    });
+  const { refreshToken } = req.body;
+  
+  if (refreshToken) {
+    // Remove the session holding this refresh token
+    await db.sessions.deleteOne({ user: req.user._id, tokenHash: hashToken(refreshToken) });
+  } else {
+    // Remove all refresh tokens
+    await revokeAllForUser(req.user._id);
   }
+
+  res.json({
+    success: true,
+    code: 'LOGOUT_SUCCESS'
+  });
 };
 
 // @desc    Refresh access token
 // @route   POST /api/auth/refresh
 // @access  Public
 const refreshToken = async (req, res) => {
-  try {
-    const { refreshToken } = req.body;
-    const user = req.user;
+  // Rotate within the token family; fails if a parallel request rotated first
+  const rotated = await rotateSession(req.authSession, req);
 
-    // Generate new tokens
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(user._id);
-    
-    // Remove old refresh token and add new one
-    await user.removeRefreshToken(refreshToken);
-    await user.addRefreshToken(newRefreshToken);
+  if (!rotated) {
+    throw new ConflictError('REFRESH_TOKEN_ROTATED');
+  }
 
-    res.json({
-      success: true,
-      message: 'Token refreshed successfully',
-      message_sv: 'Token uppdaterad framgångsrikt',
-      data: {
-        accessToken,
-        refreshToken: newRefreshToken
+  const { accessToken, refreshToken: newRefreshToken } = rotated;
+
+  res.json({
+    success: true,
+    code: 'TOKEN_REFRESHED',
+    data: {
+      accessToken,
+      refreshToken: newRefreshToken
+    }
+  });
+};
+
+// @desc    Request a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  // Same response whether or not the email is registered
+  const genericResponse = {
+    success: true,
+    code: 'PASSWORD_RESET_SENT'
+  };
+
+  const { email } = req.body;
+  const user = await db.users.findOne({ email });
+
+  // The token is stored and the mail handed to the transport before answering.
+  // Failures are logged rather than returned, so that the answer does not
+  // reveal whether the email is registered
+  if (user && user.isActive) {
+    try {
+      await sendPasswordResetEmail(user);
+    } catch (error) {
+      console.error('Password reset mail error:', error);
+    }
+  }
+
+  res.json(genericResponse);
+};
+
+// @desc    Reset password using a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  // Consume the token atomically so it can only be used once
+  const user = await db.users.updateOne(
+    {
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+  );
+
+  if (!user || !user.isActive) {
+    throw new ValidationError('PASSWORD_RESET_TOKEN_INVALID');
+  }
+
+  // Store the new hash and revoke every existing session
+  await db.users.updateById(user._id, { $set: { password: await hashPassword(password) } });
+  await revokeAllForUser(user._id);
+  await notify(user, 'password_changed', { at: new Date() });
+
+  res.json({
+    success: true,
+    code: 'PASSWORD_RESET'
+  });
+};
+
+// @desc    Verify email address using a verification token
+// @route   GET /api/auth/verify-email?token=...
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+  const { token } = req.method === 'GET' ? req.query : req.body;
+
+  // Consume the token atomically so it can only be used once
+  let user = await db.users.updateOne(
+    {
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    },
+    { $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 } }
+  );
+
+  if (!user) {
+    throw new ValidationError('VERIFICATION_TOKEN_INVALID');
+  }
+
+  const changes = { $set: { emailVerified: true, emailVerifiedAt: new Date() } };
+
+  if (user.pendingEmail) {
+    // The address may have been registered by someone else in the meantime
+    const existingUser = await db.users.findOne({ email: user.pendingEmail, _id: { $ne: user._id } });
+    if (existingUser) {
+      await db.users.updateById(user._id, { $unset: { pendingEmail: 1 } });
+      throw new ConflictError('EMAIL_EXISTS');
+    }
+
+    changes.$set.email = user.pendingEmail;
+    changes.$unset = { pendingEmail: 1 };
+  }
+
+  user = await db.users.updateById(user._id, changes);
+
+  res.json({
+    success: true,
+    code: 'EMAIL_VERIFIED',
+    data: {
+      user: {
+        id: user._id,
+        email: user.email,
+        emailVerified: user.emailVerified
       }
-    });
-  } catch (error) {
-    console.error('Refresh token error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      message_sv: 'Internt serverfel'
-    });
+    }
+  });
+};
+
+// @desc    Resend email verification link (throttled per email in routes/auth)
+// @route   POST /api/auth/resend-verification
+// @access  Public
+const resendVerification = async (req, res) => {
+  const { email } = req.body;
+
+  const genericResponse = {
+    success: true,
+    code: 'VERIFICATION_SENT'
+  };
+
+  const user = await db.users.findOne({ email });
+
+  // Sent before answering; failures are logged, as in forgotPassword
+  if (user && user.isActive && (!user.emailVerified || user.pendingEmail)) {
+    try {
+      const { token: verificationToken, fields } = createEmailVerificationToken();
+      await db.users.updateById(user._id, { $set: fields });
+      await sendVerificationEmail(user, verificationToken, user.pendingEmail || user.email);
+    } catch (mailError) {
+      console.error('Verification mail error:', mailError);
+    }
   }
+
+  res.json(genericResponse);
+};
+
+// @desc    Change password for the logged-in user
+// @route   PUT /api/auth/password
+// @access  Private
+const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  // req.user is loaded without the password hash
+  const user = await db.users.findById(req.user._id, { select: '+password' });
+
+  const isPasswordValid = await comparePassword(user, currentPassword);
+  if (!isPasswordValid) {
+    throw new AuthenticationError('CURRENT_PASSWORD_INCORRECT');
+  }
+
+  if (await comparePassword(user, newPassword)) {
+    throw new ValidationError('PASSWORD_UNCHANGED');
+  }
+
+  await db.users.updateById(user._id, {
+    $set: { password: await hashPassword(newPassword) },
+    $unset: { passwordResetToken: 1, passwordResetExpires: 1 }
+  });
+
+  // Log out other devices and issue a fresh token pair for this one
+  await revokeAllForUser(user._id, { except: req.sessionId });
+  const currentSession = req.sessionId ? await db.sessions.findById(req.sessionId) : null;
+  const tokens = (currentSession && await rotateSession(currentSession, req))
+    || await createSession(user, req);
+  const { accessToken, refreshToken } = tokens;
+  await notify(user, 'password_changed', { at: new Date() });
+
+  res.json({
+    success: true,
+    code: 'PASSWORD_CHANGED',
+    data: {
+      accessToken,
+      refreshToken
+    }
+  });
+};
+
+// @desc    List the current user's active sessions (devices)
+// @route   GET /api/auth/sessions
+// @access  Private
+const listSessions = async (req, res) => {
+  const sessions = await db.sessions.find({ user: req.user._id }, { sort: { lastUsedAt: -1 } });
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => ({
+        id: session._id,
+        label: session.label,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: sameId(session._id, req.sessionId)
+      }))
+    }
+  });
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res) => {
+  const { id } = req.params;
+
+  const deleted = await db.sessions.deleteOne({ _id: id, user: req.user._id });
+
+  if (!deleted) {
+    throw new NotFoundError('SESSION_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    code: 'SESSION_ENDED'
+  });
 };
 
 module.exports = {
-  validateRegistrationInput,
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
   getCurrentUser,
   updateProfile,
   logoutUser,
-  refreshToken
+  refreshToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  changePassword,
+  listSessions,
+  revokeSession
 };
@@ -0,0 +1,55 @@
+const { calculate, listFormulas: listCatalogue, verifyFormulas } = require('../utils/calculations');
+const { ValidationError } = require('../utils/errors');
+
+// @desc    List formulas with their inputs, units and test vectors
+// @route   GET /api/calc
+// @access  Private (calculations:run)
+const listFormulas = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      formulas: listCatalogue()
+    }
+  });
+};
+
+// @desc    Run every formula's test vectors
+// @route   GET /api/calc/verify
+// @access  Private (calculations:run)
+const verify = async (req, res) => {
+  const verification = verifyFormulas();
+
+  res.status(verification.passed ? 200 : 500).json({
+    success: verification.passed,
+    code: verification.passed ? 'FORMULAS_VERIFIED' : 'FORMULAS_FAILED',
+    params: { total: verification.total, failed: verification.failed },
+    data: verification
+  });
+};
+
+// @desc    Run a formula; inputs are numbers in the default unit or { value, unit }
+// @route   POST /api/calc/:formula
+// @access  Private (calculations:run)
+const runFormula = async (req, res) => {
+  const { formula } = req.params;
+  const { inputs, results, errors } = calculate(formula, req.body || {});
+
+  if (errors) {
+    throw new ValidationError('INVALID_INPUT', { errors });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      formula,
+      inputs,
+      results
+    }
+  });
+};
+
+module.exports = {
+  listFormulas,
+  verify,
+  runFormula
+};
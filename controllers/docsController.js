@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { getSpec } = require('../utils/openapi');
+
+// Swagger UI is served from the swagger-ui-dist dependency (routes/docs.js),
+// so the page loads no third-party code and its version is locked with the others
+const SWAGGER_UI_URL = '/api/docs/assets';
+
+// @desc    OpenAPI 3 document generated from the routes
+// @route   GET /api/openapi.json
+// @access  Public
+const getOpenApiSpec = (req, res) => {
+  res.json(getSpec(req.app));
+};
+
+// @desc    Interactive API documentation (Swagger UI)
+// @route   GET /api/docs
+// @access  Public
+const getDocsPage = (req, res) => {
+  const nonce = crypto.randomBytes(16).toString('base64');
+
+  // Relax helmet's Content-Security-Policy for this page only
+  res.set('Content-Security-Policy', [
+    "default-src 'self'",
+    `script-src 'self' 'nonce-${nonce}'`,
+    "style-src 'self'",
+    "img-src 'self' data:",
+    "connect-src 'self'"
+  ].join('; '));
+
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Water Tools Backend API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js"></script>
+  <script nonce="${nonce}">
+    SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#docs', persistAuthorization: true });
+  </script>
+</body>
+</html>`);
+};
+
+module.exports = {
+  getOpenApiSpec,
+  getDocsPage
+};
@@ -0,0 +1,209 @@
+const { db } = require('../database');
+const { PARAMETERS, parameterNames } = require('../utils/parameters');
+const { DEFAULT_PROFILE, isBuiltInProfile } = require('../utils/limitProfiles');
+const { prepareMeasurement } = require('../services/sampleService');
+const { findProfile, listProfiles: listAllProfiles, prepareLimits, evaluate } = require('../services/evaluationService');
+const { ValidationError, NotFoundError, ConflictError, fieldError } = require('../utils/errors');
+
+// Shape a profile for responses; limits carry the unit their bounds are in
+const formatProfile = (profile) => ({
+  id: profile._id,
+  code: profile.code,
+  name: profile.name,
+  name_sv: profile.name_sv,
+  description: profile.description,
+  description_sv: profile.description_sv,
+  builtIn: profile.builtIn,
+  isActive: profile.isActive,
+  limits: profile.limits.map(limit => ({
+    parameter: limit.parameter,
+    unit: PARAMETERS[limit.parameter].unit,
+    remark: limit.remark,
+    unfit: limit.unfit,
+    note: limit.note,
+    note_sv: limit.note_sv
+  })),
+  createdAt: profile.createdAt,
+  updatedAt: profile.updatedAt
+});
+
+// Profile fields from the validated body, with limits converted to catalogue units.
+// Throws ValidationError for invalid limits.
+const pickProfileFields = (body) => {
+  const { limits: input, ...fields } = body;
+
+  if (input !== undefined) {
+    const { limits, errors } = prepareLimits(input);
+    if (errors) throw new ValidationError('VALIDATION_ERROR', { errors });
+    fields.limits = limits;
+  }
+
+  return fields;
+};
+
+// Code of a custom profile must be free: not built in and not taken by another profile
+const isCodeTaken = async (code, exceptId) => {
+  const key = String(code).trim().toLowerCase();
+  if (isBuiltInProfile(key)) return true;
+  const existing = await db.limitProfiles.findOne({ code: key });
+  return Boolean(existing && existing._id !== exceptId);
+};
+
+// @desc    Evaluate results against a limit profile
+// @route   POST /api/evaluate
+// @access  Private
+const evaluateResults = async (req, res) => {
+  const { results, profile: code } = req.body;
+
+  const profile = await findProfile(code);
+  if (!profile) throw new NotFoundError('LIMIT_PROFILE_NOT_FOUND');
+
+  const errors = [];
+  const measurements = [];
+  results.forEach((item, index) => {
+    const path = `results[${index}]`;
+    const { measurement, error } = prepareMeasurement(item, path);
+    if (error) {
+      errors.push(error);
+    } else if (measurements.some(m => m.parameter === measurement.parameter)) {
+      errors.push(fieldError(`${path}.parameter`, 'PARAMETER_DUPLICATE', parameterNames(measurement.parameter)));
+    } else {
+      measurements.push(measurement);
+    }
+  });
+
+  if (errors.length) throw new ValidationError('VALIDATION_ERROR', { errors });
+
+  const { overall: { params, ...overall }, results: evaluated } = evaluate(measurements, profile);
+
+  res.json({
+    success: true,
+    code: overall.code,
+    params,
+    data: {
+      profile: { code: profile.code, name: profile.name, name_sv: profile.name_sv },
+      overall,
+      results: evaluated
+    }
+  });
+};
+
+// @desc    List limit profiles available for evaluation
+// @route   GET /api/evaluate/profiles
+// @access  Private
+const listProfiles = async (req, res) => {
+  const profiles = await listAllProfiles();
+
+  res.json({
+    success: true,
+    data: {
+      defaultProfile: DEFAULT_PROFILE,
+      profiles: profiles.map(formatProfile)
+    }
+  });
+};
+
+// @desc    Get a limit profile with its limits
+// @route   GET /api/evaluate/profiles/:code
+// @access  Private
+const getProfile = async (req, res) => {
+  const profile = await findProfile(req.params.code);
+  if (!profile) throw new NotFoundError('LIMIT_PROFILE_NOT_FOUND');
+
+  res.json({
+    success: true,
+    data: {
+      profile: formatProfile(profile)
+    }
+  });
+};
+
+// @desc    List all limit profiles, including inactive custom ones
+// @route   GET /api/admin/limit-profiles
+// @access  Private/Admin (settings:read)
+const listLimitProfiles = async (req, res) => {
+  const profiles = await listAllProfiles({ includeInactive: true });
+
+  res.json({
+    success: true,
+    data: {
+      profiles: profiles.map(formatProfile)
+    }
+  });
+};
+
+// @desc    Create a custom limit profile
+// @route   POST /api/admin/limit-profiles
+// @access  Private/Admin (settings:write)
+const createLimitProfile = async (req, res) => {
+  const fields = pickProfileFields(req.body);
+
+  if (fields.code && await isCodeTaken(fields.code)) {
+    throw new ConflictError('LIMIT_PROFILE_EXISTS');
+  }
+
+  const profile = await db.limitProfiles.create({
+    ...fields,
+    createdBy: req.user._id,
+    updatedBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    code: 'LIMIT_PROFILE_CREATED',
+    data: {
+      profile: formatProfile({ ...profile, builtIn: false })
+    }
+  });
+};
+
+// @desc    Update a custom limit profile (built-in profiles cannot be changed)
+// @route   PUT /api/admin/limit-profiles/:id
+// @access  Private/Admin (settings:write)
+const updateLimitProfile = async (req, res) => {
+  const { id } = req.params;
+  const existing = await db.limitProfiles.findById(id);
+  if (!existing) throw new NotFoundError('LIMIT_PROFILE_NOT_FOUND');
+
+  const fields = pickProfileFields(req.body);
+
+  if (fields.code && await isCodeTaken(fields.code, existing._id)) {
+    throw new ConflictError('LIMIT_PROFILE_EXISTS');
+  }
+
+  const profile = await db.limitProfiles.updateById(id, {
+    $set: { ...fields, updatedBy: req.user._id }
+  });
+
+  res.json({
+    success: true,
+    code: 'LIMIT_PROFILE_UPDATED',
+    data: {
+      profile: formatProfile({ ...profile, builtIn: false })
+    }
+  });
+};
+
+// @desc    Delete a custom limit profile
+// @route   DELETE /api/admin/limit-profiles/:id
+// @access  Private/Admin (settings:write)
+const deleteLimitProfile = async (req, res) => {
+  const { id } = req.params;
+  const deleted = await db.limitProfiles.deleteOne({ _id: id });
+  if (!deleted) throw new NotFoundError('LIMIT_PROFILE_NOT_FOUND');
+
+  res.json({
+    success: true,
+    code: 'LIMIT_PROFILE_DELETED'
+  });
+};
+
+module.exports = {
+  evaluateResults,
+  listProfiles,
+  getProfile,
+  listLimitProfiles,
+  createLimitProfile,
+  updateLimitProfile,
+  deleteLimitProfile
+};
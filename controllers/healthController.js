@@ -0,0 +1,42 @@
+const { getReadiness, getDiagnostics } = require('../services/healthService');
+
+// @desc    Liveness: the process is up and serving requests
+// @route   GET /health/live
+// @access  Public
+const getLiveness = (req, res) => {
+  res.json({
+    success: true,
+    data: { status: 'live' }
+  });
+};
+
+// @desc    Readiness: database reachable and token signing configured
+// @route   GET /health/ready
+// @access  Public
+const getReadinessStatus = async (req, res) => {
+  const { ready, checks } = await getReadiness({ connect: req.app.locals.connectDatabase });
+
+  res.set('Cache-Control', 'no-store');
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    code: ready ? undefined : 'NOT_READY',
+    data: { status: ready ? 'ready' : 'not_ready', checks }
+  });
+};
+
+// @desc    Diagnostics: version, uptime, memory, database pool and configuration checks
+// @route   GET /health/diagnostics
+// @access  Private/Admin or X-Diagnostics-Token
+const getDiagnosticsReport = async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    data: await getDiagnostics()
+  });
+};
+
+module.exports = {
+  getLiveness,
+  getReadinessStatus,
+  getDiagnosticsReport
+};
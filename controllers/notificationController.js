@@ -0,0 +1,197 @@
+const { db } = require('../database');
+const {
+  formatNotification,
+  getChannels,
+  notify,
+  checkWebhookUrl,
+  createWebhookSecret,
+  formatPreferences
+} = require('../services/notificationService');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Filter for one of the caller's notifications from :id
+const ownNotification = (req) => ({ _id: req.params.id, user: req.user._id });
+
+// @desc    List own notifications, newest first (?unread=true for unread only)
+// @route   GET /api/notifications
+// @access  Private
+const listNotifications = async (req, res) => {
+  const { unread: unreadOnly, page, limit } = req.query;
+  const filter = { user: req.user._id };
+  if (unreadOnly) filter.readAt = null;
+
+  const [notifications, total, unread] = await Promise.all([
+    db.notifications.find(filter, { sort: { createdAt: -1 }, skip: (page - 1) * limit, limit }),
+    db.notifications.count(filter),
+    db.notifications.count({ user: req.user._id, readAt: null })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      notifications: notifications.map(formatNotification),
+      unreadCount: unread,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+};
+
+// @desc    Number of unread notifications (for a badge)
+// @route   GET /api/notifications/unread-count
+// @access  Private
+const getUnreadCount = async (req, res) => {
+  const unreadCount = await db.notifications.count({ user: req.user._id, readAt: null });
+  res.json({
+    success: true,
+    data: { unreadCount }
+  });
+};
+
+// Mark one notification read or unread
+const setReadState = (read) => async (req, res) => {
+  const notification = await db.notifications.findOne(ownNotification(req));
+  if (!notification) throw new NotFoundError('NOTIFICATION_NOT_FOUND');
+
+  // Keep the original read time when marked read twice
+  const readAt = read ? notification.readAt || new Date() : null;
+  const updated = await db.notifications.updateById(notification._id, { $set: { readAt } });
+
+  res.json({
+    success: true,
+    code: read ? 'NOTIFICATION_READ' : 'NOTIFICATION_UNREAD',
+    data: {
+      notification: formatNotification(updated)
+    }
+  });
+};
+
+// @desc    Mark notification as read
+// @route   POST /api/notifications/:id/read
+// @access  Private
+const markRead = setReadState(true);
+
+// @desc    Mark notification as unread
+// @route   POST /api/notifications/:id/unread
+// @access  Private
+const markUnread = setReadState(false);
+
+// @desc    Mark all own notifications as read
+// @route   POST /api/notifications/read-all
+// @access  Private
+const markAllRead = async (req, res) => {
+  const updated = await db.notifications.updateMany(
+    { user: req.user._id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.json({
+    success: true,
+    code: 'ALL_NOTIFICATIONS_READ',
+    data: { updated }
+  });
+};
+
+// @desc    Delete notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+const deleteNotification = async (req, res) => {
+  const deleted = await db.notifications.deleteOne(ownNotification(req));
+  if (!deleted) throw new NotFoundError('NOTIFICATION_NOT_FOUND');
+
+  res.json({
+    success: true,
+    code: 'NOTIFICATION_DELETED'
+  });
+};
+
+// @desc    Get own notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+const getPreferences = async (req, res) => {
+  const user = await db.users.findById(req.user._id, { select: '+notificationWebhookSecret' });
+  res.json({
+    success: true,
+    data: {
+      preferences: formatPreferences(user)
+    }
+  });
+};
+
+// @desc    Update own notification preferences (channels, webhookUrl, rotateWebhookSecret)
+// @route   PUT /api/notifications/preferences
+// @access  Private
+const updatePreferences = async (req, res) => {
+  const { channels, webhookUrl, rotateWebhookSecret } = req.body;
+  const user = await db.users.findById(req.user._id, { select: '+notificationWebhookSecret' });
+  const $set = {};
+
+  if (channels !== undefined) {
+    $set['notificationPreferences.channels'] = [...new Set(channels)];
+  }
+
+  if (webhookUrl !== undefined) {
+    const urlError = webhookUrl ? await checkWebhookUrl(webhookUrl) : null;
+    if (urlError) throw new ValidationError(urlError);
+    $set['notificationPreferences.webhookUrl'] = webhookUrl;
+  }
+
+  const nextChannels = $set['notificationPreferences.channels'] || getChannels(user);
+  const nextUrl = webhookUrl !== undefined
+    ? webhookUrl
+    : user.notificationPreferences && user.notificationPreferences.webhookUrl;
+  if (nextChannels.includes('webhook') && !nextUrl) {
+    throw new ValidationError('WEBHOOK_URL_REQUIRED');
+  }
+
+  // A secret is created with the first webhook URL; the plain value is only shown now
+  let webhookSecret;
+  if (nextUrl && (rotateWebhookSecret === true || !user.notificationWebhookSecret)) {
+    const { secret, encrypted } = createWebhookSecret();
+    $set.notificationWebhookSecret = encrypted;
+    webhookSecret = secret;
+  }
+
+  const updated = Object.keys($set).length
+    ? await db.users.updateById(user._id, { $set }, { select: '+notificationWebhookSecret' })
+    : user;
+
+  res.json({
+    success: true,
+    code: 'NOTIFICATION_PREFERENCES_UPDATED',
+    data: {
+      preferences: formatPreferences(updated),
+      ...(webhookSecret ? { webhookSecret } : {})
+    }
+  });
+};
+
+// @desc    Send a test notification on own channels (or the one in body.channel)
+// @route   POST /api/notifications/test
+// @access  Private
+const sendTestNotification = async (req, res) => {
+  const { channel } = req.body;
+  const deliveries = await notify(req.user, 'test', {}, channel ? { only: [channel] } : {});
+
+  res.json({
+    success: true,
+    code: 'TEST_NOTIFICATION_SENT',
+    data: { deliveries }
+  });
+};
+
+module.exports = {
+  listNotifications,
+  getUnreadCount,
+  markRead,
+  markUnread,
+  markAllRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences,
+  sendTestNotification
+};
@@ -0,0 +1,472 @@
+const { db, sameId } = require('../database');
+const { getMember, countOwners, issueInvitation } = require('../services/organizationService');
+const { hashToken } = require('../utils/tokens');
+const { sendMail, buildFrontendUrl } = require('../utils/mailer');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Shape an organization for responses, including the caller's role
+const formatOrganization = (organization, user) => {
+  const member = getMember(organization, user._id);
+  return {
+    id: organization._id,
+    name: organization.name,
+    description: organization.description,
+    role: member ? member.role : null,
+    memberCount: organization.members.length,
+    active: sameId(organization._id, user.activeOrganization),
+    createdAt: organization.createdAt,
+    updatedAt: organization.updatedAt
+  };
+};
+
+// Owners may grant any role, managers only member and viewer
+const canAssignRole = (actorRole, targetRole) => {
+  if (actorRole === 'owner') return true;
+  return actorRole === 'manager' && ['member', 'viewer'].includes(targetRole);
+};
+
+// @desc    Create an organization (creator becomes owner)
+// @route   POST /api/organizations
+// @access  Private
+const createOrganization = async (req, res) => {
+  const { name, description } = req.body;
+
+  const organization = await db.organizations.create({
+    name,
+    description,
+    createdBy: req.user._id,
+    members: [{ user: req.user._id, role: 'owner' }]
+  });
+
+  // First organization becomes the active one
+  if (!req.user.activeOrganization) {
+    await db.users.updateById(req.user._id, { $set: { activeOrganization: organization._id } });
+    req.user.activeOrganization = organization._id;
+  }
+
+  res.status(201).json({
+    success: true,
+    code: 'ORGANIZATION_CREATED',
+    data: {
+      organization: formatOrganization(organization, req.user)
+    }
+  });
+};
+
+// @desc    List organizations the current user belongs to
+// @route   GET /api/organizations
+// @access  Private
+const listOrganizations = async (req, res) => {
+  const organizations = await db.organizations.find({ 'members.user': req.user._id }, { sort: { name: 1 } });
+
+  res.json({
+    success: true,
+    data: {
+      organizations: organizations.map(org => formatOrganization(org, req.user))
+    }
+  });
+};
+
+// @desc    Get an organization
+// @route   GET /api/organizations/:orgId
+// @access  Private/Org viewer
+const getOrganization = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      organization: formatOrganization(req.organization, req.user)
+    }
+  });
+};
+
+// @desc    Update organization details
+// @route   PUT /api/organizations/:orgId
+// @access  Private/Org manager
+const updateOrganization = async (req, res) => {
+  const { name, description } = req.body;
+  const changes = {};
+
+  if (name !== undefined) changes.name = name;
+  if (description !== undefined) changes.description = description;
+  const organization = await db.organizations.updateById(req.organization._id, { $set: changes });
+
+  res.json({
+    success: true,
+    code: 'ORGANIZATION_UPDATED',
+    data: {
+      organization: formatOrganization(organization, req.user)
+    }
+  });
+};
+
+// @desc    Switch the active organization (null clears it)
+// @route   PUT /api/organizations/active
+// @access  Private
+const switchOrganization = async (req, res) => {
+  const { organizationId } = req.body;
+
+  if (organizationId) {
+    const isMember = await db.organizations.exists({ _id: organizationId, 'members.user': req.user._id });
+
+    if (!isMember) throw new NotFoundError('ORGANIZATION_NOT_FOUND');
+  }
+
+  await db.users.updateById(req.user._id, { $set: { activeOrganization: organizationId || null } });
+
+  res.json({
+    success: true,
+    code: 'ACTIVE_ORGANIZATION_UPDATED',
+    data: {
+      activeOrganization: organizationId || null
+    }
+  });
+};
+
+// @desc    List organization members
+// @route   GET /api/organizations/:orgId/members
+// @access  Private/Org viewer
+const listMembers = async (req, res) => {
+  const users = await db.users.find(
+    { _id: { $in: req.organization.members.map(member => member.user) } },
+    { select: 'firstName lastName email username' }
+  );
+  const usersById = new Map(users.map(user => [user._id, user]));
+
+  res.json({
+    success: true,
+    data: {
+      members: req.organization.members
+        .filter(member => usersById.has(member.user))
+        .map(member => {
+          const user = usersById.get(member.user);
+          return {
+            id: user._id,
+            name: `${user.firstName} ${user.lastName}`.trim(),
+            email: user.email,
+            username: user.username,
+            role: member.role,
+            joinedAt: member.joinedAt
+          };
+        })
+    }
+  });
+};
+
+// @desc    Change a member's role
+// @route   PUT /api/organizations/:orgId/members/:userId
+// @access  Private/Org manager
+const updateMemberRole = async (req, res) => {
+  const { role } = req.body;
+  const organization = req.organization;
+
+  const member = getMember(organization, req.params.userId);
+  if (!member) throw new NotFoundError('MEMBER_NOT_FOUND');
+
+  // Managers can only manage members and viewers
+  if (!canAssignRole(req.orgRole, role) || !canAssignRole(req.orgRole, member.role)) {
+    throw new ForbiddenError('ROLE_NOT_ASSIGNABLE');
+  }
+
+  const demotesOwner = member.role === 'owner' && role !== 'owner';
+  if (demotesOwner && countOwners(organization) === 1) {
+    throw new ConflictError('LAST_OWNER');
+  }
+
+  // Conditional on the role that was checked above and, when an owner is
+  // demoted, on another owner remaining, so concurrent changes cannot slip through
+  const conditions = [{ members: { $elemMatch: { user: member.user, role: member.role } } }];
+  if (demotesOwner) {
+    conditions.push({ members: { $elemMatch: { role: 'owner', user: { $ne: member.user } } } });
+  }
+
+  const updated = await db.organizations.updateOne(
+    { _id: organization._id, $and: conditions },
+    { $set: { 'members.$[member].role': role } },
+    { arrayFilters: [{ 'member.user': member.user }] }
+  );
+
+  if (!updated) throw new ConflictError('MEMBER_CHANGED');
+
+  res.json({
+    success: true,
+    code: 'MEMBER_ROLE_UPDATED',
+    data: {
+      member: {
+        id: member.user,
+        role
+      }
+    }
+  });
+};
+
+// @desc    Remove a member, or leave the organization when removing yourself
+// @route   DELETE /api/organizations/:orgId/members/:userId
+// @access  Private/Org viewer (self) or manager
+const removeMember = async (req, res) => {
+  const organization = req.organization;
+
+  const member = getMember(organization, req.params.userId);
+  if (!member) throw new NotFoundError('MEMBER_NOT_FOUND');
+
+  const isSelf = sameId(member.user, req.user._id);
+  if (!isSelf && !canAssignRole(req.orgRole, member.role)) {
+    throw new ForbiddenError('ROLE_NOT_ASSIGNABLE');
+  }
+
+  const removesOwner = member.role === 'owner';
+  if (removesOwner && countOwners(organization) === 1) {
+    throw new ConflictError('LAST_OWNER');
+  }
+
+  // Conditional like the role change in updateMemberRole: on the checked role
+  // and, for an owner, on another owner remaining
+  const conditions = [{ members: { $elemMatch: { user: member.user, role: member.role } } }];
+  if (removesOwner) {
+    conditions.push({ members: { $elemMatch: { role: 'owner', user: { $ne: member.user } } } });
+  }
+
+  const updated = await db.organizations.updateOne(
+    { _id: organization._id, $and: conditions },
+    { $pull: { members: { user: member.user } } }
+  );
+
+  if (!updated) throw new ConflictError('MEMBER_CHANGED');
+
+  // Clear the active organization of the removed user
+  await db.users.updateOne(
+    { _id: member.user, activeOrganization: organization._id },
+    { $set: { activeOrganization: null } }
+  );
+
+  res.json({
+    success: true,
+    code: isSelf ? 'ORGANIZATION_LEFT' : 'MEMBER_REMOVED'
+  });
+};
+
+// @desc    Invite someone to the organization by email
+// @route   POST /api/organizations/:orgId/invitations
+// @access  Private/Org manager
+const createInvitation = async (req, res) => {
+  const { email, role } = req.body;
+  const organization = req.organization;
+
+  if (!canAssignRole(req.orgRole, role)) {
+    throw new ForbiddenError('ROLE_NOT_ASSIGNABLE');
+  }
+
+  const existingUser = await db.users.findOne({ email });
+  if (existingUser && getMember(organization, existingUser._id)) {
+    throw new ConflictError('ALREADY_MEMBER');
+  }
+
+  // A new invitation replaces any pending one for the same address
+  await db.invitations.updateMany(
+    { organization: organization._id, email, status: 'pending' },
+    { $set: { status: 'revoked', respondedAt: new Date() } }
+  );
+
+  const { invitation, token } = await issueInvitation({
+    organization: organization._id,
+    email,
+    role,
+    invitedBy: req.user._id
+  });
+
+  const acceptUrl = buildFrontendUrl('/invitations/accept', { token });
+
+  try {
+    await sendMail({
+      to: email,
+      subject: `Inbjudan till ${organization.name} / Invitation to ${organization.name}`,
+      text: [
+        `${req.user.firstName} har bjudit in dig till ${organization.name} i Water Tools.`,
+        `Öppna länken för att svara på inbjudan: ${acceptUrl}`,
+        '',
+        `${req.user.firstName} has invited you to ${organization.name} in Water Tools.`,
+        `Open the link to respond to the invitation: ${acceptUrl}`
+      ].join('\n')
+    });
+  } catch (mailError) {
+    console.error('Invitation mail error:', mailError);
+  }
+
+  res.status(201).json({
+    success: true,
+    code: 'INVITATION_SENT',
+    data: {
+      invitation
+    }
+  });
+};
+
+// @desc    List pending invitations of an organization
+// @route   GET /api/organizations/:orgId/invitations
+// @access  Private/Org manager
+const listInvitations = async (req, res) => {
+  const invitations = await db.invitations.find({
+    organization: req.organization._id,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  }, { sort: { createdAt: -1 } });
+
+  res.json({
+    success: true,
+    data: {
+      invitations
+    }
+  });
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/organizations/:orgId/invitations/:invitationId
+// @access  Private/Org manager
+const revokeInvitation = async (req, res) => {
+  const { invitationId } = req.params;
+
+  const invitation = await db.invitations.updateOne(
+    { _id: invitationId, organization: req.organization._id, status: 'pending' },
+    { $set: { status: 'revoked', respondedAt: new Date() } }
+  );
+
+  if (!invitation) throw new NotFoundError('INVITATION_NOT_FOUND');
+
+  res.json({
+    success: true,
+    code: 'INVITATION_REVOKED'
+  });
+};
+
+// @desc    List pending invitations addressed to the current user
+// @route   GET /api/organizations/invitations/mine
+// @access  Private
+const listMyInvitations = async (req, res) => {
+  // The list can be answered by id, which needs a verified email
+  if (!req.user.emailVerified) {
+    throw new ForbiddenError('EMAIL_NOT_VERIFIED');
+  }
+
+  const invitations = await db.invitations.find({
+    email: req.user.email,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  }, { sort: { createdAt: -1 } });
+
+  // Include the organization names
+  const organizations = await db.organizations.find(
+    { _id: { $in: invitations.map(invitation => invitation.organization) } },
+    { select: 'name' }
+  );
+  const organizationsById = new Map(organizations.map(org => [org._id, org]));
+
+  res.json({
+    success: true,
+    data: {
+      invitations: invitations.map(invitation => ({
+        ...invitation,
+        organization: organizationsById.get(invitation.organization) || null
+      }))
+    }
+  });
+};
+
+// Answering by id (from the pending list) relies on the account's email;
+// without the emailed token that email must be verified
+const needsVerifiedEmail = ({ token }, user) => !token && !user.emailVerified;
+
+// Close an open invitation addressed to the current user, identified by the
+// emailed token or by its id (verified emails only); returns it or null
+const respondToInvitation = ({ token, invitationId }, user, status) => {
+  let filter;
+  if (token) {
+    filter = { tokenHash: hashToken(token) };
+  } else if (invitationId && user.emailVerified) {
+    filter = { _id: invitationId };
+  } else {
+    return null;
+  }
+
+  return db.invitations.updateOne(
+    {
+      ...filter,
+      email: user.email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { status, respondedAt: new Date() } }
+  );
+};
+
+// @desc    Accept an invitation
+// @route   POST /api/organizations/invitations/accept
+// @access  Private
+const acceptInvitation = async (req, res) => {
+  if (needsVerifiedEmail(req.body, req.user)) {
+    throw new ForbiddenError('EMAIL_NOT_VERIFIED');
+  }
+
+  const invitation = await respondToInvitation(req.body, req.user, 'accepted');
+  if (!invitation) {
+    throw new ValidationError('INVITATION_INVALID');
+  }
+
+  // Add the member unless already present
+  const organization = await db.organizations.updateOne(
+    { _id: invitation.organization, 'members.user': { $ne: req.user._id } },
+    { $push: { members: { user: req.user._id, role: invitation.role, joinedAt: new Date() } } }
+  ) || await db.organizations.findById(invitation.organization);
+
+  if (!organization) {
+    throw new ValidationError('INVITATION_INVALID');
+  }
+
+  if (!req.user.activeOrganization) {
+    await db.users.updateById(req.user._id, { $set: { activeOrganization: organization._id } });
+    req.user.activeOrganization = organization._id;
+  }
+
+  res.json({
+    success: true,
+    code: 'ORGANIZATION_JOINED',
+    params: { name: organization.name },
+    data: {
+      organization: formatOrganization(organization, req.user)
+    }
+  });
+};
+
+// @desc    Decline an invitation
+// @route   POST /api/organizations/invitations/decline
+// @access  Private
+const declineInvitation = async (req, res) => {
+  if (needsVerifiedEmail(req.body, req.user)) {
+    throw new ForbiddenError('EMAIL_NOT_VERIFIED');
+  }
+
+  const invitation = await respondToInvitation(req.body, req.user, 'declined');
+  if (!invitation) {
+    throw new ValidationError('INVITATION_INVALID');
+  }
+
+  res.json({
+    success: true,
+    code: 'INVITATION_DECLINED'
+  });
+};
+
+module.exports = {
+  createOrganization,
+  listOrganizations,
+  getOrganization,
+  updateOrganization,
+  switchOrganization,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  listMyInvitations,
+  acceptInvitation,
+  declineInvitation
+};
@@ -0,0 +1,465 @@
+const { db, sameId } = require('../database');
+const {
+  normalizeTags,
+  searchFilter,
+  runCalculation,
+  nextVersionUpdate,
+  newCalculation,
+  touchProject
+} = require('../services/projectService');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Count calculations per project id
+const countCalculations = async (projectIds) => {
+  const counts = await db.calculations.aggregate([
+    { $match: { project: { $in: projectIds } } },
+    { $group: { _id: '$project', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(c => [String(c._id), c.count]));
+};
+
+const formatProject = (project, calculationCount = 0) => ({
+  id: project._id,
+  name: project.name,
+  description: project.description,
+  tags: project.tags || [],
+  calculationCount,
+  createdAt: project.createdAt,
+  updatedAt: project.updatedAt
+});
+
+// Shape a calculation; the version history is only included when loaded
+const formatCalculation = (calculation) => ({
+  id: calculation._id,
+  project: calculation.project,
+  name: calculation.name,
+  formula: calculation.formula,
+  notes: calculation.notes,
+  tags: calculation.tags || [],
+  inputs: calculation.inputs,
+  results: calculation.results,
+  version: calculation.version,
+  versions: calculation.versions,
+  createdAt: calculation.createdAt,
+  updatedAt: calculation.updatedAt
+});
+
+// Load one of the caller's projects from :id, or throw 404
+const loadProject = async (req) => {
+  const project = await db.projects.findById(req.params.id);
+
+  if (!project || !sameId(project.owner, req.user._id)) {
+    throw new NotFoundError('PROJECT_NOT_FOUND');
+  }
+  return project;
+};
+
+// Load a calculation of the project from :calcId, or throw 404
+const loadCalculation = async (req, project, options) => {
+  const calculation = await db.calculations.findOne({ _id: req.params.calcId, project: project._id }, options);
+
+  if (!calculation) throw new NotFoundError('CALCULATION_NOT_FOUND');
+  return calculation;
+};
+
+// Project fields from the validated body, with unique tags
+const pickProjectFields = (body) => {
+  const { tags, ...fields } = body;
+  if (tags !== undefined) fields.tags = normalizeTags(tags);
+  return fields;
+};
+
+// Send a paginated list of calculations matching `filter` (without their history)
+const sendCalculations = async (req, res, filter) => {
+  const { sort, order, page, limit } = req.query;
+  const sortOrder = order === 'asc' ? 1 : -1;
+
+  const [calculations, total] = await Promise.all([
+    db.calculations.find(filter, {
+      select: '-versions',
+      sort: { [sort]: sortOrder, _id: sortOrder },
+      skip: (page - 1) * limit,
+      limit
+    }),
+    db.calculations.count(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      calculations: calculations.map(formatCalculation),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+};
+
+// Filters shared by calculation lists (search, formula, tag)
+const calculationConditions = (req) => {
+  const { search, formula, tag } = req.query;
+  const conditions = [];
+
+  if (formula) conditions.push({ formula });
+  if (tag) conditions.push({ tags: tag });
+  if (search) conditions.push(searchFilter(search));
+
+  return conditions;
+};
+
+// @desc    List own projects (search, tag)
+// @route   GET /api/projects
+// @access  Private
+const listProjects = async (req, res) => {
+  const { search, tag, sort, order, page, limit } = req.query;
+
+  const conditions = [{ owner: req.user._id }];
+  if (tag) conditions.push({ tags: tag });
+  if (search) conditions.push(searchFilter(search));
+
+  const filter = { $and: conditions };
+  const sortOrder = order === 'asc' ? 1 : -1;
+
+  const [projects, total] = await Promise.all([
+    db.projects.find(filter, {
+      sort: { [sort]: sortOrder, _id: sortOrder },
+      skip: (page - 1) * limit,
+      limit
+    }),
+    db.projects.count(filter)
+  ]);
+
+  const counts = await countCalculations(projects.map(project => project._id));
+
+  res.json({
+    success: true,
+    data: {
+      projects: projects.map(project => formatProject(project, counts.get(project._id) || 0)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+};
+
+// @desc    Create a project
+// @route   POST /api/projects
+// @access  Private
+const createProject = async (req, res) => {
+  const fields = pickProjectFields(req.body);
+
+  const project = await db.projects.create({ ...fields, owner: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    code: 'PROJECT_CREATED',
+    data: {
+      project: formatProject(project)
+    }
+  });
+};
+
+// @desc    Get a project
+// @route   GET /api/projects/:id
+// @access  Private (owner)
+const getProject = async (req, res) => {
+  const project = await loadProject(req);
+
+  const calculationCount = await db.calculations.count({ project: project._id });
+
+  res.json({
+    success: true,
+    data: {
+      project: formatProject(project, calculationCount)
+    }
+  });
+};
+
+// @desc    Update a project
+// @route   PUT /api/projects/:id
+// @access  Private (owner)
+const updateProject = async (req, res) => {
+  const project = await loadProject(req);
+
+  const fields = pickProjectFields(req.body);
+
+  const updated = await db.projects.updateById(project._id, { $set: fields });
+  const calculationCount = await db.calculations.count({ project: project._id });
+
+  res.json({
+    success: true,
+    code: 'PROJECT_UPDATED',
+    data: {
+      project: formatProject(updated, calculationCount)
+    }
+  });
+};
+
+// @desc    Delete a project and its calculations
+// @route   DELETE /api/projects/:id
+// @access  Private (owner)
+const deleteProject = async (req, res) => {
+  const project = await loadProject(req);
+
+  const deletedCalculations = await db.calculations.deleteMany({ project: project._id });
+  await db.projects.deleteOne({ _id: project._id });
+
+  res.json({
+    success: true,
+    code: 'PROJECT_DELETED',
+    data: {
+      deletedCalculations
+    }
+  });
+};
+
+// @desc    Copy a project with the current version of each calculation
+// @route   POST /api/projects/:id/duplicate
+// @access  Private (owner)
+const duplicateProject = async (req, res) => {
+  const project = await loadProject(req);
+
+  const copy = await db.projects.create({
+    owner: req.user._id,
+    name: req.body.name || `${project.name} (copy)`.slice(0, 100),
+    description: project.description,
+    tags: project.tags
+  });
+
+  const calculations = await db.calculations.find({ project: project._id }, { select: '-versions' });
+  if (calculations.length) {
+    await db.calculations.createMany(calculations.map(calculation => newCalculation({
+      ...calculation,
+      owner: req.user._id,
+      project: copy._id,
+      note: `Copied from project ${project.name}, version ${calculation.version}`
+    })));
+  }
+
+  res.status(201).json({
+    success: true,
+    code: 'PROJECT_DUPLICATED',
+    data: {
+      project: formatProject(copy, calculations.length)
+    }
+  });
+};
+
+// @desc    Search own calculations across all projects (search, formula, tag)
+// @route   GET /api/projects/calculations
+// @access  Private
+const searchCalculations = async (req, res) => {
+  const conditions = calculationConditions(req);
+
+  await sendCalculations(req, res, { $and: [{ owner: req.user._id }, ...conditions] });
+};
+
+// @desc    List the calculations of a project (search, formula, tag)
+// @route   GET /api/projects/:id/calculations
+// @access  Private (owner)
+const listCalculations = async (req, res) => {
+  const project = await loadProject(req);
+
+  const conditions = calculationConditions(req);
+
+  await sendCalculations(req, res, { $and: [{ project: project._id }, ...conditions] });
+};
+
+// @desc    Run and save a calculation in a project
+// @route   POST /api/projects/:id/calculations
+// @access  Private (owner)
+const createCalculation = async (req, res) => {
+  const project = await loadProject(req);
+
+  const { name, formula, notes, note, tags = [] } = req.body;
+
+  const { inputs, results, errors } = runCalculation(formula, req.body.inputs);
+  if (errors) throw new ValidationError('INVALID_INPUT', { errors });
+
+  const calculation = await db.calculations.create(newCalculation({
+    owner: req.user._id,
+    project: project._id,
+    name,
+    formula,
+    notes,
+    tags: normalizeTags(tags),
+    inputs,
+    results,
+    note
+  }));
+  await touchProject(project._id);
+
+  res.status(201).json({
+    success: true,
+    code: 'CALCULATION_SAVED',
+    data: {
+      calculation: formatCalculation(calculation)
+    }
+  });
+};
+
+// @desc    Get a calculation with its version history
+// @route   GET /api/projects/:id/calculations/:calcId
+// @access  Private (owner)
+const getCalculation = async (req, res) => {
+  const project = await loadProject(req);
+
+  const calculation = await loadCalculation(req, project);
+
+  res.json({
+    success: true,
+    data: {
+      calculation: formatCalculation(calculation)
+    }
+  });
+};
+
+// @desc    Update a calculation. New inputs (or a new formula) are recalculated
+//          and saved as the next version; `version` guards against lost updates.
+// @route   PUT /api/projects/:id/calculations/:calcId
+// @access  Private (owner)
+const updateCalculation = async (req, res) => {
+  const project = await loadProject(req);
+
+  const calculation = await loadCalculation(req, project, { select: '-versions' });
+
+  if (req.body.version !== undefined && req.body.version !== calculation.version) {
+    throw new ConflictError('CALCULATION_CHANGED');
+  }
+
+  const changes = {};
+  ['name', 'notes'].forEach(field => {
+    if (req.body[field] !== undefined) changes[field] = req.body[field];
+  });
+  if (req.body.tags !== undefined) changes.tags = normalizeTags(req.body.tags);
+
+  let update = { $set: changes };
+  if (req.body.inputs !== undefined || req.body.formula !== undefined) {
+    const formula = req.body.formula !== undefined ? req.body.formula : calculation.formula;
+    const rawInputs = req.body.inputs !== undefined ? req.body.inputs : calculation.inputs;
+    const { inputs, results, errors } = runCalculation(formula, rawInputs);
+    if (errors) throw new ValidationError('INVALID_INPUT', { errors });
+
+    update = nextVersionUpdate(calculation, { inputs, results, note: req.body.note }, { ...changes, formula });
+  }
+
+  // Only applies if nobody saved a new version since the calculation was loaded
+  const updated = await db.calculations.updateOne(
+    { _id: calculation._id, version: calculation.version },
+    update
+  );
+  if (!updated) throw new ConflictError('CALCULATION_CHANGED');
+  await touchProject(project._id);
+
+  res.json({
+    success: true,
+    code: 'CALCULATION_UPDATED',
+    data: {
+      calculation: formatCalculation(updated)
+    }
+  });
+};
+
+// @desc    Save an earlier version's inputs as the newest version (recalculated)
+// @route   POST /api/projects/:id/calculations/:calcId/versions/:version/restore
+// @access  Private (owner)
+const restoreVersion = async (req, res) => {
+  const project = await loadProject(req);
+
+  const calculation = await loadCalculation(req, project);
+
+  const versionNumber = req.params.version;
+  const previous = calculation.versions.find(version => version.version === versionNumber);
+  if (!previous) throw new NotFoundError('VERSION_NOT_FOUND');
+
+  const { inputs, results, errors } = runCalculation(calculation.formula, previous.inputs);
+  if (errors) throw new ValidationError('INVALID_INPUT', { errors });
+
+  const updated = await db.calculations.updateOne(
+    { _id: calculation._id, version: calculation.version },
+    nextVersionUpdate(calculation, { inputs, results, note: `Restored version ${versionNumber}` })
+  );
+  if (!updated) throw new ConflictError('CALCULATION_CHANGED');
+  await touchProject(project._id);
+
+  res.json({
+    success: true,
+    code: 'VERSION_RESTORED',
+    params: { version: versionNumber },
+    data: {
+      calculation: formatCalculation(updated)
+    }
+  });
+};
+
+// @desc    Copy a calculation (current version) into this or another own project
+// @route   POST /api/projects/:id/calculations/:calcId/duplicate
+// @access  Private (owner)
+const duplicateCalculation = async (req, res) => {
+  const project = await loadProject(req);
+
+  const calculation = await loadCalculation(req, project, { select: '-versions' });
+
+  let target = project;
+  if (req.body.project && !sameId(req.body.project, project._id)) {
+    target = await db.projects.findById(req.body.project);
+    if (!target || !sameId(target.owner, req.user._id)) throw new NotFoundError('PROJECT_NOT_FOUND');
+  }
+
+  const copy = await db.calculations.create(newCalculation({
+    ...calculation,
+    owner: req.user._id,
+    project: target._id,
+    name: req.body.name || `${calculation.name} (copy)`.slice(0, 100),
+    note: `Copied from ${calculation.name}, version ${calculation.version}`
+  }));
+  await touchProject(target._id);
+
+  res.status(201).json({
+    success: true,
+    code: 'CALCULATION_DUPLICATED',
+    data: {
+      calculation: formatCalculation(copy)
+    }
+  });
+};
+
+// @desc    Delete a calculation
+// @route   DELETE /api/projects/:id/calculations/:calcId
+// @access  Private (owner)
+const deleteCalculation = async (req, res) => {
+  const project = await loadProject(req);
+
+  const calculation = await loadCalculation(req, project, { select: '_id' });
+
+  await db.calculations.deleteOne({ _id: calculation._id });
+  await touchProject(project._id);
+
+  res.json({
+    success: true,
+    code: 'CALCULATION_DELETED'
+  });
+};
+
+module.exports = {
+  listProjects,
+  createProject,
+  getProject,
+  updateProject,
+  deleteProject,
+  duplicateProject,
+  searchCalculations,
+  listCalculations,
+  createCalculation,
+  getCalculation,
+  updateCalculation,
+  restoreVersion,
+  duplicateCalculation,
+  deleteCalculation
+};
@@ -0,0 +1,279 @@
+const { db, sameId } = require('../database');
+const { listParameters: listCatalogue, PARAMETER_CATEGORIES } = require('../utils/parameters');
+const { parseValue, createContext, buildSample } = require('../services/sampleService');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Parse bbox=minLng,minLat,maxLng,maxLat; returns null when invalid
+const parseBoundingBox = (value) => {
+  const parts = String(value).split(',').map(part => parseFloat(part));
+  if (parts.length !== 4 || parts.some(part => isNaN(part))) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng > maxLng || minLat > maxLat) return null;
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+const formatSample = (sample) => ({
+  id: sample._id,
+  site: sample.site,
+  samplingPoint: sample.samplingPoint,
+  location: sample.location,
+  collectedAt: sample.collectedAt,
+  sampleType: sample.sampleType,
+  laboratory: sample.laboratory,
+  reference: sample.reference,
+  notes: sample.notes,
+  measurements: sample.measurements,
+  createdAt: sample.createdAt,
+  updatedAt: sample.updatedAt
+});
+
+// Load one of the caller's own samples from :id, or throw 404
+const loadOwnSample = async (req) => {
+  const sample = await db.samples.findById(req.params.id);
+
+  if (!sample || !sameId(sample.owner, req.user._id)) {
+    throw new NotFoundError('SAMPLE_NOT_FOUND');
+  }
+  return sample;
+};
+
+// @desc    List the parameter catalogue with normalized and accepted units
+// @route   GET /api/samples/parameters
+// @access  Private (samples:read)
+const listParameters = async (req, res) => {
+  const { category } = req.query;
+  const parameters = listCatalogue().filter(parameter => !category || parameter.category === category);
+
+  res.json({
+    success: true,
+    data: {
+      categories: PARAMETER_CATEGORIES,
+      parameters
+    }
+  });
+};
+
+// @desc    List own samples (site, location, parameter and value range, date range)
+// @route   GET /api/samples
+// @access  Private (samples:read)
+const listSamples = async (req, res) => {
+  const {
+    site,
+    samplingPoint,
+    sourceType,
+    sampleType,
+    location,
+    bbox,
+    parameter,
+    min,
+    max,
+    belowDetectionLimit,
+    from,
+    to,
+    sort,
+    order,
+    page,
+    limit
+  } = req.query;
+
+  const conditions = [{ owner: req.user._id }];
+
+  if (site) {
+    conditions.push({ site });
+  }
+
+  if (samplingPoint) {
+    conditions.push({ samplingPoint });
+  }
+
+  if (sourceType) {
+    conditions.push({ 'location.sourceType': { $in: sourceType.split(',') } });
+  }
+
+  if (sampleType) {
+    conditions.push({ sampleType });
+  }
+
+  if (location) {
+    conditions.push({ 'location.name': new RegExp(escapeRegex(location), 'i') });
+  }
+
+  if (bbox) {
+    const box = parseBoundingBox(bbox);
+    if (!box) throw new ValidationError('BBOX_INVALID');
+    conditions.push({
+      'location.longitude': { $gte: box.minLng, $lte: box.maxLng },
+      'location.latitude': { $gte: box.minLat, $lte: box.maxLat }
+    });
+  }
+
+  // Value filters apply to the normalized value of a single parameter,
+  // so min=5 for lead matches both 5 µg/L and 0.005 mg/L
+  const valueRange = {};
+  for (const [key, operator] of [['min', '$gte'], ['max', '$lte']]) {
+    const value = key === 'min' ? min : max;
+    if (value === undefined) continue;
+    const parsed = parseValue(value);
+    if (!parsed || parsed.qualifier) {
+      throw new ValidationError('FIELD_NOT_NUMBER', { params: { field: key } });
+    }
+    valueRange[operator] = parsed.value;
+  }
+
+  if (parameter) {
+    const parameters = parameter.split(',').map(p => p.trim());
+
+    if (Object.keys(valueRange).length || belowDetectionLimit !== undefined) {
+      if (parameters.length !== 1) {
+        throw new ValidationError('VALUE_FILTER_PARAMETER_REQUIRED');
+      }
+      const match = { parameter: parameters[0] };
+      if (Object.keys(valueRange).length) match.normalizedValue = valueRange;
+      if (belowDetectionLimit !== undefined) match.belowDetectionLimit = belowDetectionLimit;
+      conditions.push({ measurements: { $elemMatch: match } });
+    } else {
+      conditions.push({ 'measurements.parameter': { $in: parameters } });
+    }
+  } else if (Object.keys(valueRange).length || belowDetectionLimit !== undefined) {
+    throw new ValidationError('VALUE_FILTER_PARAMETER_REQUIRED');
+  }
+
+  if (from || to) {
+    conditions.push({
+      collectedAt: {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to })
+      }
+    });
+  }
+
+  const filter = { $and: conditions };
+  const sortOrder = order === 'asc' ? 1 : -1;
+
+  const [samples, total] = await Promise.all([
+    db.samples.find(filter, {
+      sort: { [sort]: sortOrder, _id: sortOrder },
+      skip: (page - 1) * limit,
+      limit
+    }),
+    db.samples.count(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      samples: samples.map(formatSample),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+};
+
+// @desc    Record a sample with its measurements
+// @route   POST /api/samples
+// @access  Private (samples:write)
+const createSample = async (req, res) => {
+  const context = await createContext(req.user._id);
+  const { sample, errors } = await buildSample(req.body, context);
+
+  if (errors) throw new ValidationError('VALIDATION_ERROR', { errors });
+
+  const created = await db.samples.create(sample);
+
+  res.status(201).json({
+    success: true,
+    code: 'SAMPLE_CREATED',
+    data: {
+      sample: formatSample(created)
+    }
+  });
+};
+
+// @desc    Record several samples at once; nothing is saved unless all are valid
+// @route   POST /api/samples/bulk
+// @access  Private (samples:write)
+const bulkCreateSamples = async (req, res) => {
+  const { samples } = req.body;
+
+  const context = await createContext(req.user._id);
+  const built = [];
+  const errors = [];
+  let invalid = 0;
+
+  // Field errors of every invalid sample, with fields under samples[index]
+  for (const [index, input] of samples.entries()) {
+    const result = await buildSample(input, context);
+    if (!result.errors) {
+      built.push(result.sample);
+      continue;
+    }
+    invalid += 1;
+    result.errors.forEach(error => {
+      const field = error.field ? `samples[${index}].${error.field}` : `samples[${index}]`;
+      errors.push({ ...error, field, params: { ...error.params, field } });
+    });
+  }
+
+  if (invalid) {
+    throw new ValidationError('SAMPLES_INVALID', {
+      params: { invalid, total: samples.length },
+      errors
+    });
+  }
+
+  const created = await db.samples.createMany(built);
+
+  res.status(201).json({
+    success: true,
+    code: 'SAMPLES_CREATED',
+    params: { count: created.length },
+    data: {
+      samples: created.map(formatSample)
+    }
+  });
+};
+
+// @desc    Get one of the user's samples
+// @route   GET /api/samples/:id
+// @access  Private (samples:read, owner)
+const getSample = async (req, res) => {
+  const sample = await loadOwnSample(req);
+
+  res.json({
+    success: true,
+    data: {
+      sample: formatSample(sample)
+    }
+  });
+};
+
+// @desc    Delete one of the user's samples
+// @route   DELETE /api/samples/:id
+// @access  Private (samples:write, owner)
+const deleteSample = async (req, res) => {
+  const sample = await loadOwnSample(req);
+
+  await db.samples.deleteOne({ _id: sample._id });
+
+  res.json({
+    success: true,
+    code: 'SAMPLE_DELETED'
+  });
+};
+
+module.exports = {
+  listParameters,
+  listSamples,
+  createSample,
+  bulkCreateSamples,
+  getSample,
+  deleteSample
+};
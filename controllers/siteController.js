@@ -0,0 +1,386 @@
+const { db, generateId, sameId } = require('../database');
+const { hasRole } = require('../services/organizationService');
+const {
+  hasAccess,
+  getOrganizationRoles,
+  visibleSitesFilter,
+  getSiteAccess
+} = require('../services/siteService');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Parse bbox=minLng,minLat,maxLng,maxLat; returns null when invalid
+const parseBoundingBox = (value) => {
+  const parts = String(value).split(',').map(part => parseFloat(part));
+  if (parts.length !== 4 || parts.some(part => isNaN(part))) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng > maxLng || minLat > maxLat) return null;
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+const formatSamplingPoint = (point) => ({
+  id: point._id,
+  name: point.name,
+  description: point.description,
+  location: point.location,
+  depth: point.depth,
+  isActive: point.isActive,
+  createdAt: point.createdAt,
+  updatedAt: point.updatedAt
+});
+
+// Shape a site for responses, including the caller's access level
+const formatSite = (site, access) => ({
+  id: site._id,
+  name: site.name,
+  type: site.type,
+  description: site.description,
+  location: site.location,
+  municipality: site.municipality,
+  owner: site.owner,
+  organization: site.organization,
+  metadata: site.metadata || {},
+  samplingPoints: (site.samplingPoints || []).map(formatSamplingPoint),
+  // Only those who can manage the site see who it is shared with
+  sharedWith: hasAccess(access, 'manage') ? site.sharedWith : undefined,
+  access,
+  createdAt: site.createdAt,
+  updatedAt: site.updatedAt
+});
+
+// Sampling point fields a client may set; sampling points given with a new
+// site are not checked by the route schema
+const pickSamplingPointFields = (body) => {
+  const fields = {};
+  ['name', 'description', 'location', 'depth', 'isActive'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Load the site from :id and check the caller's access, or throw 404/403.
+// Sites the user cannot see are reported as not found.
+const loadSite = async (req, minimumAccess) => {
+  const site = await db.sites.findById(req.params.id);
+  const orgRoles = site ? await getOrganizationRoles(req.user._id) : null;
+  const access = site ? getSiteAccess(site, req.user._id, orgRoles) : null;
+
+  if (!access) throw new NotFoundError('SITE_NOT_FOUND');
+
+  if (!hasAccess(access, minimumAccess)) {
+    throw new ForbiddenError(minimumAccess === 'manage' ? 'SITE_MANAGE_REQUIRED' : 'SITE_WRITE_REQUIRED');
+  }
+
+  return { site, access };
+};
+
+// Share a site with a user, replacing any earlier share with that user.
+// MongoDB cannot $pull and $push the same array in one update.
+const replaceShare = async (siteId, userId, access) => {
+  await db.sites.updateById(siteId, { $pull: { sharedWith: { user: userId } } });
+  return db.sites.updateById(siteId, { $push: { sharedWith: { user: userId, access } } });
+};
+
+// Sites can only be attached to organizations where the user is member or above
+const checkOrganization = async (req, organizationId) => {
+  if (organizationId === null) return;
+
+  const orgRoles = await getOrganizationRoles(req.user._id);
+  const role = orgRoles.get(String(organizationId));
+
+  if (!role || !hasRole(role, 'member')) {
+    throw new ForbiddenError('SITE_ORGANIZATION_NOT_ALLOWED');
+  }
+};
+
+// @desc    List sites visible to the user (own, shared, organization)
+// @route   GET /api/sites
+// @access  Private (sites:read)
+const listSites = async (req, res) => {
+  const { type, bbox, organization, municipality, search, sort, order, page, limit } = req.query;
+
+  const orgRoles = await getOrganizationRoles(req.user._id);
+  const conditions = [visibleSitesFilter(req.user._id, orgRoles)];
+
+  if (type) {
+    conditions.push({ type: { $in: type.split(',') } });
+  }
+
+  if (bbox) {
+    const box = parseBoundingBox(bbox);
+    if (!box) throw new ValidationError('BBOX_INVALID');
+    conditions.push({
+      'location.longitude': { $gte: box.minLng, $lte: box.maxLng },
+      'location.latitude': { $gte: box.minLat, $lte: box.maxLat }
+    });
+  }
+
+  if (organization) {
+    conditions.push({ organization });
+  }
+
+  if (municipality) {
+    conditions.push({ municipality: new RegExp(`^${escapeRegex(municipality)}$`, 'i') });
+  }
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    conditions.push({ $or: [{ name: pattern }, { description: pattern }, { municipality: pattern }] });
+  }
+
+  const filter = { $and: conditions };
+  const sortOrder = order === 'desc' ? -1 : 1;
+
+  const [sites, total] = await Promise.all([
+    db.sites.find(filter, {
+      sort: { [sort]: sortOrder, _id: sortOrder },
+      skip: (page - 1) * limit,
+      limit
+    }),
+    db.sites.count(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      sites: sites.map(site => formatSite(site, getSiteAccess(site, req.user._id, orgRoles))),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+};
+
+// @desc    Create a site (the caller becomes its owner)
+// @route   POST /api/sites
+// @access  Private (sites:write)
+const createSite = async (req, res) => {
+  const { organization = null, samplingPoints = [], ...fields } = req.body;
+  await checkOrganization(req, organization);
+
+  const site = await db.sites.create({
+    ...fields,
+    owner: req.user._id,
+    organization,
+    samplingPoints: samplingPoints.map(point => ({ _id: generateId(), ...pickSamplingPointFields(point) }))
+  });
+
+  res.status(201).json({
+    success: true,
+    code: 'SITE_CREATED',
+    data: {
+      site: formatSite(site, 'manage')
+    }
+  });
+};
+
+// @desc    Get a site
+// @route   GET /api/sites/:id
+// @access  Private (sites:read, site read access)
+const getSite = async (req, res) => {
+  const loaded = await loadSite(req, 'read');
+
+  res.json({
+    success: true,
+    data: {
+      site: formatSite(loaded.site, loaded.access)
+    }
+  });
+};
+
+// @desc    Update a site
+// @route   PUT /api/sites/:id
+// @access  Private (sites:write, site write access)
+const updateSite = async (req, res) => {
+  const loaded = await loadSite(req, 'write');
+
+  const { organization, ...changes } = req.body;
+
+  // Moving a site between organizations changes who can see it
+  if (organization !== undefined) {
+    if (!hasAccess(loaded.access, 'manage')) {
+      throw new ForbiddenError('SITE_ORGANIZATION_CHANGE_NOT_ALLOWED');
+    }
+
+    await checkOrganization(req, organization);
+    changes.organization = organization;
+  }
+
+  const site = await db.sites.updateById(loaded.site._id, { $set: changes });
+  if (!site) {
+    throw new NotFoundError('SITE_NOT_FOUND');
+  }
+
+  const orgRoles = await getOrganizationRoles(req.user._id);
+
+  res.json({
+    success: true,
+    code: 'SITE_UPDATED',
+    data: {
+      site: formatSite(site, getSiteAccess(site, req.user._id, orgRoles))
+    }
+  });
+};
+
+// @desc    Delete a site
+// @route   DELETE /api/sites/:id
+// @access  Private (sites:write, site owner or organization manager)
+const deleteSite = async (req, res) => {
+  const loaded = await loadSite(req, 'manage');
+
+  await db.sites.deleteOne({ _id: loaded.site._id });
+
+  res.json({
+    success: true,
+    code: 'SITE_DELETED'
+  });
+};
+
+// @desc    Share a site with a user (by userId or email)
+// @route   PUT /api/sites/:id/shares
+// @access  Private (sites:write, site owner or organization manager)
+const shareSite = async (req, res) => {
+  const { userId, email, access } = req.body;
+
+  const loaded = await loadSite(req, 'manage');
+
+  // Sharing by email answers the same way whether or not the address belongs
+  // to an active user, so it cannot be used to find out who is registered
+  if (!userId) {
+    const user = email ? await db.users.findOne({ email }) : null;
+    if (user && user.isActive && !sameId(user._id, loaded.site.owner)) {
+      await replaceShare(loaded.site._id, user._id, access);
+    }
+
+    return res.json({
+      success: true,
+      code: 'SITE_SHARED'
+    });
+  }
+
+  const user = await db.users.findById(userId);
+  if (!user || !user.isActive) throw new NotFoundError('USER_NOT_FOUND');
+
+  if (sameId(user._id, loaded.site.owner)) {
+    throw new ValidationError('SHARE_WITH_OWNER');
+  }
+
+  const site = await replaceShare(loaded.site._id, user._id, access);
+
+  res.json({
+    success: true,
+    code: 'SITE_SHARED',
+    data: {
+      sharedWith: site.sharedWith
+    }
+  });
+};
+
+// @desc    Stop sharing a site with a user
+// @route   DELETE /api/sites/:id/shares/:userId
+// @access  Private (sites:write, site owner or organization manager)
+const unshareSite = async (req, res) => {
+  const loaded = await loadSite(req, 'manage');
+
+  const { userId } = req.params;
+  const isShared = (loaded.site.sharedWith || []).some(share => sameId(share.user, userId));
+
+  if (!isShared) throw new NotFoundError('SHARE_NOT_FOUND');
+
+  await db.sites.updateById(loaded.site._id, { $pull: { sharedWith: { user: userId } } });
+
+  res.json({
+    success: true,
+    code: 'SITE_SHARE_REMOVED'
+  });
+};
+
+// @desc    Add a sampling point to a site
+// @route   POST /api/sites/:id/points
+// @access  Private (sites:write, site write access)
+const addSamplingPoint = async (req, res) => {
+  const loaded = await loadSite(req, 'write');
+
+  const point = { _id: generateId(), ...req.body };
+  const site = await db.sites.updateById(loaded.site._id, { $push: { samplingPoints: point } });
+  const created = site.samplingPoints.find(p => sameId(p._id, point._id));
+
+  res.status(201).json({
+    success: true,
+    code: 'SAMPLING_POINT_ADDED',
+    data: {
+      samplingPoint: formatSamplingPoint(created)
+    }
+  });
+};
+
+// @desc    Update a sampling point
+// @route   PUT /api/sites/:id/points/:pointId
+// @access  Private (sites:write, site write access)
+const updateSamplingPoint = async (req, res) => {
+  const loaded = await loadSite(req, 'write');
+
+  const { pointId } = req.params;
+  const existing = loaded.site.samplingPoints.find(p => sameId(p._id, pointId));
+  if (!existing) {
+    throw new NotFoundError('SAMPLING_POINT_NOT_FOUND');
+  }
+
+  // Only the matched point is written, so concurrent changes to other points are kept
+  const site = await db.sites.updateOne(
+    { _id: loaded.site._id, 'samplingPoints._id': pointId },
+    { $set: { 'samplingPoints.$[point]': { ...existing, ...req.body, updatedAt: new Date() } } },
+    { arrayFilters: [{ 'point._id': pointId }] }
+  );
+  if (!site) {
+    throw new NotFoundError('SAMPLING_POINT_NOT_FOUND');
+  }
+
+  const updated = site.samplingPoints.find(p => sameId(p._id, pointId));
+
+  res.json({
+    success: true,
+    code: 'SAMPLING_POINT_UPDATED',
+    data: {
+      samplingPoint: formatSamplingPoint(updated)
+    }
+  });
+};
+
+// @desc    Remove a sampling point
+// @route   DELETE /api/sites/:id/points/:pointId
+// @access  Private (sites:write, site write access)
+const deleteSamplingPoint = async (req, res) => {
+  const loaded = await loadSite(req, 'write');
+
+  const { pointId } = req.params;
+  if (!loaded.site.samplingPoints.some(p => sameId(p._id, pointId))) {
+    throw new NotFoundError('SAMPLING_POINT_NOT_FOUND');
+  }
+
+  await db.sites.updateById(loaded.site._id, { $pull: { samplingPoints: { _id: pointId } } });
+
+  res.json({
+    success: true,
+    code: 'SAMPLING_POINT_REMOVED'
+  });
+};
+
+module.exports = {
+  listSites,
+  createSite,
+  getSite,
+  updateSite,
+  deleteSite,
+  shareSite,
+  unshareSite,
+  addSamplingPoint,
+  updateSamplingPoint,
+  deleteSamplingPoint
+};
@@ -0,0 +1,187 @@
+const { db } = require('../database');
+const { comparePassword, verifyTwoFactor } = require('../services/userService');
+const settings = require('../services/settingService');
+const { hashToken } = require('../utils/tokens');
+const { ValidationError, AuthenticationError, ForbiddenError } = require('../utils/errors');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../utils/totp');
+
+// Generate recovery codes; returns the plain codes and their hashes for storage
+const createRecoveryCodes = () => {
+  const codes = generateRecoveryCodes();
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  };
+};
+
+// @desc    Get two-factor authentication status
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res) => {
+  const user = await db.users.findById(req.user._id, { select: '+twoFactorRecoveryCodes' });
+  const required = req.user.role === 'admin' && Boolean(await settings.getValue('requireAdminTwoFactor'));
+
+  res.json({
+    success: true,
+    data: {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0,
+      required
+    }
+  });
+};
+
+// @desc    Start 2FA enrollment (generate secret and otpauth URI)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  const user = req.user;
+
+  if (user.twoFactorEnabled) {
+    throw new ValidationError('TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  const secret = generateSecret();
+  await db.users.updateById(user._id, { $set: { twoFactorPendingSecret: encryptSecret(secret) } });
+
+  res.json({
+    success: true,
+    code: 'TWO_FACTOR_SETUP_STARTED',
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email })
+    }
+  });
+};
+
+// @desc    Confirm enrollment with a first code and enable 2FA
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+  const { code } = req.body;
+
+  const user = await db.users.findById(req.user._id, { select: '+twoFactorPendingSecret' });
+
+  if (user.twoFactorEnabled) {
+    throw new ValidationError('TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    throw new ValidationError('TWO_FACTOR_SETUP_NOT_STARTED');
+  }
+
+  const step = verifyCode(decryptSecret(user.twoFactorPendingSecret), code);
+  if (step === null) {
+    throw new ValidationError('INVALID_TWO_FACTOR_CODE');
+  }
+
+  const { codes, hashes } = createRecoveryCodes();
+
+  await db.users.updateById(user._id, {
+    $set: {
+      twoFactorSecret: user.twoFactorPendingSecret,
+      twoFactorEnabled: true,
+      twoFactorEnabledAt: new Date(),
+      twoFactorRecoveryCodes: hashes,
+      twoFactorLastUsedStep: step
+    },
+    $unset: { twoFactorPendingSecret: 1 }
+  });
+
+  res.json({
+    success: true,
+    code: 'TWO_FACTOR_ENABLED',
+    data: {
+      recoveryCodes: codes
+    }
+  });
+};
+
+// @desc    Disable 2FA (requires password and a code or recovery code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    throw new ValidationError('TWO_FACTOR_DISABLE_FIELDS_REQUIRED');
+  }
+
+  if (req.user.role === 'admin' && await settings.getValue('requireAdminTwoFactor')) {
+    throw new ForbiddenError('ADMIN_TWO_FACTOR_REQUIRED');
+  }
+
+  const user = await db.users.findById(req.user._id, { select: '+password +twoFactorSecret' });
+
+  if (!user.twoFactorEnabled) {
+    throw new ValidationError('TWO_FACTOR_NOT_ENABLED');
+  }
+
+  if (!(await comparePassword(user, password))) {
+    throw new AuthenticationError('CURRENT_PASSWORD_INCORRECT');
+  }
+
+  if (!(await verifyTwoFactor(user, { code, recoveryCode }))) {
+    throw new ValidationError('INVALID_TWO_FACTOR_CODE');
+  }
+
+  await db.users.updateById(user._id, {
+    $set: { twoFactorEnabled: false },
+    $unset: {
+      twoFactorEnabledAt: 1,
+      twoFactorSecret: 1,
+      twoFactorRecoveryCodes: 1,
+      twoFactorLastUsedStep: 1
+    }
+  });
+
+  res.json({
+    success: true,
+    code: 'TWO_FACTOR_DISABLED'
+  });
+};
+
+// @desc    Replace recovery codes (requires a current TOTP code)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.body;
+
+  const user = await db.users.findById(req.user._id, { select: '+twoFactorSecret' });
+
+  if (!user.twoFactorEnabled) {
+    throw new ValidationError('TWO_FACTOR_NOT_ENABLED');
+  }
+
+  if (!(await verifyTwoFactor(user, { code }))) {
+    throw new ValidationError('INVALID_TWO_FACTOR_CODE');
+  }
+
+  const { codes, hashes } = createRecoveryCodes();
+  await db.users.updateById(user._id, { $set: { twoFactorRecoveryCodes: hashes } });
+
+  res.json({
+    success: true,
+    code: 'RECOVERY_CODES_REGENERATED',
+    data: {
+      recoveryCodes: codes
+    }
+  });
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
@@ -0,0 +1,104 @@
+const { readTable } = require('../utils/spreadsheet');
+const {
+  MAX_ROWS,
+  IMPORT_FIELDS,
+  suggestMapping,
+  checkMapping,
+  readRow,
+  validateRows,
+  createAccounts,
+  formatRow,
+  summarize
+} = require('../services/userImportService');
+const { ValidationError } = require('../utils/errors');
+
+// The fields columns can be mapped to, for the client's mapping step
+const importFields = () => Object.entries(IMPORT_FIELDS).map(([field, { label, label_sv: labelSv }]) => ({
+  field,
+  label,
+  label_sv: labelSv
+}));
+
+// @desc    Import users from a CSV or XLSX file (dry run by default)
+// @route   POST /api/admin/users/import
+// @access  Private/Admin (users:write)
+const importUsers = async (req, res) => {
+  if (!req.file) {
+    throw new ValidationError('IMPORT_FILE_REQUIRED');
+  }
+
+  // Reading stops once the file has more rows than can be imported
+  let table;
+  try {
+    table = await readTable(req.file.buffer, req.file.originalname, { maxRows: MAX_ROWS });
+  } catch (error) {
+    throw new ValidationError('IMPORT_FILE_UNREADABLE');
+  }
+
+  const { format, headers, rows } = table;
+  if (!rows.length) {
+    throw new ValidationError('IMPORT_FILE_EMPTY');
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new ValidationError('IMPORT_TOO_MANY_ROWS', { params: { max: MAX_ROWS } });
+  }
+
+  // Without a mapping the columns are matched by their headers
+  let mapping;
+  if (req.body.mapping) {
+    try {
+      mapping = JSON.parse(req.body.mapping);
+    } catch (error) {
+      mapping = null;
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new ValidationError('IMPORT_MAPPING_NOT_OBJECT');
+    }
+  } else {
+    mapping = suggestMapping(headers);
+  }
+
+  const mappingErrors = checkMapping(mapping, headers);
+  if (mappingErrors.length) {
+    throw new ValidationError('IMPORT_MAPPING_INVALID', {
+      errors: mappingErrors,
+      extra: { data: { columns: headers, fields: importFields(), mapping, suggestedMapping: suggestMapping(headers) } }
+    });
+  }
+
+  const { dryRun, sendEmails } = req.body;
+  const imported = await validateRows(rows.map(row => readRow(row, headers, mapping)), { actor: req.user });
+  if (!dryRun) {
+    await createAccounts(imported, { sendEmails });
+  }
+
+  const summary = summarize(imported);
+  const data = {
+    dryRun,
+    format,
+    columns: headers,
+    mapping,
+    summary,
+    rows: imported.map(formatRow)
+  };
+
+  if (dryRun) {
+    return res.json({
+      success: true,
+      code: 'IMPORT_CHECKED',
+      params: { valid: summary.valid || 0, total: summary.total },
+      data
+    });
+  }
+
+  res.status(summary.created ? 201 : 200).json({
+    success: true,
+    code: 'IMPORT_COMPLETED',
+    params: { created: summary.created || 0, total: summary.total },
+    data
+  });
+};
+
+module.exports = {
+  importUsers
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryRepository = require('./MemoryRepository');
+
+// Repository persisted to one JSON file per collection (DATA_DIR/<collection>.json).
+// Documents are kept in memory and every change rewrites the file atomically:
+// the data goes to a temporary file which then replaces the original, so a crash
+// never leaves a half-written file. Writes are serialized through a lock and
+// changes made while a write is running are coalesced into the next one.
+// The lock is per process: run a single instance against a data directory.
+class FileRepository extends MemoryRepository {
+  constructor(model, { dataDir }) {
+    super(model);
+    this.file = path.join(dataDir, `${this.name}.json`);
+    this.writing = Promise.resolve();
+    this.pending = null;
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    this.documents = this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return [];
+
+    const raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    if (!Array.isArray(raw)) {
+      throw new Error(`Invalid data file ${this.file}: expected an array of documents`);
+    }
+    // Cast restores dates and numbers from their JSON form
+    return raw.map(doc => this.cast(doc));
+  }
+
+  onChange() {
+    // A write is already queued and will pick up the latest documents
+    if (this.pending) return this.pending;
+
+    this.pending = this.writing.then(() => {
+      this.pending = null;
+      return this.persist();
+    });
+    this.writing = this.pending.catch(error => {
+      console.error(`Error writing ${this.file}:`, error);
+    });
+    return this.pending;
+  }
+
+  async persist() {
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(this.documents, null, 2));
+    await fs.promises.rename(tempFile, this.file);
+  }
+}
+
+module.exports = FileRepository;
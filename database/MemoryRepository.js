@@ -0,0 +1,331 @@
+const { isDeepStrictEqual } = require('util');
+const { find, aggregate } = require('mingo');
+const { update: applyUpdate } = require('mingo/updater');
+const {
+  generateId,
+  isValidId,
+  normalizeIds,
+  parseSelect,
+  deletePath,
+  createDuplicateKeyError
+} = require('./utils');
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+const setPath = (obj, path, value) => {
+  const keys = path.split('.');
+  let target = obj;
+  keys.slice(0, -1).forEach(key => {
+    if (target[key] == null || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+const isOperatorUpdate = (update) => Object.keys(update).some(key => key.startsWith('$'));
+
+// Case- and diacritic-insensitive form of text, and its words
+const foldText = (value) => String(value).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+const textWords = (text) => text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// MongoDB $text semantics for text indexes without stemming (language 'none'):
+// with "phrases" every phrase must appear, otherwise any word; -word excludes
+const matchesText = (values, search) => {
+  const text = foldText(values.flat().filter(value => value != null).join(' '));
+  const words = new Set(textWords(text));
+
+  const phrases = [...search.matchAll(/"([^"]*)"/g)].map(match => foldText(match[1]).trim()).filter(Boolean);
+  const terms = search.replace(/"[^"]*"/g, ' ').split(/\s+/).filter(Boolean);
+  const excluded = terms.filter(term => term.startsWith('-')).flatMap(term => textWords(foldText(term.slice(1))));
+  const included = terms.filter(term => !term.startsWith('-')).flatMap(term => textWords(foldText(term)));
+
+  if (excluded.some(word => words.has(word))) return false;
+  if (phrases.length) {
+    return phrases.every(phrase => textWords(phrase).every(word => words.has(word)) && text.includes(phrase));
+  }
+  return included.some(word => words.has(word));
+};
+
+// Take $text out of a filter (top level or in a top-level $and), as mingo does not support it
+const extractText = (filter) => {
+  const { $text, ...rest } = filter;
+  if ($text || !Array.isArray(rest.$and)) return { filter: rest, text: $text };
+
+  const text = rest.$and.find(condition => condition && condition.$text);
+  if (!text) return { filter: rest, text: undefined };
+
+  const { $and, ...others } = rest;
+  const remaining = $and.filter(condition => condition !== text);
+  return { filter: remaining.length ? { ...others, $and: remaining } : others, text: text.$text };
+};
+
+// In-memory repository backed by an array of plain objects.
+// Documents are cast, defaulted and validated with the Mongoose schema of the
+// model, so the same rules apply as with MongoDB. Writes change the array
+// without awaiting in between, and updates are retried when a matched document
+// changed while they were validated, which makes single updates atomic.
+class MemoryRepository {
+  constructor(model) {
+    this.model = model;
+    this.name = model.collection ? model.collection.collectionName : model.modelName;
+    this.documents = [];
+
+    const schema = model.schema;
+    this.hiddenPaths = Object.keys(schema.paths).filter(path => schema.paths[path].options.select === false);
+    this.uniqueIndexes = schema.indexes()
+      .filter(([, options]) => options.unique)
+      .map(([fields]) => Object.keys(fields));
+    this.textFields = schema.indexes().flatMap(([fields]) => Object.keys(fields).filter(field => fields[field] === 'text'));
+    this.ttlIndexes = schema.indexes()
+      .filter(([, options]) => options.expireAfterSeconds !== undefined)
+      .map(([fields, options]) => ({ path: Object.keys(fields)[0], seconds: options.expireAfterSeconds }));
+
+    const timestamps = schema.options.timestamps;
+    this.createdAtKey = timestamps ? (timestamps.createdAt === false ? null : (typeof timestamps.createdAt === 'string' ? timestamps.createdAt : 'createdAt')) : null;
+    this.updatedAtKey = timestamps ? (timestamps.updatedAt === false ? null : (typeof timestamps.updatedAt === 'string' ? timestamps.updatedAt : 'updatedAt')) : null;
+  }
+
+  // Called after every change; FileRepository persists here
+  async onChange() {}
+
+  // Cast a raw object through the schema (types and defaults) without validating
+  cast(raw) {
+    const doc = new this.model(raw);
+    return normalizeIds(doc.toObject({ depopulate: true, versionKey: false, virtuals: false, transform: false }));
+  }
+
+  // Cast and validate; throws a Mongoose ValidationError like MongoDB writes do
+  async prepare(raw) {
+    const doc = new this.model(raw);
+    await doc.validate();
+    return normalizeIds(doc.toObject({ depopulate: true, versionKey: false, virtuals: false, transform: false }));
+  }
+
+  assertUnique(candidate) {
+    this.uniqueIndexes.forEach(fields => {
+      const values = fields.map(field => getPath(candidate, field));
+      if (values.some(value => value === undefined || value === null)) return;
+
+      const duplicate = this.documents.find(doc => doc._id !== candidate._id &&
+        fields.every((field, i) => String(getPath(doc, field)) === String(values[i])));
+      if (duplicate) {
+        throw createDuplicateKeyError(this.name, Object.fromEntries(fields.map((field, i) => [field, values[i]])));
+      }
+    });
+  }
+
+  // Drop documents past their TTL index, like MongoDB's TTL monitor.
+  // Persistent drivers drop them from storage with the next write.
+  purgeExpired() {
+    if (!this.ttlIndexes.length) return;
+    const now = Date.now();
+    this.documents = this.documents.filter(doc => !this.ttlIndexes.some(({ path, seconds }) => {
+      const value = getPath(doc, path);
+      return value instanceof Date && value.getTime() + seconds * 1000 <= now;
+    }));
+  }
+
+  project(doc, select) {
+    const { include, exclude, force } = parseSelect(select);
+    const copy = structuredClone(doc);
+
+    if (include.length) {
+      const projected = { _id: copy._id };
+      [...include, ...force].forEach(path => {
+        const value = getPath(copy, path);
+        if (value !== undefined) setPath(projected, path, value);
+      });
+      return projected;
+    }
+
+    this.hiddenPaths.filter(path => !force.includes(path)).forEach(path => deletePath(copy, path));
+    exclude.forEach(path => deletePath(copy, path));
+    return copy;
+  }
+
+  query(filter = {}, { sort, skip, limit } = {}) {
+    this.purgeExpired();
+    const { filter: rest, text } = extractText(normalizeIds(filter));
+    const documents = text
+      ? this.documents.filter(doc => matchesText(this.textFields.map(field => getPath(doc, field)), text.$search))
+      : this.documents;
+    let cursor = find(documents, rest);
+    if (sort) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    return cursor.all();
+  }
+
+  async findById(id, options = {}) {
+    if (!isValidId(id)) return null;
+    return this.findOne({ _id: String(id) }, options);
+  }
+
+  async findOne(filter, { select, sort } = {}) {
+    const [doc] = this.query(filter, { sort, limit: 1 });
+    return doc ? this.project(doc, select) : null;
+  }
+
+  async find(filter, { select, sort, skip, limit } = {}) {
+    return this.query(filter, { sort, skip, limit }).map(doc => this.project(doc, select));
+  }
+
+  async *stream(filter, options = {}) {
+    for (const doc of await this.find(filter, options)) {
+      yield doc;
+    }
+  }
+
+  async count(filter = {}) {
+    return this.query(filter).length;
+  }
+
+  async exists(filter) {
+    return this.query(filter, { limit: 1 }).length > 0;
+  }
+
+  // Validate data as it would be created, without storing it
+  async validate(data) {
+    await this.build(data);
+  }
+
+  // New document with id and timestamps, cast and validated
+  async build(data) {
+    const now = new Date();
+    const raw = { ...normalizeIds(data), _id: data._id ? String(data._id) : generateId() };
+    if (this.createdAtKey && !raw[this.createdAtKey]) raw[this.createdAtKey] = now;
+    if (this.updatedAtKey) raw[this.updatedAtKey] = now;
+    return this.prepare(raw);
+  }
+
+  async create(data) {
+    const doc = await this.build(data);
+    this.assertUnique(doc);
+    this.documents.push(doc);
+    await this.onChange();
+    return this.project(doc);
+  }
+
+  // Insert several documents; nothing is stored if any of them is invalid
+  async createMany(items) {
+    const docs = [];
+    for (const data of items) {
+      docs.push(await this.build(data));
+    }
+
+    const before = this.documents;
+    this.documents = [...before];
+    try {
+      docs.forEach(doc => {
+        this.assertUnique(doc);
+        this.documents.push(doc);
+      });
+    } catch (error) {
+      this.documents = before;
+      throw error;
+    }
+
+    await this.onChange();
+    return docs.map(doc => this.project(doc));
+  }
+
+  // Apply an update to a copy of the document and validate the result.
+  // arrayFilters resolve filtered positional paths ('members.$[m].role').
+  async applyTo(doc, update, arrayFilters) {
+    const updated = structuredClone(doc);
+    const operations = isOperatorUpdate(update) ? normalizeIds(update) : { $set: normalizeIds(update) };
+    applyUpdate(updated, operations, arrayFilters && normalizeIds(arrayFilters));
+    if (this.updatedAtKey) updated[this.updatedAtKey] = new Date();
+
+    return this.prepare(updated);
+  }
+
+  // True if an update changed more than the update timestamp
+  isModified(doc, updated) {
+    const { [this.updatedAtKey]: docUpdatedAt, ...before } = doc;
+    const { [this.updatedAtKey]: updatedAt, ...after } = updated;
+    return !isDeepStrictEqual(before, after);
+  }
+
+  // Validation awaits, so another write may have replaced or removed a matched
+  // document in the meantime: true if all of them are still current
+  isCurrent(matches) {
+    const current = new Set(this.documents);
+    return matches.every(match => current.has(match));
+  }
+
+  // Atomically update the first matching document; returns it after the update, or null
+  async updateOne(filter, update, { select, upsert = false, arrayFilters } = {}) {
+    const [match] = this.query(filter, { limit: 1 });
+
+    if (!match) {
+      if (!upsert) return null;
+      // Seed the new document with the equality conditions of the filter
+      const seed = Object.fromEntries(Object.entries(normalizeIds(filter))
+        .filter(([key, value]) => !key.startsWith('$') && (value === null || typeof value !== 'object')));
+      const created = await this.create(seed);
+      return this.updateOne({ _id: created._id }, update, { select, arrayFilters });
+    }
+
+    const updated = await this.applyTo(match, update, arrayFilters);
+
+    // Start over against the current data, so that a conditional update
+    // (e.g. on a token) succeeds only once; no await from here to the write
+    if (!this.isCurrent([match])) {
+      return this.updateOne(filter, update, { select, upsert, arrayFilters });
+    }
+
+    this.assertUnique(updated);
+    this.documents[this.documents.indexOf(match)] = updated;
+    await this.onChange();
+    return this.project(updated, select);
+  }
+
+  async updateById(id, update, options = {}) {
+    if (!isValidId(id)) return null;
+    return this.updateOne({ _id: String(id) }, update, options);
+  }
+
+  // Update every matching document; returns how many changed, like MongoDB's
+  // modifiedCount (documents the update leaves as they were are not written)
+  async updateMany(filter, update) {
+    const matches = this.query(filter);
+    const updates = [];
+    for (const match of matches) {
+      const updated = await this.applyTo(match, update);
+      if (this.isModified(match, updated)) updates.push([match, updated]);
+    }
+
+    if (!this.isCurrent(matches)) return this.updateMany(filter, update);
+
+    updates.forEach(([, updated]) => this.assertUnique(updated));
+    updates.forEach(([match, updated]) => {
+      this.documents[this.documents.indexOf(match)] = updated;
+    });
+    if (updates.length) await this.onChange();
+    return updates.length;
+  }
+
+  async deleteOne(filter) {
+    const [match] = this.query(filter, { limit: 1 });
+    if (!match) return 0;
+    this.documents = this.documents.filter(doc => doc._id !== match._id);
+    await this.onChange();
+    return 1;
+  }
+
+  async deleteMany(filter = {}) {
+    const ids = new Set(this.query(filter).map(doc => doc._id));
+    if (!ids.size) return 0;
+    this.documents = this.documents.filter(doc => !ids.has(doc._id));
+    await this.onChange();
+    return ids.size;
+  }
+
+  async aggregate(pipeline) {
+    this.purgeExpired();
+    return aggregate(this.documents, normalizeIds(pipeline)).map(doc => structuredClone(doc));
+  }
+}
+
+module.exports = MemoryRepository;
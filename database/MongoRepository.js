@@ -0,0 +1,157 @@
+const { isValidId, normalizeIds, deletePath, createDuplicateKeyError } = require('./utils');
+
+// Repository backed by a Mongoose model.
+// Queries run lean and ids are returned as strings, so callers get the same
+// plain objects as from the file and memory drivers.
+class MongoRepository {
+  constructor(model) {
+    this.model = model;
+    this.name = model.collection.collectionName;
+    this.hiddenPaths = Object.keys(model.schema.paths).filter(path => model.schema.paths[path].options.select === false);
+    this.uniqueIndexes = model.schema.indexes()
+      .filter(([, options]) => options.unique)
+      .map(([fields]) => Object.keys(fields));
+  }
+
+  // Plain copy of a saved document without `select: false` paths, as reads return it
+  toPlain(doc) {
+    const plain = normalizeIds(doc.toObject({ depopulate: true, versionKey: false, transform: false }));
+    this.hiddenPaths.forEach(path => deletePath(plain, path));
+    return plain;
+  }
+
+  async findById(id, { select } = {}) {
+    if (!isValidId(id)) return null;
+    return this.findOne({ _id: id }, { select });
+  }
+
+  async findOne(filter, { select, sort } = {}) {
+    let query = this.model.findOne(filter);
+    if (select) query = query.select(select);
+    if (sort) query = query.sort(sort);
+    return normalizeIds(await query.lean());
+  }
+
+  async find(filter, { select, sort, skip, limit } = {}) {
+    let query = this.model.find(filter);
+    if (select) query = query.select(select);
+    if (sort) query = query.sort(sort);
+    if (skip) query = query.skip(skip);
+    if (limit) query = query.limit(limit);
+    return normalizeIds(await query.lean());
+  }
+
+  // Iterate matching documents without loading them all into memory
+  async *stream(filter, { select, sort } = {}) {
+    let query = this.model.find(filter);
+    if (select) query = query.select(select);
+    if (sort) query = query.sort(sort);
+    for await (const doc of query.lean().cursor()) {
+      yield normalizeIds(doc);
+    }
+  }
+
+  async count(filter = {}) {
+    return this.model.countDocuments(filter);
+  }
+
+  async exists(filter) {
+    return Boolean(await this.model.exists(filter));
+  }
+
+  // Validate data as it would be created, without storing it
+  async validate(data) {
+    await new this.model(data).validate();
+  }
+
+  async create(data) {
+    const doc = await this.model.create(data);
+    return this.toPlain(doc);
+  }
+
+  // Insert several documents; nothing is stored if any of them is invalid or
+  // a duplicate. insertMany keeps the documents written before a failure, so
+  // clashes are checked first and a clash written in the meantime is undone.
+  async createMany(items) {
+    const docs = items.map(item => new this.model(item));
+    await Promise.all(docs.map(doc => doc.validate()));
+    await this.assertUnique(docs);
+
+    try {
+      await this.model.insertMany(docs, { ordered: true });
+    } catch (error) {
+      await this.model.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+      throw error;
+    }
+    return docs.map(doc => this.toPlain(doc));
+  }
+
+  // Throw a duplicate key error, as MongoDB would, if a new document clashes on
+  // a unique index (or _id) with a stored one or with another new document
+  async assertUnique(docs) {
+    for (const fields of [['_id'], ...this.uniqueIndexes]) {
+      const seen = new Set();
+      const conditions = [];
+      for (const doc of docs) {
+        const values = fields.map(field => doc.get(field));
+        if (values.some(value => value === undefined || value === null)) continue;
+
+        const keyValue = Object.fromEntries(fields.map((field, i) => [field, values[i]]));
+        const key = JSON.stringify(values.map(String));
+        if (seen.has(key)) throw createDuplicateKeyError(this.name, keyValue);
+        seen.add(key);
+        conditions.push(keyValue);
+      }
+
+      const existing = conditions.length
+        ? await this.model.findOne({ $or: conditions }).select(fields.join(' ')).lean()
+        : null;
+      if (existing) {
+        throw createDuplicateKeyError(this.name, Object.fromEntries(fields.map(field => [field, existing[field]])));
+      }
+    }
+  }
+
+  // Atomically update the first matching document; returns it after the update, or null
+  async updateOne(filter, update, { select, upsert = false, arrayFilters } = {}) {
+    let query = this.model.findOneAndUpdate(filter, update, {
+      new: true,
+      upsert,
+      arrayFilters,
+      runValidators: true,
+      setDefaultsOnInsert: true
+    });
+    if (select) query = query.select(select);
+    return normalizeIds(await query.lean());
+  }
+
+  async updateById(id, update, options = {}) {
+    if (!isValidId(id)) return null;
+    return this.updateOne({ _id: id }, update, options);
+  }
+
+  async updateMany(filter, update) {
+    const result = await this.model.updateMany(filter, update, { runValidators: true });
+    return result.modifiedCount;
+  }
+
+  async deleteOne(filter) {
+    const result = await this.model.deleteOne(filter);
+    return result.deletedCount;
+  }
+
+  async deleteMany(filter = {}) {
+    const result = await this.model.deleteMany(filter);
+    return result.deletedCount;
+  }
+
+  // $match stages are cast through the schema, as find() does, so string ids match ObjectIds
+  async aggregate(pipeline) {
+    const cast = pipeline.map(stage => (stage.$match
+      ? { $match: this.model.find().cast(this.model, stage.$match) }
+      : stage));
+    return normalizeIds(await this.model.aggregate(cast));
+  }
+}
+
+module.exports = MongoRepository;
@@ -1,128 +1,80 @@
-const fs = require('fs');
 const path = require('path');
-const bcrypt = require('bcryptjs');
+const MongoRepository = require('./MongoRepository');
+const MemoryRepository = require('./MemoryRepository');
+const FileRepository = require('./FileRepository');
+const { generateId, isValidId, sameId } = require('./utils');
 
-const dataDir = path.join(__dirname, 'data');
-const usersFile = path.join(dataDir, 'users.json');
+// Storage drivers, selected with DB_DRIVER:
+// - mongo: MongoDB through Mongoose (default)
+// - file: JSON files in DATA_DIR, for offline development
+// - memory: nothing persisted, for tests and demos
+const DRIVERS = {
+  mongo: (model) => new MongoRepository(model),
+  file: (model) => new FileRepository(model, { dataDir: getDataDir() }),
+  memory: (model) => new MemoryRepository(model)
+};
 
-// Ensure data directory exists
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
-}
+// Repository name -> Mongoose model (the schema is used by every driver)
+const MODELS = {
+  users: () => require('../models/User'),
+  sessions: () => require('../models/Session'),
+  settings: () => require('../models/Setting'),
+  securityEvents: () => require('../models/SecurityEvent'),
+  usageEvents: () => require('../models/UsageEvent'),
+  organizations: () => require('../models/Organization'),
+  invitations: () => require('../models/Invitation'),
+  sites: () => require('../models/Site'),
+  samples: () => require('../models/Sample'),
+  limitProfiles: () => require('../models/LimitProfile'),
+  projects: () => require('../models/Project'),
+  calculations: () => require('../models/SavedCalculation'),
+  notifications: () => require('../models/Notification')
+};
 
-// Initialize users file if it doesn't exist
-if (!fs.existsSync(usersFile)) {
-  fs.writeFileSync(usersFile, JSON.stringify([], null, 2));
-}
+const repositories = new Map();
 
-class Database {
-  static readUsers() {
-    try {
-      const data = fs.readFileSync(usersFile, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      console.error('Error reading users:', error);
-      return [];
-    }
+const getDriver = () => {
+  const driver = (process.env.DB_DRIVER || 'mongo').toLowerCase();
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown DB_DRIVER "${driver}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
   }
+  return driver;
+};
 
-  static writeUsers(users) {
-    try {
-      fs.writeFileSync(usersFile, JSON.stringify(users, null, 2));
-      return true;
-    } catch (error) {
-      console.error('Error writing users:', error);
-      return false;
-    }
-  }
+const getDataDir = () => path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
 
-  static async findUserByEmail(email) {
-    const users = this.readUsers();
-    return users.find(user => user.email === email);
+// Get (and lazily create) the repository for a collection
+const getRepository = (name) => {
+  if (!MODELS[name]) {
+    throw new Error(`Unknown repository "${name}"`);
   }
 
-  static async findUserById(id) {
-    const users = this.readUsers();
-    return users.find(user => user.id === id);
+  if (!repositories.has(name)) {
+    repositories.set(name, DRIVERS[getDriver()](MODELS[name]()));
   }
+  return repositories.get(name);
+};
 
-  static async createUser(userData) {
-    const users = this.readUsers();
-    
-    // Check if user already exists
-    if (await this.findUserByEmail(userData.email)) {
-      throw new Error('User already exists');
-    }
-
-    // Hash password
-    const hashedPassword = await bcrypt.hash(userData.password, 12);
-    
-    const newUser = {
-      id: Date.now().toString(),
-      name: userData.name,
-      email: userData.email,
-      password: hashedPassword,
-      role: 'user',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+// Drop cached repositories (memory driver data is lost)
+const resetRepositories = () => {
+  repositories.clear();
+};
 
-    users.push(newUser);
-    
-    if (this.writeUsers(users)) {
-      return {
-        id: newUser.id,
-        name: newUser.name,
-        email: newUser.email,
-        role: newUser.role,
-        createdAt: newUser.createdAt,
-        updatedAt: newUser.updatedAt
-      };
-    } else {
-      throw new Error('Failed to save user');
-    }
-  }
-
-  static async comparePassword(plainPassword, hashedPassword) {
-    return await bcrypt.compare(plainPassword, hashedPassword);
-  }
-
-  static async updateLastLogin(userId) {
-    const users = this.readUsers();
-    const userIndex = users.findIndex(user => user.id === userId);
-    
-    if (userIndex !== -1) {
-      users[userIndex].lastLogin = new Date().toISOString();
-      users[userIndex].updatedAt = new Date().toISOString();
-      this.writeUsers(users);
-    }
-  }
-
-  static async updateUser(userId, updateData) {
-    const users = this.readUsers();
-    const userIndex = users.findIndex(user => user.id === userId);
-    
-    if (userIndex !== -1) {
-      users[userIndex] = {
-        ...users[userIndex],
-        ...updateData,
-        updatedAt: new Date().toISOString()
-      };
-      
-      if (this.writeUsers(users)) {
-        return {
-          id: users[userIndex].id,
-          name: users[userIndex].name,
-          email: users[userIndex].email,
-          role: users[userIndex].role,
-          createdAt: users[userIndex].createdAt,
-          updatedAt: users[userIndex].updatedAt
-        };
-      }
-    }
-    
-    throw new Error('User not found or update failed');
-  }
-}
+// db.users, db.sessions, ... resolve to the repository of the configured driver
+const db = {};
+Object.keys(MODELS).forEach(name => {
+  Object.defineProperty(db, name, {
+    enumerable: true,
+    get: () => getRepository(name)
+  });
+});
 
-module.exports = Database;
\ No newline at end of file
+module.exports = {
+  db,
+  getDriver,
+  getRepository,
+  resetRepositories,
+  generateId,
+  isValidId,
+  sameId
+};
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Generate a new id (ObjectId hex string, valid for every driver)
+const generateId = () => new mongoose.Types.ObjectId().toString();
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Compare ids regardless of ObjectId/string representation
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+// Deep-convert ObjectIds to strings so repositories always return plain values
+const normalizeIds = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(normalizeIds);
+  if (value instanceof Date || value instanceof RegExp || Buffer.isBuffer(value)) return value;
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      result[key] = normalizeIds(child);
+    }
+    return result;
+  }
+  return value;
+};
+
+// Remove a dotted path from a plain object
+const deletePath = (obj, path) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((value, key) => (value == null ? undefined : value[key]), obj);
+  if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+};
+
+// Parse a Mongoose-style select string ('-password +twoFactorSecret' or 'firstName email')
+const parseSelect = (select) => {
+  const parsed = { include: [], exclude: [], force: [] };
+  if (!select) return parsed;
+
+  const tokens = Array.isArray(select) ? select : String(select).split(/\s+/).filter(Boolean);
+  tokens.forEach(token => {
+    if (token.startsWith('+')) parsed.force.push(token.slice(1));
+    else if (token.startsWith('-')) parsed.exclude.push(token.slice(1));
+    else parsed.include.push(token);
+  });
+  return parsed;
+};
+
+// Error shaped like a MongoDB duplicate key error (code 11000)
+const createDuplicateKeyError = (collectionName, keyValue) => {
+  const error = new Error(`E11000 duplicate key error collection: ${collectionName} dup key: ${JSON.stringify(keyValue)}`);
+  error.name = 'MongoServerError';
+  error.code = 11000;
+  error.keyValue = keyValue;
+  return error;
+};
+
+module.exports = {
+  generateId,
+  isValidId,
+  sameId,
+  normalizeIds,
+  deletePath,
+  parseSelect,
+  createDuplicateKeyError
+};
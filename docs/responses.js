@@ -0,0 +1,854 @@
+// Response data schemas for the OpenAPI document (utils/openapi), by route.
+// Each entry maps a status to the JSON schema of `data`, to null for responses
+// with a code and message but no data, to { body } for JSON that is not wrapped
+// in { success, data } or to { contentTypes } for files. Every route must be
+// listed (utils/openapi checkRouteDocs).
+
+const string = { type: 'string' };
+const nullableString = { type: 'string', nullable: true };
+const boolean = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time' };
+
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const id = string;
+const nullableId = { type: 'string', nullable: true };
+const nullableDate = { ...dateTime, nullable: true };
+const anyObject = { type: 'object' };
+
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', required, properties });
+const arrayOf = (items) => ({ type: 'array', items });
+
+const userSummary = object({
+  id: string,
+  name: string,
+  email: { type: 'string', format: 'email' },
+  username: string,
+  role: string,
+  emailVerified: boolean,
+  twoFactorEnabled: boolean,
+  lastLogin: { ...dateTime, nullable: true },
+  createdAt: dateTime
+}, ['id', 'name', 'email', 'username', 'role', 'emailVerified']);
+
+const userProfile = object({
+  ...userSummary.properties,
+  pendingEmail: nullableString,
+  locale: { type: 'string', nullable: true, description: 'Preferred response language; null when negotiated' },
+  activeOrganization: nullableString,
+  permissions: { type: 'array', items: string },
+  updatedAt: dateTime
+}, userSummary.required);
+
+const tokenPair = {
+  accessToken: { type: 'string', description: 'Short-lived JWT for the Authorization header' },
+  refreshToken: { type: 'string', description: 'Exchanged for a new token pair at /api/auth/refresh' }
+};
+
+const login = {
+  user: userSummary,
+  twoFactorSetupRequired: { type: 'boolean', description: 'Admin must enroll in 2FA' },
+  recoveryCodeUsed: boolean,
+  ...tokenPair
+};
+
+const session = object({
+  id: string,
+  label: nullableString,
+  userAgent: nullableString,
+  ip: nullableString,
+  createdAt: dateTime,
+  lastUsedAt: dateTime,
+  expiresAt: dateTime,
+  current: boolean
+}, ['id', 'current']);
+
+const verifiedEmail = object({
+  user: object({ id: string, email: string, emailVerified: boolean })
+});
+
+const databaseState = {
+  readyState: { type: 'integer', description: 'mongoose.connection.readyState (MongoDB driver only)' },
+  state: { type: 'string', enum: ['disconnected', 'connected', 'connecting', 'disconnecting', 'uninitialized'] }
+};
+
+const readiness = object({
+  status: { type: 'string', enum: ['ready', 'not_ready'] },
+  checks: object({
+    database: object({ status: { type: 'string', enum: ['up', 'down'] }, ...databaseState }, ['status']),
+    jwt: object({ status: { type: 'string', enum: ['up', 'down'] } })
+  })
+});
+
+const bytes = { type: 'integer', description: 'Bytes' };
+
+const diagnostics = object({
+  ready: boolean,
+  version: string,
+  gitSha: nullableString,
+  node: string,
+  environment: string,
+  startedAt: dateTime,
+  uptimeSeconds: { type: 'integer' },
+  memory: object({ rss: bytes, heapTotal: bytes, heapUsed: bytes, external: bytes }),
+  database: object({
+    status: { type: 'string', enum: ['up', 'down'] },
+    driver: { type: 'string', enum: ['mongo', 'file', 'memory'] },
+    ...databaseState,
+    latencyMs: { type: 'integer' },
+    name: string,
+    pool: object({
+      maxPoolSize: { type: 'integer' },
+      open: { type: 'integer' },
+      inUse: { type: 'integer' },
+      created: { type: 'integer' },
+      closed: { type: 'integer' },
+      checkedOut: { type: 'integer' },
+      checkedIn: { type: 'integer' }
+    }, ['open', 'inUse'])
+  }, ['status', 'driver']),
+  jwt: object({
+    status: { type: 'string', enum: ['up', 'down'] },
+    missing: { type: 'array', items: string, description: 'Names of unset secrets' }
+  })
+}, ['ready', 'version', 'uptimeSeconds', 'memory', 'database', 'jwt']);
+
+const twoFactorStatus = object({
+  enabled: boolean,
+  enabledAt: nullableDate,
+  recoveryCodesRemaining: integer,
+  required: { type: 'boolean', description: 'Admins must use 2FA (setting requireAdminTwoFactor)' }
+}, ['enabled', 'recoveryCodesRemaining', 'required']);
+
+const recoveryCodes = object({
+  recoveryCodes: { ...arrayOf(string), description: 'Shown once; each code works a single time' }
+});
+
+const pagination = object({ page: integer, limit: integer, total: integer, pages: integer });
+
+// A page of `key` items with the pagination
+const page = (key, item, extra = {}) => object({ [key]: arrayOf(item), ...extra, pagination });
+
+// Formulas (utils/calculations)
+const quantity = object({ value: number, unit: nullableString }, ['value']);
+
+const formula = object({
+  name: string,
+  description: string,
+  description_sv: string,
+  inputs: arrayOf(object({
+    name: string,
+    label: string,
+    label_sv: string,
+    unit: nullableString,
+    units: arrayOf(nullableString),
+    required: boolean,
+    default: number,
+    min: number,
+    greaterThan: number,
+    max: number
+  }, ['name', 'unit', 'units', 'required'])),
+  vectors: arrayOf(object({ inputs: anyObject, results: anyObject }))
+}, ['name', 'inputs', 'vectors']);
+
+const verification = object({
+  passed: boolean,
+  total: integer,
+  failed: integer,
+  formulas: arrayOf(object({
+    name: string,
+    vectors: arrayOf(object({ inputs: anyObject, passed: boolean, mismatches: arrayOf(anyObject) }))
+  }))
+});
+
+const calculationResult = object({
+  formula: string,
+  inputs: { type: 'object', additionalProperties: quantity, description: 'Inputs in the formula\'s units' },
+  results: { type: 'object', description: 'Results by name, mostly { value, unit }' }
+});
+
+// Administration
+const adminUser = object({
+  id,
+  name: string,
+  email: string,
+  username: string,
+  role: string,
+  isActive: boolean,
+  emailVerified: boolean,
+  twoFactorEnabled: boolean,
+  permissionOverrides: object({ grant: arrayOf(string), deny: arrayOf(string) }),
+  permissions: arrayOf(string),
+  pendingEmail: nullableString,
+  activeSessions: integer,
+  lastLogin: nullableDate,
+  deletedAt: nullableDate,
+  createdAt: dateTime,
+  updatedAt: dateTime
+}, ['id', 'email', 'username', 'role', 'isActive', 'permissions']);
+
+const settings = object({ requireAdminTwoFactor: boolean });
+
+const importResult = object({
+  dryRun: boolean,
+  format: { type: 'string', enum: ['csv', 'xlsx'] },
+  columns: arrayOf(string),
+  mapping: { type: 'object', description: 'Field -> column header' },
+  summary: object({ total: integer }, ['total']),
+  rows: arrayOf(object({
+    row: integer,
+    status: string,
+    name: string,
+    email: string,
+    username: string,
+    role: string,
+    errors: arrayOf(anyObject),
+    id: nullableString,
+    setPasswordUrl: nullableString,
+    linkExpiresAt: nullableDate,
+    emailSent: boolean
+  }, ['row', 'status']))
+}, ['dryRun', 'format', 'columns', 'mapping', 'summary', 'rows']);
+
+const range = object({
+  from: dateTime,
+  to: dateTime,
+  interval: { type: 'string', enum: ['day', 'week', 'month'] }
+});
+
+const counts = { type: 'object', additionalProperties: integer };
+
+// A series of { period, <total>, <by>: { key: count } } with the totals
+const foldedSeries = (total, by, extra = {}) => object({
+  range,
+  series: arrayOf(object({ period: dateTime, [total]: integer, [by]: counts })),
+  totals: object({ [total]: integer, [by]: counts }),
+  ...extra
+});
+
+const limitRange = { type: 'object', description: '{ min, max } in the parameter\'s unit', nullable: true };
+
+const limitProfile = object({
+  id,
+  code: string,
+  name: string,
+  name_sv: string,
+  description: string,
+  description_sv: string,
+  builtIn: boolean,
+  isActive: boolean,
+  limits: arrayOf(object({
+    parameter: string,
+    unit: string,
+    remark: limitRange,
+    unfit: limitRange,
+    note: nullableString,
+    note_sv: nullableString
+  }, ['parameter', 'unit'])),
+  createdAt: dateTime,
+  updatedAt: dateTime
+}, ['code', 'name', 'limits']);
+
+// Organizations
+const organization = object({
+  id,
+  name: string,
+  description: string,
+  role: { type: 'string', nullable: true, description: 'The caller\'s role' },
+  memberCount: integer,
+  active: { type: 'boolean', description: 'The caller\'s active organization' },
+  createdAt: dateTime,
+  updatedAt: dateTime
+}, ['id', 'name', 'role', 'memberCount', 'active']);
+
+const invitation = object({
+  _id: id,
+  organization: id,
+  email: string,
+  role: string,
+  status: { type: 'string', enum: ['pending', 'accepted', 'declined', 'revoked'] },
+  invitedBy: id,
+  expiresAt: dateTime,
+  respondedAt: nullableDate,
+  createdAt: dateTime,
+  updatedAt: dateTime
+}, ['_id', 'organization', 'email', 'role', 'status', 'expiresAt']);
+
+// Sites
+const location = object({ latitude: number, longitude: number });
+
+const samplingPoint = object({
+  id,
+  name: string,
+  description: string,
+  location,
+  depth: number,
+  isActive: boolean,
+  createdAt: dateTime,
+  updatedAt: dateTime
+}, ['id', 'name']);
+
+const shares = arrayOf(object({ user: id, access: { type: 'string', enum: ['read', 'write'] } }));
+
+const site = object({
+  id,
+  name: string,
+  type: string,
+  description: string,
+  location,
+  municipality: string,
+  owner: id,
+  organization: nullableId,
+  metadata: anyObject,
+  samplingPoints: arrayOf(samplingPoint),
+  sharedWith: { ...shares, description: 'Only for those who can manage the site' },
+  access: { type: 'string', enum: ['read', 'write', 'manage'] },
+  createdAt: dateTime,
+  updatedAt: dateTime
+}, ['id', 'name', 'type', 'location', 'owner', 'samplingPoints', 'access']);
+
+// Samples
+const measurement = object({
+  parameter: string,
+  value: number,
+  unit: string,
+  qualifier: { type: 'string', enum: ['=', '<', '>'] },
+  detectionLimit: number,
+  normalizedValue: number,
+  normalizedUnit: string,
+  normalizedDetectionLimit: number,
+  belowDetectionLimit: boolean,
+  method: string,
+  note: string
+}, ['parameter', 'value', 'unit', 'normalizedValue', 'normalizedUnit']);
+
+const sample = object({
+  id,
+  site: nullableId,
+  samplingPoint: nullableId,
+  location: object({ name: string, latitude: number, longitude: number, sourceType: string }, ['name']),
+  collectedAt: dateTime,
+  sampleType: string,
+  laboratory: string,
+  reference: string,
+  notes: string,
+  measurements: arrayOf(measurement),
+  createdAt: dateTime,
+  updatedAt: dateTime
+}, ['id', 'collectedAt', 'measurements']);
+
+const parameter = object({
+  code: string,
+  name: string,
+  name_sv: string,
+  category: string,
+  dimension: string,
+  unit: string,
+  units: arrayOf(string)
+});
+
+// Evaluation
+const verdict = {
+  verdict: { type: 'string', enum: ['fit', 'fit_with_remarks', 'unfit', 'not_assessed'] },
+  label: string,
+  label_sv: string
+};
+
+const evaluation = object({
+  profile: object({ code: string, name: string, name_sv: string }),
+  overall: object({
+    ...verdict,
+    code: string,
+    message: string,
+    message_sv: string,
+    assessed: integer,
+    notAssessed: integer
+  }),
+  results: arrayOf(object({
+    parameter: string,
+    name: string,
+    name_sv: string,
+    value: number,
+    unit: string,
+    qualifier: string,
+    normalizedValue: number,
+    normalizedUnit: string,
+    ...verdict,
+    limits: { type: 'object', nullable: true, description: '{ remark, unfit } ranges of the profile' },
+    exceeded: {
+      ...object({ level: { type: 'string', enum: ['remark', 'unfit'] }, bound: { type: 'string', enum: ['min', 'max'] }, limit: number }),
+      nullable: true
+    },
+    message: string,
+    message_sv: string
+  }, ['parameter', 'value', 'verdict', 'limits', 'exceeded', 'message']))
+});
+
+// Projects
+const project = object({
+  id,
+  name: string,
+  description: string,
+  tags: arrayOf(string),
+  calculationCount: integer,
+  createdAt: dateTime,
+  updatedAt: dateTime
+}, ['id', 'name', 'tags', 'calculationCount']);
+
+const calculation = object({
+  id,
+  project: id,
+  name: string,
+  formula: string,
+  notes: string,
+  tags: arrayOf(string),
+  inputs: anyObject,
+  results: anyObject,
+  version: integer,
+  versions: {
+    ...arrayOf(object({ version: integer, inputs: anyObject, results: anyObject, note: string, createdAt: dateTime }, ['version', 'inputs', 'results'])),
+    description: 'Only when a single calculation is returned'
+  },
+  createdAt: dateTime,
+  updatedAt: dateTime
+}, ['id', 'project', 'name', 'formula', 'tags', 'inputs', 'results', 'version']);
+
+// Notifications
+const notification = object({
+  id,
+  type: string,
+  title: string,
+  title_sv: string,
+  message: string,
+  message_sv: string,
+  data: anyObject,
+  read: boolean,
+  readAt: nullableDate,
+  createdAt: dateTime
+}, ['id', 'type', 'read', 'createdAt']);
+
+const preferences = object({
+  channels: arrayOf(string),
+  webhookUrl: nullableString,
+  hasWebhookSecret: boolean,
+  availableChannels: arrayOf(object({ channel: string, label: string, label_sv: string }))
+});
+
+module.exports = {
+  'POST /api/auth/register': {
+    // Tokens are left out when EMAIL_VERIFICATION_POLICY=login
+    201: object({ user: userSummary, ...tokenPair }, ['user'])
+  },
+  'POST /api/auth/login': {
+    // Either the token pair or, with 2FA enabled, a challenge for /login/2fa
+    200: object({
+      ...login,
+      twoFactorRequired: boolean,
+      challengeToken: { type: 'string', description: 'Send to /api/auth/login/2fa with the code' }
+    }, [])
+  },
+  'POST /api/auth/login/2fa': {
+    200: object(login, ['user', 'accessToken', 'refreshToken'])
+  },
+  'GET /api/auth/me': {
+    200: object({ user: userProfile })
+  },
+  'PUT /api/auth/profile': {
+    200: object({ user: userProfile })
+  },
+  'PUT /api/auth/password': {
+    200: object(tokenPair)
+  },
+  'GET /api/auth/sessions': {
+    200: object({ sessions: { type: 'array', items: session } })
+  },
+  'DELETE /api/auth/sessions/:id': {
+    200: null
+  },
+  'GET /api/auth/2fa': {
+    200: twoFactorStatus
+  },
+  'POST /api/auth/2fa/setup': {
+    200: object({
+      secret: { type: 'string', description: 'Base32 secret for manual entry' },
+      otpauthUri: { type: 'string', description: 'otpauth:// URI for a QR code' }
+    })
+  },
+  'POST /api/auth/2fa/enable': {
+    200: recoveryCodes
+  },
+  'POST /api/auth/2fa/disable': {
+    200: null
+  },
+  'POST /api/auth/2fa/recovery-codes': {
+    200: recoveryCodes
+  },
+  'POST /api/auth/logout': {
+    200: null
+  },
+  'POST /api/auth/refresh': {
+    200: object(tokenPair)
+  },
+  'POST /api/auth/forgot-password': {
+    200: null
+  },
+  'POST /api/auth/reset-password': {
+    200: null
+  },
+  'POST /api/auth/resend-verification': {
+    200: null
+  },
+  'GET /api/auth/verify-email': {
+    200: verifiedEmail
+  },
+  'POST /api/auth/verify-email': {
+    200: verifiedEmail
+  },
+  'GET /api/calc': {
+    200: object({ formulas: arrayOf(formula) })
+  },
+  'GET /api/calc/verify': {
+    // 500 when a formula no longer reproduces its test vectors
+    200: verification,
+    500: verification
+  },
+  'POST /api/calc/:formula': {
+    200: calculationResult
+  },
+  'GET /api/admin/users': {
+    200: page('users', adminUser)
+  },
+  'GET /api/openapi.json': {
+    200: { body: object({ openapi: string, info: { type: 'object' }, paths: { type: 'object' } }) }
+  },
+  'GET /api/docs': {
+    200: { contentTypes: ['text/html'] }
+  },
+  'GET /health/live': {
+    200: object({ status: { type: 'string', enum: ['live'] } })
+  },
+  'GET /health/ready': {
+    200: readiness,
+    503: readiness
+  },
+  'GET /health/diagnostics': {
+    200: diagnostics
+  },
+  'GET /api/admin/users/export': {
+    200: {
+      contentTypes: [
+        'text/csv',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      ]
+    }
+  },
+  'GET /api/admin/users/report': {
+    200: { contentTypes: ['application/pdf'] }
+  },
+  'POST /api/admin/users/import': {
+    // 201 when accounts were created, 200 for dry runs and imports that created none
+    200: importResult,
+    201: importResult
+  },
+  'GET /api/admin/users/:id': {
+    200: object({ user: adminUser })
+  },
+  'PUT /api/admin/users/:id/role': {
+    200: object({ user: adminUser })
+  },
+  'PUT /api/admin/users/:id/status': {
+    200: object({ user: adminUser })
+  },
+  'PUT /api/admin/users/:id/permissions': {
+    200: object({ user: adminUser })
+  },
+  'POST /api/admin/users/:id/logout': {
+    200: null
+  },
+  'DELETE /api/admin/users/:id': {
+    200: null
+  },
+  'GET /api/admin/permissions': {
+    200: object({
+      permissions: arrayOf(object({ name: string, description: string })),
+      roles: { type: 'object', additionalProperties: arrayOf(string), description: 'Permissions of each role' }
+    })
+  },
+  'GET /api/admin/settings': {
+    200: object({ settings })
+  },
+  'PUT /api/admin/settings': {
+    200: object({ settings })
+  },
+  'GET /api/admin/analytics/overview': {
+    200: object({
+      activeUsers: object({ day: integer, week: integer, month: integer }),
+      registrationsLast30Days: integer,
+      failedLoginsLast24Hours: integer,
+      dormantAccounts90Days: integer
+    })
+  },
+  'GET /api/admin/analytics/active-users': {
+    200: object({
+      range,
+      series: arrayOf(object({ period: dateTime, activeUsers: integer, logins: integer })),
+      totals: object({ activeUsers: integer, logins: integer })
+    })
+  },
+  'GET /api/admin/analytics/registrations': {
+    200: foldedSeries('registrations', 'bySource')
+  },
+  'GET /api/admin/analytics/failed-logins': {
+    200: foldedSeries('failedLogins', 'byReason', {
+      topAccounts: arrayOf(object({
+        id,
+        email: nullableString,
+        username: nullableString,
+        failedLogins: integer,
+        lastFailedAt: dateTime
+      }))
+    })
+  },
+  'GET /api/admin/analytics/retention': {
+    200: object({
+      range,
+      periods: integer,
+      cohorts: arrayOf(object({
+        cohort: dateTime,
+        users: integer,
+        retention: arrayOf(object({ offset: integer, activeUsers: integer, rate: number }))
+      }))
+    })
+  },
+  'GET /api/admin/analytics/dormant': {
+    200: page('users', object({
+      id,
+      name: string,
+      email: string,
+      username: string,
+      role: string,
+      lastLogin: nullableDate,
+      createdAt: dateTime,
+      daysInactive: integer
+    }, ['id', 'email', 'daysInactive']), {
+      days: integer,
+      summary: object({ total: integer, neverLoggedIn: integer, inactiveOverAYear: integer, byRole: counts })
+    })
+  },
+  'GET /api/admin/limit-profiles': {
+    200: object({ profiles: arrayOf(limitProfile) })
+  },
+  'POST /api/admin/limit-profiles': {
+    201: object({ profile: limitProfile })
+  },
+  'PUT /api/admin/limit-profiles/:id': {
+    200: object({ profile: limitProfile })
+  },
+  'DELETE /api/admin/limit-profiles/:id': {
+    200: null
+  },
+  'POST /api/organizations': {
+    201: object({ organization })
+  },
+  'GET /api/organizations': {
+    200: object({ organizations: arrayOf(organization) })
+  },
+  'PUT /api/organizations/active': {
+    200: object({ activeOrganization: nullableId })
+  },
+  'GET /api/organizations/invitations/mine': {
+    200: object({
+      invitations: arrayOf(object({
+        ...invitation.properties,
+        organization: { ...object({ _id: id, name: string }), nullable: true }
+      }, invitation.required))
+    })
+  },
+  'POST /api/organizations/invitations/accept': {
+    200: object({ organization })
+  },
+  'POST /api/organizations/invitations/decline': {
+    200: null
+  },
+  'GET /api/organizations/:orgId': {
+    200: object({ organization })
+  },
+  'PUT /api/organizations/:orgId': {
+    200: object({ organization })
+  },
+  'GET /api/organizations/:orgId/members': {
+    200: object({
+      members: arrayOf(object({
+        id,
+        name: string,
+        email: string,
+        username: string,
+        role: string,
+        joinedAt: dateTime
+      }, ['id', 'email', 'role']))
+    })
+  },
+  'PUT /api/organizations/:orgId/members/:userId': {
+    200: object({ member: object({ id, role: string }) })
+  },
+  'DELETE /api/organizations/:orgId/members/:userId': {
+    200: null
+  },
+  'POST /api/organizations/:orgId/invitations': {
+    201: object({ invitation })
+  },
+  'GET /api/organizations/:orgId/invitations': {
+    200: object({ invitations: arrayOf(invitation) })
+  },
+  'DELETE /api/organizations/:orgId/invitations/:invitationId': {
+    200: null
+  },
+  'GET /api/sites': {
+    200: page('sites', site)
+  },
+  'POST /api/sites': {
+    201: object({ site })
+  },
+  'GET /api/sites/:id': {
+    200: object({ site })
+  },
+  'PUT /api/sites/:id': {
+    200: object({ site })
+  },
+  'DELETE /api/sites/:id': {
+    200: null
+  },
+  'PUT /api/sites/:id/shares': {
+    200: { ...object({ sharedWith: shares }), description: 'Not returned when sharing by email' }
+  },
+  'DELETE /api/sites/:id/shares/:userId': {
+    200: null
+  },
+  'POST /api/sites/:id/points': {
+    201: object({ samplingPoint })
+  },
+  'PUT /api/sites/:id/points/:pointId': {
+    200: object({ samplingPoint })
+  },
+  'DELETE /api/sites/:id/points/:pointId': {
+    200: null
+  },
+  'GET /api/samples/parameters': {
+    200: object({ categories: arrayOf(string), parameters: arrayOf(parameter) })
+  },
+  'GET /api/samples': {
+    200: page('samples', sample)
+  },
+  'POST /api/samples': {
+    201: object({ sample })
+  },
+  'POST /api/samples/bulk': {
+    201: object({ samples: arrayOf(sample) })
+  },
+  'GET /api/samples/:id': {
+    200: object({ sample })
+  },
+  'DELETE /api/samples/:id': {
+    200: null
+  },
+  'POST /api/evaluate': {
+    200: evaluation
+  },
+  'GET /api/evaluate/profiles': {
+    200: object({ defaultProfile: string, profiles: arrayOf(limitProfile) })
+  },
+  'GET /api/evaluate/profiles/:code': {
+    200: object({ profile: limitProfile })
+  },
+  'GET /api/projects': {
+    200: page('projects', project)
+  },
+  'POST /api/projects': {
+    201: object({ project })
+  },
+  'GET /api/projects/calculations': {
+    200: page('calculations', calculation)
+  },
+  'GET /api/projects/:id': {
+    200: object({ project })
+  },
+  'PUT /api/projects/:id': {
+    200: object({ project })
+  },
+  'DELETE /api/projects/:id': {
+    200: object({ deletedCalculations: integer })
+  },
+  'POST /api/projects/:id/duplicate': {
+    201: object({ project })
+  },
+  'GET /api/projects/:id/calculations': {
+    200: page('calculations', calculation)
+  },
+  'POST /api/projects/:id/calculations': {
+    201: object({ calculation })
+  },
+  'GET /api/projects/:id/calculations/:calcId': {
+    200: object({ calculation })
+  },
+  'PUT /api/projects/:id/calculations/:calcId': {
+    200: object({ calculation })
+  },
+  'DELETE /api/projects/:id/calculations/:calcId': {
+    200: null
+  },
+  'POST /api/projects/:id/calculations/:calcId/duplicate': {
+    201: object({ calculation })
+  },
+  'POST /api/projects/:id/calculations/:calcId/versions/:version/restore': {
+    200: object({ calculation })
+  },
+  'GET /api/notifications': {
+    200: page('notifications', notification, { unreadCount: integer })
+  },
+  'GET /api/notifications/unread-count': {
+    200: object({ unreadCount: integer })
+  },
+  'GET /api/notifications/preferences': {
+    200: object({ preferences })
+  },
+  'PUT /api/notifications/preferences': {
+    200: object({
+      preferences,
+      webhookSecret: { type: 'string', description: 'Only when a new secret was created; shown once' }
+    }, ['preferences'])
+  },
+  'POST /api/notifications/test': {
+    200: object({
+      deliveries: arrayOf(object({
+        channel: string,
+        status: { type: 'string', enum: ['sent', 'skipped', 'failed'] },
+        reason: string,
+        error: string
+      }, ['channel', 'status']))
+    })
+  },
+  'POST /api/notifications/read-all': {
+    200: object({ updated: integer })
+  },
+  'POST /api/notifications/:id/read': {
+    200: object({ notification })
+  },
+  'POST /api/notifications/:id/unread': {
+    200: object({ notification })
+  },
+  'DELETE /api/notifications/:id': {
+    200: null
+  },
+  'GET /': {
+    200: {
+      body: object({
+        success: boolean,
+        message: string,
+        version: string,
+        health: object({ live: string, ready: string }),
+        documentation: object({ openapi: string, ui: string }),
+        endpoints: { type: 'object', additionalProperties: arrayOf(string), description: '\'METHOD /path\' by router' }
+      })
+    }
+  }
+};
@@ -1,32 +1,42 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { db, generateId, isValidId } = require('../database');
+const { getPermissions } = require('../services/userService');
+const { enforceLimit } = require('../services/sessionService');
+const securityEvents = require('../services/securityEventService');
+const settings = require('../services/settingService');
+const { hasRole, getMember } = require('../services/organizationService');
+const { isPrivilegedPermission } = require('../utils/permissions');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
 
 // Generate Access Token (short-lived)
-const generateAccessToken = (userId) => {
+const generateAccessToken = (userId, sessionId) => {
   if (!process.env.JWT_ACCESS_SECRET) {
     throw new Error('JWT_ACCESS_SECRET is not set in environment variables');
   }
-  return jwt.sign({ userId }, process.env.JWT_ACCESS_SECRET, {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_ACCESS_SECRET, {
     expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m'
   });
 };
 
 // Generate Refresh Token (long-lived)
-const generateRefreshToken = (userId) => {
+// sid is the token family (session) and gen its position in the rotation chain
+const generateRefreshToken = (userId, sessionId, generation = 0) => {
   if (!process.env.JWT_REFRESH_SECRET) {
     throw new Error('JWT_REFRESH_SECRET is not set in environment variables');
   }
-  return jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+  return jwt.sign({ userId, sid: sessionId, gen: generation }, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    jwtid: generateRandomToken(16) // unique even when issued within the same second
   });
 };
 
 // Generate both tokens
-const generateTokens = (userId) => {
+const generateTokens = (userId, sessionId, generation) => {
   try {
     return {
-      accessToken: generateAccessToken(userId),
-      refreshToken: generateRefreshToken(userId)
+      accessToken: generateAccessToken(userId, sessionId),
+      refreshToken: generateRefreshToken(userId, sessionId, generation)
     };
   } catch (error) {
     console.error('Token generation error:', error);
@@ -34,6 +44,89 @@ const generateTokens = (userId) => {
   }
 };
 
+// Generate a short-lived challenge token for the second login step (2FA)
+const generateTwoFactorChallenge = (userId) => {
+  if (!process.env.JWT_ACCESS_SECRET) {
+    throw new Error('JWT_ACCESS_SECRET is not set in environment variables');
+  }
+  return jwt.sign({ userId, purpose: '2fa_login' }, process.env.JWT_ACCESS_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m'
+  });
+};
+
+// Verify a 2FA challenge token; throws if invalid, expired or not a challenge
+const verifyTwoFactorChallenge = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+  if (decoded.purpose !== '2fa_login') {
+    throw new jwt.JsonWebTokenError('Not a two-factor challenge token');
+  }
+  return decoded;
+};
+
+// Device details recorded on a session
+const getClientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ip: req.ip
+});
+
+// Expiry date of a signed token
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+// Start a new device session and issue its token pair
+const createSession = async (user, req, { label } = {}) => {
+  const sessionId = generateId();
+  const { accessToken, refreshToken } = generateTokens(user._id, sessionId);
+
+  const session = await db.sessions.create({
+    _id: sessionId,
+    user: user._id,
+    label: typeof label === 'string' ? label : undefined,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: getTokenExpiry(refreshToken),
+    ...getClientInfo(req)
+  });
+
+  await enforceLimit(user._id);
+
+  return { accessToken, refreshToken, session };
+};
+
+// Issue the next token pair in a session's rotation chain. The update is
+// conditional on the token and generation that were read, so of two
+// parallel rotations exactly one succeeds; the other gets null.
+const rotateSession = async (session, req) => {
+  const nextGeneration = (session.generation || 0) + 1;
+  const { accessToken, refreshToken } = generateTokens(session.user, session._id, nextGeneration);
+
+  const rotated = await db.sessions.updateOne(
+    {
+      _id: session._id,
+      tokenHash: session.tokenHash,
+      generation: session.generation || 0
+    },
+    {
+      $set: {
+        tokenHash: hashToken(refreshToken),
+        generation: nextGeneration,
+        rotatedAt: new Date(),
+        expiresAt: getTokenExpiry(refreshToken),
+        lastUsedAt: new Date(),
+        ...getClientInfo(req)
+      }
+    }
+  );
+
+  if (!rotated) return null;
+  return { accessToken, refreshToken, session: rotated };
+};
+
+// Seconds during which the token just replaced by a rotation is rejected
+// without being treated as reuse (parallel refresh calls from one client)
+const getRotationGraceSeconds = () => {
+  const value = parseInt(process.env.REFRESH_ROTATION_GRACE_SECONDS, 10);
+  return isNaN(value) ? 10 : value;
+};
+
 // Authentication middleware
 const authenticateToken = async (req, res, next) => {
   try {
@@ -43,53 +136,77 @@ const authenticateToken = async (req, res, next) => {
     if (!token) {
       return res.status(401).json({
         success: false,
-        message: 'Access token is required'
+        code: 'ACCESS_TOKEN_REQUIRED'
       });
     }
 
     // Verify access token
     const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+
+    // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    // Tokens of a revoked session stop working immediately
+    let session = null;
+    if (decoded.sid) {
+      session = isValidId(decoded.sid)
+        ? await db.sessions.findOne({ _id: decoded.sid, user: decoded.userId })
+        : null;
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          code: 'SESSION_REVOKED'
+        });
+      }
+    }
     
     // Get user from database
-    const user = await User.findById(decoded.userId).select('-password');
+    const user = await db.users.findById(decoded.userId);
     
     if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token - user not found'
+        code: 'TOKEN_USER_NOT_FOUND'
       });
     }
 
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
-        message: 'Account is deactivated'
+        code: 'ACCOUNT_DEACTIVATED'
       });
     }
 
-    // Add user to request object
+    // Track activity, at most every five minutes per session
+    if (session && Date.now() - session.lastUsedAt.getTime() > 5 * 60 * 1000) {
+      await db.sessions.updateById(session._id, { $set: { lastUsedAt: new Date() } });
+    }
+
+    // Add user and session to request object
     req.user = user;
+    req.sessionId = session ? session._id : null;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token'
+        code: 'INVALID_TOKEN'
       });
     }
     
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
-        message: 'Token has expired'
+        code: 'TOKEN_EXPIRED'
       });
     }
 
-    console.error('Auth middleware error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error'
-    });
+    next(error);
   }
 };
 
@@ -101,7 +218,7 @@ const verifyRefreshToken = async (req, res, next) => {
     if (!refreshToken) {
       return res.status(401).json({
         success: false,
-        message: 'Refresh token is required'
+        code: 'REFRESH_TOKEN_REQUIRED'
       });
     }
 
@@ -109,74 +226,243 @@ const verifyRefreshToken = async (req, res, next) => {
     const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
     
     // Get user from database
-    const user = await User.findById(decoded.userId);
+    const user = await db.users.findById(decoded.userId);
     
     if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token - user not found'
+        code: 'REFRESH_TOKEN_USER_NOT_FOUND'
       });
     }
 
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
-        message: 'Account is deactivated'
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
+    // Check that the refresh token belongs to an active session (token family)
+    const session = decoded.sid && isValidId(decoded.sid)
+      ? await db.sessions.findOne({ _id: decoded.sid, user: user._id })
+      : null;
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_REFRESH_TOKEN'
       });
     }
 
-    // Check if refresh token exists in user's refresh tokens
-    const tokenExists = user.refreshTokens.some(rt => rt.token === refreshToken);
-    if (!tokenExists) {
+    if (session.tokenHash !== hashToken(refreshToken)) {
+      const generation = decoded.gen || 0;
+      const justRotated = generation === session.generation - 1 && session.rotatedAt &&
+        Date.now() - session.rotatedAt.getTime() <= getRotationGraceSeconds() * 1000;
+
+      // A parallel request from the same client rotated this token a moment ago
+      if (justRotated) {
+        return res.status(409).json({
+          success: false,
+          code: 'REFRESH_TOKEN_ROTATED'
+        });
+      }
+
+      // A previously rotated token was replayed: revoke the whole family
+      await db.sessions.deleteOne({ _id: session._id });
+      await securityEvents.record('refresh_token_reuse', {
+        user: user._id,
+        req,
+        details: {
+          sessionId: session._id,
+          presentedGeneration: generation,
+          currentGeneration: session.generation
+        }
+      });
+      console.warn(`Refresh token reuse detected for user ${user._id}, session ${session._id} revoked`);
+
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        code: 'REFRESH_TOKEN_REUSED'
       });
     }
 
-    // Add user to request object
+    // Add user and session to request object
     req.user = user;
     req.refreshToken = refreshToken;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        code: 'INVALID_REFRESH_TOKEN'
       });
     }
     
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
-        message: 'Refresh token has expired'
+        code: 'REFRESH_TOKEN_EXPIRED'
       });
     }
 
-    console.error('Refresh token verification error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error'
-    });
+    next(error);
   }
 };
 
+// True if an admin must enroll in 2FA before using admin-level access
+const isAdminTwoFactorPending = async (user) => user.role === 'admin' &&
+  !user.twoFactorEnabled &&
+  Boolean(await settings.getValue('requireAdminTwoFactor'));
+
 // Admin authorization middleware
-const requireAdmin = (req, res, next) => {
+// Prefer requirePermission for new routes; kept for role-based checks
+const requireAdmin = async (req, res, next) => {
   if (req.user.role !== 'admin') {
     return res.status(403).json({
       success: false,
-      message: 'Admin access required'
+      code: 'ADMIN_REQUIRED'
+    });
+  }
+
+  try {
+    if (await isAdminTwoFactorPending(req.user)) {
+      return res.status(403).json({
+        success: false,
+        code: 'ADMIN_TWO_FACTOR_REQUIRED'
+      });
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  next();
+};
+
+// Diagnostics authorization middleware: a request carrying the
+// DIAGNOSTICS_TOKEN in X-Diagnostics-Token (monitoring without a user
+// account) or an authenticated admin
+const requireDiagnosticsAccess = (req, res, next) => {
+  const expected = process.env.DIAGNOSTICS_TOKEN;
+  const presented = req.get('x-diagnostics-token');
+
+  // Compare hashes so that the comparison takes the same time for any input
+  if (expected && presented &&
+    crypto.timingSafeEqual(Buffer.from(hashToken(presented), 'hex'), Buffer.from(hashToken(expected), 'hex'))) {
+    return next();
+  }
+
+  authenticateToken(req, res, (error) => {
+    if (error) return next(error);
+    requireAdmin(req, res, next);
+  });
+};
+
+// Email verification policy: 'none' (default), 'routes' or 'login'
+// - routes: routes guarded by requireVerifiedEmail reject unverified users
+// - login:  unverified users cannot log in at all (implies 'routes')
+const getEmailVerificationPolicy = () => {
+  const policy = (process.env.EMAIL_VERIFICATION_POLICY || 'none').toLowerCase();
+  return ['none', 'routes', 'login'].includes(policy) ? policy : 'none';
+};
+
+// Verified email middleware (use after authenticateToken)
+const requireVerifiedEmail = (req, res, next) => {
+  if (getEmailVerificationPolicy() !== 'none' && !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED'
     });
   }
   next();
 };
 
+// Permission authorization middleware (use after authenticateToken)
+// Requires every listed permission, e.g. requirePermission('users:read')
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    const granted = getPermissions(req.user);
+    const missing = permissions.filter(permission => !granted.includes(permission));
+
+    if (missing.length) {
+      return res.status(403).json({
+        success: false,
+        code: 'PERMISSION_MISSING',
+        params: { permissions: missing.join(', ') }
+      });
+    }
+
+    if (permissions.some(isPrivilegedPermission) && await isAdminTwoFactorPending(req.user)) {
+      return res.status(403).json({
+        success: false,
+        code: 'ADMIN_TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    req.permissions = granted;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Organization authorization middleware (use after authenticateToken)
+// Resolves the organization from :orgId, the X-Organization-Id header or the
+// user's active organization and requires at least `minimumRole` in it
+const authorizeOrg = (minimumRole = 'viewer') => async (req, res, next) => {
+  try {
+    const orgId = req.params.orgId || req.get('x-organization-id') || req.user.activeOrganization;
+
+    if (!orgId) {
+      return res.status(400).json({
+        success: false,
+        code: 'ORGANIZATION_NOT_SELECTED'
+      });
+    }
+
+    const organization = isValidId(orgId)
+      ? await db.organizations.findOne({ _id: orgId, 'members.user': req.user._id })
+      : null;
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        code: 'ORGANIZATION_NOT_FOUND'
+      });
+    }
+
+    const member = getMember(organization, req.user._id);
+    if (!hasRole(member.role, minimumRole)) {
+      return res.status(403).json({
+        success: false,
+        code: 'ORGANIZATION_ROLE_REQUIRED',
+        params: { role: minimumRole }
+      });
+    }
+
+    req.organization = organization;
+    req.orgRole = member.role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
   generateTokens,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  getClientInfo,
+  getTokenExpiry,
+  createSession,
+  rotateSession,
   authenticateToken,
   verifyRefreshToken,
-  requireAdmin
+  requireAdmin,
+  requireDiagnosticsAccess,
+  requirePermission,
+  authorizeOrg,
+  requireVerifiedEmail,
+  getEmailVerificationPolicy
 };
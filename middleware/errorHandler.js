@@ -0,0 +1,104 @@
+const { STATUS_CODES } = require('http');
+const { AppError, NotFoundError, schemaFieldErrors } = require('../utils/errors');
+
+// Internal error details (name, message, stack) are only added to responses in
+// development and test; production answers with the code and message alone.
+const exposeDetails = () => ['development', 'test'].includes(process.env.NODE_ENV);
+
+// Run an async route handler and pass a rejection on to the error middleware
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// Codes for duplicates of these unique fields
+const DUPLICATE_CODES = {
+  email: 'EMAIL_EXISTS',
+  username: 'USERNAME_EXISTS'
+};
+
+// { status, code, params, errors, extra, headers } for any error
+const describeError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  // Schema validation (every storage driver validates with Mongoose)
+  if (error.name === 'ValidationError' && error.errors) {
+    return { status: 400, code: 'VALIDATION_ERROR', errors: schemaFieldErrors(error) };
+  }
+  if (error.name === 'CastError') {
+    return {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      errors: [{ field: error.path, code: 'FIELD_INVALID', params: { field: error.path } }]
+    };
+  }
+
+  // Unique index violation
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyValue || error.keyPattern || {})[0];
+    const code = DUPLICATE_CODES[field] || 'DUPLICATE_VALUE';
+    return {
+      status: 409,
+      code,
+      params: { field },
+      errors: field ? [{ field, code, params: { field } }] : undefined
+    };
+  }
+
+  // Body parser errors (malformed JSON, body too large)
+  if (error.type === 'entity.parse.failed') {
+    return { status: 400, code: 'INVALID_JSON' };
+  }
+  if (error.type === 'entity.too.large') {
+    return { status: 413, code: 'PAYLOAD_TOO_LARGE' };
+  }
+
+  // Other client errors raised by Express middleware (http-errors)
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return { status: error.status, code: (STATUS_CODES[error.status] || 'Bad Request').toUpperCase().replace(/[^A-Z]+/g, '_') };
+  }
+
+  return { status: 500, code: 'INTERNAL_ERROR' };
+};
+
+// 404 for requests no route handled
+const notFound = (req, res, next) => {
+  next(new NotFoundError('ROUTE_NOT_FOUND'));
+};
+
+// Final error middleware: every error becomes { success: false, code, message, ... }
+const errorHandler = (error, req, res, next) => {
+  const { status, code, params, errors, extra, headers } = describeError(error);
+
+  if (status >= 500) {
+    console.error(`Error on ${req.method} ${req.originalUrl}:`, error.cause || error);
+  }
+
+  // The response is already streaming (e.g. a file export): just end it
+  if (res.headersSent) {
+    return res.destroy(error);
+  }
+
+  if (headers) res.set(headers);
+
+  const debug = exposeDetails() && !(error instanceof AppError && status < 500)
+    ? { name: error.name, message: error.message, stack: error.stack }
+    : undefined;
+
+  res.status(status).json({
+    success: false,
+    code,
+    params,
+    ...(errors ? { errors } : {}),
+    ...extra,
+    ...(debug ? { debug } : {})
+  });
+};
+
+module.exports = {
+  asyncHandler,
+  describeError,
+  notFound,
+  errorHandler
+};
@@ -0,0 +1,86 @@
+const { STATUS_CODES } = require('http');
+const {
+  DEFAULT_LOCALE,
+  isLocale,
+  hasMessage,
+  translate,
+  negotiateLocale
+} = require('../utils/i18n');
+
+// message_sv is deprecated in favour of `code` and a negotiated `message`.
+// It is still sent until LEGACY_MESSAGE_SV=false.
+const sendLegacySwedish = () => process.env.LEGACY_MESSAGE_SV !== 'false';
+
+// The user's stored preference, then Accept-Language, then the default.
+// Resolved when the response is sent, so authenticateToken has set req.user.
+const resolveLocale = (req) => {
+  if (req.user && isLocale(req.user.locale)) return req.user.locale;
+  return negotiateLocale(req.get('accept-language')) || DEFAULT_LOCALE;
+};
+
+// Code for error responses that have none, from the HTTP status: NOT_FOUND, CONFLICT, ...
+const statusCode = (status) => (STATUS_CODES[status] || 'Error').toUpperCase().replace(/[^A-Z]+/g, '_');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+// Field errors given as { field, code, params } get a message in the locale
+const localizeErrors = (errors, locale) => errors.map(error => {
+  if (!isPlainObject(error) || !error.code || error.message !== undefined) return error;
+  const { params, ...rest } = error;
+  return { ...rest, message: translate(error.code, locale, params) };
+});
+
+// Fill in message (and message_sv) of a response body from its { code, params }.
+// Bodies that already carry a message are left as they are.
+const localizeBody = (body, locale, status) => {
+  const { params, ...result } = body;
+
+  if (result.code && result.message === undefined) {
+    if (hasMessage(result.code)) {
+      result.message = translate(result.code, locale, params);
+      result.message_sv = translate(result.code, 'sv', params);
+    } else {
+      result.message = STATUS_CODES[status] || result.code;
+    }
+  }
+
+  if (result.success === false && !result.code) {
+    result.code = statusCode(status);
+  }
+  if (Array.isArray(result.errors)) {
+    result.errors = localizeErrors(result.errors, locale);
+  }
+  if (!sendLegacySwedish()) {
+    delete result.message_sv;
+  }
+
+  // success, code and messages first, as the handlers write them
+  const { success, code, message, message_sv: messageSv, ...rest } = result;
+  return Object.fromEntries(Object.entries({ success, code, message, message_sv: messageSv, ...rest })
+    .filter(([, value]) => value !== undefined));
+};
+
+// Localize JSON responses for the request's language (mount before the routes).
+// Sets Content-Language and req.locale / req.t(code, params) for handlers.
+const localizeResponses = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  Object.defineProperty(req, 'locale', { get: () => resolveLocale(req), configurable: true });
+  req.t = (code, params) => translate(code, req.locale, params);
+
+  res.json = (body) => {
+    if (!isPlainObject(body)) return json(body);
+    const locale = req.locale;
+    res.set('Content-Language', locale);
+    res.vary('Accept-Language');
+    return json(localizeBody(body, locale, res.statusCode));
+  };
+  next();
+};
+
+module.exports = {
+  resolveLocale,
+  localizeBody,
+  localizeResponses
+};
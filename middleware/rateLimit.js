@@ -0,0 +1,121 @@
+const { normalizeEmail } = require('../utils/validation');
+
+// In-memory sliding-window store (default)
+// Keeps a log of at most `max` hit timestamps per key. Suitable for a single instance;
+// shared deployments should plug in a store backed by Redis or MongoDB
+// implementing the same increment/reset interface.
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+    // Periodically drop keys whose hits have all left the window
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+    if (this.cleanupTimer.unref) this.cleanupTimer.unref();
+  }
+
+  // Record a hit; returns the hit count inside the window and
+  // when the oldest of those hits leaves the window. Hits past `max` are
+  // counted but not stored, so a client that keeps going over the limit
+  // cannot grow the log beyond `max` entries.
+  async increment(key, windowMs, max = Infinity) {
+    const now = Date.now();
+    const entry = this.entries.get(key) || { timestamps: [], windowMs };
+    entry.timestamps = entry.timestamps.filter(ts => ts > now - windowMs);
+    entry.windowMs = windowMs;
+    this.entries.set(key, entry);
+
+    if (entry.timestamps.length >= max) {
+      return {
+        count: entry.timestamps.length + 1,
+        resetAt: new Date(entry.timestamps[0] + windowMs)
+      };
+    }
+
+    entry.timestamps.push(now);
+    return {
+      count: entry.timestamps.length,
+      resetAt: new Date(entry.timestamps[0] + windowMs)
+    };
+  }
+
+  // Forget all hits for a key
+  async reset(key) {
+    this.entries.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      const newest = entry.timestamps[entry.timestamps.length - 1];
+      if (!newest || newest <= now - entry.windowMs) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+let defaultStore = null;
+
+// Replace the store used by limiters that do not pass their own
+const setDefaultStore = (store) => {
+  defaultStore = store;
+};
+
+const getDefaultStore = () => {
+  if (!defaultStore) defaultStore = new MemoryStore();
+  return defaultStore;
+};
+
+// Key generators
+const ipKey = (req) => req.ip;
+const emailKey = (req) => {
+  const email = req.body && req.body.email;
+  return typeof email === 'string' && email.trim() ? normalizeEmail(email) : null;
+};
+
+// Create a sliding-window rate limiting middleware
+// options: name, windowMs, max, keyGenerator (return null to skip), store and
+// code (answered with { seconds } until the next request is allowed)
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = ipKey,
+  store,
+  code = 'TOO_MANY_REQUESTS'
+}) => async (req, res, next) => {
+  try {
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    const { count, resetAt } = await (store || getDefaultStore()).increment(`${name}:${key}`, windowMs, max);
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - count, 0)));
+
+    if (count > max) {
+      const retryAfter = Math.max(Math.ceil((resetAt.getTime() - Date.now()) / 1000), 1);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        code,
+        params: { seconds: retryAfter },
+        retryAfter
+      });
+    }
+
+    next();
+  } catch (error) {
+    // Never block authentication because the limiter store is unavailable
+    console.error('Rate limit error:', error);
+    next();
+  }
+};
+
+module.exports = {
+  MemoryStore,
+  rateLimit,
+  setDefaultStore,
+  getDefaultStore,
+  ipKey,
+  emailKey
+};
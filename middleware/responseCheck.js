@@ -0,0 +1,42 @@
+const { getSpec, checkResponse } = require('../utils/openapi');
+const { translate } = require('../utils/i18n');
+
+// Responses are checked against the OpenAPI document under NODE_ENV=test or
+// with CHECK_RESPONSES=true
+const isEnabled = () => process.env.NODE_ENV === 'test' || process.env.CHECK_RESPONSES === 'true';
+
+// Check JSON responses against the OpenAPI document (utils/openapi). A response
+// that does not match its declared schema is logged and replaced by a 500, so
+// tests fail on it. Mount before localizeResponses to check the final body.
+const checkResponses = (req, res, next) => {
+  if (!isEnabled()) return next();
+
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const problems = checkResponse(getSpec(req.app), {
+      method: req.method,
+      path: req.route && req.route.path !== undefined
+        ? req.baseUrl + (req.route.path === '/' && req.baseUrl ? '' : req.route.path)
+        : null,
+      status: res.statusCode,
+      body
+    });
+
+    if (!problems.length) return json(body);
+
+    console.error(`Response of ${req.method} ${req.originalUrl} does not match the API document:`, problems);
+    res.status(500);
+    return json({
+      success: false,
+      code: 'RESPONSE_SCHEMA_MISMATCH',
+      message: translate('RESPONSE_SCHEMA_MISMATCH'),
+      errors: problems.map(problem => ({ code: 'RESPONSE_SCHEMA_MISMATCH', message: problem }))
+    });
+  };
+  next();
+};
+
+module.exports = {
+  checkResponses
+};
@@ -0,0 +1,40 @@
+const multer = require('multer');
+
+// Uploads are kept in memory: they are parsed once and never stored as files
+const DEFAULT_MAX_UPLOAD_MB = 5;
+
+const maxUploadBytes = () => (parseFloat(process.env.MAX_UPLOAD_MB) || DEFAULT_MAX_UPLOAD_MB) * 1024 * 1024;
+
+// Accept a single file in the given multipart field (req.file) plus text fields (req.body).
+// Multer errors become 400 responses instead of reaching the global error handler.
+const uploadFile = (field = 'file') => {
+  const middleware = (req, res, next) => {
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxUploadBytes(), files: 1, fields: 20 }
+    }).single(field);
+
+    upload(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError) {
+        const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+          success: false,
+          code: tooLarge ? 'FILE_TOO_LARGE' : 'INVALID_UPLOAD',
+          params: { maxMb: maxUploadBytes() / 1024 / 1024, reason: error.message }
+        });
+      }
+
+      next(error);
+    });
+  };
+
+  // The API docs describe the request as multipart with this file field
+  middleware.fileField = field;
+  return middleware;
+};
+
+module.exports = {
+  uploadFile
+};
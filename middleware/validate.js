@@ -0,0 +1,37 @@
+const { validateInput } = require('../utils/validation');
+const { ValidationError } = require('../utils/errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Validate req.params, req.query and req.body against schemas (utils/validation)
+// and replace them with the coerced values; unknown fields are dropped.
+// Answers 400 VALIDATION_ERROR with the field errors of every location.
+// The schemas are kept on the middleware (validate(...).schemas) for the API docs.
+const validate = (schemas) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+
+      const result = validateInput(schemas[location], req[location]);
+      if (result.errors) {
+        errors.push(...result.errors.map(error => ({ ...error, in: location })));
+      } else {
+        req[location] = result.value;
+      }
+    }
+
+    if (errors.length) {
+      return next(new ValidationError('VALIDATION_ERROR', { errors }));
+    }
+    next();
+  };
+
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+module.exports = {
+  validate
+};
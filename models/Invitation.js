@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Organization = require('./Organization');
+const { EMAIL_REGEX } = require('../utils/validation');
+
+const invitationSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [EMAIL_REGEX, 'Please enter a valid email']
+  },
+  role: {
+    type: String,
+    enum: Organization.ROLES,
+    default: 'member'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ email: 1, status: 1 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
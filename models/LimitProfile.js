@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { PARAMETERS } = require('../utils/parameters');
+
+// Allowed range of a parameter; either bound may be left out
+const rangeSchema = new mongoose.Schema({
+  min: {
+    type: Number
+  },
+  max: {
+    type: Number
+  }
+}, {
+  _id: false
+});
+
+// Limits of one parameter, in the parameter's catalogue unit
+const limitSchema = new mongoose.Schema({
+  parameter: {
+    type: String,
+    required: [true, 'Parameter is required'],
+    enum: {
+      values: Object.keys(PARAMETERS),
+      message: 'Unknown parameter: {VALUE}'
+    }
+  },
+  // Outside this range: fit for consumption with remarks
+  remark: rangeSchema,
+  // Outside this range: unfit for consumption
+  unfit: rangeSchema,
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters']
+  },
+  note_sv: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters']
+  }
+}, {
+  _id: false
+});
+
+// Custom limit profile managed by admins (built-in profiles live in utils/limitProfiles.js)
+const limitProfileSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9][a-z0-9-]{1,49}$/, 'Code may only contain letters, digits and hyphens (2-50 characters)']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  name_sv: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  description_sv: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  limits: {
+    type: [limitSchema],
+    validate: {
+      validator: (limits) => limits.length > 0,
+      message: 'At least one limit is required'
+    }
+  },
+  // Inactive profiles are hidden from users and cannot be used for evaluation
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('LimitProfile', limitProfileSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { TYPES } = require('../utils/notifications');
+
+// In-app inbox entry; texts are rendered when the notification is sent
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(TYPES),
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  title_sv: {
+    type: String,
+    required: true,
+    maxlength: [200, 'Swedish title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  message_sv: {
+    type: String,
+    required: true,
+    maxlength: [2000, 'Swedish message cannot exceed 2000 characters']
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // null while unread
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Organization roles, lowest to highest privilege
+const ORG_ROLES = ['viewer', 'member', 'manager', 'owner'];
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ORG_ROLES,
+    default: 'member'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    minlength: [2, 'Organization name must be at least 2 characters long'],
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [memberSchema]
+}, {
+  timestamps: true
+});
+
+organizationSchema.index({ 'members.user': 1 });
+
+organizationSchema.statics.ROLES = ORG_ROLES;
+
+module.exports = mongoose.model('Organization', organizationSchema);
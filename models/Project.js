@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A user's folder of saved calculations (e.g. one per plant or assignment)
+const projectSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [100, 'Project name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Tags cannot exceed 30 characters']
+  }]
+}, {
+  timestamps: true
+});
+
+projectSchema.index({ owner: 1, updatedAt: -1 });
+projectSchema.index({ owner: 1, tags: 1 });
+// Full-text search (services/projectService searchFilter). Language 'none':
+// names mix Swedish and English, so words are matched without stemming.
+projectSchema.index(
+  { name: 'text', description: 'text', tags: 'text' },
+  { name: 'project_text', weights: { name: 10, tags: 5, description: 1 }, default_language: 'none' }
+);
+
+module.exports = mongoose.model('Project', projectSchema);
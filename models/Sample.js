@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const Site = require('./Site');
+const { PARAMETERS } = require('../utils/parameters');
+
+const SAMPLE_TYPES = ['lab', 'field'];
+
+// '<' below the detection/reporting limit, '>' above the measuring range
+const QUALIFIERS = ['=', '<', '>'];
+
+// One result. value/unit are kept as entered; normalizedValue is in the
+// catalogue unit of the parameter (utils/parameters.js) so results compare.
+const measurementSchema = new mongoose.Schema({
+  parameter: {
+    type: String,
+    required: [true, 'Parameter is required'],
+    enum: {
+      values: Object.keys(PARAMETERS),
+      message: 'Unknown parameter: {VALUE}'
+    }
+  },
+  value: {
+    type: Number,
+    required: [true, 'Value is required']
+  },
+  unit: {
+    type: String,
+    required: true
+  },
+  qualifier: {
+    type: String,
+    enum: QUALIFIERS,
+    default: '='
+  },
+  detectionLimit: {
+    type: Number,
+    min: [0, 'Detection limit cannot be negative']
+  },
+  normalizedValue: {
+    type: Number,
+    required: true
+  },
+  normalizedUnit: {
+    type: String,
+    required: true
+  },
+  normalizedDetectionLimit: {
+    type: Number
+  },
+  belowDetectionLimit: {
+    type: Boolean,
+    default: false
+  },
+  method: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Method cannot exceed 100 characters']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  _id: false
+});
+
+const sampleLocationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Location name is required'],
+    trim: true,
+    maxlength: [100, 'Location name cannot exceed 100 characters']
+  },
+  latitude: {
+    type: Number,
+    min: [-90, 'Latitude must be between -90 and 90'],
+    max: [90, 'Latitude must be between -90 and 90']
+  },
+  longitude: {
+    type: Number,
+    min: [-180, 'Longitude must be between -180 and 180'],
+    max: [180, 'Longitude must be between -180 and 180']
+  },
+  sourceType: {
+    type: String,
+    enum: {
+      values: Site.TYPES,
+      message: `Source type must be one of: ${Site.TYPES.join(', ')}`
+    },
+    default: 'other'
+  }
+}, {
+  _id: false
+});
+
+const sampleSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Optional link to a monitoring site; the location is copied so the
+  // sample keeps its place if the site changes or is deleted
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Site',
+    default: null
+  },
+  samplingPoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  location: {
+    type: sampleLocationSchema,
+    required: [true, 'Sampling location is required']
+  },
+  collectedAt: {
+    type: Date,
+    required: [true, 'Collection time is required']
+  },
+  sampleType: {
+    type: String,
+    enum: SAMPLE_TYPES,
+    default: 'lab'
+  },
+  laboratory: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Laboratory cannot exceed 100 characters']
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  measurements: {
+    type: [measurementSchema],
+    validate: {
+      validator: (measurements) => measurements.length > 0,
+      message: 'At least one measurement is required'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+sampleSchema.index({ owner: 1, collectedAt: -1 });
+sampleSchema.index({ site: 1, collectedAt: -1 });
+sampleSchema.index({ 'measurements.parameter': 1 });
+sampleSchema.index({ 'location.latitude': 1, 'location.longitude': 1 });
+
+sampleSchema.statics.TYPES = SAMPLE_TYPES;
+sampleSchema.statics.QUALIFIERS = QUALIFIERS;
+
+module.exports = mongoose.model('Sample', sampleSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { FORMULAS } = require('../utils/calculations');
+
+// Inputs and results of one version of a calculation
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  inputs: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  results: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // What changed, e.g. "new dose after lab results"
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false,
+  minimize: false
+});
+
+// A calculation from the calculation library (utils/calculations.js) saved in
+// a project. inputs/results are the current version; `versions` keeps the history.
+const savedCalculationSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Calculation name is required'],
+    trim: true,
+    maxlength: [100, 'Calculation name cannot exceed 100 characters']
+  },
+  formula: {
+    type: String,
+    required: [true, 'Formula is required'],
+    enum: {
+      values: Object.keys(FORMULAS),
+      message: 'Unknown formula: {VALUE}'
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Tags cannot exceed 30 characters']
+  }],
+  // Inputs as entered, so the calculation reopens exactly as it was saved
+  inputs: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  results: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  versions: [versionSchema]
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+savedCalculationSchema.index({ owner: 1, updatedAt: -1 });
+savedCalculationSchema.index({ project: 1, updatedAt: -1 });
+savedCalculationSchema.index({ owner: 1, formula: 1 });
+// Full-text search, as for projects
+savedCalculationSchema.index(
+  { name: 'text', notes: 'text', tags: 'text' },
+  { name: 'calculation_text', weights: { name: 10, tags: 5, notes: 1 }, default_language: 'none' }
+);
+
+module.exports = mongoose.model('SavedCalculation', savedCalculationSchema);
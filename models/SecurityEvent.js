@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const SECURITY_EVENT_TYPES = ['refresh_token_reuse'];
+
+const securityEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  type: {
+    type: String,
+    enum: SECURITY_EVENT_TYPES,
+    required: true
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+securityEventSchema.statics.TYPES = SECURITY_EVENT_TYPES;
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Application settings managed by admins at runtime
+const SETTING_DEFAULTS = {
+  requireAdminTwoFactor: false
+};
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: Object.keys(SETTING_DEFAULTS)
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+settingSchema.statics.DEFAULTS = SETTING_DEFAULTS;
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+const SITE_TYPES = ['well', 'lake', 'river', 'reservoir', 'treatment_plant', 'tap', 'other'];
+
+// Access levels for users a site is shared with
+const SHARE_ACCESS = ['read', 'write'];
+
+// WGS84 coordinates
+const locationSchema = new mongoose.Schema({
+  latitude: {
+    type: Number,
+    required: [true, 'Latitude is required'],
+    min: [-90, 'Latitude must be between -90 and 90'],
+    max: [90, 'Latitude must be between -90 and 90']
+  },
+  longitude: {
+    type: Number,
+    required: [true, 'Longitude is required'],
+    min: [-180, 'Longitude must be between -180 and 180'],
+    max: [180, 'Longitude must be between -180 and 180']
+  }
+}, {
+  _id: false
+});
+
+// A spot within a site where samples are taken (e.g. inlet, outlet, a tap)
+const samplingPointSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Sampling point name is required'],
+    trim: true,
+    maxlength: [100, 'Sampling point name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  location: locationSchema,
+  // Sampling depth in metres (wells, lakes)
+  depth: {
+    type: Number,
+    min: [0, 'Depth cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Set explicitly: subdocument timestamps are not applied by every storage driver
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const shareSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  access: {
+    type: String,
+    enum: SHARE_ACCESS,
+    default: 'read'
+  }
+}, {
+  _id: false
+});
+
+const siteSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Site name is required'],
+    trim: true,
+    minlength: [2, 'Site name must be at least 2 characters long'],
+    maxlength: [100, 'Site name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Site type is required'],
+    enum: {
+      values: SITE_TYPES,
+      message: `Site type must be one of: ${SITE_TYPES.join(', ')}`
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  location: {
+    type: locationSchema,
+    required: [true, 'Coordinates are required']
+  },
+  municipality: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Municipality cannot exceed 100 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Members of the organization can see the site (members and up can edit it)
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  sharedWith: [shareSchema],
+  // Free-form details (e.g. well depth, capacity, plant operator)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  samplingPoints: [samplingPointSchema]
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+siteSchema.index({ owner: 1 });
+siteSchema.index({ organization: 1 });
+siteSchema.index({ 'sharedWith.user': 1 });
+siteSchema.index({ 'location.latitude': 1, 'location.longitude': 1 });
+
+siteSchema.statics.TYPES = SITE_TYPES;
+siteSchema.statics.SHARE_ACCESS = SHARE_ACCESS;
+
+module.exports = mongoose.model('Site', siteSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Account activity for usage analytics (services/analyticsService).
+// Only what the statistics need is stored: no IP address or user agent.
+const USAGE_EVENT_TYPES = ['registration', 'login', 'login_failed'];
+
+// Why a login failed (details.reason of login_failed events)
+const FAILURE_REASONS = ['unknown_email', 'invalid_password', 'invalid_two_factor', 'inactive', 'locked', 'unverified_email'];
+
+const usageEventSchema = new mongoose.Schema({
+  // Missing for failed logins with an unknown email
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: USAGE_EVENT_TYPES,
+    required: true
+  },
+  // login: { method: 'password' | 'totp' | 'recovery' }
+  // login_failed: { reason }
+  // registration: { source: 'self' | 'import' }
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Every analytics query selects one type over a time range; with user in the
+// index, distinct-user counts are answered from the index alone
+usageEventSchema.index({ type: 1, createdAt: 1, user: 1 });
+// Activity of a single account
+usageEventSchema.index({ user: 1, createdAt: -1 });
+
+usageEventSchema.statics.TYPES = USAGE_EVENT_TYPES;
+usageEventSchema.statics.FAILURE_REASONS = FAILURE_REASONS;
+
+module.exports = mongoose.model('UsageEvent', usageEventSchema);
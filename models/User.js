@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
+const { PERMISSIONS, ROLES } = require('../utils/permissions');
+const { CHANNELS, DEFAULT_CHANNELS } = require('../utils/notifications');
+const { LOCALES } = require('../utils/i18n');
+const { EMAIL_REGEX } = require('../utils/validation');
 
+// Schema definition only: queries go through database/ repositories and
+// account logic lives in services/userService
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -16,12 +21,13 @@ const userSchema = new mongoose.Schema({
     unique: true,
     trim: true,
     lowercase: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    match: [EMAIL_REGEX, 'Please enter a valid email']
   },
+  // bcrypt hash (services/userService hashPassword); load with '+password'
   password: {
     type: String,
     required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters long']
+    select: false
   },
   firstName: {
     type: String,
@@ -35,11 +41,46 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Last name cannot exceed 50 characters']
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  pendingEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [EMAIL_REGEX, 'Please enter a valid email']
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date
+  },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
+  // Per-user adjustments to the permissions bundled with the role
+  permissionOverrides: {
+    grant: {
+      type: [{ type: String, enum: Object.keys(PERMISSIONS) }],
+      default: []
+    },
+    deny: {
+      type: [{ type: String, enum: Object.keys(PERMISSIONS) }],
+      default: []
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -47,65 +88,88 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
-  refreshTokens: [{
-    token: {
-      type: String,
-      required: true
+  // Preferred response language; Accept-Language is used when unset
+  locale: {
+    type: String,
+    enum: LOCALES
+  },
+  activeOrganization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  // TOTP secrets are stored encrypted (utils/totp encryptSecret)
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so each code works only once
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Channels notifications are delivered on (services/notificationService)
+  notificationPreferences: {
+    channels: {
+      type: [{ type: String, enum: Object.keys(CHANNELS) }],
+      default: () => [...DEFAULT_CHANNELS]
     },
-    createdAt: {
-      type: Date,
-      default: Date.now,
-      expires: 604800 // 7 days in seconds
+    webhookUrl: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Webhook URL cannot exceed 500 characters']
     }
-  }]
+  },
+  // Webhook signing secret, stored encrypted (utils/totp encryptSecret)
+  notificationWebhookSecret: {
+    type: String,
+    select: false
+  }
 }, {
   timestamps: true
 });
 
-// Hash password before saving
-userSchema.pre('save', async function(next) {
-  // Only hash the password if it has been modified (or is new)
-  if (!this.isModified('password')) return next();
-  
-  try {
-    // Hash password with cost of 12
-    const salt = await bcrypt.genSalt(12);
-    this.password = await bcrypt.hash(this.password, salt);
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
-
-// Compare password method
-userSchema.methods.comparePassword = async function(candidatePassword) {
-  return await bcrypt.compare(candidatePassword, this.password);
-};
-
-// Add refresh token method
-userSchema.methods.addRefreshToken = function(token) {
-  this.refreshTokens.push({ token });
-  return this.save();
-};
-
-// Remove refresh token method
-userSchema.methods.removeRefreshToken = function(token) {
-  this.refreshTokens = this.refreshTokens.filter(rt => rt.token !== token);
-  return this.save();
-};
-
-// Remove all refresh tokens method
-userSchema.methods.removeAllRefreshTokens = function() {
-  this.refreshTokens = [];
-  return this.save();
-};
-
-// Remove password from JSON output
-userSchema.methods.toJSON = function() {
-  const userObject = this.toObject();
-  delete userObject.password;
-  delete userObject.refreshTokens;
-  return userObject;
-};
+// Admin lists, exports and dormant-account statistics filter on these
+userSchema.index({ lastLogin: 1 });
+userSchema.index({ createdAt: 1 });
 
 module.exports = mongoose.model('User', userSchema);
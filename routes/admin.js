@@ -0,0 +1,271 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const { ROLES, PERMISSIONS } = require('../utils/permissions');
+const { EXPORT_FORMATS, LANGUAGES } = require('../services/userExportService');
+const { INTERVALS } = require('../services/analyticsService');
+const {
+  listUsers,
+  exportUsers,
+  exportUserReport,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  forceLogoutUser,
+  deleteUser,
+  updateUserPermissions,
+  listPermissions,
+  getSettings,
+  updateSettings
+} = require('../controllers/adminController');
+const {
+  listLimitProfiles,
+  createLimitProfile,
+  updateLimitProfile,
+  deleteLimitProfile
+} = require('../controllers/evaluationController');
+const { importUsers } = require('../controllers/userImportController');
+const {
+  getOverview,
+  getActiveUsers,
+  getRegistrations,
+  getFailedLogins,
+  getRetention,
+  getDormantAccounts
+} = require('../controllers/analyticsController');
+const { uploadFile } = require('../middleware/upload');
+
+const router = express.Router();
+
+// All admin routes require authentication; each route declares its permission
+router.use(authenticateToken);
+
+// Request schemas (middleware/validate): unknown fields are dropped
+const id = { type: 'id', required: true };
+const page = { type: 'integer', min: 1, default: 1 };
+const limit = { type: 'integer', min: 1, max: 100, default: 20 };
+const lang = { type: 'string', lowercase: true, enum: LANGUAGES, default: 'en' };
+const interval = { type: 'string', enum: Object.keys(INTERVALS), default: 'day' };
+const idSchema = validate({ params: { id } });
+
+// Filters shared by the user list, export and report
+const userFilters = {
+  role: { type: 'string', enum: ROLES },
+  isActive: { type: 'boolean' },
+  search: { type: 'string', trim: true, maxLength: 100, description: 'Part of email, username or name' },
+  includeDeleted: { type: 'boolean' },
+  lastLoginFrom: { type: 'date' },
+  lastLoginTo: { type: 'date' },
+  createdFrom: { type: 'date' },
+  createdTo: { type: 'date' }
+};
+
+const listUsersSchema = validate({
+  query: {
+    ...userFilters,
+    page,
+    limit,
+    sort: { type: 'string', enum: ['createdAt', 'lastLogin', 'email', 'username', 'lastName'], default: 'createdAt' },
+    order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' }
+  }
+});
+
+const importSchema = validate({
+  body: {
+    mapping: { type: 'string', description: 'JSON object from field to column header' },
+    dryRun: { type: 'boolean', default: true },
+    sendEmails: { type: 'boolean', default: true }
+  }
+});
+
+const exportSchema = validate({
+  query: {
+    ...userFilters,
+    format: { type: 'string', lowercase: true, enum: EXPORT_FORMATS, default: EXPORT_FORMATS[0] },
+    lang,
+    delimiter: { type: 'string', enum: [',', ';'], default: ',', description: 'CSV only' }
+  }
+});
+
+const reportSchema = validate({
+  query: { ...userFilters, lang }
+});
+
+const roleSchema = validate({
+  params: { id },
+  body: { role: { type: 'string', required: true, enum: ROLES } }
+});
+
+const statusSchema = validate({
+  params: { id },
+  body: { isActive: { type: 'boolean', required: true } }
+});
+
+const permissionList = { type: 'array', items: { type: 'string', enum: Object.keys(PERMISSIONS) }, default: () => [] };
+const permissionsSchema = validate({
+  params: { id },
+  body: { grant: permissionList, deny: permissionList }
+});
+
+const settingsSchema = validate({
+  body: { requireAdminTwoFactor: { type: 'boolean' } }
+});
+
+const rangeSchema = validate({
+  query: { interval, from: { type: 'date' }, to: { type: 'date', description: 'Defaults to now' } }
+});
+
+const retentionSchema = validate({
+  query: {
+    interval: { type: 'string', enum: ['week', 'month'], default: 'week' },
+    from: { type: 'date' },
+    to: { type: 'date', description: 'Defaults to now' },
+    periods: { type: 'integer', min: 2, max: 24, default: 8, description: 'Periods followed after registration' }
+  }
+});
+
+const dormantSchema = validate({
+  query: { days: { type: 'integer', min: 1, max: 3650, default: 90 }, page, limit }
+});
+
+const limitProfileFields = {
+  code: { type: 'string', trim: true, lowercase: true, pattern: /^[a-z0-9][a-z0-9-]{1,49}$/, description: 'Letters, digits and hyphens' },
+  name: { type: 'string', trim: true, maxLength: 100 },
+  name_sv: { type: 'string', trim: true, maxLength: 100 },
+  description: { type: 'string', trim: true, maxLength: 500 },
+  description_sv: { type: 'string', trim: true, maxLength: 500 },
+  isActive: { type: 'boolean' },
+  limits: { type: 'array', items: { type: 'object' }, description: '{ parameter, unit, remark: { min, max }, unfit: { min, max }, note, note_sv }' }
+};
+
+const createLimitProfileSchema = validate({
+  body: {
+    ...limitProfileFields,
+    code: { ...limitProfileFields.code, required: true },
+    name: { ...limitProfileFields.name, required: true },
+    limits: { ...limitProfileFields.limits, required: true }
+  }
+});
+
+const updateLimitProfileSchema = validate({
+  params: { id },
+  body: limitProfileFields
+});
+
+// @route   GET /api/admin/users
+// @desc    List users (pagination, role/isActive/date filters, search)
+// @access  Private/Admin (users:read)
+router.get('/users', requirePermission('users:read'), listUsersSchema, asyncHandler(listUsers));
+
+// @route   POST /api/admin/users/import
+// @desc    Import users from CSV/XLSX (multipart: file, mapping, dryRun, sendEmails)
+// @access  Private/Admin (users:write)
+router.post('/users/import', requirePermission('users:write'), uploadFile('file'), importSchema, asyncHandler(importUsers));
+
+// @route   GET /api/admin/users/export
+// @desc    Export users as CSV or XLSX (format, lang, delimiter and the list filters)
+// @access  Private/Admin (users:read)
+router.get('/users/export', requirePermission('users:read'), exportSchema, asyncHandler(exportUsers));
+
+// @route   GET /api/admin/users/report
+// @desc    PDF account summary report in English or Swedish (lang and the list filters)
+// @access  Private/Admin (reports:export)
+router.get('/users/report', requirePermission('reports:export'), reportSchema, asyncHandler(exportUserReport));
+
+// @route   GET /api/admin/users/:id
+// @desc    Get user details
+// @access  Private/Admin (users:read)
+router.get('/users/:id', requirePermission('users:read'), idSchema, asyncHandler(getUser));
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change user role
+// @access  Private/Admin (users:write)
+router.put('/users/:id/role', requirePermission('users:write'), roleSchema, asyncHandler(updateUserRole));
+
+// @route   PUT /api/admin/users/:id/status
+// @desc    Activate or deactivate user
+// @access  Private/Admin (users:write)
+router.put('/users/:id/status', requirePermission('users:write'), statusSchema, asyncHandler(updateUserStatus));
+
+// @route   PUT /api/admin/users/:id/permissions
+// @desc    Set per-user permission overrides
+// @access  Private/Admin (users:write)
+router.put('/users/:id/permissions', requirePermission('users:write'), permissionsSchema, asyncHandler(updateUserPermissions));
+
+// @route   POST /api/admin/users/:id/logout
+// @desc    Force logout user from all devices
+// @access  Private/Admin (users:write)
+router.post('/users/:id/logout', requirePermission('users:write'), idSchema, asyncHandler(forceLogoutUser));
+
+// @route   DELETE /api/admin/users/:id
+// @desc    Soft delete user
+// @access  Private/Admin (users:delete)
+router.delete('/users/:id', requirePermission('users:delete'), idSchema, asyncHandler(deleteUser));
+
+// @route   GET /api/admin/permissions
+// @desc    List permission catalogue and role bundles
+// @access  Private/Admin (users:read)
+router.get('/permissions', requirePermission('users:read'), asyncHandler(listPermissions));
+
+// @route   GET /api/admin/settings
+// @desc    Get application settings
+// @access  Private/Admin (settings:read)
+router.get('/settings', requirePermission('settings:read'), asyncHandler(getSettings));
+
+// @route   PUT /api/admin/settings
+// @desc    Update application settings (e.g. require 2FA for admins)
+// @access  Private/Admin (settings:write)
+router.put('/settings', requirePermission('settings:write'), settingsSchema, asyncHandler(updateSettings));
+
+// @route   GET /api/admin/analytics/overview
+// @desc    Active users (day/week/month), recent registrations, failed logins and dormant accounts
+// @access  Private/Admin (users:read)
+router.get('/analytics/overview', requirePermission('users:read'), asyncHandler(getOverview));
+
+// @route   GET /api/admin/analytics/active-users
+// @desc    Active users and logins per day, week or month (interval, from, to)
+// @access  Private/Admin (users:read)
+router.get('/analytics/active-users', requirePermission('users:read'), rangeSchema, asyncHandler(getActiveUsers));
+
+// @route   GET /api/admin/analytics/registrations
+// @desc    New registrations per period, by source (interval, from, to)
+// @access  Private/Admin (users:read)
+router.get('/analytics/registrations', requirePermission('users:read'), rangeSchema, asyncHandler(getRegistrations));
+
+// @route   GET /api/admin/analytics/failed-logins
+// @desc    Failed logins per period and reason, top accounts (interval, from, to)
+// @access  Private/Admin (users:read)
+router.get('/analytics/failed-logins', requirePermission('users:read'), rangeSchema, asyncHandler(getFailedLogins));
+
+// @route   GET /api/admin/analytics/retention
+// @desc    Retention cohorts by registration week or month (interval, from, to, periods)
+// @access  Private/Admin (users:read)
+router.get('/analytics/retention', requirePermission('users:read'), retentionSchema, asyncHandler(getRetention));
+
+// @route   GET /api/admin/analytics/dormant
+// @desc    Active accounts without a recent login (days, page, limit)
+// @access  Private/Admin (users:read)
+router.get('/analytics/dormant', requirePermission('users:read'), dormantSchema, asyncHandler(getDormantAccounts));
+
+// @route   GET /api/admin/limit-profiles
+// @desc    List limit profiles, including inactive custom ones
+// @access  Private/Admin (settings:read)
+router.get('/limit-profiles', requirePermission('settings:read'), asyncHandler(listLimitProfiles));
+
+// @route   POST /api/admin/limit-profiles
+// @desc    Create custom limit profile
+// @access  Private/Admin (settings:write)
+router.post('/limit-profiles', requirePermission('settings:write'), createLimitProfileSchema, asyncHandler(createLimitProfile));
+
+// @route   PUT /api/admin/limit-profiles/:id
+// @desc    Update custom limit profile
+// @access  Private/Admin (settings:write)
+router.put('/limit-profiles/:id', requirePermission('settings:write'), updateLimitProfileSchema, asyncHandler(updateLimitProfile));
+
+// @route   DELETE /api/admin/limit-profiles/:id
+// @desc    Delete custom limit profile
+// @access  Private/Admin (settings:write)
+router.delete('/limit-profiles/:id', requirePermission('settings:write'), idSchema, asyncHandler(deleteLimitProfile));
+
+module.exports = router;
@@ -1,45 +1,256 @@
 const express = require('express');
-const { authenticateToken, verifyRefreshToken } = require('../middleware/auth');
+const { authenticateToken, verifyRefreshToken, requirePermission } = require('../middleware/auth');
+const { rateLimit, emailKey } = require('../middleware/rateLimit');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const { MIN_PASSWORD_LENGTH } = require('../services/userService');
+const { LOCALES } = require('../utils/i18n');
 const {
-  validateRegistrationInput,
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
   getCurrentUser,
   updateProfile,
   logoutUser,
-  refreshToken
+  refreshToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  changePassword,
+  listSessions,
+  revokeSession
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
 
 const router = express.Router();
 
+// Rate limits (sliding window, per IP and per email)
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+const loginLimits = [
+  rateLimit({ name: 'login-ip', windowMs: FIFTEEN_MINUTES, max: parseInt(process.env.RATE_LIMIT_LOGIN_IP, 10) || 30 }),
+  rateLimit({ name: 'login-email', windowMs: FIFTEEN_MINUTES, max: parseInt(process.env.RATE_LIMIT_LOGIN_EMAIL, 10) || 10, keyGenerator: emailKey })
+];
+
+const registerLimits = [
+  rateLimit({ name: 'register-ip', windowMs: ONE_HOUR, max: parseInt(process.env.RATE_LIMIT_REGISTER_IP, 10) || 10 }),
+  rateLimit({ name: 'register-email', windowMs: ONE_HOUR, max: parseInt(process.env.RATE_LIMIT_REGISTER_EMAIL, 10) || 3, keyGenerator: emailKey })
+];
+
+const twoFactorLimits = [
+  rateLimit({ name: 'login-2fa-ip', windowMs: FIFTEEN_MINUTES, max: parseInt(process.env.RATE_LIMIT_LOGIN_IP, 10) || 30 })
+];
+
+const refreshLimits = [
+  rateLimit({ name: 'refresh-ip', windowMs: FIFTEEN_MINUTES, max: parseInt(process.env.RATE_LIMIT_REFRESH_IP, 10) || 60 })
+];
+
+const forgotPasswordLimits = [
+  rateLimit({ name: 'forgot-password-ip', windowMs: ONE_HOUR, max: parseInt(process.env.RATE_LIMIT_FORGOT_PASSWORD_IP, 10) || 10 }),
+  rateLimit({ name: 'forgot-password-email', windowMs: ONE_HOUR, max: parseInt(process.env.RATE_LIMIT_FORGOT_PASSWORD_EMAIL, 10) || 3, keyGenerator: emailKey })
+];
+
+// One verification mail per email and cooldown, whether or not the email is
+// registered, so that the answer does not reveal which accounts exist
+const resendVerificationLimits = [
+  rateLimit({
+    name: 'resend-verification-email',
+    windowMs: (parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS, 10) || 60) * 1000,
+    max: 1,
+    keyGenerator: emailKey,
+    code: 'VERIFICATION_RESEND_WAIT'
+  })
+];
+
+// Request schemas (middleware/validate): unknown fields are dropped
+const email = { type: 'email', required: true };
+const newPassword = { type: 'string', required: true, minLength: MIN_PASSWORD_LENGTH };
+const deviceLabel = { type: 'string', trim: true, maxLength: 100, description: 'Name for this device in the session list' };
+const twoFactorCode = { type: 'string', trim: true, description: '6-digit TOTP code' };
+
+const registerSchema = validate({
+  body: {
+    name: { type: 'string', required: true, trim: true, maxLength: 100, description: 'Full name; the first word is the first name' },
+    email,
+    password: newPassword,
+    confirmPassword: { type: 'string', sameAs: 'password' },
+    deviceLabel
+  }
+});
+
+const loginSchema = validate({
+  body: { email, password: { type: 'string', required: true }, deviceLabel }
+});
+
+const twoFactorLoginSchema = validate({
+  body: {
+    challengeToken: { type: 'string', required: true },
+    code: twoFactorCode,
+    recoveryCode: { type: 'string', trim: true },
+    deviceLabel
+  }
+});
+
+const profileSchema = validate({
+  body: {
+    name: { type: 'string', trim: true, maxLength: 100 },
+    email: { type: 'email', description: 'New address; takes effect once verified' },
+    locale: { type: 'string', enum: LOCALES, nullable: true, description: 'Response language; null clears it' }
+  }
+});
+
+const changePasswordSchema = validate({
+  body: {
+    currentPassword: { type: 'string', required: true },
+    newPassword,
+    confirmPassword: { type: 'string', sameAs: 'newPassword' }
+  }
+});
+
+const sessionSchema = validate({
+  params: { id: { type: 'id', required: true } }
+});
+
+const twoFactorCodeSchema = validate({
+  body: { code: { ...twoFactorCode, required: true } }
+});
+
+const disableTwoFactorSchema = validate({
+  body: { password: { type: 'string', required: true }, code: twoFactorCode, recoveryCode: { type: 'string', trim: true } }
+});
+
+const logoutSchema = validate({
+  body: { refreshToken: { type: 'string', description: 'Ends only this session; without it every session ends' } }
+});
+
+// A missing refresh token is answered by verifyRefreshToken (401)
+const refreshSchema = validate({
+  body: { refreshToken: { type: 'string' } }
+});
+
+const emailSchema = validate({
+  body: { email }
+});
+
+const resetPasswordSchema = validate({
+  body: {
+    token: { type: 'string', required: true },
+    password: newPassword,
+    confirmPassword: { type: 'string', sameAs: 'password' }
+  }
+});
+
+const verifyEmailQuerySchema = validate({
+  query: { token: { type: 'string', required: true } }
+});
+
+const verifyEmailBodySchema = validate({
+  body: { token: { type: 'string', required: true } }
+});
+
 // @route   POST /api/auth/register
 // @desc    Register a new user for water management system
 // @access  Public
-router.post('/register', validateRegistrationInput, registerUser);
+router.post('/register', registerLimits, registerSchema, asyncHandler(registerUser));
 
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', loginUser);
+router.post('/login', loginLimits, loginSchema, asyncHandler(loginUser));
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', twoFactorLimits, twoFactorLoginSchema, asyncHandler(verifyTwoFactorLogin));
 
 // @route   GET /api/auth/me
 // @desc    Get current user profile
-// @access  Private
-router.get('/me', authenticateToken, getCurrentUser);
+// @access  Private (profile:read)
+router.get('/me', authenticateToken, requirePermission('profile:read'), asyncHandler(getCurrentUser));
 
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
+// @access  Private (profile:write)
+router.put('/profile', authenticateToken, requirePermission('profile:write'), profileSchema, asyncHandler(updateProfile));
+
+// @route   PUT /api/auth/password
+// @desc    Change password and log out all other devices
+// @access  Private
+router.put('/password', authenticateToken, changePasswordSchema, asyncHandler(changePassword));
+
+// @route   GET /api/auth/sessions
+// @desc    List logged-in devices
+// @access  Private
+router.get('/sessions', authenticateToken, asyncHandler(listSessions));
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a logged-in device
+// @access  Private
+router.delete('/sessions/:id', authenticateToken, sessionSchema, asyncHandler(revokeSession));
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/2fa', authenticateToken, asyncHandler(getTwoFactorStatus));
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Generate TOTP secret and otpauth URI
+// @access  Private
+router.post('/2fa/setup', authenticateToken, asyncHandler(setupTwoFactor));
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm TOTP enrollment and receive recovery codes
 // @access  Private
-router.put('/profile', authenticateToken, updateProfile);
+router.post('/2fa/enable', authenticateToken, twoFactorCodeSchema, asyncHandler(enableTwoFactor));
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/2fa/disable', authenticateToken, disableTwoFactorSchema, asyncHandler(disableTwoFactor));
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', authenticateToken, twoFactorCodeSchema, asyncHandler(regenerateRecoveryCodes));
 
 // @route   POST /api/auth/logout
 // @desc    Logout user (client-side token removal)
 // @access  Private
-router.post('/logout', authenticateToken, logoutUser);
+router.post('/logout', authenticateToken, logoutSchema, asyncHandler(logoutUser));
 
 // @route   POST /api/auth/refresh
 // @desc    Refresh access token using refresh token
 // @access  Public
-router.post('/refresh', verifyRefreshToken, refreshToken);
+router.post('/refresh', refreshLimits, refreshSchema, verifyRefreshToken, asyncHandler(refreshToken));
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset link to user email
+// @access  Public
+router.post('/forgot-password', emailSchema, forgotPasswordLimits, asyncHandler(forgotPassword));
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password using a single-use reset token
+// @access  Public
+router.post('/reset-password', resetPasswordSchema, asyncHandler(resetPassword));
+
+// @route   GET /api/auth/verify-email
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address (registration or email change)
+// @access  Public
+router.get('/verify-email', verifyEmailQuerySchema, asyncHandler(verifyEmail));
+router.post('/verify-email', verifyEmailBodySchema, asyncHandler(verifyEmail));
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend email verification link (throttled)
+// @access  Public
+router.post('/resend-verification', emailSchema, resendVerificationLimits, asyncHandler(resendVerification));
 
 module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const { FORMULAS } = require('../utils/calculations');
+const {
+  listFormulas,
+  verify,
+  runFormula
+} = require('../controllers/calcController');
+
+const router = express.Router();
+
+// Calculations are stateless; nothing is stored
+router.use(authenticateToken);
+
+// Request schemas (middleware/validate). The inputs differ per formula, so the
+// body is checked by utils/calculations.
+const formulaSchema = validate({
+  params: { formula: { type: 'string', required: true, enum: Object.keys(FORMULAS) } }
+});
+
+// @route   GET /api/calc
+// @desc    List formulas with inputs, units and test vectors
+// @access  Private (calculations:run)
+router.get('/', requirePermission('calculations:run'), asyncHandler(listFormulas));
+
+// @route   GET /api/calc/verify
+// @desc    Run every formula's test vectors
+// @access  Private (calculations:run)
+router.get('/verify', requirePermission('calculations:run'), asyncHandler(verify));
+
+// @route   POST /api/calc/:formula
+// @desc    Run a formula (dose, dose-rate, hardness, hardness-from-ions, flow, pipe-velocity, pressure-loss, ct)
+// @access  Private (calculations:run)
+router.post('/:formula', requirePermission('calculations:run'), formulaSchema, asyncHandler(runFormula));
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const { getAbsoluteFSPath } = require('swagger-ui-dist');
+const { getOpenApiSpec, getDocsPage } = require('../controllers/docsController');
+
+const router = express.Router();
+
+// Swagger UI scripts and styles, served from the installed swagger-ui-dist
+// package rather than a CDN
+router.use('/docs/assets', express.static(getAbsoluteFSPath(), { index: false, maxAge: '1d' }));
+
+// @route   GET /api/openapi.json
+// @desc    OpenAPI 3 document generated from the routes
+// @access  Public
+router.get('/openapi.json', getOpenApiSpec);
+
+// @route   GET /api/docs
+// @desc    Interactive API documentation (Swagger UI)
+// @access  Public
+router.get('/docs', getDocsPage);
+
+module.exports = router;
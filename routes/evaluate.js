@@ -0,0 +1,51 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const { DEFAULT_PROFILE } = require('../utils/limitProfiles');
+const {
+  evaluateResults,
+  listProfiles,
+  getProfile
+} = require('../controllers/evaluationController');
+
+const router = express.Router();
+
+// Evaluation is stateless: nothing is stored, results are only checked against limits
+router.use(authenticateToken);
+
+// Request schemas (middleware/validate): unknown fields are dropped
+const evaluateSchema = validate({
+  body: {
+    results: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: 100,
+      items: { type: 'object' },
+      description: 'Measurements: { parameter, value, unit, qualifier, detectionLimit }'
+    },
+    profile: { type: 'string', trim: true, lowercase: true, default: DEFAULT_PROFILE, description: 'Limit profile code' }
+  }
+});
+
+const profileSchema = validate({
+  params: { code: { type: 'string', required: true, lowercase: true } }
+});
+
+// @route   POST /api/evaluate
+// @desc    Evaluate results against a limit profile (verdict per parameter and overall)
+// @access  Private
+router.post('/', evaluateSchema, asyncHandler(evaluateResults));
+
+// @route   GET /api/evaluate/profiles
+// @desc    List available limit profiles
+// @access  Private
+router.get('/profiles', asyncHandler(listProfiles));
+
+// @route   GET /api/evaluate/profiles/:code
+// @desc    Get limit profile with its limits
+// @access  Private
+router.get('/profiles/:code', profileSchema, asyncHandler(getProfile));
+
+module.exports = router;
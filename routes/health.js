@@ -0,0 +1,23 @@
+const express = require('express');
+const { getLiveness, getReadinessStatus, getDiagnosticsReport } = require('../controllers/healthController');
+const { requireDiagnosticsAccess } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// @route   GET /health/live
+// @desc    Liveness probe: the process is up
+// @access  Public
+router.get('/live', getLiveness);
+
+// @route   GET /health/ready
+// @desc    Readiness probe: database reachable and token signing configured (503 otherwise)
+// @access  Public
+router.get('/ready', asyncHandler(getReadinessStatus));
+
+// @route   GET /health/diagnostics
+// @desc    Version, uptime, memory, database pool and configuration checks
+// @access  Private/Admin or X-Diagnostics-Token
+router.get('/diagnostics', requireDiagnosticsAccess, asyncHandler(getDiagnosticsReport));
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const { CHANNELS } = require('../utils/notifications');
+const {
+  listNotifications,
+  getUnreadCount,
+  markRead,
+  markUnread,
+  markAllRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences,
+  sendTestNotification
+} = require('../controllers/notificationController');
+
+const router = express.Router();
+
+// Every user has an inbox; other users' notifications give 404
+router.use(authenticateToken);
+
+// Request schemas (middleware/validate): unknown fields are dropped
+const channel = { type: 'string', enum: Object.keys(CHANNELS) };
+
+const listSchema = validate({
+  query: {
+    unread: { type: 'boolean', default: false, description: 'Only unread notifications' },
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, max: 100, default: 20 }
+  }
+});
+
+const preferencesSchema = validate({
+  body: {
+    channels: { type: 'array', items: channel },
+    webhookUrl: { type: 'string', trim: true, maxLength: 500, nullable: true, description: 'null clears it' },
+    rotateWebhookSecret: { type: 'boolean' }
+  }
+});
+
+const testSchema = validate({
+  body: { channel: { ...channel, description: 'Only this channel; all own channels by default' } }
+});
+
+const notificationSchema = validate({
+  params: { id: { type: 'id', required: true } }
+});
+
+// @route   GET /api/notifications
+// @desc    List own notifications (unread, pagination)
+// @access  Private
+router.get('/', listSchema, asyncHandler(listNotifications));
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notifications
+// @access  Private
+router.get('/unread-count', asyncHandler(getUnreadCount));
+
+// @route   GET /api/notifications/preferences
+// @desc    Get notification channels and webhook
+// @access  Private
+router.get('/preferences', asyncHandler(getPreferences));
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update notification channels and webhook
+// @access  Private
+router.put('/preferences', preferencesSchema, asyncHandler(updatePreferences));
+
+// @route   POST /api/notifications/test
+// @desc    Send a test notification
+// @access  Private
+router.post('/test', testSchema, asyncHandler(sendTestNotification));
+
+// @route   POST /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.post('/read-all', asyncHandler(markAllRead));
+
+// @route   POST /api/notifications/:id/read
+// @desc    Mark notification as read
+// @access  Private
+router.post('/:id/read', notificationSchema, asyncHandler(markRead));
+
+// @route   POST /api/notifications/:id/unread
+// @desc    Mark notification as unread
+// @access  Private
+router.post('/:id/unread', notificationSchema, asyncHandler(markUnread));
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete notification
+// @access  Private
+router.delete('/:id', notificationSchema, asyncHandler(deleteNotification));
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const { authenticateToken, authorizeOrg, requireVerifiedEmail } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const Organization = require('../models/Organization');
+const {
+  createOrganization,
+  listOrganizations,
+  getOrganization,
+  updateOrganization,
+  switchOrganization,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  listMyInvitations,
+  acceptInvitation,
+  declineInvitation
+} = require('../controllers/organizationController');
+
+const router = express.Router();
+
+// All organization routes require authentication, and a verified email under
+// EMAIL_VERIFICATION_POLICY=routes: membership and invitations go by email
+router.use(authenticateToken, requireVerifiedEmail);
+
+// Request schemas (middleware/validate): unknown fields are dropped.
+// :orgId is checked by authorizeOrg.
+const role = { type: 'string', enum: Organization.ROLES };
+const organizationFields = {
+  name: { type: 'string', trim: true, maxLength: 100 },
+  description: { type: 'string', trim: true, maxLength: 500 }
+};
+
+const createSchema = validate({
+  body: { ...organizationFields, name: { ...organizationFields.name, required: true } }
+});
+
+const updateSchema = validate({
+  body: organizationFields
+});
+
+const switchSchema = validate({
+  body: { organizationId: { type: 'id', nullable: true, description: 'null clears it' } }
+});
+
+const respondSchema = validate({
+  body: {
+    token: { type: 'string', description: 'From the invitation email' },
+    invitationId: { type: 'id', description: 'From the pending list (verified emails only)' }
+  }
+});
+
+const memberSchema = validate({
+  params: { orgId: { type: 'string' }, userId: { type: 'id', required: true } }
+});
+
+const memberRoleSchema = validate({
+  params: { orgId: { type: 'string' }, userId: { type: 'id', required: true } },
+  body: { role: { ...role, required: true } }
+});
+
+const invitationSchema = validate({
+  body: { email: { type: 'email', required: true }, role: { ...role, default: 'member' } }
+});
+
+const revokeInvitationSchema = validate({
+  params: { orgId: { type: 'string' }, invitationId: { type: 'id', required: true } }
+});
+
+// @route   POST /api/organizations
+// @desc    Create organization (creator becomes owner)
+// @access  Private
+router.post('/', createSchema, asyncHandler(createOrganization));
+
+// @route   GET /api/organizations
+// @desc    List my organizations
+// @access  Private
+router.get('/', asyncHandler(listOrganizations));
+
+// @route   PUT /api/organizations/active
+// @desc    Switch active organization
+// @access  Private
+router.put('/active', switchSchema, asyncHandler(switchOrganization));
+
+// @route   GET /api/organizations/invitations/mine
+// @desc    List pending invitations for my email
+// @access  Private
+router.get('/invitations/mine', asyncHandler(listMyInvitations));
+
+// @route   POST /api/organizations/invitations/accept
+// @desc    Accept invitation (by token or invitationId)
+// @access  Private
+router.post('/invitations/accept', respondSchema, asyncHandler(acceptInvitation));
+
+// @route   POST /api/organizations/invitations/decline
+// @desc    Decline invitation (by token or invitationId)
+// @access  Private
+router.post('/invitations/decline', respondSchema, asyncHandler(declineInvitation));
+
+// @route   GET /api/organizations/:orgId
+// @desc    Get organization
+// @access  Private/Org viewer
+router.get('/:orgId', authorizeOrg('viewer'), asyncHandler(getOrganization));
+
+// @route   PUT /api/organizations/:orgId
+// @desc    Update organization
+// @access  Private/Org manager
+router.put('/:orgId', authorizeOrg('manager'), updateSchema, asyncHandler(updateOrganization));
+
+// @route   GET /api/organizations/:orgId/members
+// @desc    List members
+// @access  Private/Org viewer
+router.get('/:orgId/members', authorizeOrg('viewer'), asyncHandler(listMembers));
+
+// @route   PUT /api/organizations/:orgId/members/:userId
+// @desc    Change member role
+// @access  Private/Org manager
+router.put('/:orgId/members/:userId', authorizeOrg('manager'), memberRoleSchema, asyncHandler(updateMemberRole));
+
+// @route   DELETE /api/organizations/:orgId/members/:userId
+// @desc    Remove member or leave organization
+// @access  Private/Org viewer (self) or manager
+router.delete('/:orgId/members/:userId', authorizeOrg('viewer'), memberSchema, asyncHandler(removeMember));
+
+// @route   POST /api/organizations/:orgId/invitations
+// @desc    Invite by email
+// @access  Private/Org manager
+router.post('/:orgId/invitations', authorizeOrg('manager'), invitationSchema, asyncHandler(createInvitation));
+
+// @route   GET /api/organizations/:orgId/invitations
+// @desc    List pending invitations
+// @access  Private/Org manager
+router.get('/:orgId/invitations', authorizeOrg('manager'), asyncHandler(listInvitations));
+
+// @route   DELETE /api/organizations/:orgId/invitations/:invitationId
+// @desc    Revoke invitation
+// @access  Private/Org manager
+router.delete('/:orgId/invitations/:invitationId', authorizeOrg('manager'), revokeInvitationSchema, asyncHandler(revokeInvitation));
+
+module.exports = router;
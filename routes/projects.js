@@ -0,0 +1,203 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const { FORMULAS } = require('../utils/calculations');
+const { MAX_TAGS } = require('../services/projectService');
+const {
+  listProjects,
+  createProject,
+  getProject,
+  updateProject,
+  deleteProject,
+  duplicateProject,
+  searchCalculations,
+  listCalculations,
+  createCalculation,
+  getCalculation,
+  updateCalculation,
+  restoreVersion,
+  duplicateCalculation,
+  deleteCalculation
+} = require('../controllers/projectController');
+
+const router = express.Router();
+
+// Projects belong to a single user; others get 404
+router.use(authenticateToken, requirePermission('calculations:run'));
+
+// Request schemas (middleware/validate): unknown fields are dropped
+const id = { type: 'id', required: true };
+const formula = { type: 'string', enum: Object.keys(FORMULAS) };
+const tag = { type: 'string', trim: true, lowercase: true, maxLength: 30 };
+const tags = { type: 'array', items: tag, maxItems: MAX_TAGS };
+const name = { type: 'string', trim: true, minLength: 1, maxLength: 100 };
+
+const listQuery = {
+  search: { type: 'string', trim: true, maxLength: 100 },
+  tag,
+  order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, max: 100, default: 20 }
+};
+
+const listProjectsSchema = validate({
+  query: {
+    ...listQuery,
+    sort: { type: 'string', enum: ['name', 'createdAt', 'updatedAt'], default: 'updatedAt' }
+  }
+});
+
+const calculationQuery = {
+  ...listQuery,
+  formula,
+  sort: { type: 'string', enum: ['name', 'formula', 'createdAt', 'updatedAt'], default: 'updatedAt' }
+};
+
+const searchCalculationsSchema = validate({
+  query: calculationQuery
+});
+
+const listCalculationsSchema = validate({
+  params: { id },
+  query: calculationQuery
+});
+
+const projectFields = {
+  name,
+  description: { type: 'string', trim: true, maxLength: 1000 },
+  tags
+};
+
+const createProjectSchema = validate({
+  body: { ...projectFields, name: { ...projectFields.name, required: true } }
+});
+
+const updateProjectSchema = validate({
+  params: { id },
+  body: projectFields
+});
+
+const projectSchema = validate({
+  params: { id }
+});
+
+const duplicateProjectSchema = validate({
+  params: { id },
+  body: { name: { ...name, description: 'Defaults to "<name> (copy)"' } }
+});
+
+const calculationFields = {
+  name,
+  formula,
+  notes: { type: 'string', trim: true, maxLength: 1000 },
+  tags,
+  inputs: { type: 'object', description: 'Inputs of the formula (see GET /api/calc)' },
+  note: { type: 'string', trim: true, maxLength: 300, description: 'What changed in this version' }
+};
+
+const createCalculationSchema = validate({
+  params: { id },
+  body: {
+    ...calculationFields,
+    name: { ...name, required: true },
+    formula: { ...formula, required: true },
+    inputs: { ...calculationFields.inputs, required: true }
+  }
+});
+
+const updateCalculationSchema = validate({
+  params: { id, calcId: id },
+  body: {
+    ...calculationFields,
+    version: { type: 'integer', min: 1, description: 'Current version; the update fails if it changed' }
+  }
+});
+
+const calculationSchema = validate({
+  params: { id, calcId: id }
+});
+
+const duplicateCalculationSchema = validate({
+  params: { id, calcId: id },
+  body: {
+    project: { type: 'id', description: 'Target project; defaults to the same project' },
+    name: { ...name, description: 'Defaults to "<name> (copy)"' }
+  }
+});
+
+const restoreSchema = validate({
+  params: { id, calcId: id, version: { type: 'integer', required: true, min: 1 } }
+});
+
+// @route   GET /api/projects
+// @desc    List own projects (search, tag, pagination)
+// @access  Private (calculations:run)
+router.get('/', listProjectsSchema, asyncHandler(listProjects));
+
+// @route   POST /api/projects
+// @desc    Create project
+// @access  Private (calculations:run)
+router.post('/', createProjectSchema, asyncHandler(createProject));
+
+// @route   GET /api/projects/calculations
+// @desc    Search own calculations across projects (search, formula, tag)
+// @access  Private (calculations:run)
+router.get('/calculations', searchCalculationsSchema, asyncHandler(searchCalculations));
+
+// @route   GET /api/projects/:id
+// @desc    Get project
+// @access  Private (calculations:run, owner)
+router.get('/:id', projectSchema, asyncHandler(getProject));
+
+// @route   PUT /api/projects/:id
+// @desc    Update project
+// @access  Private (calculations:run, owner)
+router.put('/:id', updateProjectSchema, asyncHandler(updateProject));
+
+// @route   DELETE /api/projects/:id
+// @desc    Delete project and its calculations
+// @access  Private (calculations:run, owner)
+router.delete('/:id', projectSchema, asyncHandler(deleteProject));
+
+// @route   POST /api/projects/:id/duplicate
+// @desc    Copy project with its calculations
+// @access  Private (calculations:run, owner)
+router.post('/:id/duplicate', duplicateProjectSchema, asyncHandler(duplicateProject));
+
+// @route   GET /api/projects/:id/calculations
+// @desc    List project calculations (search, formula, tag)
+// @access  Private (calculations:run, owner)
+router.get('/:id/calculations', listCalculationsSchema, asyncHandler(listCalculations));
+
+// @route   POST /api/projects/:id/calculations
+// @desc    Run and save calculation
+// @access  Private (calculations:run, owner)
+router.post('/:id/calculations', createCalculationSchema, asyncHandler(createCalculation));
+
+// @route   GET /api/projects/:id/calculations/:calcId
+// @desc    Get calculation with version history
+// @access  Private (calculations:run, owner)
+router.get('/:id/calculations/:calcId', calculationSchema, asyncHandler(getCalculation));
+
+// @route   PUT /api/projects/:id/calculations/:calcId
+// @desc    Update calculation (new inputs become a new version)
+// @access  Private (calculations:run, owner)
+router.put('/:id/calculations/:calcId', updateCalculationSchema, asyncHandler(updateCalculation));
+
+// @route   DELETE /api/projects/:id/calculations/:calcId
+// @desc    Delete calculation
+// @access  Private (calculations:run, owner)
+router.delete('/:id/calculations/:calcId', calculationSchema, asyncHandler(deleteCalculation));
+
+// @route   POST /api/projects/:id/calculations/:calcId/duplicate
+// @desc    Copy calculation (optionally into another project)
+// @access  Private (calculations:run, owner)
+router.post('/:id/calculations/:calcId/duplicate', duplicateCalculationSchema, asyncHandler(duplicateCalculation));
+
+// @route   POST /api/projects/:id/calculations/:calcId/versions/:version/restore
+// @desc    Restore an earlier version as the newest one
+// @access  Private (calculations:run, owner)
+router.post('/:id/calculations/:calcId/versions/:version/restore', restoreSchema, asyncHandler(restoreVersion));
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const { authenticateToken, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const Sample = require('../models/Sample');
+const Site = require('../models/Site');
+const { PARAMETERS, PARAMETER_CATEGORIES } = require('../utils/parameters');
+const { BULK_LIMIT } = require('../services/sampleService');
+const {
+  listParameters,
+  listSamples,
+  createSample,
+  bulkCreateSamples,
+  getSample,
+  deleteSample
+} = require('../controllers/sampleController');
+
+const router = express.Router();
+
+// All sample routes require authentication (and a verified email under
+// EMAIL_VERIFICATION_POLICY=routes); users only see their own samples
+router.use(authenticateToken, requireVerifiedEmail);
+
+// Request schemas (middleware/validate): unknown fields are dropped
+const sourceTypes = Site.TYPES.join('|');
+const parameters = Object.keys(PARAMETERS).join('|');
+
+const parametersSchema = validate({
+  query: { category: { type: 'string', enum: PARAMETER_CATEGORIES } }
+});
+
+const listSchema = validate({
+  query: {
+    site: { type: 'id' },
+    samplingPoint: { type: 'id' },
+    sourceType: { type: 'string', pattern: new RegExp(`^(${sourceTypes})(,(${sourceTypes}))*$`), description: `Comma-separated: ${Site.TYPES.join(', ')}` },
+    sampleType: { type: 'string', enum: Sample.TYPES },
+    location: { type: 'string', trim: true, maxLength: 100, description: 'Part of the location name' },
+    bbox: { type: 'string', description: 'minLng,minLat,maxLng,maxLat' },
+    parameter: {
+      type: 'string',
+      lowercase: true,
+      pattern: new RegExp(`^\\s*(${parameters})\\s*(,\\s*(${parameters})\\s*)*$`),
+      description: 'Comma-separated parameter codes; min, max and belowDetectionLimit need exactly one'
+    },
+    min: { type: 'string', description: 'Lowest normalized value (decimal comma accepted)' },
+    max: { type: 'string', description: 'Highest normalized value (decimal comma accepted)' },
+    belowDetectionLimit: { type: 'boolean' },
+    from: { type: 'date', description: 'Collected at or after' },
+    to: { type: 'date', description: 'Collected at or before' },
+    sort: { type: 'string', enum: ['collectedAt', 'createdAt', 'updatedAt'], default: 'collectedAt' },
+    order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, max: 200, default: 50 }
+  }
+});
+
+// Measurements and the location are checked by services/sampleService
+const createSchema = validate({
+  body: {
+    site: { type: 'id', description: 'Site with write access; fills in the location' },
+    samplingPoint: { type: 'id', description: 'Sampling point on the site' },
+    location: { type: 'object', description: '{ name, latitude, longitude, sourceType }' },
+    collectedAt: { type: 'date', required: true },
+    sampleType: { type: 'string', enum: Sample.TYPES },
+    laboratory: { type: 'string', trim: true, maxLength: 100 },
+    reference: { type: 'string', trim: true, maxLength: 100 },
+    notes: { type: 'string', trim: true, maxLength: 1000 },
+    measurements: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: { type: 'object' },
+      description: '{ parameter, value, unit, qualifier, detectionLimit, method, note }'
+    }
+  }
+});
+
+const bulkSchema = validate({
+  body: {
+    samples: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: BULK_LIMIT,
+      items: { type: 'object' },
+      description: 'Samples as for POST /api/samples'
+    }
+  }
+});
+
+const sampleSchema = validate({
+  params: { id: { type: 'id', required: true } }
+});
+
+// @route   GET /api/samples/parameters
+// @desc    Parameter catalogue with normalized and accepted units
+// @access  Private (samples:read)
+router.get('/parameters', requirePermission('samples:read'), parametersSchema, asyncHandler(listParameters));
+
+// @route   GET /api/samples
+// @desc    List own samples (site, location, parameter, value range, date range)
+// @access  Private (samples:read)
+router.get('/', requirePermission('samples:read'), listSchema, asyncHandler(listSamples));
+
+// @route   POST /api/samples
+// @desc    Create sample with measurements
+// @access  Private (samples:write)
+router.post('/', requirePermission('samples:write'), createSchema, asyncHandler(createSample));
+
+// @route   POST /api/samples/bulk
+// @desc    Create several samples at once (all or nothing)
+// @access  Private (samples:write)
+router.post('/bulk', requirePermission('samples:write'), bulkSchema, asyncHandler(bulkCreateSamples));
+
+// @route   GET /api/samples/:id
+// @desc    Get sample
+// @access  Private (samples:read, owner)
+router.get('/:id', requirePermission('samples:read'), sampleSchema, asyncHandler(getSample));
+
+// @route   DELETE /api/samples/:id
+// @desc    Delete sample
+// @access  Private (samples:write, owner)
+router.delete('/:id', requirePermission('samples:write'), sampleSchema, asyncHandler(deleteSample));
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const { authenticateToken, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validate');
+const Site = require('../models/Site');
+const {
+  listSites,
+  createSite,
+  getSite,
+  updateSite,
+  deleteSite,
+  shareSite,
+  unshareSite,
+  addSamplingPoint,
+  updateSamplingPoint,
+  deleteSamplingPoint
+} = require('../controllers/siteController');
+
+const router = express.Router();
+
+// All site routes require authentication (and a verified email under
+// EMAIL_VERIFICATION_POLICY=routes); access to a single site is checked in the controller
+router.use(authenticateToken, requireVerifiedEmail);
+
+// Request schemas (middleware/validate): unknown fields are dropped
+const id = { type: 'id', required: true };
+const siteTypes = Site.TYPES.join('|');
+const location = { type: 'object', description: '{ latitude, longitude } (WGS84)' };
+
+const listSchema = validate({
+  query: {
+    type: { type: 'string', pattern: new RegExp(`^(${siteTypes})(,(${siteTypes}))*$`), description: `Comma-separated: ${Site.TYPES.join(', ')}` },
+    bbox: { type: 'string', description: 'minLng,minLat,maxLng,maxLat' },
+    organization: { type: 'id' },
+    municipality: { type: 'string', trim: true, maxLength: 100 },
+    search: { type: 'string', trim: true, maxLength: 100, description: 'Part of name, description or municipality' },
+    sort: { type: 'string', enum: ['name', 'type', 'municipality', 'createdAt', 'updatedAt'], default: 'name' },
+    order: { type: 'string', enum: ['asc', 'desc'], default: 'asc' },
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, max: 200, default: 50 }
+  }
+});
+
+const siteFields = {
+  name: { type: 'string', trim: true, minLength: 2, maxLength: 100 },
+  type: { type: 'string', enum: Site.TYPES },
+  description: { type: 'string', trim: true, maxLength: 1000 },
+  location,
+  municipality: { type: 'string', trim: true, maxLength: 100 },
+  metadata: { type: 'object', description: 'Free-form details' },
+  organization: { type: 'id', nullable: true, description: 'Organization whose members can see the site' }
+};
+
+const createSchema = validate({
+  body: {
+    ...siteFields,
+    name: { ...siteFields.name, required: true },
+    type: { ...siteFields.type, required: true },
+    location: { ...location, required: true },
+    samplingPoints: { type: 'array', items: { type: 'object' }, description: 'Sampling points to create with the site' }
+  }
+});
+
+const updateSchema = validate({
+  params: { id },
+  body: siteFields
+});
+
+const siteSchema = validate({
+  params: { id }
+});
+
+const shareSchema = validate({
+  params: { id },
+  body: {
+    userId: { type: 'id' },
+    email: { type: 'email', description: 'Used when no userId is given' },
+    access: { type: 'string', enum: Site.SHARE_ACCESS, default: 'read' }
+  }
+});
+
+const unshareSchema = validate({
+  params: { id, userId: id }
+});
+
+const pointFields = {
+  name: { type: 'string', trim: true, maxLength: 100 },
+  description: { type: 'string', trim: true, maxLength: 500 },
+  location,
+  depth: { type: 'number', min: 0, description: 'Metres' },
+  isActive: { type: 'boolean' }
+};
+
+const addPointSchema = validate({
+  params: { id },
+  body: { ...pointFields, name: { ...pointFields.name, required: true } }
+});
+
+const updatePointSchema = validate({
+  params: { id, pointId: id },
+  body: pointFields
+});
+
+const pointSchema = validate({
+  params: { id, pointId: id }
+});
+
+// @route   GET /api/sites
+// @desc    List visible sites (type, bbox, organization, municipality, search)
+// @access  Private (sites:read)
+router.get('/', requirePermission('sites:read'), listSchema, asyncHandler(listSites));
+
+// @route   POST /api/sites
+// @desc    Create site
+// @access  Private (sites:write)
+router.post('/', requirePermission('sites:write'), createSchema, asyncHandler(createSite));
+
+// @route   GET /api/sites/:id
+// @desc    Get site with sampling points
+// @access  Private (sites:read)
+router.get('/:id', requirePermission('sites:read'), siteSchema, asyncHandler(getSite));
+
+// @route   PUT /api/sites/:id
+// @desc    Update site
+// @access  Private (sites:write)
+router.put('/:id', requirePermission('sites:write'), updateSchema, asyncHandler(updateSite));
+
+// @route   DELETE /api/sites/:id
+// @desc    Delete site
+// @access  Private (sites:write, owner or organization manager)
+router.delete('/:id', requirePermission('sites:write'), siteSchema, asyncHandler(deleteSite));
+
+// @route   PUT /api/sites/:id/shares
+// @desc    Share site with a user (userId or email, read/write)
+// @access  Private (sites:write, owner or organization manager)
+router.put('/:id/shares', requirePermission('sites:write'), shareSchema, asyncHandler(shareSite));
+
+// @route   DELETE /api/sites/:id/shares/:userId
+// @desc    Stop sharing site with a user
+// @access  Private (sites:write, owner or organization manager)
+router.delete('/:id/shares/:userId', requirePermission('sites:write'), unshareSchema, asyncHandler(unshareSite));
+
+// @route   POST /api/sites/:id/points
+// @desc    Add sampling point
+// @access  Private (sites:write)
+router.post('/:id/points', requirePermission('sites:write'), addPointSchema, asyncHandler(addSamplingPoint));
+
+// @route   PUT /api/sites/:id/points/:pointId
+// @desc    Update sampling point
+// @access  Private (sites:write)
+router.put('/:id/points/:pointId', requirePermission('sites:write'), updatePointSchema, asyncHandler(updateSamplingPoint));
+
+// @route   DELETE /api/sites/:id/points/:pointId
+// @desc    Remove sampling point
+// @access  Private (sites:write)
+router.delete('/:id/points/:pointId', requirePermission('sites:write'), pointSchema, asyncHandler(deleteSamplingPoint));
+
+module.exports = router;
@@ -0,0 +1,281 @@
+const { db } = require('../database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Grouping intervals and the range used when no `from` is given
+const INTERVALS = {
+  day: { defaultDays: 30 },
+  week: { defaultDays: 12 * 7 },
+  month: { defaultDays: 365 }
+};
+
+// Periods start at local midnight (weeks on Monday) in this time zone
+const getTimezone = () => process.env.ANALYTICS_TIMEZONE || 'Europe/Stockholm';
+
+// { range: { from, to, interval } } from validated query parameters (from and
+// to as dates), or { error: { code } } when the range is empty
+const parseRange = ({ interval, from, to }) => {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - INTERVALS[interval].defaultDays * DAY_MS);
+  if (start >= end) {
+    return { error: { code: 'DATE_RANGE_INVALID' } };
+  }
+
+  return { range: { from: start, to: end, interval } };
+};
+
+// Start of the event's period, e.g. the Monday of its week
+const periodOf = (interval) => ({
+  $dateTrunc: {
+    date: '$createdAt',
+    unit: interval,
+    timezone: getTimezone(),
+    ...(interval === 'week' ? { startOfWeek: 'monday' } : {})
+  }
+});
+
+const eventsIn = (type, { from, to }) => ({
+  type: Array.isArray(type) ? { $in: type } : type,
+  createdAt: { $gte: from, $lt: to }
+});
+
+// Number of distinct users with an event of the type in the range
+const countUsers = async (type, range) => {
+  const [result] = await db.usageEvents.aggregate([
+    { $match: { ...eventsIn(type, range), user: { $ne: null } } },
+    { $group: { _id: '$user' } },
+    { $count: 'users' }
+  ]);
+  return result ? result.users : 0;
+};
+
+// Series of { period, ...counts } from rows grouped by { period, key }:
+// each key's count is added under byField, and all of them under totalField
+const foldByKey = (rows, totalField, byField) => {
+  const periods = new Map();
+  const totals = { [totalField]: 0, [byField]: {} };
+
+  rows.forEach(({ _id: { period, key }, count }) => {
+    const id = new Date(period).getTime();
+    if (!periods.has(id)) periods.set(id, { period: new Date(period), [totalField]: 0, [byField]: {} });
+    const entry = periods.get(id);
+    const name = key || 'unknown';
+    entry[totalField] += count;
+    entry[byField][name] = (entry[byField][name] || 0) + count;
+    totals[totalField] += count;
+    totals[byField][name] = (totals[byField][name] || 0) + count;
+  });
+
+  return {
+    series: [...periods.values()].sort((a, b) => a.period - b.period),
+    totals
+  };
+};
+
+// Active users (distinct users who logged in) and logins per period
+const activeUsers = async (range) => {
+  const [series, activeTotal] = await Promise.all([
+    db.usageEvents.aggregate([
+      { $match: eventsIn('login', range) },
+      { $group: { _id: { period: periodOf(range.interval), user: '$user' }, logins: { $sum: 1 } } },
+      { $group: { _id: '$_id.period', activeUsers: { $sum: 1 }, logins: { $sum: '$logins' } } },
+      { $sort: { _id: 1 } }
+    ]),
+    countUsers('login', range)
+  ]);
+
+  return {
+    series: series.map(({ _id, activeUsers: users, logins }) => ({ period: _id, activeUsers: users, logins })),
+    totals: {
+      activeUsers: activeTotal,
+      logins: series.reduce((sum, entry) => sum + entry.logins, 0)
+    }
+  };
+};
+
+// New accounts per period, split by source (self registration or import)
+const registrations = async (range) => {
+  const rows = await db.usageEvents.aggregate([
+    { $match: eventsIn('registration', range) },
+    { $group: { _id: { period: periodOf(range.interval), key: '$details.source' }, count: { $sum: 1 } } }
+  ]);
+  return foldByKey(rows, 'registrations', 'bySource');
+};
+
+// Failed logins per period and reason, plus the accounts with most failures
+const failedLogins = async (range, { top = 10 } = {}) => {
+  const [rows, accounts] = await Promise.all([
+    db.usageEvents.aggregate([
+      { $match: eventsIn('login_failed', range) },
+      { $group: { _id: { period: periodOf(range.interval), key: '$details.reason' }, count: { $sum: 1 } } }
+    ]),
+    db.usageEvents.aggregate([
+      { $match: { ...eventsIn('login_failed', range), user: { $ne: null } } },
+      { $group: { _id: '$user', failedLogins: { $sum: 1 }, lastFailedAt: { $max: '$createdAt' } } },
+      { $sort: { failedLogins: -1, lastFailedAt: -1 } },
+      { $limit: top }
+    ])
+  ]);
+
+  const users = await db.users.find({ _id: { $in: accounts.map(account => account._id) } }, { select: 'email username' });
+  const byId = new Map(users.map(user => [String(user._id), user]));
+
+  return {
+    ...foldByKey(rows, 'failedLogins', 'byReason'),
+    topAccounts: accounts.map(account => {
+      const user = byId.get(String(account._id));
+      return {
+        id: account._id,
+        email: user ? user.email : null,
+        username: user ? user.username : null,
+        failedLogins: account.failedLogins,
+        lastFailedAt: account.lastFailedAt
+      };
+    })
+  };
+};
+
+// Whole periods from one period start to another. A month start shifted by a
+// day is inside that month in UTC whatever the time zone.
+const periodOffset = (interval, from, to) => {
+  if (interval === 'week') return Math.round((to - from) / (7 * DAY_MS));
+  const a = new Date(from.getTime() + DAY_MS);
+  const b = new Date(to.getTime() + DAY_MS);
+  return (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + b.getUTCMonth() - a.getUTCMonth();
+};
+
+// Number of periods from a cohort's start that have begun before `to`
+const elapsedPeriods = (interval, start, to) => {
+  if (interval === 'week') return Math.ceil((to - start) / (7 * DAY_MS));
+  const first = new Date(start.getTime() + DAY_MS);
+  return (to.getUTCFullYear() - first.getUTCFullYear()) * 12 + to.getUTCMonth() - first.getUTCMonth() + 1;
+};
+
+// Retention cohorts: users grouped by the period they registered in, and the
+// share of each cohort that was active (logged in) in each following period.
+// Offset 0 is the registration period, where every member counts as active.
+const retention = async (range, { periods = 8 } = {}) => {
+  const rows = await db.usageEvents.aggregate([
+    { $match: { ...eventsIn(['registration', 'login'], range), user: { $ne: null } } },
+    { $group: { _id: { user: '$user', type: '$type', period: periodOf(range.interval) } } }
+  ]);
+
+  const registeredIn = new Map();
+  rows.filter(({ _id }) => _id.type === 'registration').forEach(({ _id }) => {
+    const key = String(_id.user);
+    const period = new Date(_id.period);
+    if (!registeredIn.has(key) || period < registeredIn.get(key)) registeredIn.set(key, period);
+  });
+
+  const cohorts = new Map();
+  registeredIn.forEach((period, user) => {
+    const id = period.getTime();
+    if (!cohorts.has(id)) cohorts.set(id, { cohort: period, members: new Set(), active: new Map() });
+    cohorts.get(id).members.add(user);
+  });
+
+  rows.filter(({ _id }) => _id.type === 'login').forEach(({ _id }) => {
+    const user = String(_id.user);
+    if (!registeredIn.has(user)) return;
+    const cohort = cohorts.get(registeredIn.get(user).getTime());
+    const offset = periodOffset(range.interval, cohort.cohort, new Date(_id.period));
+    if (offset < 1 || offset >= periods) return;
+    if (!cohort.active.has(offset)) cohort.active.set(offset, new Set());
+    cohort.active.get(offset).add(user);
+  });
+
+  return [...cohorts.values()]
+    .sort((a, b) => a.cohort - b.cohort)
+    .map(({ cohort, members, active }) => {
+      const size = members.size;
+      const count = Math.min(periods, elapsedPeriods(range.interval, cohort, range.to));
+      return {
+        cohort,
+        users: size,
+        retention: Array.from({ length: count }, (_, offset) => {
+          const activeUsers = offset === 0 ? size : (active.get(offset) || new Set()).size;
+          return { offset, activeUsers, rate: Math.round((activeUsers / size) * 1000) / 1000 };
+        })
+      };
+    });
+};
+
+// Active accounts that have not logged in for `days` (or never, when older than that)
+const dormantFilter = (days) => {
+  const cutoff = new Date(Date.now() - days * DAY_MS);
+  return {
+    deletedAt: null,
+    isActive: true,
+    $or: [
+      { lastLogin: { $lt: cutoff } },
+      { lastLogin: null, createdAt: { $lt: cutoff } }
+    ]
+  };
+};
+
+// Dormant account counts: total, never logged in, inactive for over a year, per role
+const summarizeDormant = async (days) => {
+  const yearAgo = new Date(Date.now() - 365 * DAY_MS);
+  const [totals, roles] = await Promise.all([
+    db.users.aggregate([
+      { $match: dormantFilter(days) },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          neverLoggedIn: { $sum: { $cond: [{ $ifNull: ['$lastLogin', false] }, 0, 1] } },
+          inactiveOverAYear: {
+            $sum: { $cond: [{ $and: [{ $ifNull: ['$lastLogin', false] }, { $lt: ['$lastLogin', yearAgo] }] }, 1, 0] }
+          }
+        }
+      }
+    ]),
+    db.users.aggregate([
+      { $match: dormantFilter(days) },
+      { $group: { _id: '$role', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  const { total = 0, neverLoggedIn = 0, inactiveOverAYear = 0 } = totals[0] || {};
+  return {
+    total,
+    neverLoggedIn,
+    inactiveOverAYear,
+    byRole: Object.fromEntries(roles.map(role => [role._id, role.count]))
+  };
+};
+
+// Headline numbers for an admin dashboard
+const overview = async () => {
+  const now = new Date();
+  const since = (days) => ({ from: new Date(now.getTime() - days * DAY_MS), to: now });
+
+  const [daily, weekly, monthly, newAccounts, failed, dormant] = await Promise.all([
+    countUsers('login', since(1)),
+    countUsers('login', since(7)),
+    countUsers('login', since(30)),
+    db.usageEvents.count(eventsIn('registration', since(30))),
+    db.usageEvents.count(eventsIn('login_failed', since(1))),
+    db.users.count(dormantFilter(90))
+  ]);
+
+  return {
+    activeUsers: { day: daily, week: weekly, month: monthly },
+    registrationsLast30Days: newAccounts,
+    failedLoginsLast24Hours: failed,
+    dormantAccounts90Days: dormant
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  parseRange,
+  activeUsers,
+  registrations,
+  failedLogins,
+  retention,
+  dormantFilter,
+  summarizeDormant,
+  overview
+};
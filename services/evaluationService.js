@@ -0,0 +1,219 @@
+const { db } = require('../database');
+const { PARAMETERS, isValidParameter, resolveUnit, normalizeValue, parameterNames } = require('../utils/parameters');
+const {
+  VERDICTS,
+  VERDICT_ORDER,
+  LIMIT_LEVELS,
+  BUILT_IN_PROFILES,
+  isBuiltInProfile
+} = require('../utils/limitProfiles');
+const { translate } = require('../utils/i18n');
+const { fieldError } = require('../utils/errors');
+
+const isSet = (value) => value !== undefined && value !== null;
+
+// Built-in profiles in the same shape as stored ones
+const builtInProfile = (code) => ({ code, ...BUILT_IN_PROFILES[code], builtIn: true, isActive: true });
+
+// Profile by code: built-in or an active custom profile, or null
+const findProfile = async (code) => {
+  const key = String(code || '').trim().toLowerCase();
+  if (isBuiltInProfile(key)) return builtInProfile(key);
+  const profile = await db.limitProfiles.findOne({ code: key, isActive: true });
+  return profile ? { ...profile, builtIn: false } : null;
+};
+
+// Built-in profiles followed by custom ones (only active ones unless includeInactive)
+const listProfiles = async ({ includeInactive = false } = {}) => {
+  const custom = await db.limitProfiles.find(includeInactive ? {} : { isActive: true }, { sort: { code: 1 } });
+  return [
+    ...Object.keys(BUILT_IN_PROFILES).map(builtInProfile),
+    ...custom.map(profile => ({ ...profile, builtIn: false }))
+  ];
+};
+
+// Convert limits entered by an admin to catalogue units.
+// Each limit may give a `unit`; bounds default to the parameter's unit.
+// Returns { limits } or { errors } (field errors).
+const prepareLimits = (input) => {
+  if (!Array.isArray(input) || !input.length) return { errors: [fieldError('limits', 'LIMITS_REQUIRED')] };
+
+  const errors = [];
+  const limits = [];
+
+  input.forEach((item, index) => {
+    const path = `limits[${index}]`;
+    const parameter = String((item && item.parameter) || '').trim().toLowerCase();
+    if (!isValidParameter(parameter)) {
+      errors.push(fieldError(`${path}.parameter`, 'PARAMETER_UNKNOWN', { parameter: item && item.parameter }));
+      return;
+    }
+    if (limits.some(limit => limit.parameter === parameter)) {
+      errors.push(fieldError(`${path}.parameter`, 'PARAMETER_DUPLICATE', parameterNames(parameter)));
+      return;
+    }
+
+    const unit = resolveUnit(parameter, item.unit);
+    if (!unit) {
+      errors.push(fieldError(`${path}.unit`, 'PARAMETER_UNIT_INVALID', { unit: item.unit, ...parameterNames(parameter) }));
+      return;
+    }
+
+    const limit = { parameter, note: item.note, note_sv: item.note_sv };
+    for (const level of Object.keys(LIMIT_LEVELS)) {
+      const range = item[level];
+      if (!isSet(range)) continue;
+
+      const bounds = {};
+      for (const bound of ['min', 'max']) {
+        if (!isSet(range[bound])) continue;
+        if (typeof range[bound] !== 'number' || !Number.isFinite(range[bound])) {
+          errors.push(fieldError(`${path}.${level}.${bound}`, 'FIELD_NOT_NUMBER'));
+          return;
+        }
+        bounds[bound] = normalizeValue(parameter, range[bound], unit);
+      }
+      if (isSet(bounds.min) && isSet(bounds.max) && bounds.min > bounds.max) {
+        errors.push(fieldError(`${path}.${level}`, 'RANGE_MIN_ABOVE_MAX'));
+        return;
+      }
+      if (Object.keys(bounds).length) limit[level] = bounds;
+    }
+
+    if (!limit.remark && !limit.unfit) {
+      errors.push(fieldError(path, 'LIMIT_RANGE_REQUIRED', parameterNames(parameter)));
+      return;
+    }
+    limits.push(limit);
+  });
+
+  return errors.length ? { errors } : { limits };
+};
+
+// Which bound of a range a measurement breaks, or null.
+// Qualified results only break a bound when the true value must lie beyond it:
+// "<1" never exceeds a max and ">100" is never below a min.
+const findBreach = (measurement, range) => {
+  if (!range) return null;
+  const { normalizedValue: value, qualifier } = measurement;
+
+  if (isSet(range.max) && qualifier !== '<' && (qualifier === '>' ? value >= range.max : value > range.max)) {
+    return { bound: 'max', limit: range.max };
+  }
+  if (isSet(range.min) && qualifier !== '>' && (qualifier === '<' ? value <= range.min : value < range.min)) {
+    return { bound: 'min', limit: range.min };
+  }
+  return null;
+};
+
+// Numbers in Swedish texts use a decimal comma; pH values are written without a unit
+const formatValue = (value, unit, qualifier, locale) => {
+  const number = locale === 'sv' ? String(value).replace('.', ',') : String(value);
+  return `${qualifier && qualifier !== '=' ? qualifier : ''}${number}${unit === 'pH' ? '' : ` ${unit}`}`;
+};
+
+const explain = (measurement, verdict, breach, level, limit) => {
+  const { name, name_sv: nameSv, unit } = PARAMETERS[measurement.parameter];
+  const value = formatValue(measurement.normalizedValue, unit, measurement.qualifier, 'en');
+  const valueSv = formatValue(measurement.normalizedValue, unit, measurement.qualifier, 'sv');
+
+  // Swedish texts use the Swedish name and decimal comma: {name_sv}, {value_sv}, {limit_sv}
+  const params = { name, name_sv: nameSv, value, value_sv: valueSv };
+  let code;
+
+  if (verdict === 'not_assessed') {
+    code = 'RESULT_NOT_ASSESSED';
+  } else if (!breach) {
+    code = 'RESULT_WITHIN_LIMITS';
+  } else {
+    code = `RESULT_${breach.bound === 'max' ? 'ABOVE' : 'BELOW'}_${level.toUpperCase()}`;
+    params.limit = formatValue(breach.limit, unit, null, 'en');
+    params.limit_sv = formatValue(breach.limit, unit, null, 'sv');
+  }
+
+  let message = translate(code, 'en', params);
+  let messageSv = translate(code, 'sv', params);
+  if (breach && limit.note) message += `. ${limit.note}`;
+  if (breach && (limit.note_sv || limit.note)) messageSv += `. ${limit.note_sv || limit.note}`;
+
+  return { message, message_sv: messageSv };
+};
+
+// Evaluate one measurement (as built by sampleService.prepareMeasurement) against a profile
+const evaluateMeasurement = (measurement, profile) => {
+  const limit = profile.limits.find(l => l.parameter === measurement.parameter);
+  let verdict = 'not_assessed';
+  let breach = null;
+  let level = null;
+
+  if (limit) {
+    verdict = 'fit';
+    // Check the strictest consequence first
+    for (const candidate of ['unfit', 'remark']) {
+      breach = findBreach(measurement, limit[candidate]);
+      if (breach) {
+        level = candidate;
+        verdict = LIMIT_LEVELS[candidate];
+        break;
+      }
+    }
+  }
+
+  return {
+    parameter: measurement.parameter,
+    name: PARAMETERS[measurement.parameter].name,
+    name_sv: PARAMETERS[measurement.parameter].name_sv,
+    value: measurement.value,
+    unit: measurement.unit,
+    qualifier: measurement.qualifier,
+    normalizedValue: measurement.normalizedValue,
+    normalizedUnit: measurement.normalizedUnit,
+    verdict,
+    ...VERDICTS[verdict],
+    limits: limit ? { remark: limit.remark, unfit: limit.unfit } : null,
+    exceeded: breach ? { level, bound: breach.bound, limit: breach.limit } : null,
+    ...explain(measurement, verdict, breach, level, limit)
+  };
+};
+
+// Evaluate measurements against a profile: a verdict per parameter and the
+// worst of them as the overall verdict
+const evaluate = (measurements, profile) => {
+  const results = measurements.map(measurement => evaluateMeasurement(measurement, profile));
+  const assessed = results.filter(result => result.verdict !== 'not_assessed');
+
+  const verdict = assessed.length
+    ? assessed.reduce((worst, result) => (
+      VERDICT_ORDER.indexOf(result.verdict) > VERDICT_ORDER.indexOf(worst) ? result.verdict : worst
+    ), 'fit')
+    : 'not_assessed';
+
+  // The parameters behind the verdict, named in each language
+  const causes = results.filter(result => result.verdict === verdict && verdict !== 'fit');
+  const code = `WATER_${verdict.toUpperCase()}`;
+  const params = {
+    names: causes.map(result => result.name).join(', '),
+    names_sv: causes.map(result => result.name_sv).join(', ')
+  };
+
+  return {
+    overall: {
+      verdict,
+      ...VERDICTS[verdict],
+      code,
+      params,
+      message: translate(code, 'en', params),
+      message_sv: translate(code, 'sv', params),
+      assessed: assessed.length,
+      notAssessed: results.length - assessed.length
+    },
+    results
+  };
+};
+
+module.exports = {
+  findProfile,
+  listProfiles,
+  prepareLimits,
+  evaluate
+};
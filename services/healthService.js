@@ -0,0 +1,160 @@
+const { execFile } = require('child_process');
+const path = require('path');
+const mongoose = require('mongoose');
+const { db, getDriver } = require('../database');
+const { version } = require('../package.json');
+
+// mongoose.connection.readyState values
+const READY_STATES = {
+  0: 'disconnected',
+  1: 'connected',
+  2: 'connecting',
+  3: 'disconnecting',
+  99: 'uninitialized'
+};
+
+const DATABASE_TIMEOUT_MS = 2000;
+
+const startedAt = new Date();
+
+// Connection pool counters from the MongoDB driver's pool events
+const pool = { created: 0, closed: 0, checkedOut: 0, checkedIn: 0 };
+const watchedClients = new WeakSet();
+
+mongoose.connection.on('connected', () => {
+  const client = mongoose.connection.getClient();
+  if (watchedClients.has(client)) return;
+  watchedClients.add(client);
+
+  client.on('connectionCreated', () => { pool.created += 1; });
+  client.on('connectionClosed', () => { pool.closed += 1; });
+  client.on('connectionCheckedOut', () => { pool.checkedOut += 1; });
+  client.on('connectionCheckedIn', () => { pool.checkedIn += 1; });
+});
+
+// Reject when a check takes longer than the load balancer should wait
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((resolve, reject) => setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms).unref())
+]);
+
+// One connection attempt at a time, shared by concurrent probes; failures are
+// reported by the check that follows
+let pendingConnect = null;
+const tryConnect = async (connect) => {
+  if (!pendingConnect) {
+    pendingConnect = Promise.resolve()
+      .then(connect)
+      .catch(error => console.error('Database connection from health check failed:', error.message))
+      .finally(() => { pendingConnect = null; });
+  }
+  await withTimeout(pendingConnect, DATABASE_TIMEOUT_MS).catch(() => {});
+};
+
+// Database connectivity: { status: 'up'|'down', driver, readyState, state, latencyMs }.
+// With `connect`, a disconnected MongoDB is given one attempt of at most
+// DATABASE_TIMEOUT_MS first (it keeps going in the background after that).
+const checkDatabase = async ({ connect } = {}) => {
+  const driver = getDriver();
+  if (connect && driver === 'mongo' && mongoose.connection.readyState !== 1) {
+    await tryConnect(connect);
+  }
+
+  const started = Date.now();
+  const result = driver === 'mongo'
+    ? { driver, readyState: mongoose.connection.readyState, state: READY_STATES[mongoose.connection.readyState] }
+    : { driver };
+
+  try {
+    if (driver === 'mongo') {
+      if (mongoose.connection.readyState !== 1) {
+        return { status: 'down', ...result };
+      }
+      await withTimeout(mongoose.connection.db.admin().ping(), DATABASE_TIMEOUT_MS);
+    } else {
+      await withTimeout(db.users.count(), DATABASE_TIMEOUT_MS);
+    }
+    return { status: 'up', ...result, latencyMs: Date.now() - started };
+  } catch (error) {
+    console.error('Database health check failed:', error.message);
+    return { status: 'down', ...result };
+  }
+};
+
+// Token signing is configured (both secrets are set).
+// Which one is missing is only reported in the diagnostics.
+const checkJwtConfig = () => {
+  const missing = ['JWT_ACCESS_SECRET', 'JWT_REFRESH_SECRET'].filter(name => !process.env[name]);
+  return { status: missing.length ? 'down' : 'up', missing };
+};
+
+// Readiness for load balancers: { ready, checks } without configuration details.
+// `connect` opens the database connection when it is not open yet.
+const getReadiness = async ({ connect } = {}) => {
+  const database = await checkDatabase({ connect });
+  const jwt = checkJwtConfig();
+
+  return {
+    ready: database.status === 'up' && jwt.status === 'up',
+    checks: {
+      database: { status: database.status, readyState: database.readyState, state: database.state },
+      jwt: { status: jwt.status }
+    }
+  };
+};
+
+// Commit of the running code: GIT_SHA (or Vercel's), else the checkout's HEAD,
+// looked up once in the background at start-up (null until then or without git)
+let gitSha = process.env.GIT_SHA || process.env.VERCEL_GIT_COMMIT_SHA || null;
+if (!gitSha) {
+  execFile('git', ['rev-parse', 'HEAD'], { cwd: path.join(__dirname, '..'), timeout: 2000 }, (error, stdout) => {
+    if (!error) gitSha = stdout.trim() || null;
+  }).unref();
+}
+
+// Detailed diagnostics for admins and the diagnostics token
+const getDiagnostics = async () => {
+  const database = await checkDatabase();
+  const jwt = checkJwtConfig();
+  const memory = process.memoryUsage();
+  const client = database.driver === 'mongo' && mongoose.connection.readyState === 1
+    ? mongoose.connection.getClient()
+    : null;
+
+  return {
+    ready: database.status === 'up' && jwt.status === 'up',
+    version,
+    gitSha,
+    node: process.version,
+    environment: process.env.NODE_ENV || 'development',
+    startedAt,
+    uptimeSeconds: Math.round(process.uptime()),
+    memory: {
+      rss: memory.rss,
+      heapTotal: memory.heapTotal,
+      heapUsed: memory.heapUsed,
+      external: memory.external
+    },
+    database: {
+      ...database,
+      name: client ? mongoose.connection.db.databaseName : undefined,
+      pool: client
+        ? {
+          maxPoolSize: client.options.maxPoolSize,
+          open: pool.created - pool.closed,
+          inUse: pool.checkedOut - pool.checkedIn,
+          ...pool
+        }
+        : undefined
+    },
+    jwt
+  };
+};
+
+module.exports = {
+  READY_STATES,
+  checkDatabase,
+  checkJwtConfig,
+  getReadiness,
+  getDiagnostics
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { db } = require('../database');
+const { sendMail } = require('../utils/mailer');
+const { sendWebhook, isPublicHost } = require('../utils/webhook');
+const { encryptSecret, decryptSecret } = require('../utils/totp');
+const { CHANNELS, DEFAULT_CHANNELS, TYPES, isChannel } = require('../utils/notifications');
+
+const formatNotification = (notification) => ({
+  id: notification._id,
+  type: notification.type,
+  title: notification.title,
+  title_sv: notification.title_sv,
+  message: notification.message,
+  message_sv: notification.message_sv,
+  data: notification.data || {},
+  read: Boolean(notification.readAt),
+  readAt: notification.readAt,
+  createdAt: notification.createdAt
+});
+
+// Channel name -> deliver({ user, type, content, data, at }). A channel that
+// has nothing to deliver to returns { skipped: reason }; failures throw.
+const channels = {
+  in_app: async ({ user, type, content, data }) => {
+    const notification = await db.notifications.create({ user: user._id, type, ...content, data });
+    return { id: notification._id };
+  },
+
+  email: async ({ user, content }) => {
+    await sendMail({
+      to: user.email,
+      subject: `${content.title_sv} / ${content.title}`,
+      text: [
+        `Hej ${user.firstName},`,
+        '',
+        content.message_sv,
+        '',
+        `Hi ${user.firstName},`,
+        '',
+        content.message
+      ].join('\n')
+    });
+    return {};
+  },
+
+  webhook: async ({ user, type, content, data, at }) => {
+    const account = await db.users.findById(user._id, { select: '+notificationWebhookSecret' });
+    const url = account && account.notificationPreferences && account.notificationPreferences.webhookUrl;
+    if (!url || !account.notificationWebhookSecret) {
+      return { skipped: 'no_webhook' };
+    }
+
+    const response = await sendWebhook({
+      url,
+      secret: decryptSecret(account.notificationWebhookSecret),
+      payload: { event: type, user: String(user._id), createdAt: at, ...content, data }
+    });
+    return { responseStatus: response.status };
+  }
+};
+
+// Add or replace a channel (e.g. SMS). It must also be listed in
+// utils/notifications CHANNELS to be selectable in preferences.
+const registerChannel = (name, deliver) => {
+  channels[name] = deliver;
+};
+
+// Channels a user receives notifications on
+const getChannels = (user) => {
+  const chosen = user.notificationPreferences && user.notificationPreferences.channels;
+  return Array.isArray(chosen) ? chosen.filter(isChannel) : [...DEFAULT_CHANNELS];
+};
+
+// Send a notification on the user's channels (or the given ones) without ever
+// failing the request that triggered it; callers await it, and webhooks give up
+// after WEBHOOK_TIMEOUT_MS. Resolves to the outcome per channel:
+// { channel, status: 'sent' | 'skipped' | 'failed', ... }.
+const notify = async (userOrId, type, data = {}, { only } = {}) => {
+  try {
+    const user = userOrId && userOrId._id ? userOrId : await db.users.findById(userOrId);
+    if (!user || !TYPES[type]) return [];
+
+    const content = TYPES[type].render(data);
+    let targets = only || getChannels(user);
+    if (!only && TYPES[type].alwaysEmail && !targets.includes('email')) {
+      targets = [...targets, 'email'];
+    }
+
+    const at = new Date();
+    return await Promise.all(targets.filter(channel => channels[channel]).map(async (channel) => {
+      try {
+        const { skipped, ...details } = await channels[channel]({ user, type, content, data, at });
+        return skipped
+          ? { channel, status: 'skipped', reason: skipped }
+          : { channel, status: 'sent', ...details };
+      } catch (error) {
+        console.error(`Notification ${channel} error:`, error);
+        return { channel, status: 'failed', error: error.message };
+      }
+    }));
+  } catch (error) {
+    console.error('Notification error:', error);
+    return [];
+  }
+};
+
+// Error code for an unusable webhook URL, or null when it is fine.
+// Outside production http and local addresses are allowed for testing receivers.
+const checkWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'WEBHOOK_URL_INVALID';
+  }
+
+  const production = process.env.NODE_ENV === 'production';
+  const protocols = production ? ['https:'] : ['https:', 'http:'];
+  if (!protocols.includes(url.protocol)) {
+    return 'WEBHOOK_URL_NOT_HTTPS';
+  }
+  if (url.username || url.password) {
+    return 'WEBHOOK_URL_CREDENTIALS';
+  }
+  if (production && !(await isPublicHost(url.hostname))) {
+    return 'WEBHOOK_URL_NOT_PUBLIC';
+  }
+  return null;
+};
+
+// New webhook signing secret: { secret, encrypted }. Only the encrypted form is stored.
+const createWebhookSecret = () => {
+  const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  return { secret, encrypted: encryptSecret(secret) };
+};
+
+// Preferences as shown to the user; the secret itself is never returned
+const formatPreferences = (user) => ({
+  channels: getChannels(user),
+  webhookUrl: (user.notificationPreferences && user.notificationPreferences.webhookUrl) || null,
+  hasWebhookSecret: Boolean(user.notificationWebhookSecret),
+  availableChannels: Object.entries(CHANNELS).map(([channel, { label, label_sv: labelSv }]) => ({
+    channel,
+    label,
+    label_sv: labelSv
+  }))
+});
+
+module.exports = {
+  formatNotification,
+  registerChannel,
+  getChannels,
+  notify,
+  checkWebhookUrl,
+  createWebhookSecret,
+  formatPreferences
+};
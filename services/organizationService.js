@@ -0,0 +1,37 @@
+const { db, sameId } = require('../database');
+const Organization = require('../models/Organization');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+// Compare roles: true if `role` is at least `minimumRole`
+const hasRole = (role, minimumRole) => Organization.ROLES.indexOf(role) >= Organization.ROLES.indexOf(minimumRole);
+
+// Get a user's membership in an organization
+const getMember = (organization, userId) => organization.members.find(member => sameId(member.user, userId)) || null;
+
+// Count members with the owner role
+const countOwners = (organization) => organization.members.filter(member => member.role === 'owner').length;
+
+// Create a pending invitation; returns the invitation (without tokenHash,
+// which is select: false) and the raw token
+const issueInvitation = async ({ organization, email, role, invitedBy }) => {
+  const token = generateRandomToken();
+  const ttlDays = parseInt(process.env.ORG_INVITATION_EXPIRES_DAYS, 10) || 7;
+
+  const invitation = await db.invitations.create({
+    organization,
+    email,
+    role,
+    invitedBy,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { invitation, token };
+};
+
+module.exports = {
+  hasRole,
+  getMember,
+  countOwners,
+  issueInvitation
+};
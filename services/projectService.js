@@ -0,0 +1,82 @@
+const { db } = require('../database');
+const { FORMULAS, isFormula, calculate } = require('../utils/calculations');
+
+const MAX_TAGS = 20;
+
+// Oldest versions beyond this are dropped from a calculation's history
+const MAX_VERSIONS = 50;
+
+// Trimmed, lower-cased, unique tags; null when not an array of strings
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) return null;
+  return [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))].slice(0, MAX_TAGS);
+};
+
+// Full-text search through the collection's text index (name, description or
+// notes, and tags). Every word is sent as a phrase, so all of them must appear.
+const searchFilter = (search) => {
+  const words = String(search).replace(/"/g, ' ').trim().split(/\s+/).filter(Boolean);
+  return { $text: { $search: words.map(word => `"${word}"`).join(' ') } };
+};
+
+// Run a formula on saved inputs. Only the formula's own inputs are kept.
+// Returns { inputs, results } or { errors }.
+const runCalculation = (formula, rawInputs) => {
+  if (!isFormula(formula)) {
+    return { errors: [{ field: 'formula', code: 'FORMULA_NOT_FOUND', params: { formula } }] };
+  }
+
+  const raw = rawInputs !== null && typeof rawInputs === 'object' && !Array.isArray(rawInputs) ? rawInputs : {};
+  const inputs = {};
+  Object.keys(FORMULAS[formula].inputs).forEach(field => {
+    if (raw[field] !== undefined) inputs[field] = raw[field];
+  });
+
+  const { results, errors } = calculate(formula, inputs);
+  return errors ? { errors } : { inputs, results };
+};
+
+const versionEntry = (version, inputs, results, note) => ({
+  version,
+  inputs,
+  results,
+  note,
+  createdAt: new Date()
+});
+
+// Update that stores new inputs/results as the next version of a calculation
+const nextVersionUpdate = (calculation, { inputs, results, note }, changes = {}) => {
+  const version = calculation.version + 1;
+  return {
+    $set: { ...changes, formula: changes.formula || calculation.formula, inputs, results, version },
+    $push: { versions: { $each: [versionEntry(version, inputs, results, note)], $slice: -MAX_VERSIONS } }
+  };
+};
+
+// A new calculation (or a copy) starting its own history at version 1
+const newCalculation = ({ owner, project, name, formula, notes, tags, inputs, results, note }) => ({
+  owner,
+  project,
+  name,
+  formula,
+  notes,
+  tags,
+  inputs,
+  results,
+  version: 1,
+  versions: [versionEntry(1, inputs, results, note)]
+});
+
+// Mark a project as changed when one of its calculations changes
+const touchProject = (projectId) => db.projects.updateById(projectId, { $set: { updatedAt: new Date() } });
+
+module.exports = {
+  MAX_TAGS,
+  MAX_VERSIONS,
+  normalizeTags,
+  searchFilter,
+  runCalculation,
+  nextVersionUpdate,
+  newCalculation,
+  touchProject
+};
@@ -0,0 +1,173 @@
+const Sample = require('../models/Sample');
+const { db, isValidId, sameId } = require('../database');
+const { PARAMETERS, isValidParameter, resolveUnit, normalizeValue, parameterNames } = require('../utils/parameters');
+const { hasAccess, getOrganizationRoles, getSiteAccess } = require('./siteService');
+const { fieldError, schemaFieldErrors } = require('../utils/errors');
+
+// Most samples a single bulk request may create
+const BULK_LIMIT = 500;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Parse a numeric result. Lab reports often give "<0.5" or "0,5", so strings
+// may carry a leading qualifier and use a decimal comma.
+// Returns { value, qualifier } or null when not a number.
+const parseValue = (input) => {
+  if (typeof input === 'number') return Number.isFinite(input) ? { value: input } : null;
+  if (typeof input !== 'string') return null;
+
+  const match = input.trim().match(/^([<>])?\s*(-?\d+(?:[.,]\d+)?(?:e-?\d+)?)$/i);
+  if (!match) return null;
+  return { value: parseFloat(match[2].replace(',', '.')), qualifier: match[1] };
+};
+
+// Build a stored measurement from client input at `path` (e.g. measurements[0]);
+// returns { measurement } or { error } with a field error
+const prepareMeasurement = (input, path) => {
+  if (!isPlainObject(input)) return { error: fieldError(path, 'FIELD_NOT_OBJECT') };
+
+  const parameter = String(input.parameter || '').trim().toLowerCase();
+  if (!isValidParameter(parameter)) {
+    return { error: fieldError(`${path}.parameter`, 'PARAMETER_UNKNOWN', { parameter: input.parameter }) };
+  }
+
+  const parsed = parseValue(input.value);
+  if (!parsed) return { error: fieldError(`${path}.value`, 'FIELD_NOT_NUMBER') };
+
+  const qualifier = parsed.qualifier || input.qualifier || '=';
+  if (!Sample.QUALIFIERS.includes(qualifier)) {
+    return { error: fieldError(`${path}.qualifier`, 'FIELD_NOT_ONE_OF', { options: Sample.QUALIFIERS.join(', ') }) };
+  }
+
+  const unit = resolveUnit(parameter, input.unit);
+  if (!unit) return { error: fieldError(`${path}.unit`, 'PARAMETER_UNIT_INVALID', { unit: input.unit, ...parameterNames(parameter) }) };
+
+  let detectionLimit;
+  if (input.detectionLimit !== undefined && input.detectionLimit !== null && input.detectionLimit !== '') {
+    const limit = parseValue(input.detectionLimit);
+    if (!limit || limit.qualifier || limit.value < 0) {
+      return { error: fieldError(`${path}.detectionLimit`, 'FIELD_NOT_NON_NEGATIVE') };
+    }
+    detectionLimit = limit.value;
+  } else if (qualifier === '<') {
+    // "<0.5" reports a result below the laboratory's limit of 0.5
+    detectionLimit = parsed.value;
+  }
+
+  return {
+    measurement: {
+      parameter,
+      value: parsed.value,
+      unit,
+      qualifier,
+      detectionLimit,
+      normalizedValue: normalizeValue(parameter, parsed.value, unit),
+      normalizedUnit: PARAMETERS[parameter].unit,
+      normalizedDetectionLimit: detectionLimit !== undefined ? normalizeValue(parameter, detectionLimit, unit) : undefined,
+      belowDetectionLimit: qualifier === '<' || (detectionLimit !== undefined && parsed.value < detectionLimit),
+      method: input.method,
+      note: input.note
+    }
+  };
+};
+
+// Look up a site the user may add samples to (write access), cached per request
+const findWritableSite = async (siteId, context) => {
+  if (!isValidId(siteId)) return null;
+
+  if (!context.sites.has(String(siteId))) {
+    const site = await db.sites.findById(siteId);
+    const access = site ? getSiteAccess(site, context.userId, context.orgRoles) : null;
+    context.sites.set(String(siteId), access && hasAccess(access, 'write') ? site : null);
+  }
+  return context.sites.get(String(siteId));
+};
+
+// State shared by every sample built in one request
+const createContext = async (userId) => ({
+  userId,
+  orgRoles: await getOrganizationRoles(userId),
+  sites: new Map()
+});
+
+// Build a sample document from client input.
+// Linking a site copies its name, coordinates and type into the location,
+// unless the client gives them. Returns { sample } or { errors } (field errors).
+const buildSample = async (input, context) => {
+  if (!isPlainObject(input)) return { errors: [{ code: 'SAMPLE_NOT_OBJECT' }] };
+
+  const errors = [];
+  const location = isPlainObject(input.location) ? { ...input.location } : {};
+  let site = null;
+  let samplingPoint = null;
+
+  if (input.site) {
+    site = await findWritableSite(input.site, context);
+    if (!site) {
+      errors.push(fieldError('site', 'SITE_NOT_WRITABLE'));
+    } else {
+      const point = input.samplingPoint
+        ? (site.samplingPoints || []).find(p => sameId(p._id, input.samplingPoint))
+        : null;
+      if (input.samplingPoint && !point) errors.push(fieldError('samplingPoint', 'SAMPLING_POINT_NOT_ON_SITE'));
+      samplingPoint = point ? point._id : null;
+
+      const coordinates = (point && point.location) || site.location;
+      if (location.name === undefined) location.name = point ? `${site.name} – ${point.name}` : site.name;
+      if (location.latitude === undefined) location.latitude = coordinates.latitude;
+      if (location.longitude === undefined) location.longitude = coordinates.longitude;
+      if (location.sourceType === undefined) location.sourceType = site.type;
+    }
+  } else if (input.samplingPoint) {
+    errors.push(fieldError('samplingPoint', 'SAMPLING_POINT_REQUIRES_SITE'));
+  }
+
+  const measurements = [];
+  if (!Array.isArray(input.measurements) || !input.measurements.length) {
+    errors.push(fieldError('measurements', 'MEASUREMENTS_REQUIRED'));
+  } else {
+    input.measurements.forEach((item, index) => {
+      const path = `measurements[${index}]`;
+      const { measurement, error } = prepareMeasurement(item, path);
+      if (error) {
+        errors.push(error);
+      } else if (measurements.some(m => m.parameter === measurement.parameter)) {
+        errors.push(fieldError(`${path}.parameter`, 'PARAMETER_DUPLICATE', parameterNames(measurement.parameter)));
+      } else {
+        measurements.push(measurement);
+      }
+    });
+  }
+
+  if (errors.length) return { errors };
+
+  const sample = {
+    owner: context.userId,
+    site: site ? site._id : null,
+    samplingPoint,
+    location,
+    collectedAt: input.collectedAt,
+    sampleType: input.sampleType,
+    laboratory: input.laboratory,
+    reference: input.reference,
+    notes: input.notes,
+    measurements
+  };
+
+  try {
+    await db.samples.validate(sample);
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return { errors: schemaFieldErrors(error) };
+  }
+
+  return { sample };
+};
+
+module.exports = {
+  BULK_LIMIT,
+  parseValue,
+  prepareMeasurement,
+  createContext,
+  buildSample
+};
@@ -0,0 +1,21 @@
+const { db } = require('../database');
+
+// Record an event without ever failing the request that triggered it
+const record = async (type, { user, req, details } = {}) => {
+  try {
+    return await db.securityEvents.create({
+      type,
+      user,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? (req.get('user-agent') || '').slice(0, 500) : undefined,
+      details
+    });
+  } catch (error) {
+    console.error('Security event error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  record
+};
@@ -0,0 +1,28 @@
+const { db } = require('../database');
+
+// Maximum concurrent sessions per user (oldest are removed first)
+const getMaxSessionsPerUser = () => parseInt(process.env.MAX_SESSIONS_PER_USER, 10) || 10;
+
+// Remove the least recently used sessions beyond the per-user cap
+const enforceLimit = async (userId) => {
+  const excess = await db.sessions.find(
+    { user: userId },
+    { select: '_id', sort: { lastUsedAt: -1, _id: -1 }, skip: getMaxSessionsPerUser() }
+  );
+
+  if (excess.length) {
+    await db.sessions.deleteMany({ _id: { $in: excess.map(s => s._id) } });
+  }
+};
+
+// Revoke every session of a user, optionally keeping one; returns the number revoked
+const revokeAllForUser = (userId, { except } = {}) => {
+  const filter = { user: userId };
+  if (except) filter._id = { $ne: except };
+  return db.sessions.deleteMany(filter);
+};
+
+module.exports = {
+  enforceLimit,
+  revokeAllForUser
+};
@@ -0,0 +1,40 @@
+const { db } = require('../database');
+const Setting = require('../models/Setting');
+
+// Short-lived cache so middleware does not hit the database on every request
+const CACHE_TTL_MS = 30 * 1000;
+let cache = null;
+let cacheLoadedAt = 0;
+
+// Get all settings merged with defaults
+const getAll = async () => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  const settings = await db.settings.find({});
+  cache = { ...Setting.DEFAULTS };
+  settings.forEach(setting => {
+    cache[setting.key] = setting.value;
+  });
+  cacheLoadedAt = Date.now();
+  return cache;
+};
+
+// Get a single setting value
+const getValue = async (key) => {
+  const settings = await getAll();
+  return settings[key];
+};
+
+// Set a setting value and invalidate the cache
+const setValue = async (key, value, updatedBy) => {
+  await db.settings.updateOne({ key }, { $set: { value, updatedBy } }, { upsert: true });
+  cache = null;
+};
+
+module.exports = {
+  getAll,
+  getValue,
+  setValue
+};
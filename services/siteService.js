@@ -0,0 +1,56 @@
+const { db, sameId } = require('../database');
+const { hasRole } = require('./organizationService');
+
+// Access levels on a site, lowest to highest
+// - read:  view the site and its sampling points
+// - write: edit the site and its sampling points
+// - manage: also share and delete (site owner, organization manager/owner)
+const ACCESS_LEVELS = ['read', 'write', 'manage'];
+
+const hasAccess = (access, minimumAccess) => ACCESS_LEVELS.indexOf(access) >= ACCESS_LEVELS.indexOf(minimumAccess);
+
+// Organization roles of a user, keyed by organization id
+const getOrganizationRoles = async (userId) => {
+  const organizations = await db.organizations.find({ 'members.user': userId }, { select: 'members' });
+  return new Map(organizations.map(org => [
+    org._id,
+    org.members.find(member => sameId(member.user, userId)).role
+  ]));
+};
+
+// Filter matching every site the user can see
+const visibleSitesFilter = (userId, orgRoles) => ({
+  $or: [
+    { owner: userId },
+    { 'sharedWith.user': userId },
+    { organization: { $in: [...orgRoles.keys()] } }
+  ]
+});
+
+// The user's access level on a site, or null when the site is not visible to them
+const getSiteAccess = (site, userId, orgRoles) => {
+  if (sameId(site.owner, userId)) return 'manage';
+
+  const levels = [];
+
+  const orgRole = site.organization ? orgRoles.get(String(site.organization)) : null;
+  if (orgRole) {
+    if (hasRole(orgRole, 'manager')) levels.push('manage');
+    else if (hasRole(orgRole, 'member')) levels.push('write');
+    else levels.push('read');
+  }
+
+  const share = (site.sharedWith || []).find(s => sameId(s.user, userId));
+  if (share) levels.push(share.access);
+
+  if (!levels.length) return null;
+  return levels.reduce((best, level) => (hasAccess(level, best) ? level : best));
+};
+
+module.exports = {
+  ACCESS_LEVELS,
+  hasAccess,
+  getOrganizationRoles,
+  visibleSitesFilter,
+  getSiteAccess
+};
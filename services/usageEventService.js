@@ -0,0 +1,15 @@
+const { db } = require('../database');
+
+// Record a usage event without ever failing the request that triggered it
+const record = async (type, { user, details } = {}) => {
+  try {
+    return await db.usageEvents.create({ type, user, details });
+  } catch (error) {
+    console.error('Usage event error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  record
+};
@@ -0,0 +1,344 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { db } = require('../database');
+const { toCsvLine } = require('../utils/csv');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const LANGUAGES = ['en', 'sv'];
+
+// Accounts are read in this order so exports are stable between runs
+const EXPORT_SORT = { createdAt: 1, _id: 1 };
+
+// Fields read for exports; secrets and tokens are never selected
+const EXPORT_SELECT = [
+  'username', 'email', 'firstName', 'lastName', 'role', 'isActive', 'emailVerified', 'twoFactorEnabled',
+  'permissionOverrides', 'lastLogin', 'failedLoginAttempts', 'lockUntil', 'createdAt', 'updatedAt', 'deletedAt'
+].join(' ');
+
+const isLockedAt = (user, now) => Boolean(user.lockUntil && new Date(user.lockUntil) > now);
+
+// Export columns: header per language and the value for a user
+const COLUMNS = [
+  { key: 'id', label: 'ID', label_sv: 'ID', width: 26, value: user => String(user._id) },
+  { key: 'username', label: 'Username', label_sv: 'Användarnamn', width: 20, value: user => user.username },
+  { key: 'email', label: 'Email', label_sv: 'E-postadress', width: 30, value: user => user.email },
+  { key: 'firstName', label: 'First name', label_sv: 'Förnamn', width: 16, value: user => user.firstName },
+  { key: 'lastName', label: 'Last name', label_sv: 'Efternamn', width: 16, value: user => user.lastName },
+  { key: 'role', label: 'Role', label_sv: 'Roll', width: 10, value: user => user.role },
+  { key: 'isActive', label: 'Active', label_sv: 'Aktiv', width: 8, value: user => Boolean(user.isActive) },
+  { key: 'emailVerified', label: 'Email verified', label_sv: 'E-post bekräftad', width: 14, value: user => Boolean(user.emailVerified) },
+  { key: 'twoFactorEnabled', label: 'Two-factor', label_sv: 'Tvåfaktor', width: 10, value: user => Boolean(user.twoFactorEnabled) },
+  {
+    key: 'permissionsGranted',
+    label: 'Permissions granted',
+    label_sv: 'Tilldelade behörigheter',
+    width: 24,
+    value: user => (user.permissionOverrides && user.permissionOverrides.grant ? user.permissionOverrides.grant.join(' ') : '')
+  },
+  {
+    key: 'permissionsDenied',
+    label: 'Permissions denied',
+    label_sv: 'Nekade behörigheter',
+    width: 24,
+    value: user => (user.permissionOverrides && user.permissionOverrides.deny ? user.permissionOverrides.deny.join(' ') : '')
+  },
+  { key: 'lastLogin', label: 'Last login', label_sv: 'Senaste inloggning', width: 20, date: true, value: user => user.lastLogin },
+  { key: 'failedLoginAttempts', label: 'Failed logins', label_sv: 'Misslyckade inloggningar', width: 12, value: user => user.failedLoginAttempts || 0 },
+  { key: 'lockedUntil', label: 'Locked until', label_sv: 'Låst till', width: 20, date: true, value: user => (isLockedAt(user, new Date()) ? user.lockUntil : undefined) },
+  { key: 'createdAt', label: 'Created', label_sv: 'Skapad', width: 20, date: true, value: user => user.createdAt },
+  { key: 'updatedAt', label: 'Updated', label_sv: 'Uppdaterad', width: 20, date: true, value: user => user.updatedAt },
+  { key: 'deletedAt', label: 'Deleted', label_sv: 'Borttagen', width: 20, date: true, value: user => user.deletedAt }
+];
+
+const columnLabel = (column, lang) => (lang === 'sv' ? column.label_sv : column.label);
+
+// Accounts matching the filter, read with a cursor
+const streamUsers = (filter) => db.users.stream(filter, { select: EXPORT_SELECT, sort: EXPORT_SORT });
+
+// File name such as users-2024-05-01.csv
+const exportFileName = (prefix, extension) => `${prefix}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+async function* csvLines(users, { lang, delimiter }) {
+  // BOM so Excel detects UTF-8 (å, ä, ö)
+  yield '\uFEFF' + toCsvLine(COLUMNS.map(column => columnLabel(column, lang)), delimiter);
+  for await (const user of users) {
+    yield toCsvLine(COLUMNS.map(column => column.value(user)), delimiter);
+  }
+}
+
+// Stream users as CSV into the response (respects backpressure and client aborts)
+const writeCsv = (res, users, { lang = 'en', delimiter = ',' } = {}) => pipeline(
+  Readable.from(csvLines(users, { lang, delimiter })),
+  res
+);
+
+// Stream users as an XLSX workbook into the response; rows are written as they are read
+const writeXlsx = async (res, users, { lang = 'en' } = {}) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(lang === 'sv' ? 'Användare' : 'Users', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = COLUMNS.map(column => ({
+    key: column.key,
+    header: columnLabel(column, lang),
+    width: column.width,
+    style: column.date ? { numFmt: 'yyyy-mm-dd hh:mm' } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const user of users) {
+    if (res.destroyed) return;
+    const row = {};
+    COLUMNS.forEach(column => {
+      const value = column.value(user);
+      row[column.key] = column.date && value ? new Date(value) : value;
+    });
+    sheet.addRow(row).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Counts for the account summary report
+const summarizeUsers = async (filter) => {
+  const now = new Date();
+  const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  const [totals, roles] = await Promise.all([
+    db.users.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          active: { $sum: { $cond: ['$isActive', 1, 0] } },
+          emailVerified: { $sum: { $cond: ['$emailVerified', 1, 0] } },
+          twoFactorEnabled: { $sum: { $cond: ['$twoFactorEnabled', 1, 0] } },
+          locked: { $sum: { $cond: [{ $gt: ['$lockUntil', now] }, 1, 0] } },
+          recentLogin: { $sum: { $cond: [{ $gte: ['$lastLogin', monthAgo] }, 1, 0] } },
+          neverLoggedIn: { $sum: { $cond: [{ $ifNull: ['$lastLogin', false] }, 0, 1] } },
+          deleted: { $sum: { $cond: [{ $ifNull: ['$deletedAt', false] }, 1, 0] } }
+        }
+      }
+    ]),
+    db.users.aggregate([
+      { $match: filter },
+      { $group: { _id: '$role', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  const summary = totals[0] || {
+    total: 0, active: 0, emailVerified: 0, twoFactorEnabled: 0, locked: 0, recentLogin: 0, neverLoggedIn: 0, deleted: 0
+  };
+  delete summary._id;
+  summary.inactive = summary.total - summary.active;
+  summary.roles = roles.map(role => ({ role: role._id, count: role.count }));
+  return summary;
+};
+
+// Texts of the PDF report per language
+const REPORT_TEMPLATES = {
+  en: {
+    locale: 'en-GB',
+    title: 'Account summary',
+    generated: 'Generated',
+    generatedBy: 'Generated by',
+    filters: 'Filters',
+    noFilters: 'All accounts',
+    overview: 'Overview',
+    roles: 'Accounts per role',
+    accounts: 'Accounts',
+    yes: 'Yes',
+    no: 'No',
+    never: 'Never',
+    page: 'Page',
+    stats: {
+      total: 'Accounts',
+      active: 'Active',
+      inactive: 'Inactive',
+      emailVerified: 'Email verified',
+      twoFactorEnabled: 'Two-factor enabled',
+      locked: 'Locked now',
+      recentLogin: 'Logged in during the last 30 days',
+      neverLoggedIn: 'Never logged in',
+      deleted: 'Deleted'
+    },
+    table: { name: 'Name', email: 'Email', role: 'Role', active: 'Active', lastLogin: 'Last login' },
+    filterNames: {
+      role: 'Role',
+      isActive: 'Active',
+      search: 'Search',
+      includeDeleted: 'Including deleted',
+      lastLoginFrom: 'Last login from',
+      lastLoginTo: 'Last login to',
+      createdFrom: 'Created from',
+      createdTo: 'Created to'
+    }
+  },
+  sv: {
+    locale: 'sv-SE',
+    title: 'Kontosammanställning',
+    generated: 'Skapad',
+    generatedBy: 'Skapad av',
+    filters: 'Filter',
+    noFilters: 'Alla konton',
+    overview: 'Översikt',
+    roles: 'Konton per roll',
+    accounts: 'Konton',
+    yes: 'Ja',
+    no: 'Nej',
+    never: 'Aldrig',
+    page: 'Sida',
+    stats: {
+      total: 'Konton',
+      active: 'Aktiva',
+      inactive: 'Inaktiva',
+      emailVerified: 'Bekräftad e-post',
+      twoFactorEnabled: 'Tvåfaktorautentisering',
+      locked: 'Låsta just nu',
+      recentLogin: 'Inloggade de senaste 30 dagarna',
+      neverLoggedIn: 'Aldrig inloggade',
+      deleted: 'Borttagna'
+    },
+    table: { name: 'Namn', email: 'E-postadress', role: 'Roll', active: 'Aktiv', lastLogin: 'Senaste inloggning' },
+    filterNames: {
+      role: 'Roll',
+      isActive: 'Aktiv',
+      search: 'Sökning',
+      includeDeleted: 'Inklusive borttagna',
+      lastLoginFrom: 'Senaste inloggning från',
+      lastLoginTo: 'Senaste inloggning till',
+      createdFrom: 'Skapad från',
+      createdTo: 'Skapad till'
+    }
+  }
+};
+
+// x offset and width of each account table column (A4 with 50 pt margins)
+const TABLE_COLUMNS = [
+  { key: 'name', x: 0, width: 130 },
+  { key: 'email', x: 135, width: 170 },
+  { key: 'role', x: 310, width: 50 },
+  { key: 'active', x: 365, width: 40 },
+  { key: 'lastLogin', x: 410, width: 85 }
+];
+const ROW_HEIGHT = 14;
+
+// Stream the account summary as a PDF: overview counts followed by one line per account
+const writePdfReport = async (res, users, { summary, filters = {}, generatedBy, lang = 'en' }) => {
+  const t = REPORT_TEMPLATES[lang] || REPORT_TEMPLATES.en;
+  const formatDate = (date, withTime = true) => new Intl.DateTimeFormat(t.locale, withTime
+    ? { dateStyle: 'short', timeStyle: 'short', timeZone: 'Europe/Stockholm' }
+    : { dateStyle: 'short', timeZone: 'Europe/Stockholm' }).format(new Date(date));
+
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: t.title, Author: 'Water Tools' } });
+  const finished = new Promise((resolve, reject) => {
+    res.on('finish', resolve);
+    res.on('close', resolve);
+    doc.on('error', reject);
+  });
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const bottom = () => doc.page.height - doc.page.margins.bottom - ROW_HEIGHT;
+  let pageNumber = 1;
+
+  const footer = () => {
+    // Writing below the bottom margin would otherwise add a page
+    const { bottom: margin } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.fontSize(8).fillColor('#666666')
+      .text(`${t.page} ${pageNumber}`, left, doc.page.height - 35, { width: doc.page.width - 2 * left, align: 'center' });
+    doc.page.margins.bottom = margin;
+    doc.fillColor('#000000');
+  };
+
+  const newPage = () => {
+    footer();
+    doc.addPage();
+    pageNumber += 1;
+  };
+
+  // Header
+  doc.fontSize(18).font('Helvetica-Bold').text(`Water Tools – ${t.title}`);
+  doc.moveDown(0.3).fontSize(9).font('Helvetica')
+    .text(`${t.generated}: ${formatDate(new Date())}${generatedBy ? `   ${t.generatedBy}: ${generatedBy}` : ''}`);
+
+  const filterTexts = Object.entries(filters)
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([name, value]) => `${t.filterNames[name] || name}: ${value}`);
+  doc.text(`${t.filters}: ${filterTexts.length ? filterTexts.join(', ') : t.noFilters}`);
+
+  // Overview
+  doc.moveDown().fontSize(13).font('Helvetica-Bold').text(t.overview);
+  doc.moveDown(0.3).fontSize(10).font('Helvetica');
+  Object.entries(t.stats).forEach(([key, label]) => {
+    const y = doc.y;
+    doc.text(label, left, y, { width: 300 });
+    doc.text(String(summary[key] || 0), left + 300, y, { width: 80, align: 'right' });
+  });
+
+  doc.moveDown().fontSize(13).font('Helvetica-Bold').text(t.roles, left);
+  doc.moveDown(0.3).fontSize(10).font('Helvetica');
+  summary.roles.forEach(({ role, count }) => {
+    const y = doc.y;
+    doc.text(role, left, y, { width: 300 });
+    doc.text(String(count), left + 300, y, { width: 80, align: 'right' });
+  });
+
+  // Account table
+  const tableHeader = () => {
+    const y = doc.y;
+    doc.fontSize(9).font('Helvetica-Bold');
+    TABLE_COLUMNS.forEach(column => {
+      doc.text(t.table[column.key], left + column.x, y, { width: column.width, lineBreak: false, ellipsis: true });
+    });
+    doc.moveTo(left, y + ROW_HEIGHT - 3).lineTo(left + 495, y + ROW_HEIGHT - 3).strokeColor('#999999').stroke();
+    doc.font('Helvetica');
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  doc.moveDown().fontSize(13).font('Helvetica-Bold').text(t.accounts, left);
+  doc.moveDown(0.3);
+  tableHeader();
+
+  for await (const user of users) {
+    if (res.destroyed) break;
+    if (doc.y > bottom()) {
+      newPage();
+      tableHeader();
+    }
+
+    const values = {
+      name: `${user.firstName} ${user.lastName}`.trim(),
+      email: user.email,
+      role: user.role,
+      active: user.isActive ? t.yes : t.no,
+      lastLogin: user.lastLogin ? formatDate(user.lastLogin, false) : t.never
+    };
+    const y = doc.y;
+    TABLE_COLUMNS.forEach(column => {
+      doc.text(values[column.key] || '', left + column.x, y, { width: column.width, lineBreak: false, ellipsis: true });
+    });
+    doc.y = y + ROW_HEIGHT;
+  }
+
+  footer();
+  doc.end();
+  await finished;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  LANGUAGES,
+  COLUMNS,
+  exportFileName,
+  streamUsers,
+  writeCsv,
+  writeXlsx,
+  summarizeUsers,
+  writePdfReport
+};
@@ -0,0 +1,259 @@
+const { db } = require('../database');
+const {
+  checkRegistrationInput,
+  splitName,
+  usernameFromEmail,
+  hashPassword,
+  unusablePassword,
+  createPasswordResetToken,
+  exceedsOwnPermissions
+} = require('./userService');
+const { ROLES, ROLE_PERMISSIONS } = require('../utils/permissions');
+const { bilingual } = require('../utils/i18n');
+const { schemaFieldErrors } = require('../utils/errors');
+const { normalizeEmail } = require('../utils/validation');
+const { sendMail, buildFrontendUrl } = require('../utils/mailer');
+const usageEvents = require('./usageEventService');
+
+const MAX_ROWS = 1000;
+
+// Passwords given in the file are hashed this many at a time
+const HASH_BATCH_SIZE = 4;
+
+// Fields a column can be mapped to, with the header names recognised for each
+// (compared without case, spaces, dashes and underscores)
+const IMPORT_FIELDS = {
+  name: { label: 'Full name', label_sv: 'Fullständigt namn', aliases: ['name', 'fullname', 'namn', 'fullständigtnamn'] },
+  firstName: { label: 'First name', label_sv: 'Förnamn', aliases: ['firstname', 'givenname', 'förnamn'] },
+  lastName: { label: 'Last name', label_sv: 'Efternamn', aliases: ['lastname', 'surname', 'familyname', 'efternamn'] },
+  email: { label: 'Email', label_sv: 'E-postadress', aliases: ['email', 'emailaddress', 'mail', 'epost', 'epostadress'] },
+  role: { label: 'Role', label_sv: 'Roll', aliases: ['role', 'roll'] },
+  password: { label: 'Password', label_sv: 'Lösenord', aliases: ['password', 'lösenord'] }
+};
+
+// Set-password links for imported accounts outlive ordinary reset links
+const linkTtlMinutes = () => (parseInt(process.env.USER_IMPORT_LINK_EXPIRES_HOURS, 10) || 72) * 60;
+
+const headerKey = (header) => String(header).toLowerCase().replace(/[\s_.-]/g, '');
+
+// Mapping { field: header } guessed from the file's headers
+const suggestMapping = (headers) => {
+  const mapping = {};
+  Object.entries(IMPORT_FIELDS).forEach(([field, { aliases }]) => {
+    const header = headers.find(h => aliases.includes(headerKey(h)));
+    if (header) mapping[field] = header;
+  });
+  return mapping;
+};
+
+// Check a { field: header } mapping against the file's headers.
+// Returns a list of bilingual errors { code, message, message_sv } (empty when the mapping can be used).
+const checkMapping = (mapping, headers) => {
+  const errors = [];
+
+  Object.entries(mapping).forEach(([field, header]) => {
+    if (!Object.prototype.hasOwnProperty.call(IMPORT_FIELDS, field)) {
+      errors.push(bilingual('IMPORT_FIELD_UNKNOWN', { field }));
+    } else if (!headers.includes(header)) {
+      errors.push(bilingual('IMPORT_COLUMN_MISSING', {
+        header,
+        field,
+        field_sv: IMPORT_FIELDS[field].label_sv.toLowerCase()
+      }));
+    }
+  });
+
+  if (!mapping.email) errors.push(bilingual('IMPORT_EMAIL_COLUMN_REQUIRED'));
+  if (!mapping.name && !mapping.firstName) errors.push(bilingual('IMPORT_NAME_COLUMN_REQUIRED'));
+
+  return errors;
+};
+
+// Input for one row from the mapped columns
+const readRow = ({ row, values }, headers, mapping) => {
+  const input = {};
+  Object.entries(mapping).forEach(([field, header]) => {
+    input[field] = values[headers.indexOf(header)];
+  });
+
+  const firstName = input.firstName || (input.name ? splitName(input.name).firstName : '');
+  const lastName = input.firstName ? (input.lastName || '') : (input.name ? splitName(input.name).lastName : '');
+  const email = input.email ? normalizeEmail(input.email) : '';
+
+  return {
+    row,
+    name: input.name || [firstName, lastName].filter(Boolean).join(' '),
+    firstName,
+    lastName,
+    email,
+    username: email ? usernameFromEmail(email) : '',
+    role: (input.role || 'user').toLowerCase(),
+    password: input.password || undefined
+  };
+};
+
+// User document fields for a row (the password is added when creating)
+const accountFields = (row) => ({
+  username: row.username,
+  email: row.email,
+  firstName: row.firstName,
+  lastName: row.lastName,
+  role: row.role
+});
+
+// Row-level checks: registration rules, role (which must not carry permissions
+// the importing `actor` lacks), the User schema and collisions with other rows
+// or existing accounts. Rows get status 'valid' or 'invalid'.
+const validateRows = async (rows, { actor }) => {
+  const seenEmails = new Map();
+  const seenUsernames = new Map();
+
+  const existing = await db.users.find({
+    $or: [
+      { email: { $in: rows.map(row => row.email).filter(Boolean) } },
+      { username: { $in: rows.map(row => row.username).filter(Boolean) } }
+    ]
+  }, { select: 'email username' });
+  const existingEmails = new Set(existing.map(user => user.email));
+  const existingUsernames = new Set(existing.map(user => user.username));
+
+  for (const row of rows) {
+    const errors = [];
+
+    const inputError = checkRegistrationInput(row, { requirePassword: false });
+    if (inputError) errors.push(bilingual(inputError.code, inputError.params));
+
+    if (!ROLES.includes(row.role)) {
+      errors.push(bilingual('IMPORT_ROLE_INVALID', { role: row.role, roles: ROLES.join(', ') }));
+    } else if (exceedsOwnPermissions(actor, ROLE_PERMISSIONS[row.role])) {
+      errors.push(bilingual('ROLE_EXCEEDS_PERMISSIONS', { role: row.role }));
+    }
+
+    if (row.email && seenEmails.has(row.email)) {
+      errors.push(bilingual('IMPORT_EMAIL_USED_ON_ROW', { row: seenEmails.get(row.email) }));
+    } else if (existingEmails.has(row.email)) {
+      errors.push(bilingual('EMAIL_EXISTS'));
+    } else if (row.username && seenUsernames.has(row.username)) {
+      errors.push(bilingual('IMPORT_USERNAME_USED_ON_ROW', { username: row.username, row: seenUsernames.get(row.username) }));
+    } else if (existingUsernames.has(row.username)) {
+      errors.push(bilingual('IMPORT_USERNAME_EXISTS', { username: row.username }));
+    }
+    if (row.email && !seenEmails.has(row.email)) seenEmails.set(row.email, row.row);
+    if (row.username && !seenUsernames.has(row.username)) seenUsernames.set(row.username, row.row);
+
+    // Schema rules (lengths, required names); password and role are checked above
+    if (!inputError) {
+      try {
+        await db.users.validate({ ...accountFields(row), role: 'user', password: 'unchecked' });
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        schemaFieldErrors(error).forEach(({ code, params }) => errors.push(bilingual(code, params)));
+      }
+    }
+
+    row.errors = errors;
+    row.status = errors.length ? 'invalid' : 'valid';
+  }
+
+  return rows;
+};
+
+const sendInvitation = (user, url) => sendMail({
+  to: user.email,
+  subject: 'Ditt Water Tools-konto / Your Water Tools account',
+  text: [
+    `Hej ${user.firstName},`,
+    '',
+    'Ett Water Tools-konto har skapats åt dig.',
+    `Använd länken nedan för att välja ditt lösenord: ${url}`,
+    '',
+    'A Water Tools account has been created for you.',
+    `Use the link below to choose your password: ${url}`
+  ].join('\n')
+});
+
+// Create accounts for the valid rows. Each new account gets a set-password link
+// (a password reset token); rows created elsewhere in the meantime are marked 'failed'.
+const createAccounts = async (rows, { sendEmails = true } = {}) => {
+  const valid = rows.filter(r => r.status === 'valid');
+
+  // Hash in small parallel batches: faster than one by one without
+  // occupying every thread of the pool with a large file
+  const passwords = new Map();
+  const withPassword = valid.filter(row => row.password);
+  for (let start = 0; start < withPassword.length; start += HASH_BATCH_SIZE) {
+    const batch = withPassword.slice(start, start + HASH_BATCH_SIZE);
+    const hashes = await Promise.all(batch.map(row => hashPassword(row.password)));
+    batch.forEach((row, index) => passwords.set(row, hashes[index]));
+  }
+
+  for (const row of valid) {
+    const { token, fields } = createPasswordResetToken({ ttlMinutes: linkTtlMinutes() });
+
+    try {
+      // The admin vouches for the address, so it does not need verifying
+      const user = await db.users.create({
+        ...accountFields(row),
+        password: passwords.get(row) || unusablePassword(),
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        ...fields
+      });
+
+      await usageEvents.record('registration', { user: user._id, details: { source: 'import' } });
+
+      row.status = 'created';
+      row.id = user._id;
+      row.setPasswordUrl = buildFrontendUrl('/reset-password', { token });
+      row.linkExpiresAt = fields.passwordResetExpires;
+      row.emailSent = false;
+
+      if (sendEmails) {
+        try {
+          await sendInvitation(user, row.setPasswordUrl);
+          row.emailSent = true;
+        } catch (mailError) {
+          console.error('Invitation mail error:', mailError);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      row.status = 'failed';
+      row.errors = [bilingual('EMAIL_OR_USERNAME_EXISTS')];
+    }
+  }
+
+  return rows;
+};
+
+// Report entry for a row (never includes the password)
+const formatRow = (row) => ({
+  row: row.row,
+  status: row.status,
+  name: row.name,
+  email: row.email,
+  username: row.username,
+  role: row.role,
+  errors: row.errors,
+  id: row.id,
+  setPasswordUrl: row.setPasswordUrl,
+  linkExpiresAt: row.linkExpiresAt,
+  emailSent: row.emailSent
+});
+
+const summarize = (rows) => rows.reduce((summary, row) => {
+  summary[row.status] = (summary[row.status] || 0) + 1;
+  return summary;
+}, { total: rows.length });
+
+module.exports = {
+  MAX_ROWS,
+  IMPORT_FIELDS,
+  suggestMapping,
+  checkMapping,
+  readRow,
+  validateRows,
+  createAccounts,
+  formatRow,
+  summarize
+};
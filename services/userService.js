@@ -0,0 +1,198 @@
+const bcrypt = require('bcryptjs');
+const { db } = require('../database');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { verifyCode, decryptSecret, normalizeRecoveryCode } = require('../utils/totp');
+const { resolvePermissions } = require('../utils/permissions');
+const { isEmail, normalizeEmail } = require('../utils/validation');
+
+// Hash a password with cost of 12 (users are stored with the hash only)
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(12);
+  return bcrypt.hash(password, salt);
+};
+
+// Placeholder for accounts created without a password (bulk import). It is not
+// a bcrypt hash, so no password matches it until one is set through a reset link.
+const unusablePassword = () => `!${generateRandomToken()}`;
+
+// Compare a password with the user's hash (load the user with '+password')
+const comparePassword = async (user, candidatePassword) => {
+  if (!user.password || user.password.startsWith('!')) return false;
+  return bcrypt.compare(candidatePassword, user.password);
+};
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Password rules for input that does not come through a route schema (bulk import).
+// Returns null when valid, otherwise an error { code, params } (locales/)
+const checkPasswordRules = (password, confirmPassword) => {
+  // If confirmPassword is provided, check if it matches
+  if (confirmPassword && password !== confirmPassword) {
+    return { code: 'PASSWORDS_DO_NOT_MATCH' };
+  }
+
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { code: 'PASSWORD_TOO_SHORT', params: { min: MIN_PASSWORD_LENGTH } };
+  }
+
+  return null;
+};
+
+// Registration input rules for provisioned users (bulk import), who may be
+// created without a password. Returns null when valid, otherwise an error { code, params }.
+const checkRegistrationInput = ({ name, email, password, confirmPassword } = {}, { requirePassword = true } = {}) => {
+  if (!name || !email || (requirePassword && !password)) {
+    return { code: requirePassword ? 'FIELDS_REQUIRED' : 'NAME_AND_EMAIL_REQUIRED' };
+  }
+
+  if (password || requirePassword) {
+    const passwordError = checkPasswordRules(password, confirmPassword);
+    if (passwordError) return passwordError;
+  }
+
+  if (!isEmail(normalizeEmail(email))) {
+    return { code: 'INVALID_EMAIL' };
+  }
+
+  return null;
+};
+
+// Split a full name into first name and the rest as last name
+const splitName = (name) => {
+  const nameParts = String(name).trim().split(' ');
+  return {
+    firstName: nameParts[0] || '',
+    lastName: nameParts.slice(1).join(' ') || ''
+  };
+};
+
+// Usernames are derived from the part of the email before @
+const usernameFromEmail = (email) => String(email).trim().split('@')[0];
+
+// Create a password reset token; returns the raw token and the fields to store (hash only).
+// ttlMinutes overrides PASSWORD_RESET_EXPIRES_MINUTES (e.g. longer-lived set-password links).
+const createPasswordResetToken = ({ ttlMinutes: ttl } = {}) => {
+  const token = generateRandomToken();
+  const ttlMinutes = ttl || parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60;
+
+  return {
+    token,
+    fields: {
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    }
+  };
+};
+
+// Create an email verification token (verifies pendingEmail if set, otherwise email)
+const createEmailVerificationToken = () => {
+  const token = generateRandomToken();
+  const ttlHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS, 10) || 24;
+
+  return {
+    token,
+    fields: {
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+      emailVerificationSentAt: new Date()
+    }
+  };
+};
+
+// Accounts created before email verification existed were never sent a link
+// (no emailVerificationSentAt); count them as verified so that the
+// verification policy does not lock them out. Safe to run on every start.
+const verifyLegacyAccounts = () => db.users.updateMany(
+  { emailVerified: { $ne: true }, emailVerificationSentAt: { $exists: false } },
+  { $set: { emailVerified: true } }
+);
+
+// Check if account is currently locked after too many failed logins
+const isLocked = (user) => Boolean(user.lockUntil && user.lockUntil > Date.now());
+
+// Record a failed login; locks the account once the attempt limit is reached.
+// Each consecutive lock doubles in length up to LOGIN_LOCK_MAX_MINUTES.
+// Returns the updated user.
+const registerFailedLogin = async (user) => {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+  const baseLockMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+  const maxLockMinutes = parseInt(process.env.LOGIN_LOCK_MAX_MINUTES, 10) || 24 * 60;
+
+  // Increment atomically so parallel attempts are all counted
+  const updated = await db.users.updateById(user._id, { $inc: { failedLoginAttempts: 1 } });
+
+  if (!updated || updated.failedLoginAttempts < maxAttempts) {
+    return updated;
+  }
+
+  const lockMinutes = Math.min(baseLockMinutes * Math.pow(2, updated.lockCount || 0), maxLockMinutes);
+  return db.users.updateById(user._id, {
+    $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000) },
+    $inc: { lockCount: 1 }
+  });
+};
+
+// Reset lockout state after a successful login
+const recordLogin = (userId) => db.users.updateById(userId, {
+  $set: { lastLogin: new Date(), failedLoginAttempts: 0, lockCount: 0 },
+  $unset: { lockUntil: 1 }
+});
+
+// Verify a TOTP code or consume a recovery code.
+// Requires +twoFactorSecret to be selected. Returns 'totp', 'recovery' or null.
+const verifyTwoFactor = async (user, { code, recoveryCode } = {}) => {
+  if (code) {
+    const step = verifyCode(decryptSecret(user.twoFactorSecret), code);
+    if (step === null) return null;
+
+    // Accept each time step only once (atomic, so parallel replays fail)
+    const updated = await db.users.updateOne(
+      {
+        _id: user._id,
+        $or: [{ twoFactorLastUsedStep: { $lt: step } }, { twoFactorLastUsedStep: null }]
+      },
+      { $set: { twoFactorLastUsedStep: step } }
+    );
+    return updated ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const updated = await db.users.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: codeHash },
+      { $pull: { twoFactorRecoveryCodes: codeHash } }
+    );
+    return updated ? 'recovery' : null;
+  }
+
+  return null;
+};
+
+// Effective permissions (role bundle plus overrides)
+const getPermissions = (user) => resolvePermissions(user);
+
+// Users cannot hand out permissions they do not hold themselves
+const exceedsOwnPermissions = (actor, permissions) => {
+  const held = getPermissions(actor);
+  return permissions.some(permission => !held.includes(permission));
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  checkPasswordRules,
+  checkRegistrationInput,
+  splitName,
+  usernameFromEmail,
+  hashPassword,
+  unusablePassword,
+  comparePassword,
+  createPasswordResetToken,
+  createEmailVerificationToken,
+  verifyLegacyAccounts,
+  isLocked,
+  registerFailedLogin,
+  recordLogin,
+  verifyTwoFactor,
+  getPermissions,
+  exceedsOwnPermissions
+};
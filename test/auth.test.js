@@ -0,0 +1,189 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// In-memory database; responses are checked against the API document (middleware/responseCheck)
+process.env.NODE_ENV = 'test';
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+
+const { db } = require('../database');
+const { setTransport } = require('../utils/mailer');
+const { generateCode, getTimeStep } = require('../utils/totp');
+const app = require('../app');
+
+const mails = [];
+setTransport({
+  name: 'test',
+  send: async (mail) => {
+    mails.push(mail);
+    return { accepted: [mail.to] };
+  }
+});
+
+// Token from the link to `pathname` in the latest such mail to an address
+const tokenFromMail = (to, pathname) => {
+  const pattern = new RegExp(`${pathname}\\?token=([^\\s&]+)`);
+  const mail = mails.filter(m => m.to === to && pattern.test(m.text)).pop();
+  assert.ok(mail, `no ${pathname} mail to ${to}`);
+  return decodeURIComponent(mail.text.match(pattern)[1]);
+};
+
+describe('authentication flows', () => {
+  let server;
+  let base;
+
+  // JSON request; resolves to { status, body, headers }
+  const request = async (method, path, body, token) => {
+    const response = await fetch(base + path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json(), headers: response.headers };
+  };
+
+  const register = async (name, email, password = 'secret1') => {
+    const { status, body } = await request('POST', '/api/auth/register', { name, email, password });
+    assert.equal(status, 201, body.code);
+    return body.data;
+  };
+
+  const login = (email, password = 'secret1') => request('POST', '/api/auth/login', { email, password });
+
+  before(async () => {
+    server = app.listen(0);
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('accepts a password reset token once and ends every session', async () => {
+    const { refreshToken } = await register('Ann Reset', 'ann@example.com');
+
+    assert.equal((await request('POST', '/api/auth/forgot-password', { email: 'ann@example.com' })).body.code, 'PASSWORD_RESET_SENT');
+    const token = tokenFromMail('ann@example.com', '/reset-password');
+
+    const reset = { token, password: 'secret2', confirmPassword: 'secret2' };
+    assert.equal((await request('POST', '/api/auth/reset-password', reset)).status, 200);
+
+    const reused = await request('POST', '/api/auth/reset-password', { ...reset, password: 'secret3', confirmPassword: 'secret3' });
+    assert.equal(reused.status, 400);
+    assert.equal(reused.body.code, 'PASSWORD_RESET_TOKEN_INVALID');
+
+    assert.equal((await request('POST', '/api/auth/refresh', { refreshToken })).status, 401);
+    assert.equal((await login('ann@example.com', 'secret1')).status, 401);
+    assert.equal((await login('ann@example.com', 'secret2')).status, 200);
+  });
+
+  it('answers forgot-password the same way for unknown emails', async () => {
+    const { status, body } = await request('POST', '/api/auth/forgot-password', { email: 'nobody@example.com' });
+    assert.equal(status, 200);
+    assert.equal(body.code, 'PASSWORD_RESET_SENT');
+    assert.equal(mails.filter(mail => mail.to === 'nobody@example.com').length, 0);
+  });
+
+  it('verifies the email address with a single-use link', async () => {
+    const { user, accessToken } = await register('Bo Verify', 'bob@example.com');
+    assert.equal(user.emailVerified, false);
+
+    const token = tokenFromMail('bob@example.com', '/verify-email');
+    const verified = await request('GET', `/api/auth/verify-email?token=${encodeURIComponent(token)}`);
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.data.user.emailVerified, true);
+
+    const reused = await request('POST', '/api/auth/verify-email', { token });
+    assert.equal(reused.status, 400);
+    assert.equal(reused.body.code, 'VERIFICATION_TOKEN_INVALID');
+
+    // An email change waits for the new address to be confirmed
+    const changed = await request('PUT', '/api/auth/profile', { email: 'bob.new@example.com' }, accessToken);
+    assert.equal(changed.body.code, 'PROFILE_UPDATED_VERIFY_EMAIL');
+    assert.equal((await db.users.findOne({ username: user.username })).email, 'bob@example.com');
+
+    await request('POST', '/api/auth/verify-email', { token: tokenFromMail('bob.new@example.com', '/verify-email') });
+    const updated = await db.users.findOne({ username: user.username });
+    assert.equal(updated.email, 'bob.new@example.com');
+    assert.equal(updated.pendingEmail, undefined);
+  });
+
+  it('locks the account after repeated failed logins', async () => {
+    await register('Cy Locked', 'cyd@example.com');
+
+    const attempts = [];
+    for (let i = 0; i < 5; i++) {
+      attempts.push(await login('cyd@example.com', 'wrong-password'));
+    }
+    assert.deepEqual(attempts.map(attempt => attempt.status), [401, 401, 401, 401, 429]);
+    assert.equal(attempts[4].body.code, 'ACCOUNT_LOCKED');
+
+    // The right password does not help while locked
+    const locked = await login('cyd@example.com');
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers.get('retry-after')) > 0);
+
+    await db.users.updateOne({ email: 'cyd@example.com' }, { $set: { lockUntil: new Date(Date.now() - 1000) } });
+    assert.equal((await login('cyd@example.com')).status, 200);
+  });
+
+  it('rotates refresh tokens and revokes the session when an old one is replayed', async () => {
+    const { refreshToken: first } = await register('Dee Refresh', 'dee@example.com');
+
+    const rotated = await request('POST', '/api/auth/refresh', { refreshToken: first });
+    assert.equal(rotated.status, 200);
+    const second = rotated.body.data.refreshToken;
+
+    // A parallel refresh with the token just replaced is turned away, not treated as reuse
+    const parallel = await request('POST', '/api/auth/refresh', { refreshToken: first });
+    assert.equal(parallel.status, 409);
+    assert.equal(parallel.body.code, 'REFRESH_TOKEN_ROTATED');
+
+    const next = await request('POST', '/api/auth/refresh', { refreshToken: second });
+    assert.equal(next.status, 200);
+    const third = next.body.data.refreshToken;
+
+    // Outside the grace window a replayed token revokes the whole family
+    await db.sessions.updateMany({}, { $set: { rotatedAt: new Date(Date.now() - 60 * 1000) } });
+    const replayed = await request('POST', '/api/auth/refresh', { refreshToken: second });
+    assert.equal(replayed.status, 401);
+    assert.equal(replayed.body.code, 'REFRESH_TOKEN_REUSED');
+    assert.equal((await request('POST', '/api/auth/refresh', { refreshToken: third })).status, 401);
+    assert.equal(await db.securityEvents.count({ type: 'refresh_token_reuse' }), 1);
+  });
+
+  it('rejects replayed TOTP codes and accepts each recovery code once', async () => {
+    const { accessToken } = await register('Eve Totp', 'eve@example.com');
+
+    const { body: { data: { secret } } } = await request('POST', '/api/auth/2fa/setup', undefined, accessToken);
+    const enableCode = generateCode(secret);
+    const enabled = await request('POST', '/api/auth/2fa/enable', { code: enableCode }, accessToken);
+    assert.equal(enabled.status, 200);
+    const [recoveryCode] = enabled.body.data.recoveryCodes;
+
+    const challenge = async () => {
+      const { body } = await login('eve@example.com');
+      assert.equal(body.code, 'TWO_FACTOR_REQUIRED');
+      return body.data.challengeToken;
+    };
+
+    // The code used to enable 2FA cannot be used again, the next one can once
+    const replayed = await request('POST', '/api/auth/login/2fa', { challengeToken: await challenge(), code: enableCode });
+    assert.equal(replayed.status, 401);
+    assert.equal(replayed.body.code, 'INVALID_TWO_FACTOR_CODE');
+
+    const nextCode = generateCode(secret, getTimeStep() + 1);
+    assert.equal((await request('POST', '/api/auth/login/2fa', { challengeToken: await challenge(), code: nextCode })).status, 200);
+    assert.equal((await request('POST', '/api/auth/login/2fa', { challengeToken: await challenge(), code: nextCode })).status, 401);
+
+    const recovered = await request('POST', '/api/auth/login/2fa', { challengeToken: await challenge(), recoveryCode });
+    assert.equal(recovered.status, 200);
+    assert.equal(recovered.body.data.recoveryCodeUsed, true);
+    assert.equal((await request('POST', '/api/auth/login/2fa', { challengeToken: await challenge(), recoveryCode })).status, 401);
+
+    const { body: { data: status } } = await request('GET', '/api/auth/2fa', undefined, accessToken);
+    assert.equal(status.recoveryCodesRemaining, 9);
+  });
+});
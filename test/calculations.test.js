@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FORMULAS, calculate, verifyFormulas } = require('../utils/calculations');
+
+describe('calculation formulas', () => {
+  const verification = verifyFormulas();
+
+  it('has reference vectors for every formula', () => {
+    Object.entries(FORMULAS).forEach(([name, formula]) => {
+      assert.ok(formula.vectors && formula.vectors.length, `${name} has no reference vectors`);
+    });
+    assert.equal(verification.total, Object.values(FORMULAS).reduce((sum, formula) => sum + formula.vectors.length, 0));
+  });
+
+  verification.formulas.forEach(({ name, vectors }) => {
+    it(`${name} reproduces its reference vectors`, () => {
+      vectors.forEach(({ inputs, mismatches }) => {
+        assert.deepEqual(mismatches, [], `${name} with ${JSON.stringify(inputs)}`);
+      });
+    });
+  });
+
+  it('reports a changed formula as failed', () => {
+    const [name, formula] = Object.entries(FORMULAS)[0];
+    const [vector] = formula.vectors;
+    const { results } = calculate(name, vector.inputs);
+    const [key] = Object.keys(vector.results);
+    assert.ok(results[key], `${name} returns ${key}`);
+
+    const original = formula.vectors;
+    formula.vectors = [{ ...vector, results: { ...vector.results, [key]: results[key].value * 2 + 1 } }];
+    try {
+      const report = verifyFormulas();
+      assert.equal(report.passed, false);
+      assert.equal(report.failed, 1);
+    } finally {
+      formula.vectors = original;
+    }
+  });
+});
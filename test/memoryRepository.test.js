@@ -0,0 +1,101 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MemoryRepository = require('../database/MemoryRepository');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+
+// Update semantics the controllers rely on, as MongoDB implements them
+describe('memory driver', () => {
+  let users;
+
+  const createUser = (name, fields = {}) => users.create({
+    firstName: name,
+    lastName: 'Test',
+    email: `${name.toLowerCase()}@example.com`,
+    username: `${name.toLowerCase()}test`,
+    password: 'hashed-password',
+    ...fields
+  });
+
+  beforeEach(() => {
+    users = new MemoryRepository(User);
+  });
+
+  it('updateMany returns the number of documents it changed, like modifiedCount', async () => {
+    await createUser('Ann', { isActive: false });
+    await createUser('Bo', { isActive: false });
+    await createUser('Cy');
+
+    assert.equal(await users.updateMany({}, { $set: { isActive: true } }), 2);
+    assert.equal(await users.updateMany({}, { $set: { isActive: true } }), 0);
+    assert.equal(await users.count({ isActive: true }), 3);
+  });
+
+  it('updateMany leaves unchanged documents, and their updatedAt, alone', async () => {
+    const ann = await createUser('Ann');
+    await users.updateMany({}, { $set: { isActive: true } });
+
+    assert.deepEqual((await users.findById(ann._id)).updatedAt, ann.updatedAt);
+  });
+
+  it('applies a conditional updateOne only once when it runs in parallel', async () => {
+    const ann = await createUser('Ann', { passwordResetToken: 'token-hash' });
+    const consume = () => users.updateOne(
+      { _id: ann._id, passwordResetToken: 'token-hash' },
+      { $unset: { passwordResetToken: 1 } }
+    );
+
+    const results = await Promise.all([consume(), consume(), consume()]);
+    assert.equal(results.filter(Boolean).length, 1);
+  });
+
+  it('returns null from updateOne when nothing matches', async () => {
+    await createUser('Ann');
+    assert.equal(await users.updateOne({ email: 'nobody@example.com' }, { $set: { isActive: false } }), null);
+  });
+
+  it('rejects duplicates of unique fields with a duplicate key error', async () => {
+    await createUser('Ann');
+    await assert.rejects(
+      createUser('Ann', { username: 'otherann' }),
+      error => error.code === 11000 && error.keyValue.email === 'ann@example.com'
+    );
+    const bo = await createUser('Bo');
+    await assert.rejects(users.updateById(bo._id, { $set: { email: 'ann@example.com' } }), { code: 11000 });
+  });
+
+  it('validates updates against the schema', async () => {
+    const ann = await createUser('Ann');
+    await assert.rejects(users.updateById(ann._id, { $set: { role: 'superuser' } }), { name: 'ValidationError' });
+    assert.equal((await users.findById(ann._id)).role, 'user');
+  });
+
+  it('supports arrayFilters, $pull and $elemMatch conditions on embedded arrays', async () => {
+    const organizations = new MemoryRepository(Organization);
+    const [ann, bo] = [await createUser('Ann'), await createUser('Bo')];
+    const organization = await organizations.create({
+      name: 'Water Works',
+      slug: 'water-works',
+      createdBy: ann._id,
+      members: [{ user: ann._id, role: 'owner' }, { user: bo._id, role: 'member' }]
+    });
+
+    const promoted = await organizations.updateOne(
+      { _id: organization._id },
+      { $set: { 'members.$[member].role': 'manager' } },
+      { arrayFilters: [{ 'member.user': bo._id }] }
+    );
+    assert.deepEqual(promoted.members.map(member => member.role), ['owner', 'manager']);
+
+    // Only while another owner remains
+    const anotherOwner = { members: { $elemMatch: { role: 'owner', user: { $ne: ann._id } } } };
+    assert.equal(await organizations.updateOne(
+      { _id: organization._id, ...anotherOwner },
+      { $pull: { members: { user: ann._id } } }
+    ), null);
+
+    const left = await organizations.updateOne({ _id: organization._id }, { $pull: { members: { user: bo._id } } });
+    assert.equal(left.members.length, 1);
+  });
+});
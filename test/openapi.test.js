@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// In-memory database; responses are checked against the API document (middleware/responseCheck)
+process.env.NODE_ENV = 'test';
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+
+const express = require('express');
+const { db } = require('../database');
+const { setTransport } = require('../utils/mailer');
+const { getSpec, checkRouteDocs, checkResponse } = require('../utils/openapi');
+const app = require('../app');
+
+setTransport({ name: 'test', send: async (mail) => ({ accepted: [mail.to] }) });
+
+describe('API document', () => {
+  it('documents every route with a doc comment and its responses', () => {
+    assert.deepEqual(checkRouteDocs(app), { undocumented: [], undeclared: [], stale: [] });
+  });
+
+  it('reports routes without a doc comment or declared responses', () => {
+    const extra = express();
+    const router = express.Router();
+    router.get('/', (req, res) => res.json({ success: true }));
+    extra.use('/api/extra', router);
+    extra.locals.apiRouters = [{ path: '/api/extra', router, name: 'Extra' }];
+
+    const { undocumented, undeclared } = checkRouteDocs(extra);
+    assert.deepEqual(undocumented, ['GET /api/extra']);
+    assert.deepEqual(undeclared, ['GET /api/extra']);
+  });
+
+  it('reports responses that do not match their schema', () => {
+    const spec = getSpec(app);
+    const route = { method: 'GET', path: '/api/projects/:id' };
+
+    assert.deepEqual(checkResponse(spec, {
+      ...route,
+      status: 200,
+      body: { success: true, data: { project: { id: 'p1', name: 'Well', tags: [], calculationCount: 0 } } }
+    }), []);
+    assert.deepEqual(checkResponse(spec, {
+      ...route,
+      status: 200,
+      body: { success: true, data: { project: { id: 1, tags: 'well', calculationCount: 0 } } }
+    }), [
+      'body.data.project.name: is required',
+      'body.data.project.id: should be string',
+      'body.data.project.tags: should be array'
+    ]);
+    assert.deepEqual(checkResponse(spec, { ...route, status: 201, body: { success: true } }), ['status 201 is not documented']);
+    assert.deepEqual(checkResponse(spec, { ...route, status: 404, body: { success: false } }), [
+      'body.code: is required',
+      'body.message: is required'
+    ]);
+  });
+});
+
+describe('API responses', () => {
+  let server;
+  let base;
+
+  // JSON request. Responses that do not match the document are answered with
+  // 500 RESPONSE_SCHEMA_MISMATCH (middleware/responseCheck), which fails the test.
+  const request = async (method, path, body, token) => {
+    const response = await fetch(base + path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const json = await response.json();
+    const problems = (json.errors || []).map(error => error.message).join('; ');
+    assert.ok(response.status < 500, `${method} ${path} answered ${response.status} ${json.code}: ${problems}`);
+    return json;
+  };
+
+  const register = async (name, email) => {
+    const { data } = await request('POST', '/api/auth/register', { name, email, password: 'secret1' });
+    return data.accessToken;
+  };
+
+  before(async () => {
+    server = app.listen(0);
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('match the API document across a user and an admin session', async () => {
+    const token = await register('Ann Test', 'ann@example.com');
+    await request('GET', '/', undefined);
+    await request('GET', '/health/live', undefined);
+    await request('GET', '/api/auth/me', undefined, token);
+    await request('GET', '/api/auth/sessions', undefined, token);
+    await request('GET', '/api/auth/2fa', undefined, token);
+    await request('POST', '/api/auth/forgot-password', { email: 'ann@example.com' });
+
+    // Calculations and projects
+    const inputs = { volume: 10, dose: 2, strength: 10, density: 1.2 };
+    await request('GET', '/api/calc', undefined, token);
+    await request('POST', '/api/calc/dose', inputs, token);
+    const { data: { project } } = await request('POST', '/api/projects', { name: 'Well', tags: ['Lab'] }, token);
+    await request('GET', '/api/projects', undefined, token);
+    await request('PUT', `/api/projects/${project.id}`, { description: 'North well' }, token);
+    const { data: { calculation } } = await request('POST', `/api/projects/${project.id}/calculations`, { name: 'Dose', formula: 'dose', inputs }, token);
+    await request('PUT', `/api/projects/${project.id}/calculations/${calculation.id}`, { inputs: { ...inputs, dose: 3 }, version: 1 }, token);
+    await request('GET', `/api/projects/${project.id}/calculations/${calculation.id}`, undefined, token);
+    await request('POST', `/api/projects/${project.id}/calculations/${calculation.id}/versions/1/restore`, undefined, token);
+    await request('POST', `/api/projects/${project.id}/calculations/${calculation.id}/duplicate`, {}, token);
+    await request('GET', '/api/projects/calculations?formula=dose', undefined, token);
+    await request('POST', `/api/projects/${project.id}/duplicate`, {}, token);
+    await request('DELETE', `/api/projects/${project.id}`, undefined, token);
+
+    // Sites, samples and evaluation
+    const { data: { site } } = await request('POST', '/api/sites', {
+      name: 'North well',
+      type: 'well',
+      location: { latitude: 59.3, longitude: 18.1 },
+      samplingPoints: [{ name: 'Tap' }]
+    }, token);
+    await request('GET', '/api/sites', undefined, token);
+    await request('POST', `/api/sites/${site.id}/points`, { name: 'Outlet' }, token);
+    await request('GET', '/api/samples/parameters', undefined, token);
+    const { data: { sample } } = await request('POST', '/api/samples', {
+      site: site.id,
+      collectedAt: '2026-01-15T10:00:00Z',
+      measurements: [{ parameter: 'nitrate', value: 12, unit: 'mg/L' }]
+    }, token);
+    await request('GET', '/api/samples', undefined, token);
+    await request('GET', `/api/samples/${sample.id}`, undefined, token);
+    await request('POST', '/api/evaluate', { results: [{ parameter: 'nitrate', value: 60, unit: 'mg/L' }, { parameter: 'radon', value: 5 }] }, token);
+    await request('GET', '/api/evaluate/profiles', undefined, token);
+
+    // Organizations and notifications
+    const { data: { organization } } = await request('POST', '/api/organizations', { name: 'Water Works' }, token);
+    await request('GET', `/api/organizations/${organization.id}/members`, undefined, token);
+    await request('POST', `/api/organizations/${organization.id}/invitations`, { email: 'bo@example.com', role: 'member' }, token);
+    await request('GET', `/api/organizations/${organization.id}/invitations`, undefined, token);
+    await request('GET', '/api/notifications', undefined, token);
+    await request('GET', '/api/notifications/preferences', undefined, token);
+    await request('POST', '/api/notifications/test', {}, token);
+
+    // Administration
+    await register('Ada Admin', 'ada@example.com');
+    await db.users.updateOne({ email: 'ada@example.com' }, { $set: { role: 'admin' } });
+    const { data: { accessToken: adminToken } } = await request('POST', '/api/auth/login', { email: 'ada@example.com', password: 'secret1' });
+    const { data: { users } } = await request('GET', '/api/admin/users', undefined, adminToken);
+    await request('GET', `/api/admin/users/${users[0].id}`, undefined, adminToken);
+    await request('GET', '/api/admin/permissions', undefined, adminToken);
+    await request('GET', '/api/admin/settings', undefined, adminToken);
+    await request('GET', '/api/admin/analytics/overview', undefined, adminToken);
+    await request('GET', '/api/admin/analytics/active-users', undefined, adminToken);
+    await request('GET', '/api/admin/analytics/failed-logins', undefined, adminToken);
+    await request('GET', '/api/admin/analytics/retention?interval=week', undefined, adminToken);
+    await request('GET', '/api/admin/analytics/dormant', undefined, adminToken);
+    await request('GET', '/api/admin/limit-profiles', undefined, adminToken);
+
+    // Errors use the error schema too
+    await request('GET', '/api/projects/000000000000000000000000', undefined, token);
+    await request('POST', '/api/projects', {}, token);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// In-memory database; responses are checked against the API document (middleware/responseCheck)
+process.env.NODE_ENV = 'test';
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+
+const { db } = require('../database');
+const { setTransport } = require('../utils/mailer');
+const app = require('../app');
+
+setTransport({ name: 'test', send: async (mail) => ({ accepted: [mail.to] }) });
+
+describe('permission overrides', () => {
+  let server;
+  let base;
+
+  // JSON request; resolves to { status, body }
+  const request = async (method, path, body, token) => {
+    const response = await fetch(base + path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const register = async (name, email) => {
+    const { body } = await request('POST', '/api/auth/register', { name, email, password: 'secret1' });
+    return { id: body.data.user.id, token: body.data.accessToken };
+  };
+
+  const permissionsOf = async (token) => (await request('GET', '/api/auth/me', undefined, token)).body.data.user.permissions;
+
+  let admin;
+  let uma;
+  let bob;
+
+  before(async () => {
+    server = app.listen(0);
+    base = `http://127.0.0.1:${server.address().port}`;
+
+    admin = await register('Ada Admin', 'ada@example.com');
+    await db.users.updateById(admin.id, { $set: { role: 'admin' } });
+    uma = await register('Uma User', 'uma@example.com');
+    bob = await register('Bob User', 'bob@example.com');
+  });
+
+  after(() => server.close());
+
+  const setOverrides = (target, overrides, token = admin.token) =>
+    request('PUT', `/api/admin/users/${target.id}/permissions`, { grant: [], deny: [], ...overrides }, token);
+
+  it('applies grants and denials on top of the role from the next request', async () => {
+    const denied = await request('GET', '/api/admin/users', undefined, uma.token);
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.code, 'PERMISSION_MISSING');
+
+    assert.equal((await setOverrides(uma, { grant: ['users:read'], deny: ['calculations:run'] })).status, 200);
+
+    assert.equal((await request('GET', '/api/admin/users', undefined, uma.token)).status, 200);
+    const calc = await request('GET', '/api/calc', undefined, uma.token);
+    assert.equal(calc.status, 403);
+    assert.equal(calc.body.code, 'PERMISSION_MISSING');
+
+    const permissions = await permissionsOf(uma.token);
+    assert.ok(permissions.includes('users:read'));
+    assert.ok(!permissions.includes('calculations:run'));
+
+    // Granted reading only
+    assert.equal((await request('PUT', `/api/admin/users/${bob.id}/role`, { role: 'admin' }, uma.token)).status, 403);
+  });
+
+  it('guards own profile routes with profile:read and profile:write', async () => {
+    await setOverrides(bob, { deny: ['profile:read', 'profile:write'] });
+
+    assert.equal((await request('GET', '/api/auth/me', undefined, bob.token)).status, 403);
+    assert.equal((await request('PUT', '/api/auth/profile', { name: 'Bob Renamed' }, bob.token)).status, 403);
+
+    await setOverrides(bob, {});
+    assert.equal((await request('PUT', '/api/auth/profile', { name: 'Bob Renamed' }, bob.token)).status, 200);
+  });
+
+  it('does not let anyone grant permissions they do not hold', async () => {
+    await setOverrides(uma, { grant: ['users:read', 'users:write'] });
+
+    const escalated = await setOverrides(bob, { grant: ['settings:write'] }, uma.token);
+    assert.equal(escalated.status, 403);
+    assert.equal(escalated.body.code, 'PERMISSION_ESCALATION');
+
+    assert.equal((await setOverrides(bob, { grant: ['users:read'] }, uma.token)).status, 200);
+  });
+
+  it('does not let admins deny themselves user management', async () => {
+    const own = await setOverrides(admin, { deny: ['users:write'] });
+    assert.equal(own.status, 400);
+    assert.equal(own.body.code, 'SELF_ACTION_NOT_ALLOWED');
+  });
+});
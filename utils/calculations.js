@@ -0,0 +1,445 @@
+const { DIMENSIONS, normalizeUnit, getDimension, convert } = require('./units');
+const { fieldError } = require('./errors');
+
+// Calculation library behind /api/calc. Every formula is a pure function of
+// its inputs, which are converted to the formula's units before calculating.
+// Each formula carries test vectors (known inputs and results) that
+// verifyFormulas() checks, so results can be reproduced and audited.
+
+const GRAVITY = 9.80665; // m/s²
+const MOLAR_MASS_CALCIUM = 40.078; // g/mol
+const MOLAR_MASS_MAGNESIUM = 24.305; // g/mol
+
+// Results are rounded to 6 significant digits
+const round = (value) => Number(value.toPrecision(6));
+
+// Result with its unit
+const quantity = (value, unit) => ({ value: round(value), unit });
+
+// Hardness classes used in Sweden, in °dH
+const HARDNESS_CLASSES = [
+  { code: 'very_soft', max: 2, label: 'Very soft', label_sv: 'Mycket mjukt' },
+  { code: 'soft', max: 5, label: 'Soft', label_sv: 'Mjukt' },
+  { code: 'medium', max: 10, label: 'Medium hard', label_sv: 'Medelhårt' },
+  { code: 'hard', max: 20, label: 'Hard', label_sv: 'Hårt' },
+  { code: 'very_hard', max: Infinity, label: 'Very hard', label_sv: 'Mycket hårt' }
+];
+
+// Total hardness in mmol/L expressed in every hardness unit, with its class
+const hardnessResults = (mmol) => {
+  const degrees = convert(mmol, 'mmol/L', '°dH');
+  const hardnessClass = HARDNESS_CLASSES.find(c => degrees <= c.max);
+  return {
+    germanDegrees: quantity(degrees, '°dH'),
+    millimoles: quantity(mmol, 'mmol/L'),
+    calciumCarbonate: quantity(convert(mmol, 'mmol/L', 'mg/L CaCO3'), 'mg/L CaCO3'),
+    classification: { value: hardnessClass.code, label: hardnessClass.label, label_sv: hardnessClass.label_sv }
+  };
+};
+
+// Density of water in kg/m³ (Tanaka et al. 2001, valid 0-40 °C)
+const waterDensity = (temperature) => 999.974950 * (1 - ((temperature - 3.983035) ** 2 * (temperature + 301.797)) /
+  (522528.9 * (temperature + 69.34881)));
+
+// Dynamic viscosity of water in Pa·s (Vogel equation)
+const waterViscosity = (temperature) => 2.414e-5 * 10 ** (247.8 / (temperature + 273.15 - 140));
+
+// Shared input definitions
+const STRENGTH = {
+  unit: '%',
+  default: 100,
+  greaterThan: 0,
+  max: 100,
+  label: 'Product strength (active substance, % by weight)',
+  label_sv: 'Produktens styrka (aktiv substans, viktprocent)'
+};
+const DENSITY = {
+  dimension: 'density',
+  unit: 'kg/L',
+  default: 1,
+  greaterThan: 0,
+  label: 'Product density',
+  label_sv: 'Produktens densitet'
+};
+
+// Formulas by name. Inputs declare their default unit (values given as plain
+// numbers are in it) and limits; `calculate` gets plain numbers in those units.
+const FORMULAS = {
+  dose: {
+    description: 'Chemical needed to dose a batch volume',
+    description_sv: 'Kemikaliemängd för att dosera en given volym',
+    inputs: {
+      volume: { dimension: 'volume', unit: 'm³', required: true, greaterThan: 0, label: 'Water volume', label_sv: 'Vattenvolym' },
+      dose: { dimension: 'concentration', unit: 'mg/L', required: true, min: 0, label: 'Target dose (active substance)', label_sv: 'Önskad dos (aktiv substans)' },
+      strength: STRENGTH,
+      density: DENSITY
+    },
+    calculate: ({ volume, dose, strength, density }) => {
+      const active = volume * dose; // m³ × mg/L = g
+      const productMass = active / 1000 / (strength / 100);
+      return {
+        activeSubstance: quantity(active, 'g'),
+        productMass: quantity(productMass, 'kg'),
+        productVolume: quantity(productMass / density, 'L')
+      };
+    },
+    vectors: [
+      {
+        inputs: { volume: 10, dose: 2, strength: 10, density: 1.2 },
+        results: { activeSubstance: 20, productMass: 0.2, productVolume: 0.166667 }
+      },
+      {
+        inputs: { volume: { value: 500, unit: 'L' }, dose: { value: 500, unit: 'µg/L' } },
+        results: { activeSubstance: 0.25, productMass: 0.00025, productVolume: 0.00025 }
+      }
+    ]
+  },
+
+  'dose-rate': {
+    description: 'Chemical feed rate for continuous dosing into a flow',
+    description_sv: 'Kemikalieflöde för kontinuerlig dosering i ett flöde',
+    inputs: {
+      flow: { dimension: 'flow', unit: 'm³/h', required: true, greaterThan: 0, label: 'Water flow', label_sv: 'Vattenflöde' },
+      dose: { dimension: 'concentration', unit: 'mg/L', required: true, min: 0, label: 'Target dose (active substance)', label_sv: 'Önskad dos (aktiv substans)' },
+      strength: STRENGTH,
+      density: DENSITY
+    },
+    calculate: ({ flow, dose, strength, density }) => {
+      const active = flow * dose; // m³/h × mg/L = g/h
+      const productMass = active / 1000 / (strength / 100);
+      return {
+        activeSubstance: quantity(active, 'g/h'),
+        productMass: quantity(productMass, 'kg/h'),
+        productVolume: quantity(productMass / density, 'L/h')
+      };
+    },
+    vectors: [
+      {
+        inputs: { flow: { value: 10, unit: 'L/s' }, dose: 0.5, strength: 15, density: 1.2 },
+        results: { activeSubstance: 18, productMass: 0.12, productVolume: 0.1 }
+      }
+    ]
+  },
+
+  hardness: {
+    description: 'Convert total hardness between °dH, mmol/L and mg/L CaCO3',
+    description_sv: 'Omvandla totalhårdhet mellan °dH, mmol/L och mg/L CaCO3',
+    inputs: {
+      hardness: { dimension: 'hardness', unit: '°dH', required: true, min: 0, label: 'Total hardness', label_sv: 'Totalhårdhet' }
+    },
+    calculate: ({ hardness }) => hardnessResults(convert(hardness, '°dH', 'mmol/L')),
+    vectors: [
+      {
+        inputs: { hardness: { value: 1, unit: 'mmol/L' } },
+        results: { germanDegrees: 5.608, millimoles: 1, calciumCarbonate: 100.092, classification: 'medium' }
+      },
+      {
+        inputs: { hardness: { value: 50, unit: 'mg/L CaCO3' } },
+        results: { germanDegrees: 2.80143, millimoles: 0.499542, calciumCarbonate: 50, classification: 'soft' }
+      }
+    ]
+  },
+
+  'hardness-from-ions': {
+    description: 'Total hardness from calcium and magnesium concentrations',
+    description_sv: 'Totalhårdhet från halterna av kalcium och magnesium',
+    inputs: {
+      calcium: { dimension: 'concentration', unit: 'mg/L', required: true, min: 0, label: 'Calcium (Ca)', label_sv: 'Kalcium (Ca)' },
+      magnesium: { dimension: 'concentration', unit: 'mg/L', required: true, min: 0, label: 'Magnesium (Mg)', label_sv: 'Magnesium (Mg)' }
+    },
+    calculate: ({ calcium, magnesium }) => hardnessResults(calcium / MOLAR_MASS_CALCIUM + magnesium / MOLAR_MASS_MAGNESIUM),
+    vectors: [
+      {
+        inputs: { calcium: 40.078, magnesium: 24.305 },
+        results: { germanDegrees: 11.216, millimoles: 2, calciumCarbonate: 200.183, classification: 'hard' }
+      }
+    ]
+  },
+
+  flow: {
+    description: 'Flow, volume or time: give two and get the third',
+    description_sv: 'Flöde, volym eller tid: ange två och få den tredje',
+    inputs: {
+      volume: { dimension: 'volume', unit: 'm³', greaterThan: 0, label: 'Volume', label_sv: 'Volym' },
+      flow: { dimension: 'flow', unit: 'm³/h', greaterThan: 0, label: 'Flow', label_sv: 'Flöde' },
+      time: { dimension: 'time', unit: 'h', greaterThan: 0, label: 'Time', label_sv: 'Tid' }
+    },
+    check: (values) => ([values.volume, values.flow, values.time].filter(v => v !== undefined).length === 2
+      ? null
+      : { code: 'FLOW_INPUTS_INVALID' }),
+    calculate: ({ volume, flow, time }) => {
+      const v = volume !== undefined ? volume : flow * time;
+      const q = flow !== undefined ? flow : v / time;
+      const t = time !== undefined ? time : v / q;
+      return {
+        volume: quantity(v, 'm³'),
+        flow: quantity(q, 'm³/h'),
+        flowPerSecond: quantity(convert(q, 'm³/h', 'L/s'), 'L/s'),
+        time: quantity(t, 'h'),
+        timeInMinutes: quantity(t * 60, 'min')
+      };
+    },
+    vectors: [
+      {
+        inputs: { volume: 10, time: 2 },
+        results: { volume: 10, flow: 5, flowPerSecond: 1.38889, time: 2, timeInMinutes: 120 }
+      },
+      {
+        inputs: { volume: { value: 1000, unit: 'L' }, flow: { value: 2, unit: 'L/s' } },
+        results: { volume: 1, flow: 7.2, flowPerSecond: 2, time: 0.138889, timeInMinutes: 8.33333 }
+      }
+    ]
+  },
+
+  'pipe-velocity': {
+    description: 'Mean flow velocity in a full circular pipe',
+    description_sv: 'Medelhastighet i ett fyllt cirkulärt rör',
+    inputs: {
+      flow: { dimension: 'flow', unit: 'L/s', required: true, min: 0, label: 'Flow', label_sv: 'Flöde' },
+      diameter: { dimension: 'length', unit: 'mm', required: true, greaterThan: 0, label: 'Inner diameter', label_sv: 'Innerdiameter' }
+    },
+    calculate: ({ flow, diameter }) => {
+      const area = Math.PI * (diameter / 1000) ** 2 / 4;
+      return {
+        area: quantity(area, 'm²'),
+        velocity: quantity((flow / 1000) / area, 'm/s')
+      };
+    },
+    vectors: [
+      {
+        inputs: { flow: 10, diameter: 100 },
+        results: { area: 0.00785398, velocity: 1.27324 }
+      }
+    ]
+  },
+
+  'pressure-loss': {
+    description: 'Friction pressure loss in a full circular pipe (Darcy-Weisbach, Swamee-Jain friction factor)',
+    description_sv: 'Tryckförlust genom friktion i ett fyllt cirkulärt rör (Darcy-Weisbach, friktionsfaktor enligt Swamee-Jain)',
+    inputs: {
+      flow: { dimension: 'flow', unit: 'L/s', required: true, greaterThan: 0, label: 'Flow', label_sv: 'Flöde' },
+      diameter: { dimension: 'length', unit: 'mm', required: true, greaterThan: 0, label: 'Inner diameter', label_sv: 'Innerdiameter' },
+      length: { dimension: 'length', unit: 'm', required: true, greaterThan: 0, label: 'Pipe length', label_sv: 'Rörlängd' },
+      roughness: { dimension: 'length', unit: 'mm', default: 0.01, min: 0, label: 'Wall roughness (PE about 0.01 mm)', label_sv: 'Väggråhet (PE cirka 0,01 mm)' },
+      temperature: { dimension: 'temperature', unit: '°C', default: 10, min: 0, max: 40, label: 'Water temperature', label_sv: 'Vattentemperatur' }
+    },
+    calculate: ({ flow, diameter, length, roughness, temperature }) => {
+      const d = diameter / 1000;
+      const velocity = (flow / 1000) / (Math.PI * d ** 2 / 4);
+      const density = waterDensity(temperature);
+      const reynolds = density * velocity * d / waterViscosity(temperature);
+      const friction = reynolds < 2000
+        ? 64 / reynolds
+        : 0.25 / Math.log10((roughness / 1000) / (3.7 * d) + 5.74 / reynolds ** 0.9) ** 2;
+      const headLoss = friction * (length / d) * velocity ** 2 / (2 * GRAVITY);
+      const pressureLoss = density * GRAVITY * headLoss / 1000;
+
+      return {
+        velocity: quantity(velocity, 'm/s'),
+        reynoldsNumber: quantity(reynolds, null),
+        flowRegime: { value: reynolds < 2000 ? 'laminar' : reynolds < 4000 ? 'transitional' : 'turbulent' },
+        frictionFactor: quantity(friction, null),
+        headLoss: quantity(headLoss, 'm'),
+        pressureLoss: quantity(pressureLoss, 'kPa'),
+        pressureLossBar: quantity(pressureLoss / 100, 'bar')
+      };
+    },
+    vectors: [
+      {
+        inputs: { flow: 10, diameter: 100, length: 100 },
+        results: {
+          velocity: 1.27324,
+          reynoldsNumber: 97947.3,
+          flowRegime: 'turbulent',
+          frictionFactor: 0.0185235,
+          headLoss: 1.53106,
+          pressureLoss: 15.0101,
+          pressureLossBar: 0.150101
+        }
+      },
+      {
+        inputs: { flow: 0.01, diameter: 50, length: 10, temperature: 20 },
+        results: { flowRegime: 'laminar', reynoldsNumber: 253.748, frictionFactor: 0.252219 }
+      }
+    ]
+  },
+
+  ct: {
+    description: 'Disinfection CT value: residual concentration times contact time (T10)',
+    description_sv: 'CT-värde för desinfektion: restkoncentration gånger kontakttid (T10)',
+    inputs: {
+      concentration: { dimension: 'concentration', unit: 'mg/L', required: true, min: 0, label: 'Residual disinfectant concentration', label_sv: 'Restkoncentration desinfektionsmedel' },
+      contactTime: { dimension: 'time', unit: 'min', greaterThan: 0, label: 'Contact time (T10)', label_sv: 'Kontakttid (T10)' },
+      volume: { dimension: 'volume', unit: 'm³', greaterThan: 0, label: 'Contact tank volume', label_sv: 'Kontaktbassängens volym' },
+      flow: { dimension: 'flow', unit: 'm³/h', greaterThan: 0, label: 'Peak flow', label_sv: 'Maximalt flöde' },
+      baffleFactor: { default: 1, greaterThan: 0, max: 1, label: 'Baffling factor (T10/T)', label_sv: 'Skärmningsfaktor (T10/T)' },
+      requiredCt: { unit: 'mg·min/L', greaterThan: 0, label: 'Required CT', label_sv: 'Erforderligt CT-värde' }
+    },
+    check: (values) => {
+      const hasTank = values.volume !== undefined && values.flow !== undefined;
+      return (values.contactTime !== undefined) !== hasTank
+        ? null
+        : { code: 'CT_INPUTS_INVALID' };
+    },
+    calculate: ({ concentration, contactTime, volume, flow, baffleFactor, requiredCt }) => {
+      const time = contactTime !== undefined ? contactTime : volume / flow * 60 * baffleFactor;
+      const ct = concentration * time;
+      const results = {
+        contactTime: quantity(time, 'min'),
+        ct: quantity(ct, 'mg·min/L')
+      };
+      if (requiredCt !== undefined) {
+        results.ratio = quantity(ct / requiredCt, null);
+        results.sufficient = { value: ct >= requiredCt };
+      }
+      return results;
+    },
+    vectors: [
+      {
+        inputs: { concentration: 0.5, contactTime: 30 },
+        results: { contactTime: 30, ct: 15 }
+      },
+      {
+        inputs: { concentration: 0.4, volume: 50, flow: 50, baffleFactor: 0.3, requiredCt: 6 },
+        results: { contactTime: 18, ct: 7.2, ratio: 1.2, sufficient: true }
+      }
+    ]
+  }
+};
+
+const isFormula = (name) => Object.prototype.hasOwnProperty.call(FORMULAS, name);
+
+// Parse a number; strings may use a decimal comma
+const parseNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || !/^\s*-?\d+(?:[.,]\d+)?(?:e-?\d+)?\s*$/i.test(value)) return null;
+  return parseFloat(value.replace(',', '.'));
+};
+
+// Read one input: a plain number in the default unit or { value, unit }.
+// Returns { value } (undefined when absent) or { error }.
+const readInput = (field, spec, raw) => {
+  if (raw === undefined || raw === null || raw === '') {
+    if (spec.required) return { error: fieldError(field, 'FIELD_REQUIRED') };
+    return { value: spec.default };
+  }
+
+  const given = raw !== null && typeof raw === 'object' ? raw : { value: raw };
+  let value = parseNumber(given.value);
+  if (value === null) {
+    return { error: fieldError(field, 'FIELD_NOT_NUMBER') };
+  }
+
+  if (given.unit !== undefined && given.unit !== null && given.unit !== '') {
+    const unit = normalizeUnit(given.unit);
+    const fits = spec.dimension
+      ? unit && getDimension(unit) === spec.dimension
+      : unit === spec.unit || String(given.unit).trim() === spec.unit;
+    if (!fits) {
+      const accepted = spec.dimension ? Object.keys(DIMENSIONS[spec.dimension]).join(', ') : spec.unit;
+      return {
+        error: accepted
+          ? fieldError(field, 'UNIT_NOT_ACCEPTED', { unit: given.unit, units: accepted })
+          : fieldError(field, 'FIELD_HAS_NO_UNIT')
+      };
+    }
+    if (spec.dimension) value = convert(value, unit, spec.unit);
+  }
+
+  if (spec.min !== undefined && value < spec.min) {
+    return { error: fieldError(field, 'FIELD_TOO_SMALL', { min: spec.min }) };
+  }
+  if (spec.greaterThan !== undefined && value <= spec.greaterThan) {
+    return { error: fieldError(field, 'FIELD_NOT_GREATER', { min: spec.greaterThan }) };
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    return { error: fieldError(field, 'FIELD_TOO_LARGE', { max: spec.max }) };
+  }
+
+  return { value };
+};
+
+// Run a formula on raw client input.
+// Returns { inputs, results } with inputs in the formula's units, or { errors }.
+const calculate = (name, raw = {}) => {
+  const formula = FORMULAS[name];
+  const values = {};
+  const errors = [];
+
+  Object.entries(formula.inputs).forEach(([field, spec]) => {
+    const { value, error } = readInput(field, spec, raw[field]);
+    if (error) errors.push(error);
+    else values[field] = value;
+  });
+
+  if (!errors.length && formula.check) {
+    const problem = formula.check(values);
+    if (problem) errors.push(problem);
+  }
+
+  if (errors.length) return { errors };
+
+  const inputs = {};
+  Object.entries(formula.inputs).forEach(([field, spec]) => {
+    if (values[field] !== undefined) inputs[field] = { value: values[field], unit: spec.unit || null };
+  });
+
+  return { inputs, results: formula.calculate(values) };
+};
+
+// Formula catalogue for clients: inputs with units and limits, and the test vectors
+const listFormulas = () => Object.entries(FORMULAS).map(([name, formula]) => ({
+  name,
+  description: formula.description,
+  description_sv: formula.description_sv,
+  inputs: Object.entries(formula.inputs).map(([field, spec]) => ({
+    name: field,
+    label: spec.label,
+    label_sv: spec.label_sv,
+    unit: spec.unit || null,
+    units: spec.dimension ? Object.keys(DIMENSIONS[spec.dimension]) : [spec.unit || null],
+    required: Boolean(spec.required),
+    default: spec.default,
+    min: spec.min,
+    greaterThan: spec.greaterThan,
+    max: spec.max
+  })),
+  vectors: formula.vectors
+}));
+
+// Numbers match when equal to 6 significant digits
+const matches = (actual, expected) => (typeof expected === 'number'
+  ? typeof actual === 'number' && Math.abs(actual - expected) <= Math.abs(expected) * 1e-6 + 1e-12
+  : actual === expected);
+
+// Run every test vector and report the ones that do not give the expected results
+const verifyFormulas = () => {
+  const formulas = Object.entries(FORMULAS).map(([name, formula]) => ({
+    name,
+    vectors: formula.vectors.map(vector => {
+      const { results, errors } = calculate(name, vector.inputs);
+      const mismatches = errors
+        ? [{ result: null, expected: vector.results, actual: errors }]
+        : Object.entries(vector.results)
+          .filter(([key, expected]) => !matches(results[key] && results[key].value, expected))
+          .map(([key, expected]) => ({ result: key, expected, actual: results[key] ? results[key].value : undefined }));
+      return { inputs: vector.inputs, passed: !mismatches.length, mismatches };
+    })
+  }));
+
+  const vectors = formulas.flatMap(formula => formula.vectors);
+  return {
+    passed: vectors.every(vector => vector.passed),
+    total: vectors.length,
+    failed: vectors.filter(vector => !vector.passed).length,
+    formulas
+  };
+};
+
+module.exports = {
+  FORMULAS,
+  isFormula,
+  calculate,
+  listFormulas,
+  verifyFormulas
+};
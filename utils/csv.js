@@ -0,0 +1,82 @@
+// Minimal RFC 4180 CSV support: quoted fields, escaped quotes ("") and
+// line breaks inside quotes. Swedish Excel writes ';' separated files, so the
+// delimiter is detected from the header line unless given.
+
+// The more frequent of ',' ';' and tab outside quotes in the first line
+const detectDelimiter = (text) => {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && (char === '\n' || char === '\r')) break;
+    else if (!quoted && counts[char] !== undefined) counts[char] += 1;
+  }
+  return Object.keys(counts).reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best), ',');
+};
+
+// Parse CSV text into rows of strings. Empty lines are skipped unless
+// skipEmpty is false (keeps row numbers in line with spreadsheet programs).
+const parseCsv = (input, { delimiter, skipEmpty = true } = {}) => {
+  const text = String(input).replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (!skipEmpty || row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) endRow();
+
+  return rows;
+};
+
+// Quote a value when needed. Values starting with = + - @, a tab or a carriage
+// return are prefixed with ' so spreadsheet programs do not run them as formulas.
+const escapeCsvValue = (value, delimiter = ',') => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with CRLF) from a list of values
+const toCsvLine = (values, delimiter = ',') => `${values.map(value => escapeCsvValue(value, delimiter)).join(delimiter)}\r\n`;
+
+module.exports = {
+  detectDelimiter,
+  parseCsv,
+  escapeCsvValue,
+  toCsvLine
+};
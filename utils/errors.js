@@ -0,0 +1,115 @@
+// Application errors. Throw them from handlers wrapped in asyncHandler (or pass
+// them to next()) and middleware/errorHandler answers with their status and a
+// catalogue code (locales/), localized like any other response.
+
+class AppError extends Error {
+  // options: params (message placeholders), errors (field errors),
+  // extra (additional response fields), headers
+  constructor(code, { status = 500, params, errors, extra, headers } = {}) {
+    super(code);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.params = params;
+    this.errors = errors;
+    this.extra = extra;
+    this.headers = headers;
+  }
+}
+
+// 400 - the request itself is invalid
+class ValidationError extends AppError {
+  constructor(code = 'VALIDATION_ERROR', options = {}) {
+    super(code, { ...options, status: 400 });
+  }
+}
+
+// 401 - missing or invalid credentials
+class AuthenticationError extends AppError {
+  constructor(code = 'UNAUTHORIZED', options = {}) {
+    super(code, { ...options, status: 401 });
+  }
+}
+
+// 403 - authenticated but not allowed
+class ForbiddenError extends AppError {
+  constructor(code = 'FORBIDDEN', options = {}) {
+    super(code, { ...options, status: 403 });
+  }
+}
+
+// 404
+class NotFoundError extends AppError {
+  constructor(code = 'NOT_FOUND', options = {}) {
+    super(code, { ...options, status: 404 });
+  }
+}
+
+// 409 - conflicts with the current state (duplicates, concurrent changes)
+class ConflictError extends AppError {
+  constructor(code = 'CONFLICT', options = {}) {
+    super(code, { ...options, status: 409 });
+  }
+}
+
+// 429 - sends Retry-After and retryAfter when retryAfter (seconds) is given
+class RateLimitError extends AppError {
+  constructor(code = 'TOO_MANY_REQUESTS', { retryAfter, ...options } = {}) {
+    super(code, {
+      ...options,
+      status: 429,
+      extra: retryAfter ? { ...options.extra, retryAfter } : options.extra,
+      headers: retryAfter ? { ...options.headers, 'Retry-After': String(retryAfter) } : options.headers
+    });
+  }
+}
+
+// 502/503 - a dependency (database, mail, webhook receiver) failed
+class UpstreamError extends AppError {
+  constructor(code = 'SERVICE_UNAVAILABLE', { status = 503, cause, ...options } = {}) {
+    super(code, { ...options, status });
+    this.cause = cause;
+  }
+}
+
+// Field error { field, code, params } for `errors`; the message is filled in
+// from the catalogues when the response is sent
+const fieldError = (field, code, params = {}) => ({ field, code, params: { field, ...params } });
+
+// Field error codes for Mongoose validator kinds
+const FIELD_ERROR_CODES = {
+  required: 'FIELD_REQUIRED',
+  maxlength: 'FIELD_TOO_LONG',
+  minlength: 'FIELD_TOO_SHORT',
+  max: 'FIELD_TOO_LARGE',
+  min: 'FIELD_TOO_SMALL',
+  enum: 'FIELD_INVALID_OPTION',
+  regexp: 'FIELD_INVALID_FORMAT'
+};
+
+// Mongoose ValidationError -> field errors { field, code, params }
+const schemaFieldErrors = (error) => Object.values(error.errors).map(err => {
+  const properties = err.properties || {};
+  return {
+    field: err.path,
+    code: FIELD_ERROR_CODES[err.kind] || 'FIELD_INVALID',
+    params: {
+      field: err.path,
+      min: properties.minlength !== undefined ? properties.minlength : properties.min,
+      max: properties.maxlength !== undefined ? properties.maxlength : properties.max
+    }
+  };
+});
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  UpstreamError,
+  fieldError,
+  schemaFieldErrors
+};
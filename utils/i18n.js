@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+// Message catalogues: one JSON file per language in locales/, mapping a stable
+// code (also sent to clients as `code`) to a message with {placeholders}.
+// Adding a language is adding a file; codes missing in it fall back to English.
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const DEFAULT_LOCALE = 'en';
+
+const catalogues = Object.fromEntries(fs.readdirSync(LOCALES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'))]));
+
+const LOCALES = Object.keys(catalogues);
+
+const isLocale = (locale) => LOCALES.includes(locale);
+
+const hasMessage = (code) => Object.prototype.hasOwnProperty.call(catalogues[DEFAULT_LOCALE], code);
+
+// Message for a code in the locale, with {name} placeholders filled from params.
+// Unknown codes are returned as they are.
+const translate = (code, locale = DEFAULT_LOCALE, params = {}) => {
+  const catalogue = catalogues[locale] || {};
+  const template = catalogue[code] || catalogues[DEFAULT_LOCALE][code] || code;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+};
+
+// { code, message, message_sv } for places that still store both languages,
+// e.g. per-row import errors and evaluation results
+const bilingual = (code, params) => ({
+  code,
+  message: translate(code, 'en', params),
+  message_sv: translate(code, 'sv', params)
+});
+
+// Best supported locale for an Accept-Language header, by quality; a region
+// (sv-SE) matches its language. null when nothing matches.
+const negotiateLocale = (header) => {
+  if (!header) return null;
+
+  const ranges = String(header).split(',')
+    .map((part, index) => {
+      const [tag, ...attributes] = part.trim().split(';');
+      const quality = attributes.map(attr => attr.trim()).find(attr => attr.startsWith('q='));
+      return { tag: tag.trim().toLowerCase(), q: quality ? parseFloat(quality.slice(2)) : 1, index };
+    })
+    .filter(range => range.tag && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const { tag } of ranges) {
+    if (tag === '*') return DEFAULT_LOCALE;
+    const language = tag.split('-')[0];
+    if (isLocale(tag)) return tag;
+    if (isLocale(language)) return language;
+  }
+  return null;
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  isLocale,
+  hasMessage,
+  translate,
+  bilingual,
+  negotiateLocale
+};
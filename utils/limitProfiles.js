@@ -0,0 +1,71 @@
+// Verdicts from best to worst; 'not_assessed' means the profile has no limit
+// for the parameter and is left out of the overall verdict
+const VERDICTS = {
+  fit: { label: 'Fit for consumption', label_sv: 'Tjänligt' },
+  fit_with_remarks: { label: 'Fit for consumption with remarks', label_sv: 'Tjänligt med anmärkning' },
+  unfit: { label: 'Unfit for consumption', label_sv: 'Otjänligt' },
+  not_assessed: { label: 'Not assessed', label_sv: 'Ej bedömt' }
+};
+
+const VERDICT_ORDER = ['fit', 'fit_with_remarks', 'unfit'];
+
+// Limit levels of a profile and the verdict a value outside them gives
+const LIMIT_LEVELS = {
+  remark: 'fit_with_remarks',
+  unfit: 'unfit'
+};
+
+const DEFAULT_PROFILE = 'se-drinking-water';
+
+// Profiles shipped with the API. They cannot be edited; admins add their own
+// profiles (models/LimitProfile.js). Limits are in the catalogue unit of each
+// parameter (utils/parameters.js); a value above `max` or below `min` breaks the limit.
+const BUILT_IN_PROFILES = {
+  'se-drinking-water': {
+    name: 'Swedish drinking water (Livsmedelsverket)',
+    name_sv: 'Dricksvatten (Livsmedelsverket)',
+    description: 'Limit values for drinking water at the consumer\'s tap',
+    description_sv: 'Gränsvärden för dricksvatten hos användaren',
+    limits: [
+      { parameter: 'ph', remark: { min: 7.5, max: 9.0 }, note: 'Low pH can corrode pipes', note_sv: 'Lågt pH kan ge korrosion på ledningar' },
+      { parameter: 'temperature', remark: { max: 20 } },
+      { parameter: 'conductivity', remark: { max: 250 } },
+      { parameter: 'turbidity', remark: { max: 1.5 } },
+      { parameter: 'colour', remark: { max: 30 } },
+      { parameter: 'codmn', remark: { max: 4 } },
+      { parameter: 'ammonium', remark: { max: 0.5 } },
+      { parameter: 'nitrate', remark: { max: 20 }, unfit: { max: 50 } },
+      { parameter: 'nitrite', remark: { max: 0.1 }, unfit: { max: 0.5 } },
+      { parameter: 'fluoride', remark: { max: 1.3 }, unfit: { max: 1.5 }, note: 'Risk of dental fluorosis in children', note_sv: 'Risk för tandfluoros hos barn' },
+      { parameter: 'chloride', remark: { max: 100 }, note: 'Can corrode pipes', note_sv: 'Kan ge korrosion på ledningar' },
+      { parameter: 'sulfate', remark: { max: 100 }, note: 'Can corrode pipes', note_sv: 'Kan ge korrosion på ledningar' },
+      { parameter: 'calcium', remark: { max: 100 } },
+      { parameter: 'magnesium', remark: { max: 30 } },
+      { parameter: 'sodium', remark: { max: 100 } },
+      { parameter: 'iron', remark: { max: 0.2 } },
+      { parameter: 'manganese', remark: { max: 0.05 } },
+      { parameter: 'aluminium', remark: { max: 0.1 } },
+      { parameter: 'copper', remark: { max: 0.2 }, unfit: { max: 2.0 } },
+      { parameter: 'lead', unfit: { max: 10 } },
+      { parameter: 'arsenic', unfit: { max: 10 } },
+      { parameter: 'cadmium', unfit: { max: 5 } },
+      { parameter: 'nickel', unfit: { max: 20 } },
+      { parameter: 'uranium', unfit: { max: 30 } },
+      { parameter: 'ecoli', unfit: { max: 0 } },
+      { parameter: 'coliforms', remark: { max: 0 } },
+      { parameter: 'enterococci', unfit: { max: 0 } },
+      { parameter: 'radon', remark: { max: 100 }, unfit: { max: 1000 } }
+    ]
+  }
+};
+
+const isBuiltInProfile = (code) => Object.prototype.hasOwnProperty.call(BUILT_IN_PROFILES, code);
+
+module.exports = {
+  VERDICTS,
+  VERDICT_ORDER,
+  LIMIT_LEVELS,
+  DEFAULT_PROFILE,
+  BUILT_IN_PROFILES,
+  isBuiltInProfile
+};
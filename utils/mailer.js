@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+// Console transport - prints mail to stdout (default outside production)
+const consoleTransport = {
+  name: 'console',
+  send: async (mail) => {
+    console.log('📧 Mail to:', mail.to);
+    console.log('   Subject:', mail.subject);
+    console.log(mail.text);
+    return { accepted: [mail.to] };
+  }
+};
+
+// File transport - appends mail as JSON lines to a local file (for tests)
+const createFileTransport = (filePath = process.env.MAIL_FILE_PATH || path.join(__dirname, '..', 'logs', 'mail.log')) => ({
+  name: 'file',
+  send: async (mail) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, JSON.stringify({ ...mail, sentAt: new Date().toISOString() }) + '\n');
+    return { accepted: [mail.to] };
+  }
+});
+
+// SMTP transport through nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not set in environment variables');
+  }
+
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (mail) => transporter.sendMail(mail)
+  };
+};
+
+const transports = {
+  console: () => consoleTransport,
+  file: () => createFileTransport(),
+  smtp: () => createSmtpTransport()
+};
+
+let activeTransport = null;
+
+// Register a custom transport factory (e.g. SMTP, third-party API)
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+// Replace the active transport directly (useful in tests)
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+// Production must name its transport: the console default would put reset,
+// verification and invitation links into the logs
+const getTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  activeTransport = factory();
+  return activeTransport;
+};
+
+// Send mail through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || 'Water Tools <no-reply@watertools.local>';
+  return getTransport().send({ from, to, subject, text, html });
+};
+
+// Build a link into the frontend app
+const buildFrontendUrl = (pathname, params = {}) => {
+  const base = process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+  const url = new URL(pathname, base);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  setTransport,
+  getTransport,
+  createFileTransport,
+  createSmtpTransport,
+  buildFrontendUrl
+};
@@ -0,0 +1,114 @@
+// Notification channels, types and their bilingual templates
+// (delivered by services/notificationService)
+
+const CHANNELS = {
+  in_app: { label: 'In-app inbox', label_sv: 'Inkorg i appen' },
+  email: { label: 'Email', label_sv: 'E-post' },
+  webhook: { label: 'Webhook', label_sv: 'Webhook' }
+};
+
+// Channels for users who have not chosen any
+const DEFAULT_CHANNELS = ['in_app', 'email'];
+
+const TIMEZONE = 'Europe/Stockholm';
+
+const formatTime = (date, lang) => new Intl.DateTimeFormat(lang === 'sv' ? 'sv-SE' : 'en-GB', {
+  dateStyle: 'medium',
+  timeStyle: 'short',
+  timeZone: TIMEZONE
+}).format(new Date(date));
+
+// Short device description from a user agent
+const describeDevice = (userAgent) => {
+  if (!userAgent) return null;
+  const browser = (userAgent.match(/(Edg|Firefox|Chrome|Safari)\/[\d.]+/) || [])[1];
+  const system = (userAgent.match(/(Windows|Android|iPhone|iPad|Mac OS X|Linux)/) || [])[1];
+  return [browser === 'Edg' ? 'Edge' : browser, system].filter(Boolean).join(', ') || userAgent.slice(0, 60);
+};
+
+const notYouEn = 'If this was not you, change your password right away.';
+const notYouSv = 'Om det inte var du, byt lösenord direkt.';
+
+// Templates return { title, title_sv, message, message_sv } for the event data.
+// alwaysEmail: also emailed when email is not among the user's channels, because
+// the user may not be able to sign in (or an attacker may be signed in) to see it.
+const TYPES = {
+  new_login: {
+    label: 'New sign-in',
+    label_sv: 'Ny inloggning',
+    render: ({ at, ip, userAgent }) => {
+      const device = describeDevice(userAgent);
+      const from = [device, ip].filter(Boolean).join(', ');
+      return {
+        title: 'New sign-in to your account',
+        title_sv: 'Ny inloggning på ditt konto',
+        message: `Your account was signed in to on ${formatTime(at, 'en')}${from ? ` from ${from}` : ''}. ${notYouEn}`,
+        message_sv: `Ditt konto loggades in ${formatTime(at, 'sv')}${from ? ` från ${from}` : ''}. ${notYouSv}`
+      };
+    }
+  },
+  email_change_requested: {
+    label: 'Email change requested',
+    label_sv: 'Byte av e-postadress begärt',
+    alwaysEmail: true,
+    render: ({ newEmail }) => ({
+      title: 'Email change requested',
+      title_sv: 'Byte av e-postadress begärt',
+      message: `A change of your account email to ${newEmail} was requested. It takes effect once the new address is confirmed. ${notYouEn}`,
+      message_sv: `Ett byte av e-postadress till ${newEmail} har begärts för ditt konto. Bytet gäller när den nya adressen har bekräftats. ${notYouSv}`
+    })
+  },
+  password_changed: {
+    label: 'Password changed',
+    label_sv: 'Lösenord ändrat',
+    alwaysEmail: true,
+    render: ({ at }) => ({
+      title: 'Your password was changed',
+      title_sv: 'Ditt lösenord har ändrats',
+      message: `The password for your account was changed on ${formatTime(at, 'en')} and other devices were signed out. If you did not do this, reset your password and contact an administrator.`,
+      message_sv: `Lösenordet för ditt konto ändrades ${formatTime(at, 'sv')} och andra enheter loggades ut. Om det inte var du, återställ lösenordet och kontakta en administratör.`
+    })
+  },
+  account_deactivated: {
+    label: 'Account deactivated',
+    label_sv: 'Konto inaktiverat',
+    alwaysEmail: true,
+    render: () => ({
+      title: 'Your account has been deactivated',
+      title_sv: 'Ditt konto har inaktiverats',
+      message: 'An administrator has deactivated your Water Tools account and signed it out everywhere. Contact your administrator if you think this is a mistake.',
+      message_sv: 'En administratör har inaktiverat ditt Water Tools-konto och loggat ut det överallt. Kontakta din administratör om du tror att detta är ett misstag.'
+    })
+  },
+  account_reactivated: {
+    label: 'Account reactivated',
+    label_sv: 'Konto aktiverat igen',
+    render: () => ({
+      title: 'Your account is active again',
+      title_sv: 'Ditt konto är aktivt igen',
+      message: 'An administrator has reactivated your Water Tools account. You can sign in again.',
+      message_sv: 'En administratör har aktiverat ditt Water Tools-konto igen. Du kan logga in på nytt.'
+    })
+  },
+  test: {
+    label: 'Test notification',
+    label_sv: 'Testnotis',
+    render: () => ({
+      title: 'Test notification',
+      title_sv: 'Testnotis',
+      message: 'Notifications reach you on this channel.',
+      message_sv: 'Notiser når dig via den här kanalen.'
+    })
+  }
+};
+
+const isChannel = (channel) => Object.prototype.hasOwnProperty.call(CHANNELS, channel);
+const isNotificationType = (type) => Object.prototype.hasOwnProperty.call(TYPES, type);
+
+module.exports = {
+  CHANNELS,
+  DEFAULT_CHANNELS,
+  TYPES,
+  isChannel,
+  isNotificationType
+};
@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../package.json');
+
+// OpenAPI 3 document generated from the app itself:
+// - routes and methods from the Express routers (app.locals.apiRouters)
+// - summary and access from the // @route / @desc / @access comment above each route
+// - parameters and request bodies from validate() schemas (middleware/validate)
+// - response data schemas from docs/responses.js
+// Routes without a doc comment or declared responses (and comments without a
+// route) are reported by checkRouteDocs, and responses can be checked against the document with checkResponse.
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const routeDocFiles = () => [
+  path.join(ROOT_DIR, 'app.js'),
+  ...fs.readdirSync(path.join(ROOT_DIR, 'routes'))
+    .filter(file => file.endsWith('.js'))
+    .map(file => path.join(ROOT_DIR, 'routes', file))
+];
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const routeKey = (method, routePath) => `${method.toUpperCase()} ${routePath}`;
+
+// /users/:id -> /users/{id}
+const toOpenApiPath = (routePath) => routePath.replace(/:(\w+)/g, '{$1}');
+
+// 'METHOD /path' -> { summary, access } from the comment blocks of a source file
+const parseRouteDocs = (source) => {
+  const docs = new Map();
+  let block = [];
+
+  const flush = () => {
+    const tags = block.map(line => line.match(/^\/\/\s*@(route|desc|access)\s+(.*)$/)).filter(Boolean);
+    const summary = (tags.find(([, tag]) => tag === 'desc') || [])[2];
+    const access = (tags.find(([, tag]) => tag === 'access') || [])[2];
+
+    tags.filter(([, tag]) => tag === 'route').forEach(([, , route]) => {
+      const [method, routePath] = route.trim().split(/\s+/);
+      method.split('|').forEach(m => docs.set(routeKey(m, routePath.split('?')[0]), { summary, access }));
+    });
+    block = [];
+  };
+
+  source.split('\n').forEach(line => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('//')) {
+      block.push(trimmed);
+    } else {
+      flush();
+    }
+  });
+  flush();
+
+  return docs;
+};
+
+const loadRouteDocs = () => {
+  const docs = new Map();
+  routeDocFiles().forEach(file => {
+    parseRouteDocs(fs.readFileSync(file, 'utf8')).forEach((doc, key) => docs.set(key, doc));
+  });
+  return docs;
+};
+
+// Every route of the app: { method, path, group, handlers }. Routers are found
+// through app.locals.apiRouters ({ path, router, name }) and grouped by their
+// mount path; routes of the app itself are 'general'.
+const listRoutes = (app) => {
+  const routers = app.locals.apiRouters || [];
+  const routes = [];
+
+  const addRoute = (prefix, group, route) => {
+    if (typeof route.path !== 'string') return;
+    const routePath = (prefix + (route.path === '/' && prefix ? '' : route.path)) || '/';
+    METHODS.filter(method => route.methods[method]).forEach(method => {
+      routes.push({ method, path: routePath, group, handlers: route.stack.map(layer => layer.handle) });
+    });
+  };
+
+  (app._router ? app._router.stack : []).forEach(layer => {
+    if (layer.route) {
+      addRoute('', 'general', layer.route);
+      return;
+    }
+    const mount = routers.find(entry => entry.router === layer.handle);
+    if (mount) {
+      const group = mount.path.split('/')[2] || mount.name.toLowerCase();
+      mount.router.stack.filter(inner => inner.route).forEach(inner => addRoute(mount.path, group, inner.route));
+    }
+  });
+
+  return routes;
+};
+
+// Validation rule (utils/validation) -> JSON schema
+const ruleToSchema = (rule) => {
+  const schema = {};
+
+  switch (rule.type) {
+    case 'email':
+      Object.assign(schema, { type: 'string', format: 'email', maxLength: 254 });
+      break;
+    case 'id':
+      Object.assign(schema, { type: 'string', pattern: '^[a-f\\d]{24}$' });
+      break;
+    case 'date':
+      Object.assign(schema, { type: 'string', format: 'date-time' });
+      break;
+    case 'object':
+      schema.type = 'object';
+      break;
+    case 'array':
+      Object.assign(schema, { type: 'array', items: rule.items ? ruleToSchema(rule.items) : {} });
+      break;
+    case 'boolean':
+    case 'integer':
+    case 'number':
+      schema.type = rule.type;
+      break;
+    default:
+      schema.type = 'string';
+  }
+
+  if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.minItems !== undefined) schema.minItems = rule.minItems;
+  if (rule.maxItems !== undefined) schema.maxItems = rule.maxItems;
+  if (rule.pattern) schema.pattern = rule.pattern.source;
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.nullable) schema.nullable = true;
+  if (rule.default !== undefined && typeof rule.default !== 'function') schema.default = rule.default;
+
+  const description = [rule.description, rule.sameAs && `Must equal \`${rule.sameAs}\``].filter(Boolean).join('. ');
+  if (description) schema.description = description;
+
+  return schema;
+};
+
+const objectSchema = (fields) => ({
+  type: 'object',
+  properties: Object.fromEntries(Object.entries(fields).map(([name, rule]) => [name, ruleToSchema(rule)])),
+  required: Object.keys(fields).filter(name => fields[name].required)
+});
+
+// Schemas of the validate() middleware in a route, merged by location
+const routeSchemas = (handlers) => handlers
+  .filter(handler => handler.schemas)
+  .reduce((merged, handler) => ({ ...merged, ...handler.schemas }), null);
+
+const COMPONENTS = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+  },
+  schemas: {
+    FieldError: {
+      type: 'object',
+      required: ['code', 'message'],
+      properties: {
+        field: { type: 'string' },
+        in: { type: 'string', enum: ['body', 'query', 'params'] },
+        code: { type: 'string' },
+        message: { type: 'string' }
+      }
+    },
+    Error: {
+      type: 'object',
+      required: ['success', 'code', 'message'],
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        code: { type: 'string', description: 'Stable error code (locales/)' },
+        message: { type: 'string', description: 'In the negotiated language' },
+        message_sv: { type: 'string', deprecated: true },
+        errors: { type: 'array', items: { $ref: '#/components/schemas/FieldError' } },
+        retryAfter: { type: 'integer', description: 'Seconds, also sent as Retry-After' }
+      }
+    }
+  }
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+// { success, code, message, data } around a data schema; without data for null
+const envelope = (dataSchema) => ({
+  type: 'object',
+  required: ['success'],
+  properties: {
+    success: { type: 'boolean' },
+    code: { type: 'string' },
+    message: { type: 'string' },
+    message_sv: { type: 'string', deprecated: true },
+    ...(dataSchema ? { data: dataSchema } : {})
+  }
+});
+
+// Declared responses: { status: data schema }, null for no data, { status: { body } }
+// for JSON outside the envelope or { status: { contentTypes: [...] } } for files
+const successResponses = (declared = {}) => Object.fromEntries(Object.entries(declared).map(([status, schema]) => {
+  if (schema && schema.body) {
+    return [status, { description: 'Success', content: { 'application/json': { schema: schema.body } } }];
+  }
+  if (schema && schema.contentTypes) {
+    return [status, {
+      description: 'File',
+      content: Object.fromEntries(schema.contentTypes.map(type => [type, { schema: { type: 'string', format: 'binary' } }]))
+    }];
+  }
+  return [status, {
+    description: status < 400 ? 'Success' : 'Error',
+    content: { 'application/json': { schema: envelope(schema) } }
+  }];
+}));
+
+const buildOperation = (route, doc, declaredResponses) => {
+  const schemas = routeSchemas(route.handlers) || {};
+  const isPublic = doc.access === 'Public';
+
+  const pathParams = (route.path.match(/:(\w+)/g) || []).map(param => param.slice(1));
+  const parameters = [
+    ...pathParams.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: schemas.params && schemas.params[name] ? ruleToSchema(schemas.params[name]) : { type: 'string' }
+    })),
+    ...Object.entries(schemas.query || {}).map(([name, rule]) => ({
+      name,
+      in: 'query',
+      required: Boolean(rule.required),
+      schema: ruleToSchema(rule)
+    }))
+  ];
+
+  const upload = route.handlers.find(handler => handler.fileField);
+  let requestBody;
+  if (upload) {
+    requestBody = {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: { type: 'object', required: [upload.fileField], properties: { [upload.fileField]: { type: 'string', format: 'binary' } } }
+        }
+      }
+    };
+  } else if (schemas.body) {
+    requestBody = {
+      required: Object.values(schemas.body).some(rule => rule.required),
+      content: { 'application/json': { schema: objectSchema(schemas.body) } }
+    };
+  }
+
+  return {
+    tags: [route.group],
+    summary: doc.summary,
+    description: doc.access ? `Access: ${doc.access}` : undefined,
+    security: isPublic ? [] : [{ bearerAuth: [] }],
+    parameters: parameters.length ? parameters : undefined,
+    requestBody,
+    responses: {
+      ...successResponses(declaredResponses),
+      ...(schemas.body || schemas.query || schemas.params ? { 400: errorResponse('Invalid input') } : {}),
+      ...(isPublic ? {} : { 401: errorResponse('Missing or invalid access token') }),
+      default: errorResponse('Error')
+    }
+  };
+};
+
+// JSON round trip without undefined fields
+const clean = (value) => JSON.parse(JSON.stringify(value));
+
+// The OpenAPI document for an app
+const buildSpec = (app) => {
+  const docs = loadRouteDocs();
+  const responses = require('../docs/responses');
+  const paths = {};
+
+  listRoutes(app).forEach(route => {
+    const key = routeKey(route.method, route.path);
+    const doc = docs.get(key);
+    if (!doc) return;
+
+    const openApiPath = toOpenApiPath(route.path);
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method] = buildOperation(route, doc, responses[key]);
+  });
+
+  return clean({
+    openapi: '3.0.3',
+    info: {
+      title: 'Water Tools Backend API',
+      version,
+      description: 'Responses carry a stable `code` and a `message` in the language of the user\'s `locale` or `Accept-Language`.'
+    },
+    servers: [{ url: '/' }],
+    paths,
+    components: COMPONENTS
+  });
+};
+
+// Built once per app: routes do not change after start-up
+const specs = new WeakMap();
+const getSpec = (app) => {
+  if (!specs.has(app)) specs.set(app, buildSpec(app));
+  return specs.get(app);
+};
+
+// Routes without a doc comment or without declared responses, and doc comments
+// or declared responses without a route, as lists of 'METHOD /path':
+// { undocumented, undeclared, stale }
+const checkRouteDocs = (app) => {
+  const docs = loadRouteDocs();
+  const responses = require('../docs/responses');
+  const routes = new Set(listRoutes(app).map(route => routeKey(route.method, route.path)));
+
+  return {
+    undocumented: [...routes].filter(key => !docs.has(key)),
+    undeclared: [...routes].filter(key => !responses[key]),
+    stale: [...new Set([...docs.keys(), ...Object.keys(responses)])].filter(key => !routes.has(key))
+  };
+};
+
+const resolveRef = (spec, schema) => (schema && schema.$ref
+  ? spec.components.schemas[schema.$ref.split('/').pop()]
+  : schema);
+
+const TYPE_CHECKS = {
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: Array.isArray,
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number',
+  integer: Number.isInteger,
+  boolean: value => typeof value === 'boolean'
+};
+
+// Differences between a value and a JSON schema (type, required, properties,
+// items, enum, nullable), as 'path: problem'
+const schemaErrors = (spec, schema, value, at = 'body') => {
+  schema = resolveRef(spec, schema);
+  if (!schema) return [];
+
+  if (value === null) {
+    return schema.nullable || !schema.type ? [] : [`${at}: is null`];
+  }
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    return [`${at}: should be ${schema.type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: should be one of ${schema.enum.join(', ')}`];
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    return value.flatMap((item, index) => schemaErrors(spec, schema.items, item, `${at}[${index}]`));
+  }
+  if (schema.type === 'object') {
+    const missing = (schema.required || []).filter(name => value[name] === undefined)
+      .map(name => `${at}.${name}: is required`);
+    const invalid = Object.entries(schema.properties || {})
+      .filter(([name]) => value[name] !== undefined)
+      .flatMap(([name, property]) => schemaErrors(spec, property, value[name], `${at}.${name}`));
+    return [...missing, ...invalid];
+  }
+
+  return [];
+};
+
+// Problems with a JSON response body for a route and status (empty when it
+// matches, or when the route is not in the document). Success statuses the
+// route does not declare are a problem too.
+const checkResponse = (spec, { method, path: routePath, status, body }) => {
+  const operation = routePath && (spec.paths[toOpenApiPath(routePath)] || {})[method.toLowerCase()];
+  const responses = operation ? operation.responses : { default: errorResponse('Error') };
+  if (operation && status < 400 && !responses[status]) {
+    return [`status ${status} is not documented`];
+  }
+  const response = responses[status] || (status >= 400 ? responses.default : null);
+  const content = response && response.content && response.content['application/json'];
+
+  return content && body !== undefined ? schemaErrors(spec, content.schema, clean(body)) : [];
+};
+
+module.exports = {
+  parseRouteDocs,
+  listRoutes,
+  ruleToSchema,
+  buildSpec,
+  getSpec,
+  checkRouteDocs,
+  checkResponse
+};
@@ -0,0 +1,73 @@
+const { DIMENSIONS, normalizeUnit, convert } = require('./units');
+
+// Parameter catalogue: every water quality parameter a measurement can record.
+// `unit` is the unit results are normalized to; any unit of the same
+// dimension (utils/units.js) is accepted on input.
+const PARAMETERS = {
+  ph: { name: 'pH', name_sv: 'pH', category: 'physical', dimension: 'ph', unit: 'pH' },
+  temperature: { name: 'Temperature', name_sv: 'Temperatur', category: 'physical', dimension: 'temperature', unit: '°C' },
+  conductivity: { name: 'Conductivity', name_sv: 'Konduktivitet', category: 'physical', dimension: 'conductivity', unit: 'mS/m' },
+  turbidity: { name: 'Turbidity', name_sv: 'Turbiditet', category: 'physical', dimension: 'turbidity', unit: 'FNU' },
+  colour: { name: 'Colour', name_sv: 'Färg', category: 'physical', dimension: 'colour', unit: 'mg/L Pt' },
+  hardness: { name: 'Total hardness', name_sv: 'Total hårdhet', category: 'chemical', dimension: 'hardness', unit: '°dH' },
+  alkalinity: { name: 'Alkalinity (HCO3)', name_sv: 'Alkalinitet (HCO3)', category: 'chemical', dimension: 'concentration', unit: 'mg/L' },
+  codmn: { name: 'COD-Mn', name_sv: 'CODMn', category: 'chemical', dimension: 'concentration', unit: 'mg/L' },
+  toc: { name: 'Total organic carbon', name_sv: 'Totalt organiskt kol', category: 'chemical', dimension: 'concentration', unit: 'mg/L' },
+  nitrate: { name: 'Nitrate (NO3)', name_sv: 'Nitrat (NO3)', category: 'chemical', dimension: 'concentration', unit: 'mg/L' },
+  nitrite: { name: 'Nitrite (NO2)', name_sv: 'Nitrit (NO2)', category: 'chemical', dimension: 'concentration', unit: 'mg/L' },
+  ammonium: { name: 'Ammonium (NH4)', name_sv: 'Ammonium (NH4)', category: 'chemical', dimension: 'concentration', unit: 'mg/L' },
+  fluoride: { name: 'Fluoride', name_sv: 'Fluorid', category: 'chemical', dimension: 'concentration', unit: 'mg/L' },
+  chloride: { name: 'Chloride', name_sv: 'Klorid', category: 'chemical', dimension: 'concentration', unit: 'mg/L' },
+  sulfate: { name: 'Sulfate', name_sv: 'Sulfat', category: 'chemical', dimension: 'concentration', unit: 'mg/L' },
+  calcium: { name: 'Calcium', name_sv: 'Kalcium', category: 'chemical', dimension: 'concentration', unit: 'mg/L' },
+  magnesium: { name: 'Magnesium', name_sv: 'Magnesium', category: 'chemical', dimension: 'concentration', unit: 'mg/L' },
+  sodium: { name: 'Sodium', name_sv: 'Natrium', category: 'chemical', dimension: 'concentration', unit: 'mg/L' },
+  iron: { name: 'Iron', name_sv: 'Järn', category: 'metal', dimension: 'concentration', unit: 'mg/L' },
+  manganese: { name: 'Manganese', name_sv: 'Mangan', category: 'metal', dimension: 'concentration', unit: 'mg/L' },
+  aluminium: { name: 'Aluminium', name_sv: 'Aluminium', category: 'metal', dimension: 'concentration', unit: 'mg/L' },
+  copper: { name: 'Copper', name_sv: 'Koppar', category: 'metal', dimension: 'concentration', unit: 'mg/L' },
+  lead: { name: 'Lead', name_sv: 'Bly', category: 'metal', dimension: 'concentration', unit: 'µg/L' },
+  arsenic: { name: 'Arsenic', name_sv: 'Arsenik', category: 'metal', dimension: 'concentration', unit: 'µg/L' },
+  cadmium: { name: 'Cadmium', name_sv: 'Kadmium', category: 'metal', dimension: 'concentration', unit: 'µg/L' },
+  nickel: { name: 'Nickel', name_sv: 'Nickel', category: 'metal', dimension: 'concentration', unit: 'µg/L' },
+  uranium: { name: 'Uranium', name_sv: 'Uran', category: 'metal', dimension: 'concentration', unit: 'µg/L' },
+  ecoli: { name: 'E. coli', name_sv: 'E. coli', category: 'microbiological', dimension: 'microbial', unit: 'cfu/100 mL' },
+  coliforms: { name: 'Coliform bacteria', name_sv: 'Koliforma bakterier', category: 'microbiological', dimension: 'microbial', unit: 'cfu/100 mL' },
+  enterococci: { name: 'Intestinal enterococci', name_sv: 'Intestinala enterokocker', category: 'microbiological', dimension: 'microbial', unit: 'cfu/100 mL' },
+  radon: { name: 'Radon', name_sv: 'Radon', category: 'radiological', dimension: 'radioactivity', unit: 'Bq/L' }
+};
+
+const PARAMETER_CATEGORIES = ['physical', 'chemical', 'metal', 'microbiological', 'radiological'];
+
+const isValidParameter = (code) => Object.prototype.hasOwnProperty.call(PARAMETERS, code);
+
+// Catalogue as a list, with the units accepted for each parameter
+const listParameters = () => Object.entries(PARAMETERS).map(([code, parameter]) => ({
+  code,
+  ...parameter,
+  units: Object.keys(DIMENSIONS[parameter.dimension])
+}));
+
+// Canonical unit of the value entered for a parameter, or null if the unit does not fit
+const resolveUnit = (code, unit) => {
+  const parameter = PARAMETERS[code];
+  // pH and similar unitless values may be entered without a unit
+  const resolved = (unit === undefined || unit === null || unit === '') ? parameter.unit : normalizeUnit(unit);
+  return resolved && DIMENSIONS[parameter.dimension][resolved] !== undefined ? resolved : null;
+};
+
+// Convert a value of a parameter to the parameter's normalized unit
+const normalizeValue = (code, value, unit) => convert(value, resolveUnit(code, unit), PARAMETERS[code].unit);
+
+// Message params naming a parameter in each language: {name} and {name_sv}
+const parameterNames = (code) => ({ parameter: code, name: PARAMETERS[code].name, name_sv: PARAMETERS[code].name_sv });
+
+module.exports = {
+  PARAMETERS,
+  PARAMETER_CATEGORIES,
+  isValidParameter,
+  listParameters,
+  resolveUnit,
+  normalizeValue,
+  parameterNames
+};
@@ -0,0 +1,58 @@
+// Permission catalogue: every named permission the API checks
+const PERMISSIONS = {
+  'profile:read': 'View own profile',
+  'profile:write': 'Update own profile',
+  'sites:read': 'View monitoring sites',
+  'sites:write': 'Create and edit monitoring sites',
+  'samples:read': 'View water samples',
+  'samples:write': 'Create and edit water samples',
+  'calculations:run': 'Use the calculation tools',
+  'reports:export': 'Export reports',
+  'users:read': 'View user accounts',
+  'users:write': 'Change user roles, status, sessions and permissions',
+  'users:delete': 'Delete user accounts',
+  'settings:read': 'View application settings',
+  'settings:write': 'Change application settings'
+};
+
+// Roles bundle permissions; the keys are the valid values of User.role
+const ROLE_PERMISSIONS = {
+  user: [
+    'profile:read',
+    'profile:write',
+    'sites:read',
+    'sites:write',
+    'samples:read',
+    'samples:write',
+    'calculations:run',
+    'reports:export'
+  ],
+  admin: Object.keys(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const isValidPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+// Permissions not held by the base user role (admin-level)
+const isPrivilegedPermission = (permission) => !ROLE_PERMISSIONS.user.includes(permission);
+
+// Effective permissions: role bundle plus granted overrides minus denied overrides
+const resolvePermissions = (user) => {
+  const permissions = new Set(ROLE_PERMISSIONS[user.role] || []);
+  const overrides = user.permissionOverrides || {};
+
+  (overrides.grant || []).forEach(permission => permissions.add(permission));
+  (overrides.deny || []).forEach(permission => permissions.delete(permission));
+
+  return [...permissions].filter(isValidPermission).sort();
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  isValidPermission,
+  isPrivilegedPermission,
+  resolvePermissions
+};
@@ -0,0 +1,85 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { parseCsv } = require('./csv');
+
+const FORMATS = {
+  csv: ['.csv', '.txt'],
+  xlsx: ['.xlsx']
+};
+
+// 'csv', 'xlsx' or null, from the file name (mime types from browsers vary too much)
+const detectFormat = (fileName) => {
+  const extension = path.extname(String(fileName || '')).toLowerCase();
+  return Object.keys(FORMATS).find(format => FORMATS[format].includes(extension)) || null;
+};
+
+// Plain text for an ExcelJS cell value (rich text, links, formulas and dates included)
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'object') return String(value);
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return cellText(value.text);
+  if (value.result !== undefined) return cellText(value.result);
+  return '';
+};
+
+// Whether a line has any non-blank cell
+const hasValues = (line) => line.some(value => String(value).trim());
+
+// Lines of the first sheet, streamed so that reading can stop after the
+// header and `maxLines` non-blank lines instead of loading the whole workbook
+const readXlsx = async (buffer, maxLines = Infinity) => {
+  const reader = new ExcelJS.stream.xlsx.WorkbookReader(Readable.from([buffer]), {
+    worksheets: 'emit',
+    sharedStrings: 'cache',
+    hyperlinks: 'ignore',
+    styles: 'cache'
+  });
+
+  const lines = [];
+  for await (const sheet of reader) {
+    let count = 0;
+    for await (const row of sheet) {
+      // row.values is 1-based; blank rows are not emitted
+      const line = row.values.slice(1).map(cellText);
+      lines[row.number - 1] = line;
+      if (row.number > 1 && hasValues(line) && ++count >= maxLines) break;
+    }
+    break;
+  }
+  return Array.from(lines, line => line || []);
+};
+
+// Read the first sheet of a CSV or XLSX file as { format, headers, rows }.
+// Rows are { row, values } where row is the row number shown by spreadsheet
+// programs (the header is row 1) and values are trimmed strings, one per header.
+// Blank rows are left out. With `maxRows`, reading stops after maxRows + 1 rows,
+// enough for the caller to tell that the file has too many. Throws on unreadable files.
+const readTable = async (buffer, fileName, { maxRows = Infinity } = {}) => {
+  const format = detectFormat(fileName);
+  if (!format) throw new Error(`Unsupported file type: ${fileName}`);
+
+  const lines = format === 'xlsx'
+    ? await readXlsx(buffer, maxRows + 1)
+    : parseCsv(buffer.toString('utf8'), { skipEmpty: false });
+  const [headerLine = [], ...dataLines] = lines;
+  const headers = headerLine.map(header => String(header).trim());
+
+  const rows = dataLines
+    .map((line, index) => ({
+      row: index + 2,
+      values: headers.map((header, column) => String(line[column] === undefined ? '' : line[column]).trim())
+    }))
+    .filter(({ values }) => values.some(Boolean))
+    .slice(0, maxRows + 1);
+
+  return { format, headers, rows };
+};
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  readTable
+};
@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Generate a random URL-safe token
+const generateRandomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Hash a token for storage (only the hash is kept in the database)
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  generateRandomToken,
+  hashToken
+};
@@ -0,0 +1,153 @@
+// Units by dimension. Each factor converts a value in that unit to the
+// dimension's base unit (first entry), so value * factor(from) / factor(to)
+// converts between any two units of the same dimension.
+const DIMENSIONS = {
+  concentration: {
+    'mg/L': 1,
+    'g/L': 1000,
+    'µg/L': 1e-3,
+    'ng/L': 1e-6
+  },
+  conductivity: {
+    'mS/m': 1,
+    'µS/cm': 0.1,
+    'mS/cm': 100,
+    'S/m': 1000
+  },
+  turbidity: {
+    FNU: 1,
+    NTU: 1,
+    FTU: 1
+  },
+  microbial: {
+    'cfu/100 mL': 1,
+    'MPN/100 mL': 1,
+    'cfu/mL': 100
+  },
+  hardness: {
+    '°dH': 1,
+    'mmol/L': 5.608,
+    'mg/L CaCO3': 1 / 17.848
+  },
+  colour: {
+    'mg/L Pt': 1
+  },
+  radioactivity: {
+    'Bq/L': 1,
+    'kBq/L': 1000
+  },
+  temperature: {
+    '°C': 1
+  },
+  ph: {
+    pH: 1
+  },
+  // Dimensions used by the calculation library (utils/calculations.js)
+  volume: {
+    'm³': 1,
+    L: 1e-3,
+    'dm³': 1e-3,
+    mL: 1e-6
+  },
+  flow: {
+    'm³/h': 1,
+    'L/s': 3.6,
+    'L/min': 0.06,
+    'L/h': 1e-3,
+    'm³/s': 3600,
+    'm³/d': 1 / 24
+  },
+  time: {
+    s: 1,
+    min: 60,
+    h: 3600,
+    d: 86400
+  },
+  length: {
+    m: 1,
+    mm: 1e-3,
+    cm: 1e-2,
+    km: 1000
+  },
+  pressure: {
+    kPa: 1,
+    Pa: 1e-3,
+    bar: 100,
+    mbar: 0.1,
+    mWC: 9.80665, // metre of water column
+    psi: 6.894757
+  },
+  density: {
+    'kg/L': 1,
+    'g/mL': 1,
+    'g/cm³': 1,
+    'kg/m³': 1e-3
+  },
+  percent: {
+    '%': 1
+  }
+};
+
+// Common spellings mapped to the canonical unit name
+// (case, spacing and u/µ for micro are already ignored)
+const ALIASES = {
+  ppm: 'mg/L',
+  ppb: 'µg/L',
+  'mgcaco3/l': 'mg/L CaCO3',
+  dh: '°dH',
+  '°d': '°dH',
+  degc: '°C',
+  sec: 's',
+  hr: 'h',
+  mvp: 'mWC', // meter vattenpelare
+  mh2o: 'mWC'
+};
+
+// Lower-case lookup of every canonical unit name
+const CANONICAL = {};
+Object.values(DIMENSIONS).forEach(units => {
+  Object.keys(units).forEach(unit => {
+    CANONICAL[unit.toLowerCase()] = unit;
+  });
+});
+
+// Canonical unit name for user input ('ug/l', 'μg/L' and 'µg/L' are the same), or null
+const normalizeUnit = (unit) => {
+  if (unit === undefined || unit === null) return null;
+
+  const key = String(unit)
+    .trim()
+    .replace(/[uμ](?=[gs])/gi, 'µ') // u / Greek mu -> micro sign
+    .replace(/m3(?!\d)/gi, 'm³') // m3 -> m³
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+  const compact = key.replace(/ /g, '');
+
+  return CANONICAL[key] || ALIASES[compact] ||
+    Object.values(CANONICAL).find(name => name.toLowerCase().replace(/ /g, '') === compact) ||
+    null;
+};
+
+// Dimension a canonical unit belongs to, or null
+const getDimension = (unit) => Object.keys(DIMENSIONS).find(dimension => DIMENSIONS[dimension][unit] !== undefined) || null;
+
+// Convert between units of the same dimension; throws for incompatible units
+const convert = (value, fromUnit, toUnit) => {
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+  const dimension = from && getDimension(from);
+
+  if (!dimension || DIMENSIONS[dimension][to] === undefined) {
+    throw new Error(`Cannot convert ${fromUnit} to ${toUnit}`);
+  }
+
+  // Round away floating point noise (0.1 * 3 -> 0.30000000000000004)
+  return Number((value * DIMENSIONS[dimension][from] / DIMENSIONS[dimension][to]).toPrecision(12));
+};
+
+module.exports = {
+  DIMENSIONS,
+  normalizeUnit,
+  getDimension,
+  convert
+};
@@ -0,0 +1,161 @@
+// Declarative input validation. A schema maps field names to rules:
+//
+//   { email: { type: 'email', required: true }, name: { type: 'string', trim: true, maxLength: 100 } }
+//
+// Rules: type (string, email, boolean, integer, number, id, date, object, array),
+// required, nullable (null or '' becomes null), default, enum, pattern,
+// minLength/maxLength (strings), min/max (numbers), minItems/maxItems and items
+// (arrays), trim and lowercase (strings), sameAs (another field that must be
+// equal) and description (docs).
+//
+// validateInput coerces values to their type (query strings to numbers, booleans
+// and dates, numbers to strings), drops fields the schema does not declare and
+// returns field errors as { field, code, params } (codes in locales/). Objects
+// are passed on as they are; the handler checks their contents.
+
+const { fieldError } = require('./errors');
+
+// local@domain.tld: letters (any script), digits and the usual local-part
+// symbols; top-level domains of any length, including punycode (xn--)
+const EMAIL_REGEX = /^[\p{L}\p{N}!#$%&'*+/=?^_`{|}~-]+(\.[\p{L}\p{N}!#$%&'*+/=?^_`{|}~-]+)*@([\p{L}\p{N}]([\p{L}\p{N}-]*[\p{L}\p{N}])?\.)+(\p{L}{2,}|xn--[a-z0-9-]+)$/u;
+
+const MAX_EMAIL_LENGTH = 254;
+
+const OBJECT_ID_REGEX = /^[a-f\d]{24}$/i;
+
+// Emails are compared and stored in one form: NFC, trimmed, lowercase
+const normalizeEmail = (email) => String(email).normalize('NFC').trim().toLowerCase();
+
+const isEmail = (email) => typeof email === 'string' &&
+  email.length <= MAX_EMAIL_LENGTH && EMAIL_REGEX.test(email);
+
+// Coerce a value to the rule's type: { value } or { error: code }
+const coerce = (value, rule) => {
+  switch (rule.type) {
+    case 'email':
+      return typeof value === 'string' ? { value: normalizeEmail(value) } : { error: 'FIELD_INVALID' };
+    case 'id':
+      return typeof value === 'string' && OBJECT_ID_REGEX.test(value) ? { value } : { error: 'FIELD_INVALID' };
+    case 'boolean':
+      if (typeof value === 'boolean') return { value };
+      if (['true', '1', 1].includes(value)) return { value: true };
+      if (['false', '0', 0].includes(value)) return { value: false };
+      return { error: 'FIELD_INVALID' };
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'FIELD_INVALID' };
+      if (rule.type === 'integer' && !Number.isInteger(number)) return { error: 'FIELD_INVALID' };
+      return { value: number };
+    }
+    case 'date': {
+      const date = typeof value === 'string' || typeof value === 'number' || value instanceof Date ? new Date(value) : null;
+      return date && !isNaN(date.getTime()) ? { value: date } : { error: 'FIELD_INVALID_DATE' };
+    }
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) ? { value } : { error: 'FIELD_NOT_OBJECT' };
+    case 'array':
+      // A single query string value counts as a one-item list
+      return { value: Array.isArray(value) ? value : [value] };
+    case 'string':
+    default:
+      if (typeof value === 'number' || typeof value === 'boolean') value = String(value);
+      if (typeof value !== 'string') return { error: 'FIELD_INVALID' };
+      if (rule.trim) value = value.trim();
+      return { value: rule.lowercase ? value.toLowerCase() : value };
+  }
+};
+
+// Validate one field: { value } or { errors }
+const validateField = (field, value, rule, input) => {
+  if (value === undefined && rule.default !== undefined) {
+    value = typeof rule.default === 'function' ? rule.default() : rule.default;
+  }
+  if (rule.nullable && (value === null || value === '')) {
+    return { value: null };
+  }
+  if (value === undefined || value === null || value === '') {
+    return rule.required ? { errors: [fieldError(field, 'FIELD_REQUIRED')] } : {};
+  }
+
+  const coerced = coerce(value, rule);
+  if (coerced.error) {
+    return { errors: [fieldError(field, coerced.error)] };
+  }
+  value = coerced.value;
+
+  if (rule.type === 'array') {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      return { errors: [fieldError(field, 'FIELD_TOO_SMALL', { min: rule.minItems })] };
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return { errors: [fieldError(field, 'FIELD_TOO_LARGE', { max: rule.maxItems })] };
+    }
+    if (!rule.items) return { value };
+
+    const items = value.map((item, index) => validateField(`${field}[${index}]`, item, { ...rule.items, required: true }, input));
+    const errors = items.flatMap(item => item.errors || []);
+    return errors.length ? { errors } : { value: items.map(item => item.value) };
+  }
+
+  if (value === '' && rule.required) {
+    return { errors: [fieldError(field, 'FIELD_REQUIRED')] };
+  }
+  if (rule.type === 'email' && !isEmail(value)) {
+    return { errors: [fieldError(field, 'FIELD_INVALID_EMAIL')] };
+  }
+  if (typeof value === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return { errors: [fieldError(field, 'FIELD_TOO_SHORT', { min: rule.minLength })] };
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return { errors: [fieldError(field, 'FIELD_TOO_LONG', { max: rule.maxLength })] };
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return { errors: [fieldError(field, 'FIELD_INVALID_FORMAT')] };
+    }
+  }
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) {
+      return { errors: [fieldError(field, 'FIELD_TOO_SMALL', { min: rule.min })] };
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return { errors: [fieldError(field, 'FIELD_TOO_LARGE', { max: rule.max })] };
+    }
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { errors: [fieldError(field, 'FIELD_INVALID_OPTION', { options: rule.enum.join(', ') })] };
+  }
+  if (rule.sameAs && value !== input[rule.sameAs]) {
+    return { errors: [fieldError(field, 'FIELD_MISMATCH', { other: rule.sameAs })] };
+  }
+
+  return { value };
+};
+
+// Validate an input object (body, query or params) against a schema.
+// Returns { value } with only the declared fields, or { errors }.
+const validateInput = (schema, input) => {
+  const source = input !== null && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const value = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const result = validateField(field, source[field], rule, source);
+    if (result.errors) {
+      errors.push(...result.errors);
+    } else if (result.value !== undefined) {
+      value[field] = result.value;
+    }
+  }
+
+  return errors.length ? { errors } : { value };
+};
+
+module.exports = {
+  EMAIL_REGEX,
+  MAX_EMAIL_LENGTH,
+  normalizeEmail,
+  isEmail,
+  validateInput
+};
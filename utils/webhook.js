@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+
+// Signed JSON webhooks. Receivers verify the X-Water-Tools-Signature header:
+// t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with their secret>
+
+const SIGNATURE_HEADER = 'X-Water-Tools-Signature';
+
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Addresses a webhook must not reach: unspecified, loopback, private, shared
+// (carrier-grade NAT), link-local, benchmarking, multicast and reserved ranges,
+// and their IPv4-mapped and NAT64 forms
+// (one list per family, as a BlockList also matches IPv4 addresses against
+// IPv6 rules for their mapped form)
+const privateRanges = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => privateRanges.ipv4.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 8], ['64:ff9b::', 96], ['100::', 64], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateRanges.ipv6.addSubnet(address, prefix, 'ipv6'));
+
+// True for an IP address in a private range; host names are not IP addresses
+// and count as private, so check what they resolve to instead
+const isPrivateAddress = (address) => {
+  const ip = String(address).replace(/^\[|\]$/g, '');
+  const version = net.isIP(ip);
+  return !version || privateRanges[`ipv${version}`].check(ip, `ipv${version}`);
+};
+
+// dns.lookup replacement for outgoing requests that fails when a name resolves
+// to a private address. Connecting to the checked address prevents a name from
+// resolving to a public address when checked and a private one when used.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(Object.assign(new Error(`Webhook host ${hostname} resolves to a private address`), { code: 'EPRIVATEADDRESS' }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// True if a host is a public IP address or a name that only resolves to public ones
+const isPublicHost = async (hostname) => {
+  const host = String(hostname).replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return !isPrivateAddress(host);
+
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    return addresses.length > 0 && !addresses.some(({ address }) => isPrivateAddress(address));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Console transport - prints the request instead of sending it (default for development)
+const consoleTransport = {
+  name: 'console',
+  send: async ({ url, headers, body }) => {
+    console.log('🔔 Webhook to:', url);
+    console.log(`   ${SIGNATURE_HEADER}:`, headers[SIGNATURE_HEADER]);
+    console.log(body);
+    return { status: 200 };
+  }
+};
+
+// File transport - appends requests as JSON lines to a local file (for tests)
+const createFileTransport = (filePath = process.env.WEBHOOK_FILE_PATH || path.join(__dirname, '..', 'logs', 'webhooks.log')) => ({
+  name: 'file',
+  send: async (request) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, JSON.stringify({ ...request, sentAt: new Date().toISOString() }) + '\n');
+    return { status: 200 };
+  }
+});
+
+// HTTP transport - POSTs the payload without following redirects; non-2xx
+// responses and timeouts are errors. In production it only connects to public
+// addresses (allowPrivate is for local test receivers).
+const createHttpTransport = ({ allowPrivate = process.env.NODE_ENV !== 'production' } = {}) => ({
+  name: 'http',
+  send: async ({ url, headers, body }) => {
+    const timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+    const target = new URL(url);
+    // Names go through publicLookup; IP addresses are connected to without a lookup
+    if (!allowPrivate && net.isIP(target.hostname.replace(/^\[|\]$/g, '')) && isPrivateAddress(target.hostname)) {
+      throw new Error(`Webhook host ${target.hostname} is a private address`);
+    }
+
+    const status = await new Promise((resolve, reject) => {
+      const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: allowPrivate ? undefined : publicLookup,
+        signal: AbortSignal.timeout(timeout)
+      }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+
+    if (status < 200 || status >= 300) {
+      throw new Error(`Webhook responded with status ${status}`);
+    }
+    return { status };
+  }
+});
+
+const transports = {
+  console: () => consoleTransport,
+  file: () => createFileTransport(),
+  http: () => createHttpTransport()
+};
+
+let activeTransport = null;
+
+// Register a custom transport factory (e.g. a queue)
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+// Replace the active transport directly (useful in tests)
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+// Production must name its transport: with the console default webhooks
+// would silently never be delivered
+const getTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  if (!process.env.WEBHOOK_TRANSPORT && process.env.NODE_ENV === 'production') {
+    throw new Error('WEBHOOK_TRANSPORT must be set in production');
+  }
+  const name = process.env.WEBHOOK_TRANSPORT || 'console';
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown webhook transport: ${name}`);
+  }
+  activeTransport = factory();
+  return activeTransport;
+};
+
+// Send a JSON payload signed with the receiver's secret
+const sendWebhook = async ({ url, secret, payload }) => {
+  const body = JSON.stringify(payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'WaterTools-Webhook/1.0',
+    [SIGNATURE_HEADER]: signPayload(secret, body)
+  };
+  return getTransport().send({ url, headers, body });
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  signPayload,
+  sendWebhook,
+  isPrivateAddress,
+  isPublicHost,
+  registerTransport,
+  setTransport,
+  getTransport,
+  createFileTransport
+};